@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { purgeOrphanAssets } from "../src/services/upload.service.js";
+import { logger } from "../src/utils/logger.js";
+import { runAsJob } from "../src/utils/requestContext.js";
+
+dotenv.config();
+
+// Deletes uploads that were never attached to a submission, form or template within
+// ORPHAN_UPLOAD_TTL_HOURS (default 24). Meant to run from cron.
+async function cleanupOrphanUploads() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    logger.info("Connected to MongoDB");
+
+    const purged = await purgeOrphanAssets();
+    logger.info("Removed orphaned uploads", { purged });
+  } catch (error) {
+    logger.error("Orphan upload cleanup failed", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    logger.info("Disconnected from MongoDB");
+  }
+}
+
+runAsJob("cleanup-orphan-uploads", cleanupOrphanUploads);
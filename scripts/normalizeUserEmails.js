@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User from "../src/models/User.model.js";
+
+dotenv.config();
+
+// User emails are stored lowercased and trimmed; bring older accounts in line
+// so they can still log in with their address typed in any case
+async function normalizeUserEmails() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("Connected to MongoDB");
+
+    // Read through the driver: the model would lowercase the filter itself
+    const users = await User.collection
+      .find({ email: { $regex: /[A-Z]|^\s|\s$/ } }, { projection: { email: 1 } })
+      .toArray();
+    console.log(`Found ${users.length} users with an unnormalized email`);
+
+    let updated = 0;
+    for (const user of users) {
+      const email = user.email.trim().toLowerCase();
+
+      const duplicate = await User.collection.findOne({ email, _id: { $ne: user._id } });
+      if (duplicate) {
+        console.warn(`Skipped ${user._id}: ${email} is already used by ${duplicate._id}, resolve manually`);
+        continue;
+      }
+
+      await User.collection.updateOne({ _id: user._id }, { $set: { email } });
+      updated++;
+    }
+
+    console.log(`Updated ${updated} users`);
+    console.log("Migration completed successfully!");
+  } catch (error) {
+    console.error("Migration failed:", error);
+  } finally {
+    await mongoose.connection.close();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+normalizeUserEmails();
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import { runRetentionPurge } from "../src/services/retention.service.js";
+import { logger } from "../src/utils/logger.js";
+import { runAsJob } from "../src/utils/requestContext.js";
+
+dotenv.config();
+
+// Applies the companies' retention policies and removes expired approval
+// links. The API already runs this on a schedule (RETENTION_PURGE_INTERVAL_HOURS);
+// set that to 0 to run it from cron instead. `--dry-run` only reports what would go.
+async function purgeRetention() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    logger.info("Connected to MongoDB");
+
+    const report = await runRetentionPurge({ dryRun: process.argv.includes("--dry-run") });
+    logger.info("Retention purge finished", { report });
+    if (report.totals.failed || report.companies.some(company => company.error)) process.exitCode = 1;
+  } catch (error) {
+    logger.error("Retention purge failed", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    logger.info("Disconnected from MongoDB");
+  }
+}
+
+runAsJob("retention-purge", purgeRetention);
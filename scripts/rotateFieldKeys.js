@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import DataKey from "../src/models/DataKey.model.js";
+import "../src/models/FormSubmission.model.js";
+import { rotateCompanyKey, reencryptCompanySubmissions } from "../src/services/fieldEncryption.service.js";
+import { logger } from "../src/utils/logger.js";
+import { runAsJob } from "../src/utils/requestContext.js";
+
+dotenv.config();
+
+// Rotates the field encryption key of every company that has one (or only
+// `--company <id>`) and re-encrypts its submissions. Run it after changing
+// FIELD_ENCRYPTION_KEY, with the old key in FIELD_ENCRYPTION_PREVIOUS_KEYS.
+async function rotateFieldKeys() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    logger.info("Connected to MongoDB");
+
+    const flag = process.argv.indexOf("--company");
+    const companyIds = flag !== -1
+      ? [process.argv[flag + 1]]
+      : await DataKey.distinct("companyId");
+
+    for (const companyId of companyIds) {
+      await rotateCompanyKey(companyId);
+      const { reencrypted, skipped } = await reencryptCompanySubmissions(companyId);
+      if (skipped) process.exitCode = 1;
+      logger.info("Company key rotated", { companyId, reencrypted, skipped });
+    }
+  } catch (error) {
+    logger.error("Field key rotation failed", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    logger.info("Disconnected from MongoDB");
+  }
+}
+
+runAsJob("rotate-field-keys", rotateFieldKeys);
@@ -1,6 +1,7 @@
 import mongoose from "mongoose";
+import { logger } from "../utils/logger.js";
 
 export const connectDB = async () => {
   await mongoose.connect(process.env.MONGO_URI);
-  console.log("MongoDB Connected");
+  logger.info("MongoDB connected");
 };
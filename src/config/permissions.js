@@ -0,0 +1,111 @@
+/**
+ * Permission registry.
+ * `platform: true` marks permissions that only the platform operator holds;
+ * they can never be put into a company's custom role.
+ */
+export const PERMISSIONS = {
+  // Platform
+  "platform.settings": { description: "Change platform-wide settings", platform: true },
+  "companies.manage": { description: "Create, update and delete companies and their plans", platform: true },
+  "analytics.platform": { description: "View platform-wide analytics", platform: true },
+
+  // Company
+  "company.view": { description: "View company details" },
+  "company.security": { description: "Change company security settings" },
+  "apiKeys.manage": { description: "Create and revoke API keys" },
+  "roles.manage": { description: "Create custom roles and assign them to users" },
+  "audit.view": { description: "View and export the audit log" },
+  "retention.manage": { description: "Set data retention policies and legal holds" },
+
+  // Plants
+  "plants.view": { description: "View plants" },
+  "plants.create": { description: "Create plants" },
+  "plants.update": { description: "Update plants" },
+  "plants.delete": { description: "Delete plants" },
+
+  // Users
+  "users.view": { description: "View users" },
+  "users.create": { description: "Create employees" },
+  "users.update": { description: "Update employees" },
+  "users.delete": { description: "Delete employees" },
+  "users.invite": { description: "Invite users" },
+  "users.plants": { description: "Give users access to additional plants" },
+  "sessions.manage": { description: "View and revoke other users' sessions" },
+  "users.impersonate": { description: "Sign in as another user for support (audited)" },
+  "users.privacy": { description: "Export and erase users' personal data" },
+
+  // Forms & templates
+  "forms.view": { description: "View forms" },
+  "forms.create": { description: "Create forms" },
+  "forms.update": { description: "Edit, archive and restore forms" },
+  "forms.delete": { description: "Delete forms" },
+  "forms.share": { description: "Send form links to external approvers" },
+  "templates.view": { description: "View templates" },
+  "templates.manage": { description: "Create, edit and delete templates" },
+  "assignments.manage": { description: "Assign templates to employees" },
+  "tasks.assign": { description: "Assign form tasks to employees" },
+  "tasks.view": { description: "View assigned form tasks" },
+
+  // Submissions & approvals
+  "submissions.view": { description: "View submissions" },
+  "submissions.sensitive": { description: "Read sensitive (encrypted) form fields" },
+  "submissions.create": { description: "Fill in and submit forms" },
+  "submissions.approve": { description: "Approve or reject submissions" },
+  "approvals.manage": { description: "Create approval tasks and multi-form links" },
+
+  // Analytics
+  "analytics.view": { description: "View analytics dashboards" }
+};
+
+/**
+ * Preset bundles for the built-in roles.
+ */
+export const ROLE_PERMISSIONS = {
+  SUPER_ADMIN: [
+    "platform.settings", "companies.manage", "analytics.platform",
+    "company.view", "company.security", "apiKeys.manage", "roles.manage", "audit.view", "retention.manage",
+    "plants.view", "plants.create", "plants.update", "plants.delete",
+    "users.view", "users.update", "users.delete", "users.invite", "users.plants", "sessions.manage", "users.impersonate", "users.privacy",
+    "forms.view", "templates.view",
+    "analytics.view"
+  ],
+
+  COMPANY_ADMIN: [
+    "company.view", "company.security", "apiKeys.manage", "roles.manage", "audit.view", "retention.manage",
+    "plants.view", "plants.create", "plants.update", "plants.delete",
+    "users.view", "users.invite", "users.plants", "sessions.manage", "users.impersonate", "users.privacy",
+    "forms.view", "templates.view",
+    "submissions.view", "submissions.sensitive",
+    "analytics.view"
+  ],
+
+  PLANT_ADMIN: [
+    "plants.view", "plants.update",
+    "users.view", "users.create", "users.update", "users.delete", "users.invite", "sessions.manage",
+    "forms.view", "forms.create", "forms.update", "forms.delete", "forms.share",
+    "templates.view", "templates.manage", "assignments.manage", "tasks.assign",
+    "submissions.view", "submissions.sensitive", "submissions.approve", "approvals.manage",
+    "analytics.view"
+  ],
+
+  EMPLOYEE: [
+    "forms.view", "tasks.view",
+    "submissions.view", "submissions.create", "submissions.approve",
+    "analytics.view"
+  ]
+};
+
+export const isPermission = (permission) => Object.hasOwn(PERMISSIONS, permission);
+
+// Permissions a company may bundle into its own roles
+export const getAssignablePermissions = () =>
+  Object.keys(PERMISSIONS).filter(permission => !PERMISSIONS[permission].platform);
+
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+export const getAllPermissions = () =>
+  Object.entries(PERMISSIONS).map(([key, permission]) => ({
+    ...permission,
+    key,
+    platform: Boolean(permission.platform)
+  }));
@@ -10,6 +10,8 @@ export const PLANS = {
       maxFormsPerPlant: 10,
       maxEmployeesPerPlant: 10,
       approvalLevels: 2,
+      apiRequestsPerMinute: 300,
+      maxStorageMb: 1024,
     },
     features: {
       dashboard: "basic",
@@ -39,6 +41,8 @@ export const PLANS = {
       maxFormsPerPlant: 25,
       maxEmployeesPerPlant: 50,
       approvalLevels: 5,
+      apiRequestsPerMinute: 1000,
+      maxStorageMb: 10240,
     },
     features: {
       dashboard: "advanced",
@@ -71,6 +75,8 @@ export const PLANS = {
       maxFormsPerPlant: -1,
       maxEmployeesPerPlant: -1,
       approvalLevels: -1,
+      apiRequestsPerMinute: 5000,
+      maxStorageMb: -1,
     },
     features: {
       dashboard: "enterprise",
@@ -102,6 +108,8 @@ export const PLANS = {
         maxFormsPerPlant: 0,
         maxEmployeesPerPlant: 0,
         approvalLevels: 0,
+        apiRequestsPerMinute: 1000, // Used unless customLimits sets its own
+        maxStorageMb: 10240, // Used unless customLimits sets its own
       },
       features: {
         dashboard: "advanced",
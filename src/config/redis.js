@@ -1,4 +1,5 @@
 import { createClient } from 'redis';
+import { logger } from '../utils/logger.js';
 
 let redisClient;
 
@@ -9,13 +10,13 @@ if (process.env.REDIS_URL) {
   });
   
   redisClient.on('error', (err) => {
-    console.error('Redis Client Error:', err);
+    logger.error('Redis Client Error', err);
   });
   
   redisClient.connect().then(() => {
-    console.log('Connected to Redis');
+    logger.info('Connected to Redis');
   }).catch((err) => {
-    console.error('Failed to connect to Redis:', err);
+    logger.error('Failed to connect to Redis', err);
   });
 } else {
   // Create a mock client if Redis is not configured
@@ -27,7 +28,7 @@ if (process.env.REDIS_URL) {
     on: () => {},
     connect: async () => {}
   };
-  console.log('Redis not configured. Running without caching.');
+  logger.info('Redis not configured. Running without caching.');
 }
 
 export default redisClient;
\ No newline at end of file
@@ -0,0 +1,108 @@
+import ApiKey from "../models/ApiKey.model.js";
+import Plant from "../models/Plant.model.js";
+import { createApiKey as createApiKeyRecord } from "../services/apiKey.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { API_KEY_PERMISSIONS } from "../utils/constants.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { BadRequestError, NotFoundError } from "../utils/errors.js";
+
+/* 🔹 Helper: Company whose keys the caller manages */
+const resolveCompanyId = (req) =>
+  req.user.role === "SUPER_ADMIN" ? (req.body.companyId || req.query.companyId) : req.user.companyId;
+
+/* ======================================================
+   CREATE API KEY
+====================================================== */
+export const createApiKey = asyncHandler(async (req, res) => {
+  const { name, plantId, permissions, expiresAt } = req.body;
+  const companyId = resolveCompanyId(req);
+
+  if (!companyId) {
+    throw new BadRequestError("Company ID is required");
+  }
+
+  if (!name) {
+    throw new BadRequestError("Name is required");
+  }
+
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    throw new BadRequestError("At least one permission is required");
+  }
+
+  const invalid = permissions.filter(p => !API_KEY_PERMISSIONS.includes(p));
+  if (invalid.length > 0) {
+    throw new BadRequestError(`Invalid permissions: ${invalid.join(", ")}. Allowed: ${API_KEY_PERMISSIONS.join(", ")}`);
+  }
+
+  if (plantId) {
+    const plant = await Plant.findOne({ _id: plantId, companyId });
+    if (!plant) {
+      throw new NotFoundError("Plant not found in this company");
+    }
+  }
+
+  let expiry;
+  if (expiresAt) {
+    expiry = new Date(expiresAt);
+    if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+      throw new BadRequestError("expiresAt must be a future date");
+    }
+  }
+
+  const { apiKey, key } = await createApiKeyRecord({
+    name,
+    companyId,
+    plantId,
+    permissions,
+    expiresAt: expiry,
+    createdBy: req.user.userId
+  });
+
+  const { keyHash, __v, ...data } = apiKey.toObject();
+  await recordAudit({ req, module: "API_KEYS", action: "API_KEY_CREATED", entityType: "ApiKey", after: data });
+
+  res.status(201).json({
+    success: true,
+    message: "API key created. Copy it now, it will not be shown again.",
+    data: { ...data, key }
+  });
+});
+
+/* ======================================================
+   LIST / REVOKE
+====================================================== */
+export const getApiKeys = asyncHandler(async (req, res) => {
+  const companyId = resolveCompanyId(req);
+  if (!companyId) {
+    throw new BadRequestError("Company ID is required");
+  }
+
+  const filter = { companyId };
+  if (req.query.includeRevoked !== "true") filter.revokedAt = null;
+
+  const apiKeys = await ApiKey.find(filter)
+    .select("-keyHash")
+    .populate("plantId", "name")
+    .populate("createdBy", "name email")
+    .sort({ createdAt: -1 });
+
+  res.json({ success: true, data: apiKeys });
+});
+
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const filter = { _id: req.params.id, revokedAt: null };
+  if (req.user.role !== "SUPER_ADMIN") filter.companyId = req.user.companyId;
+
+  const apiKey = await ApiKey.findOneAndUpdate(
+    filter,
+    { revokedAt: new Date(), revokedBy: req.user.userId },
+    { new: true }
+  );
+
+  if (!apiKey) {
+    throw new NotFoundError("API key not found");
+  }
+  await recordAudit({ req, module: "API_KEYS", action: "API_KEY_REVOKED", entityType: "ApiKey", entity: apiKey });
+
+  res.json({ success: true, message: "API key revoked successfully" });
+});
@@ -0,0 +1,47 @@
+import { buildAuditFilter, findAuditLogs, exportAuditLogsCsv } from "../services/audit.service.js";
+import { getTenantScope } from "../services/tenant.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+/* ======================================================
+   LIST AUDIT LOGS
+   Filters: userId (actor), module, action, entityType,
+   entityId, companyId, plantId, from, to
+====================================================== */
+export const getAuditLogs = asyncHandler(async (req, res) => {
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 50;
+
+  const filter = buildAuditFilter(req.query, await getTenantScope(req));
+  const { logs, total } = await findAuditLogs(filter, { page, limit });
+
+  res.json({
+    success: true,
+    data: logs,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    }
+  });
+});
+
+/* ======================================================
+   EXPORT AUDIT LOGS (CSV)
+   Same filters as the list, oldest entry first
+====================================================== */
+export const exportAuditLogs = asyncHandler(async (req, res) => {
+  const filter = buildAuditFilter(req.query, await getTenantScope(req));
+  const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+  res.set({
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="${filename}"`
+  });
+  // Byte order mark so spreadsheet apps read the file as UTF-8
+  res.write("\uFEFF");
+
+  await exportAuditLogsCsv(filter, res);
+  res.end();
+});
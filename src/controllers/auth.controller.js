@@ -3,132 +3,600 @@ import Company from "../models/Company.model.js";
 import Plant from "../models/Plant.model.js";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
+import {
+  startSession,
+  issueTokens,
+  issueChallengeToken,
+  verifyChallengeToken,
+  rotateRefreshToken,
+  revokeToken,
+  verifyRefreshToken
+} from "../services/token.service.js";
+import {
+  canUseTwoFactor,
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  countRecoveryCodes
+} from "../services/twoFactor.service.js";
+import {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins,
+  recordFailedSecondFactor,
+  clearFailedSecondFactor,
+  unlockAccountByEmail,
+  unlockAccountWithToken
+} from "../services/loginProtection.service.js";
+import { incrementValue } from "../utils/kvStore.js";
+import {
+  createPasswordResetToken,
+  buildSetPasswordUrl,
+  resetPasswordWithToken,
+  setUserPassword,
+  validatePasswordStrength
+} from "../services/password.service.js";
+import { sendPasswordResetEmail } from "../services/email.service.js";
+import { getPlatformSettings, updatePlatformSettings } from "../services/platformSettings.service.js";
+import { revokeSession, setSessionPlant } from "../services/session.service.js";
+import {
+  getPlantMemberships,
+  scopeUserToPlant,
+  describePlantMemberships
+} from "../services/membership.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError, TooManyRequestsError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
 
-export const login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    const user = await User.findOne({ email })
-      .populate("companyId", "name logoUrl gstNumber address templateFeatureEnabled")
-      .populate("plantId", "name plantNumber location code templateFeatureEnabled");
-    if (!user)
-      return res.status(404).json({ message: "User not found" });
-
-    if (!user.isActive)
-      return res.status(403).json({ message: "Account is inactive" });
-
-    const match = await bcrypt.compare(password, user.password);
-    if (!match)
-      return res.status(401).json({ message: "Invalid password" });
-
-    // Check template feature status
-    let templateFeatureEnabled = false;
-    if (user.plantId) {
-      // If plant has explicit setting, use it; otherwise inherit from company
-      if (user.plantId.templateFeatureEnabled !== null && user.plantId.templateFeatureEnabled !== undefined) {
-        templateFeatureEnabled = user.plantId.templateFeatureEnabled;
-      } else {
-        templateFeatureEnabled = user.companyId?.templateFeatureEnabled || false;
-      }
-    } else if (user.companyId) {
-      templateFeatureEnabled = user.companyId.templateFeatureEnabled || false;
+// Single answer for unknown emails and wrong passwords so accounts cannot be enumerated
+const INVALID_CREDENTIALS_MESSAGE = "Invalid email or password";
+
+// Compared against when the email is unknown so both paths take the same time
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("genbeta-dummy-password", 10);
+
+/* 🔹 Helper: Load a user with the company/plant details the client needs after login */
+const findLoginUser = (filter) =>
+  User.findOne(filter)
+    .populate("companyId", "name logoUrl gstNumber address templateFeatureEnabled")
+    .populate("plantId", "name plantNumber location code templateFeatureEnabled");
+
+/* 🔹 Helper: Template feature status - the plant's explicit setting, otherwise the company's */
+const resolveTemplateFeature = (plant, company) => {
+  if (plant?.templateFeatureEnabled !== null && plant?.templateFeatureEnabled !== undefined) {
+    return plant.templateFeatureEnabled;
+  }
+  return company?.templateFeatureEnabled || false;
+};
+
+/* 🔹 Helper: Start a session and build the login payload */
+const buildLoginResponse = async (user, req) => {
+  const templateFeatureEnabled = resolveTemplateFeature(user.plantId, user.companyId);
+
+  const { token, refreshToken, expiresIn, sessionId } = await startSession(user, req);
+  const plants = await describePlantMemberships(getPlantMemberships(user));
+
+  return { 
+    token, 
+    refreshToken,
+    expiresIn,
+    sessionId,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      phoneNumber: user.phoneNumber,
+      position: user.position,
+      permissions: user.permissions,
+      companyId: user.companyId?._id || user.companyId,
+      companyName: user.companyId?.name,
+      companyLogo: user.companyId?.logoUrl,
+      companyGst: user.companyId?.gstNumber,
+      companyAddress: user.companyId?.address,
+      plantId: user.plantId?._id || user.plantId,
+      plantName: user.plantId?.name,
+      plantNumber: user.plantId?.plantNumber,
+      plantLocation: user.plantId?.location,
+      plantCode: user.plantId?.code,
+      templateFeatureEnabled: templateFeatureEnabled,
+      mustChangePassword: user.mustChangePassword || false,
+      twoFactorEnabled: user.twoFactor?.enabled || false,
+      plants
     }
+  };
+};
+
+export const login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password)
+    throw new BadRequestError("Email and password are required");
 
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        role: user.role,
-        companyId: user.companyId?._id || user.companyId,
-        plantId: user.plantId?._id || user.plantId
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
-
-    res.json({ 
-      token, 
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        phoneNumber: user.phoneNumber,
-        position: user.position,
-        permissions: user.permissions,
-        companyId: user.companyId?._id || user.companyId,
-        companyName: user.companyId?.name,
-        companyLogo: user.companyId?.logoUrl,
-        companyGst: user.companyId?.gstNumber,
-        companyAddress: user.companyId?.address,
-        plantId: user.plantId?._id || user.plantId,
-        plantName: user.plantId?.name,
-        plantNumber: user.plantId?.plantNumber,
-        plantLocation: user.plantId?.location,
-        plantCode: user.plantId?.code,
-        templateFeatureEnabled: templateFeatureEnabled
-      }
+  const gate = await checkLoginAllowed(email, req.ip);
+  if (!gate.allowed) {
+    res.set("Retry-After", String(gate.retryAfter));
+    throw new TooManyRequestsError("Too many failed login attempts. Please try again later.", {
+      details: { retryAfter: gate.retryAfter }
     });
-  } catch (error) {
-    console.error("Login error:", error.message);
-    res.status(500).json({ message: "Internal server error" });
   }
-}
 
-export const register = async (req, res) => {
-  try {
-    const { name, email, password, role = "COMPANY_ADMIN" } = req.body;
+  const user = await findLoginUser({ email });
+  const match = await bcrypt.compare(String(password), user?.password || DUMMY_PASSWORD_HASH);
+  if (!user || !match) {
+    await recordFailedLogin(email, user, req);
+    throw new UnauthorizedError(INVALID_CREDENTIALS_MESSAGE);
+  }
+
+  await clearFailedLogins(email);
+
+  if (!user.isActive)
+    throw new ForbiddenError("Account is inactive");
+
+  // Second step: TOTP code for enrolled users
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      twoFactorRequired: true,
+      challengeToken: issueChallengeToken(user, "2fa-login")
+    });
+  }
+
+  // Company policy requires 2FA for this role but the user has not enrolled yet
+  if (await isTwoFactorRequired(user)) {
+    return res.json({
+      twoFactorSetupRequired: true,
+      challengeToken: issueChallengeToken(user, "2fa-setup")
+    });
+  }
 
-    // Validate input
-    if (!name || !email || !password) {
-      return res.status(400).json({ message: "Name, email, and password are required" });
+  res.json(await buildLoginResponse(user, req));
+});
+
+export const register = asyncHandler(async (req, res) => {
+  const { name, email, password } = req.body;
+
+  // Accounts are normally created through invitations
+  const { allowSelfRegistration } = await getPlatformSettings();
+  if (!allowSelfRegistration) {
+    throw new ForbiddenError("Self-registration is disabled. Please ask your administrator for an invitation.");
+  }
+
+  // Validate input
+  if (!name || !email || !password) {
+    throw new BadRequestError("Name, email, and password are required");
+  }
+
+  const passwordError = validatePasswordStrength(password);
+  if (passwordError) {
+    throw new BadRequestError(passwordError);
+  }
+
+  // Check if user already exists
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    throw new BadRequestError("User with this email already exists");
+  }
+
+  // Hash password
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  // Create new user
+  const newUser = await User.create({
+    name,
+    email,
+    password: hashedPassword,
+    // Never taken from the request; elevated roles are granted through invitations
+    role: "EMPLOYEE",
+    isActive: true
+  });
+
+  // Generate access + refresh tokens
+  const { token, refreshToken, expiresIn } = await startSession(newUser, req);
+
+  res.status(201).json({ 
+    token, 
+    refreshToken,
+    expiresIn,
+    user: {
+      id: newUser._id,
+      name: newUser.name,
+      email: newUser.email,
+      role: newUser.role,
+      phoneNumber: newUser.phoneNumber,
+      position: newUser.position,
+      permissions: newUser.permissions,
+      companyId: newUser.companyId,
+      plantId: newUser.plantId
     }
+  });
+});
+
+export const getRegistrationSettings = asyncHandler(async (req, res) => {
+  const { allowSelfRegistration } = await getPlatformSettings();
+  res.json({ allowSelfRegistration });
+});
+
+export const updateRegistrationSettings = asyncHandler(async (req, res) => {
+  const { allowSelfRegistration } = req.body;
+
+  if (typeof allowSelfRegistration !== "boolean") {
+    throw new BadRequestError("allowSelfRegistration must be a boolean");
+  }
+
+  const settings = await updatePlatformSettings({ allowSelfRegistration }, req.user.userId);
+
+  res.json({
+    message: `Self-registration ${settings.allowSelfRegistration ? "enabled" : "disabled"}`,
+    ...settings
+  });
+});
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: "User with this email already exists" });
+export const refresh = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    throw new BadRequestError("Refresh token is required");
+  }
+
+  const rotated = await rotateRefreshToken(refreshToken);
+  if (!rotated) {
+    throw new UnauthorizedError("Invalid or expired refresh token");
+  }
+
+  res.json({
+    token: rotated.token,
+    refreshToken: rotated.refreshToken,
+    expiresIn: rotated.expiresIn
+  });
+});
+
+export const logout = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  // The access token may already be expired - revoke whatever is still valid
+  const sessionIds = new Set();
+  const header = req.headers.authorization;
+  if (header) {
+    try {
+      const payload = jwt.verify(header.split(" ")[1], process.env.JWT_SECRET);
+      await revokeToken(payload);
+      if (payload.sid) sessionIds.add(payload.sid);
+    } catch (err) {
+      // Expired or invalid access token: nothing to revoke
     }
+  }
 
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, 10);
+  if (refreshToken) {
+    try {
+      const payload = verifyRefreshToken(refreshToken);
+      await revokeToken(payload);
+      if (payload.sid) sessionIds.add(payload.sid);
+    } catch (err) {
+      // Expired or invalid refresh token: nothing to revoke
+    }
+  }
 
-    // Create new user
-    const newUser = await User.create({
-      name,
-      email,
-      password: hashedPassword,
-      role,
-      isActive: true
-    });
+  for (const sessionId of sessionIds) {
+    await revokeSession(sessionId, { reason: "Logged out" });
+  }
+
+  res.json({ message: "Logged out successfully" });
+});
+
+
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    throw new BadRequestError("Email is required");
+  }
+
+  // Same answer whether or not the account exists
+  const genericResponse = { message: "If an account exists for this email, a reset link has been sent" };
+
+  const user = await User.findOne({ email }).populate("companyId", "name logoUrl gstNumber address");
+  if (!user || !user.isActive) {
+    return res.json(genericResponse);
+  }
+
+  const token = await createPasswordResetToken(user._id);
+
+  sendPasswordResetEmail(
+    user.email,
+    user.name,
+    buildSetPasswordUrl(token),
+    user.companyId || {}
+  ).catch(err => logger.error("Failed to send password reset email", err));
+
+  res.json(genericResponse);
+});
+
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token) {
+    throw new BadRequestError("Reset token is required");
+  }
+
+  const passwordError = validatePasswordStrength(password);
+  if (passwordError) {
+    throw new BadRequestError(passwordError);
+  }
+
+  const user = await resetPasswordWithToken(token, password);
+  if (!user) {
+    throw new BadRequestError("Reset link is invalid or has expired");
+  }
+
+  // Proving control of the mailbox also lifts a brute-force lockout
+  await unlockAccountByEmail(user.email);
+
+  res.json({ message: "Password has been reset successfully. Please log in." });
+});
+
+/* ======================================================
+   PLANT SWITCHING
+====================================================== */
+export const getMyPlants = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId).select("role plantId plantMemberships").lean();
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  const plants = await describePlantMemberships(getPlantMemberships(user));
+  res.json({
+    success: true,
+    data: plants.map(plant => ({ ...plant, current: plant.plantId === req.user.plantId?.toString() }))
+  });
+});
+
+// Re-issue the session's tokens scoped to another plant the user belongs to
+export const switchPlant = asyncHandler(async (req, res) => {
+  const { plantId } = req.body;
+  if (!plantId) {
+    throw new BadRequestError("plantId is required");
+  }
+
+  const user = await User.findById(req.user.userId).populate("companyId", "name logoUrl gstNumber address templateFeatureEnabled");
+  if (!user || !user.isActive) {
+    throw new UnauthorizedError("Account is not active");
+  }
+
+  const scopedUser = scopeUserToPlant(user, plantId);
+  if (!scopedUser) {
+    throw new ForbiddenError("You are not a member of this plant");
+  }
+
+  const plant = await Plant.findOne({
+    _id: scopedUser.plantId,
+    companyId: user.companyId?._id,
+    isActive: true
+  });
+  if (!plant) {
+    throw new NotFoundError("Plant not found");
+  }
+
+  if (req.user.sid) {
+    await setSessionPlant(req.user.sid, plant._id);
+  }
+
+  // The current access token stays scoped to the previous plant
+  await revokeToken(req.user);
+
+  const { token, refreshToken, expiresIn } = issueTokens(scopedUser, req.user.sid);
+
+  res.json({
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user._id,
+      role: scopedUser.role,
+      plantId: plant._id,
+      plantName: plant.name,
+      plantNumber: plant.plantNumber,
+      plantLocation: plant.location,
+      plantCode: plant.code,
+      templateFeatureEnabled: resolveTemplateFeature(plant, user.companyId)
+    }
+  });
+});
+
+export const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.user.userId);
+  if (!user || !user.isActive) {
+    throw new NotFoundError("User not found");
+  }
+
+  const match = await bcrypt.compare(currentPassword || "", user.password);
+  if (!match) {
+    throw new UnauthorizedError("Current password is incorrect");
+  }
+
+  const passwordError = validatePasswordStrength(newPassword);
+  if (passwordError) {
+    throw new BadRequestError(passwordError);
+  }
+
+  if (await bcrypt.compare(newPassword, user.password)) {
+    throw new BadRequestError("New password must be different from the current password");
+  }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        userId: newUser._id,
-        role: newUser.role,
-        companyId: newUser.companyId,
-        plantId: newUser.plantId
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
-
-    res.status(201).json({ 
-      token, 
-      user: {
-        id: newUser._id,
-        name: newUser.name,
-        email: newUser.email,
-        role: newUser.role,
-        phoneNumber: newUser.phoneNumber,
-        position: newUser.position,
-        permissions: newUser.permissions,
-        companyId: newUser.companyId,
-        plantId: newUser.plantId
-      }
+  await setUserPassword(user, newPassword);
+
+  // Every old session was revoked - start a fresh one for this device
+  const { token, refreshToken, expiresIn } = await startSession(user, req);
+
+  res.json({
+    message: "Password changed successfully",
+    token,
+    refreshToken,
+    expiresIn
+  });
+});
+
+export const unlockAccount = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    throw new BadRequestError("Unlock token is required");
+  }
+
+  const email = await unlockAccountWithToken(token, req);
+  if (!email) {
+    throw new BadRequestError("Unlock link is invalid or has expired");
+  }
+
+  res.json({ message: "Your account has been unlocked. You can log in again." });
+});
+
+/* ======================================================
+   TWO-FACTOR AUTHENTICATION
+====================================================== */
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// Second login step: exchange the challenge token + TOTP/recovery code for tokens
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    throw new BadRequestError("Challenge token and a code are required");
+  }
+
+  let challenge;
+  try {
+    challenge = await verifyChallengeToken(challengeToken, "2fa-login");
+  } catch (err) {
+    throw new UnauthorizedError("Invalid or expired challenge token");
+  }
+
+  // A challenge only allows a handful of guesses
+  const attempts = await incrementValue(`auth:2fa-attempts:${challenge.jti}`, 10 * 60);
+  if (attempts > MAX_CHALLENGE_ATTEMPTS) {
+    await revokeToken(challenge);
+    throw new TooManyRequestsError("Too many attempts. Please log in again.");
+  }
+
+  const user = await findLoginUser({ _id: challenge.userId });
+  if (!user || !user.isActive) {
+    throw new ForbiddenError("Account is inactive");
+  }
+
+  // Wrong codes count towards the account lockout, across challenges
+  const gate = await checkLoginAllowed(user.email, req.ip);
+  if (!gate.allowed) {
+    await revokeToken(challenge);
+    res.set("Retry-After", String(gate.retryAfter));
+    throw new TooManyRequestsError("Too many failed login attempts. Please try again later.", {
+      details: { retryAfter: gate.retryAfter }
     });
-  } catch (error) {
-    console.error("Registration error:", error.message);
-    res.status(500).json({ message: "Internal server error" });
   }
-};;
+
+  const valid = await verifySecondFactor(challenge.userId, { code, recoveryCode });
+  if (!valid) {
+    await recordFailedSecondFactor(user, req);
+    throw new UnauthorizedError("Invalid authentication code");
+  }
+
+  await revokeToken(challenge);
+  await clearFailedSecondFactor(user._id);
+
+  res.json(await buildLoginResponse(user, req));
+});
+
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId);
+  if (!user || !user.isActive) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (!canUseTwoFactor(user)) {
+    throw new ForbiddenError("Two-factor authentication is only available for admin accounts");
+  }
+
+  if (user.twoFactor?.enabled) {
+    throw new BadRequestError("Two-factor authentication is already enabled");
+  }
+
+  const { secret, otpauthUrl } = await startEnrollment(user);
+
+  res.json({ secret, otpauthUrl });
+});
+
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new BadRequestError("Authentication code is required");
+  }
+
+  const recoveryCodes = await confirmEnrollment(req.user.userId, code);
+  if (!recoveryCodes) {
+    throw new BadRequestError("Invalid authentication code");
+  }
+
+  // Enrollment forced during login: finish the login as well
+  if (req.challenge) {
+    await revokeToken(req.challenge);
+    const user = await findLoginUser({ _id: req.user.userId });
+    return res.json({ ...(await buildLoginResponse(user, req)), recoveryCodes });
+  }
+
+  res.json({
+    message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+    recoveryCodes
+  });
+});
+
+export const disableTwoFactorAuth = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user.userId);
+  if (!user || !user.twoFactor?.enabled) {
+    throw new BadRequestError("Two-factor authentication is not enabled");
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    throw new ForbiddenError("Your company requires two-factor authentication for your role");
+  }
+
+  const match = await bcrypt.compare(password || "", user.password);
+  if (!match || !(await verifySecondFactor(user._id, { code }))) {
+    throw new UnauthorizedError("Invalid password or authentication code");
+  }
+
+  await disableTwoFactor(user._id);
+
+  res.json({ message: "Two-factor authentication disabled" });
+});
+
+export const regenerateTwoFactorRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!(await verifySecondFactor(req.user.userId, { code }))) {
+    throw new UnauthorizedError("Invalid authentication code");
+  }
+
+  const recoveryCodes = await regenerateRecoveryCodes(req.user.userId);
+
+  res.json({ message: "New recovery codes generated", recoveryCodes });
+});
+
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  res.json({
+    enabled: user.twoFactor?.enabled || false,
+    enabledAt: user.twoFactor?.enabledAt,
+    required: await isTwoFactorRequired(user),
+    available: canUseTwoFactor(user),
+    recoveryCodesRemaining: user.twoFactor?.enabled ? await countRecoveryCodes(user._id) : 0
+  });
+});
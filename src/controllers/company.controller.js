@@ -6,6 +6,14 @@ import { sendWelcomeEmail, sendPlantCreatedEmail } from "../services/email.servi
 
 import { uploadToCloudinary } from "../utils/cloudinary.js";
 import { generateCacheKey, getFromCache, setInCache } from "../utils/cache.js";
+import { createSetPasswordLink } from "../services/password.service.js";
+import { inviteUser } from "../services/invitation.service.js";
+import { invalidateCompanyRateLimit } from "../middlewares/rateLimit.middleware.js";
+import { recordAudit } from "../services/audit.service.js";
+import { listDataKeys, rotateCompanyKey, reencryptCompanySubmissions } from "../services/fieldEncryption.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { BadRequestError, ForbiddenError, NotFoundError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
 
 /* 🔹 Helper: Generate Plant Code */
 const generatePlantCode = () =>
@@ -14,478 +22,587 @@ const generatePlantCode = () =>
 /* ======================================================
    CREATE COMPANY + INITIAL PLANTS + ADMIN
 ====================================================== */
-export const createCompanyWithPlantsAdmin = async (req, res) => {
-  try {
-    const { company, plants, admin, plan, customLimits } = req.body;
-    
-    console.log("Received request body:", JSON.stringify(req.body, null, 2));
+export const createCompanyWithPlantsAdmin = asyncHandler(async (req, res) => {
+  const { company, plants, admin, plan, customLimits, inviteAdmins } = req.body;
 
-    if (!company || !plants || !admin) {
-      return res.status(400).json({ message: "Missing required data (company, plants, or admin)" });
-    }
+  if (!company || !plants || !admin) {
+    throw new BadRequestError("Missing required data (company, plants, or admin)");
+  }
 
-    // Check if primary admin email already exists
-    const existingAdmin = await User.findOne({ email: admin.email });
-    if (existingAdmin) {
-      return res.status(400).json({ message: `Admin email ${admin.email} is already in use` });
-    }
+  // Check if primary admin email already exists
+  const existingAdmin = await User.findOne({ email: admin.email });
+  if (existingAdmin) {
+    throw new BadRequestError(`Admin email ${admin.email} is already in use`);
+  }
 
-    // Check if any plant admin emails already exist
-    for (const p of plants) {
-      if (p.adminEmail) {
-        const existingPlantAdmin = await User.findOne({ email: p.adminEmail });
-        if (existingPlantAdmin) {
-          return res.status(400).json({ message: `Plant admin email ${p.adminEmail} is already in use` });
-        }
+  // Check if any plant admin emails already exist
+  for (const p of plants) {
+    if (p.adminEmail) {
+      const existingPlantAdmin = await User.findOne({ email: p.adminEmail });
+      if (existingPlantAdmin) {
+        throw new BadRequestError(`Plant admin email ${p.adminEmail} is already in use`);
       }
     }
+  }
 
-    const selectedPlan = plan || "SILVER";
-
-    const newCompany = await Company.create({
-      name: company.companyName || company.name,
-      industry: company.industry,
-      contactEmail: company.contactEmail,
-      address: company.address,
-      contactPhone: company.contactPhone,
-      gstNumber: company.gstNumber,
-      logoUrl: company.logoUrl,
-      subscription: {
-        plan: selectedPlan,
-        startDate: new Date(),
-        billingCycle: "manual",
-        customLimits: selectedPlan === "CUSTOM" ? customLimits : undefined
-      }
-    });
-
-    // Create multiple plants and their admins if provided
-    const createdPlants = await Promise.all(
-      plants.map(async (p) => {
-        const plant = await Plant.create({
+  const selectedPlan = plan || "SILVER";
+
+  const newCompany = await Company.create({
+    name: company.companyName || company.name,
+    industry: company.industry,
+    contactEmail: company.contactEmail,
+    address: company.address,
+    contactPhone: company.contactPhone,
+    gstNumber: company.gstNumber,
+    logoUrl: company.logoUrl,
+    subscription: {
+      plan: selectedPlan,
+      startDate: new Date(),
+      billingCycle: "manual",
+      customLimits: selectedPlan === "CUSTOM" ? customLimits : undefined
+    }
+  });
+  await recordAudit({ req, module: "COMPANIES", action: "COMPANY_CREATED", entityType: "Company", after: newCompany });
+
+  // Create multiple plants and their admins if provided
+  const createdPlants = await Promise.all(
+    plants.map(async (p) => {
+      const plant = await Plant.create({
+        companyId: newCompany._id,
+        name: p.plantName || p.name,
+        plantNumber: p.plantNumber,
+        location: p.location,
+        code: p.code || generatePlantCode(),
+      });
+      await recordAudit({ req, module: "PLANTS", action: "PLANT_CREATED", entityType: "Plant", after: plant });
+
+      // Plant Admin: invited when requested, otherwise created with the given password
+      if (p.adminEmail && p.adminName && (p.inviteAdmin || inviteAdmins)) {
+        await inviteUser({
+          email: p.adminEmail,
+          name: p.adminName,
+          role: "PLANT_ADMIN",
           companyId: newCompany._id,
-          name: p.plantName || p.name,
-          plantNumber: p.plantNumber,
-          location: p.location,
-          code: p.code || generatePlantCode(),
+          plantId: plant._id,
+          invitedBy: req.user.userId
+        }, "SUPER_ADMIN");
+        logger.info("Plant admin invited", { plantId: plant._id, email: p.adminEmail });
+      } else if (p.adminEmail && p.adminPassword && p.adminName) {
+        const plantHashedPassword = await bcrypt.hash(p.adminPassword, 10);
+        const plantAdmin = await User.create({
+          companyId: newCompany._id,
+          plantId: plant._id,
+          name: p.adminName,
+          email: p.adminEmail,
+          password: plantHashedPassword,
+          role: "PLANT_ADMIN",
+          mustChangePassword: true
         });
+        await recordAudit({ req, module: "USERS", action: "USER_CREATED", entityType: "User", after: plantAdmin });
+        
+        logger.info("Plant admin created", { plantId: plant._id, userId: plantAdmin._id });
+        
+        const loginUrl = process.env.CLIENT_URL || "http://localhost:5173/login";
+        const setPasswordUrl = await createSetPasswordLink(plantAdmin._id);
+        sendWelcomeEmail(
+          p.adminEmail,
+          p.adminName,
+          "PLANT_ADMIN",
+          newCompany.name,
+          loginUrl,
+          setPasswordUrl
+        ).catch(err => logger.error("Failed to send plant admin welcome email", err));
+      } else {
+        logger.debug("Skipping plant admin creation - missing data", {
+          plantId: plant._id,
+          hasAdminName: Boolean(p.adminName),
+          hasAdminEmail: Boolean(p.adminEmail),
+          hasAdminPassword: Boolean(p.adminPassword)
+        });
+      }
 
-        // Create Plant Admin if details are provided
-        if (p.adminEmail && p.adminPassword && p.adminName) {
-          console.log("Creating plant admin for plant:", p.name, "with email:", p.adminEmail);
-          const plantHashedPassword = await bcrypt.hash(p.adminPassword, 10);
-          await User.create({
-            companyId: newCompany._id,
-            plantId: plant._id,
-            name: p.adminName,
-            email: p.adminEmail,
-            password: plantHashedPassword,
-            role: "PLANT_ADMIN",
-          });
-          
-          console.log("Plant admin created successfully for:", p.adminEmail);
-          
-          const loginUrl = process.env.CLIENT_URL || "http://localhost:5173/login";
-          sendWelcomeEmail(
-            p.adminEmail,
-            p.adminName,
-            "PLANT_ADMIN",
-            newCompany.name,
-            loginUrl,
-            p.adminPassword
-          ).catch(err => console.error("Failed to send plant admin welcome email:", err));
-        } else {
-          console.log("Skipping plant admin creation - missing data:", {
-            adminName: p.adminName,
-            adminEmail: p.adminEmail,
-            adminPassword: p.adminPassword ? "[PROVIDED]" : "[MISSING]"
-          });
-        }
-
-        return plant;
-      })
-    );
-
-    if (createdPlants.length === 0) {
-      throw new Error("At least one plant must be created");
-    }
-
-    const hashedPassword = await bcrypt.hash(admin.password, 10);
-
-    // Primary admin is associated with the company and the first plant
-    await User.create({
-      companyId: newCompany._id,
-      plantId: createdPlants[0]._id,
-      name: admin.name,
-      email: admin.email,
-      password: hashedPassword,
-      role: "COMPANY_ADMIN",
-    });
+      return plant;
+    })
+  );
 
-    const loginUrl = process.env.CLIENT_URL || "http://localhost:5173/login";
-    sendWelcomeEmail(
-      admin.email,
-      admin.name,
-      "COMPANY_ADMIN",
-      newCompany.name,
-      loginUrl,
-      admin.password
-    ).catch(err => console.error("Failed to send company admin welcome email:", err));
-
-    res.status(201).json({
-      message: "Company, plants, and admin created successfully",
-      companyId: newCompany._id
-    });
-  } catch (error) {
-    console.error("Create company error:", error);
-    res.status(500).json({ message: error.message || "Failed to create company" });
+  if (createdPlants.length === 0) {
+    throw new Error("At least one plant must be created");
   }
-};
+
+  const hashedPassword = await bcrypt.hash(admin.password, 10);
+
+  // Primary admin is associated with the company and the first plant
+  const companyAdmin = await User.create({
+    companyId: newCompany._id,
+    plantId: createdPlants[0]._id,
+    name: admin.name,
+    email: admin.email,
+    password: hashedPassword,
+    role: "COMPANY_ADMIN",
+    mustChangePassword: true
+  });
+  await recordAudit({ req, module: "USERS", action: "USER_CREATED", entityType: "User", after: companyAdmin });
+
+  const loginUrl = process.env.CLIENT_URL || "http://localhost:5173/login";
+  const setPasswordUrl = await createSetPasswordLink(companyAdmin._id);
+  sendWelcomeEmail(
+    admin.email,
+    admin.name,
+    "COMPANY_ADMIN",
+    newCompany.name,
+    loginUrl,
+    setPasswordUrl
+  ).catch(err => logger.error("Failed to send company admin welcome email", err));
+
+  res.status(201).json({
+    message: "Company, plants, and admin created successfully",
+    companyId: newCompany._id
+  });
+});
 
 /* ======================================================
    CREATE COMPANY + INITIAL PLANT + ADMIN (Legacy)
 ====================================================== */
-export const createCompany = async (req, res) => {
-  try {
-    const { company, plant, admin } = req.body;
-
-    const newCompany = await Company.create({
-      name: company.companyName || company.name,
-      industry: company.industry,
-      contactEmail: company.contactEmail,
-      address: company.address,
-      contactPhone: company.contactPhone,
-      gstNumber: company.gstNumber,
-      logoUrl: company.logoUrl,
-    });
-
-    const newPlant = await Plant.create({
-      companyId: newCompany._id,
-      name: plant.plantName || plant.name,
-      plantNumber: plant.plantNumber,
-      location: plant.location,
-      code: plant.code || generatePlantCode()
-    });
-
-    const hashedPassword = await bcrypt.hash(admin.password, 10);
-
-    await User.create({
-      companyId: newCompany._id,
-      plantId: newPlant._id,
-      name: admin.name,
-      email: admin.email,
-      password: hashedPassword,
-      role: "COMPANY_ADMIN"
-    });
-
-    const loginUrl = process.env.CLIENT_URL || "http://localhost:5173/login";
-    sendWelcomeEmail(
-      admin.email,
-      admin.name,
-      "COMPANY_ADMIN",
-      newCompany.name,
-      loginUrl,
-      admin.password
-    ).catch(err => console.error("Failed to send welcome email:", err));
-
-    res.status(201).json({
-      message: "Company, plant, and admin created successfully",
-      companyId: newCompany._id
-    });
-  } catch (error) {
-    console.error("Create company error:", error);
-    res.status(500).json({ message: error.message || "Failed to create company" });
-  }
-};
+export const createCompany = asyncHandler(async (req, res) => {
+  const { company, plant, admin } = req.body;
+
+  const newCompany = await Company.create({
+    name: company.companyName || company.name,
+    industry: company.industry,
+    contactEmail: company.contactEmail,
+    address: company.address,
+    contactPhone: company.contactPhone,
+    gstNumber: company.gstNumber,
+    logoUrl: company.logoUrl,
+  });
+  await recordAudit({ req, module: "COMPANIES", action: "COMPANY_CREATED", entityType: "Company", after: newCompany });
+
+  const newPlant = await Plant.create({
+    companyId: newCompany._id,
+    name: plant.plantName || plant.name,
+    plantNumber: plant.plantNumber,
+    location: plant.location,
+    code: plant.code || generatePlantCode()
+  });
+  await recordAudit({ req, module: "PLANTS", action: "PLANT_CREATED", entityType: "Plant", after: newPlant });
+
+  const hashedPassword = await bcrypt.hash(admin.password, 10);
+
+  const companyAdmin = await User.create({
+    companyId: newCompany._id,
+    plantId: newPlant._id,
+    name: admin.name,
+    email: admin.email,
+    password: hashedPassword,
+    role: "COMPANY_ADMIN",
+    mustChangePassword: true
+  });
+  await recordAudit({ req, module: "USERS", action: "USER_CREATED", entityType: "User", after: companyAdmin });
+
+  const loginUrl = process.env.CLIENT_URL || "http://localhost:5173/login";
+  const setPasswordUrl = await createSetPasswordLink(companyAdmin._id);
+  sendWelcomeEmail(
+    admin.email,
+    admin.name,
+    "COMPANY_ADMIN",
+    newCompany.name,
+    loginUrl,
+    setPasswordUrl
+  ).catch(err => logger.error("Failed to send welcome email", err));
+
+  res.status(201).json({
+    message: "Company, plant, and admin created successfully",
+    companyId: newCompany._id
+  });
+});
 
 /* ======================================================
    GET ALL COMPANIES
 ====================================================== */
-export const getCompanies = async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    
-    // Generate cache key
-    const cacheKey = generateCacheKey('companies', { page, limit });
-    
-    // Try to get from cache first
-    let cachedResult = await getFromCache(cacheKey);
-    if (cachedResult) {
-      return res.json(cachedResult);
-    }
+export const getCompanies = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+  
+  // Generate cache key
+  const cacheKey = generateCacheKey('companies', { page, limit });
+  
+  // Try to get from cache first
+  let cachedResult = await getFromCache(cacheKey);
+  if (cachedResult) {
+    return res.json(cachedResult);
+  }
 
-    // Count total companies for pagination metadata
-    const total = await Company.countDocuments({ isActive: true });
-
-    // Get paginated companies
-    const companies = await Company.find({ isActive: true })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    // Process companies with additional data
-    const data = await Promise.all(
-      companies.map(async (company) => {
-        const plantsCount = await Plant.countDocuments({ companyId: company._id, isActive: true });
-        const admin = await User.findOne({ companyId: company._id, role: "COMPANY_ADMIN" }).select("name email");
-
-        return {
-          ...company.toObject(),
-          id: company._id,
-          plantsCount,
-          adminName: admin?.name || "N/A",
-          adminEmail: admin?.email || "N/A"
-        };
-      })
-    );
-    
-    const result = {
-      data,
-      pagination: {
-        currentPage: page,
-        totalPages: Math.ceil(total / limit),
-        total,
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1
-      }
-    };
-    
-    // Cache the result for 5 minutes
-    await setInCache(cacheKey, result, 300);
+  // Count total companies for pagination metadata
+  const total = await Company.countDocuments({ isActive: true });
+
+  // Get paginated companies
+  const companies = await Company.find({ isActive: true })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  // Process companies with additional data
+  const data = await Promise.all(
+    companies.map(async (company) => {
+      const plantsCount = await Plant.countDocuments({ companyId: company._id, isActive: true });
+      const admin = await User.findOne({ companyId: company._id, role: "COMPANY_ADMIN" }).select("name email");
+
+      return {
+        ...company.toObject(),
+        id: company._id,
+        plantsCount,
+        adminName: admin?.name || "N/A",
+        adminEmail: admin?.email || "N/A"
+      };
+    })
+  );
+  
+  const result = {
+    data,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    }
+  };
+  
+  // Cache the result for 5 minutes
+  await setInCache(cacheKey, result, 300);
 
-    res.json(result);
-  } catch (error) {
-    console.error("Get companies error:", error);
-    res.status(500).json({ message: "Failed to fetch companies" });
-  }
-};
+  res.json(result);
+});
 
 /* ======================================================
    GET MY COMPANY (For Company Admin)
 ====================================================== */
-export const getMyCompany = async (req, res) => {
-  try {
-    if (!req.user.companyId) {
-      return res.status(400).json({ message: "No company associated with this user" });
-    }
+export const getMyCompany = asyncHandler(async (req, res) => {
+  if (!req.user.companyId) {
+    throw new BadRequestError("No company associated with this user");
+  }
 
-    const company = await Company.findById(req.user.companyId);
-    if (!company) {
-      return res.status(404).json({ message: "Company not found" });
-    }
+  const company = await Company.findById(req.user.companyId);
+  if (!company) {
+    throw new NotFoundError("Company not found");
+  }
 
-    const plants = await Plant.find({ companyId: company._id, isActive: true });
-    const admins = await User.find({ companyId: company._id, role: "COMPANY_ADMIN" }).select("-password");
+  const plants = await Plant.find({ companyId: company._id, isActive: true });
+  const admins = await User.find({ companyId: company._id, role: "COMPANY_ADMIN" }).select("-password");
 
-    res.json({
-      ...company.toObject(),
-      plants,
-      admins
-    });
-  } catch (error) {
-    console.error("Get my company error:", error);
-    res.status(500).json({ message: "Failed to fetch company details" });
-  }
-};
+  res.json({
+    ...company.toObject(),
+    plants,
+    admins
+  });
+});
 
 /* ======================================================
    GET SINGLE COMPANY
 ====================================================== */
-export const getCompanyById = async (req, res) => {
-  try {
-    console.log("Fetching company with ID:", req.params.id);
-    const company = await Company.findById(req.params.id);
-    if (!company) {
-      console.log("Company not found in DB for ID:", req.params.id);
-      return res.status(404).json({ message: "Company not found" });
-    }
-
-    const plants = await Plant.find({ companyId: company._id, isActive: true });
-    const admins = await User.find({ companyId: company._id, role: "COMPANY_ADMIN" }).select("-password");
+export const getCompanyById = asyncHandler(async (req, res) => {
+  if (req.user.role !== "SUPER_ADMIN" && req.params.id !== req.user.companyId?.toString()) {
+    throw new ForbiddenError("Unauthorized to view this company");
+  }
 
-    res.json({
-      ...company.toObject(),
-      plants,
-      admins
-    });
-  } catch (error) {
-    console.error("Get company by id error:", error);
-    res.status(500).json({ message: "Failed to fetch company" });
+  const company = await Company.findById(req.params.id);
+  if (!company) {
+    throw new NotFoundError("Company not found");
   }
-};
+
+  const plants = await Plant.find({ companyId: company._id, isActive: true });
+  const admins = await User.find({ companyId: company._id, role: "COMPANY_ADMIN" }).select("-password");
+
+  res.json({
+    ...company.toObject(),
+    plants,
+    admins
+  });
+});
 
 /* ======================================================
    UPDATE COMPANY
 ====================================================== */
-export const updateCompany = async (req, res) => {
-  try {
-    // Handle the case where admin data might be sent as a JSON string in FormData
-    let parsedBody = req.body;
-    if (typeof req.body.admin === 'string') {
-      try {
-        parsedBody = { ...req.body };
-        parsedBody.admin = JSON.parse(req.body.admin);
-      } catch (parseError) {
-        console.error('Failed to parse admin data:', parseError);
-      }
-    }
-    
-    const { name, industry, contactEmail, contactPhone, gstNumber, address, admin } = parsedBody;
-    
-    // Handle logo if uploaded via multer (now using Cloudinary)
-    let logoUrl;
-    if (req.file) {
-      const result = await uploadToCloudinary(req.file.buffer);
-      logoUrl = result.secure_url;
+export const updateCompany = asyncHandler(async (req, res) => {
+  // Handle the case where admin data might be sent as a JSON string in FormData
+  let parsedBody = req.body;
+  if (typeof req.body.admin === 'string') {
+    try {
+      parsedBody = { ...req.body };
+      parsedBody.admin = JSON.parse(req.body.admin);
+    } catch (parseError) {
+      logger.error('Failed to parse admin data', parseError);
     }
+  }
+  
+  const { name, industry, contactEmail, contactPhone, gstNumber, address, admin } = parsedBody;
+  
+  // Handle logo if uploaded via multer (now using Cloudinary)
+  let logoUrl;
+  if (req.file) {
+    const result = await uploadToCloudinary(req.file.buffer);
+    logoUrl = result.secure_url;
+  }
 
-    // Update company information
-    const updateData = {};
-    if (name) updateData.name = name;
-    if (industry) updateData.industry = industry;
-    if (contactEmail) updateData.contactEmail = contactEmail;
-    if (contactPhone) updateData.contactPhone = contactPhone;
-    if (gstNumber) updateData.gstNumber = gstNumber;
-    if (address) updateData.address = address;
-    if (logoUrl) updateData.logoUrl = logoUrl;
-
-    const updatedCompany = await Company.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    );
-
-    if (!updatedCompany) {
-      return res.status(404).json({ message: "Company not found" });
-    }
+  // Update company information
+  const updateData = {};
+  if (name) updateData.name = name;
+  if (industry) updateData.industry = industry;
+  if (contactEmail) updateData.contactEmail = contactEmail;
+  if (contactPhone) updateData.contactPhone = contactPhone;
+  if (gstNumber) updateData.gstNumber = gstNumber;
+  if (address) updateData.address = address;
+  if (logoUrl) updateData.logoUrl = logoUrl;
+
+  const before = await Company.findById(req.params.id).lean();
+  const updatedCompany = await Company.findByIdAndUpdate(
+    req.params.id,
+    updateData,
+    { new: true }
+  );
+
+  if (!updatedCompany) {
+    throw new NotFoundError("Company not found");
+  }
+  await recordAudit({ req, module: "COMPANIES", action: "COMPANY_UPDATED", entityType: "Company", before, after: updatedCompany });
 
-    // Update admin information if provided
-    if (admin) {
-      const { name: adminName, email: adminEmail, password: adminPassword } = admin;
+  // Update admin information if provided
+  if (admin) {
+    const { name: adminName, email: adminEmail, password: adminPassword } = admin;
+    
+    if (adminName || adminEmail || adminPassword) {
+      const updateAdminData = {};
+      if (adminName) updateAdminData.name = adminName;
+      if (adminEmail) updateAdminData.email = adminEmail;
       
-      if (adminName || adminEmail || adminPassword) {
-        const updateAdminData = {};
-        if (adminName) updateAdminData.name = adminName;
-        if (adminEmail) updateAdminData.email = adminEmail;
-        
-        if (adminPassword) {
-          const hashedPassword = await bcrypt.hash(adminPassword, 10);
-          updateAdminData.password = hashedPassword;
-        }
-        
-        // Find and update the company admin
-        const updatedAdmin = await User.findOneAndUpdate(
-          { companyId: req.params.id, role: "COMPANY_ADMIN" },
-          updateAdminData,
-          { new: true }
-        );
-        
-        if (!updatedAdmin) {
-          console.warn(`Company admin not found for company ID: ${req.params.id}`);
-        }
+      if (adminPassword) {
+        const hashedPassword = await bcrypt.hash(adminPassword, 10);
+        updateAdminData.password = hashedPassword;
+      }
+      
+      // Find and update the company admin
+      const adminFilter = { companyId: req.params.id, role: "COMPANY_ADMIN" };
+      const previousAdmin = await User.findOne(adminFilter).lean();
+      const updatedAdmin = await User.findOneAndUpdate(adminFilter, updateAdminData, { new: true });
+      
+      if (!updatedAdmin) {
+        logger.warn("Company admin not found", { companyId: req.params.id });
+      } else {
+        await recordAudit({
+          req,
+          module: "USERS",
+          action: "USER_UPDATED",
+          entityType: "User",
+          before: previousAdmin,
+          after: updatedAdmin,
+          // The hash itself is never part of the diff
+          ...(adminPassword && { details: { passwordChanged: true } })
+        });
       }
     }
-
-    res.json({
-      message: "Company updated successfully",
-      updated: updatedCompany
-    });
-  } catch (error) {
-    console.error("Update company error:", error);
-    res.status(500).json({ message: "Update failed", error: error.message });
   }
-};
+
+  res.json({
+    message: "Company updated successfully",
+    updated: updatedCompany
+  });
+});
 
 /* ======================================================
    DELETE COMPANY (SOFT DELETE)
 ====================================================== */
-export const deleteCompany = async (req, res) => {
-  try {
-    await Company.findByIdAndUpdate(req.params.id, {
-      isActive: false
+export const deleteCompany = asyncHandler(async (req, res) => {
+  const company = await Company.findByIdAndUpdate(req.params.id, {
+    isActive: false
+  });
+
+  if (company) {
+    await recordAudit({
+      req,
+      module: "COMPANIES",
+      action: "COMPANY_DELETED",
+      entityType: "Company",
+      before: company,
+      after: { ...company.toObject(), isActive: false }
     });
-
-    res.json({ message: "Company removed successfully" });
-  } catch (error) {
-    console.error("Delete company error:", error);
-    res.status(500).json({ message: "Delete failed" });
   }
-};
+
+  res.json({ message: "Company removed successfully" });
+});
 
 /* ======================================================
    UPDATE COMPANY PLAN (Super Admin Only)
 ====================================================== */
-export const updateTemplateFeature = async (req, res) => {
-  try {
-    const { companyId, enabled } = req.body;
+export const updateTemplateFeature = asyncHandler(async (req, res) => {
+  const { companyId, enabled } = req.body;
+  
+  if (companyId) {
+    // Update company-level setting
+    const before = await Company.findById(companyId).lean();
+    const company = await Company.findByIdAndUpdate(
+      companyId,
+      { templateFeatureEnabled: enabled },
+      { new: true }
+    );
     
-    if (companyId) {
-      // Update company-level setting
-      const company = await Company.findByIdAndUpdate(
-        companyId,
-        { templateFeatureEnabled: enabled },
-        { new: true }
+    if (!company) {
+      throw new NotFoundError("Company not found");
+    }
+    
+    // If disabling at company level, also disable for all plants
+    let plantsDisabled = 0;
+    if (!enabled) {
+      const result = await Plant.updateMany(
+        { companyId: company._id },
+        { templateFeatureEnabled: false }
       );
-      
-      if (!company) {
-        return res.status(404).json({ success: false, message: "Company not found" });
-      }
-      
-      // If disabling at company level, also disable for all plants
-      if (!enabled) {
-        await Plant.updateMany(
-          { companyId: company._id },
-          { templateFeatureEnabled: false }
-        );
-      }
-      
-      return res.json({
-        success: true,
-        message: `Template feature ${enabled ? 'enabled' : 'disabled'} for company`,
-        company
-      });
+      plantsDisabled = result.modifiedCount;
     }
+
+    await recordAudit({
+      req,
+      module: "COMPANIES",
+      action: "TEMPLATE_FEATURE_UPDATED",
+      entityType: "Company",
+      before,
+      after: company,
+      details: { enabled, plantsDisabled }
+    });
     
-    return res.status(400).json({ success: false, message: "Company ID required" });
-  } catch (error) {
-    console.error("Update template feature error:", error);
-    res.status(500).json({ success: false, message: "Failed to update template feature" });
+    return res.json({
+      success: true,
+      message: `Template feature ${enabled ? 'enabled' : 'disabled'} for company`,
+      company
+    });
   }
-};
+  
+  throw new BadRequestError("Company ID required");
+});
 
-export const updateCompanyPlan = async (req, res) => {
-  try {
-    const { plan, customLimits } = req.body;
-    const validPlans = ["SILVER", "GOLD", "PREMIUM", "CUSTOM"];
-    
-    if (!plan || !validPlans.includes(plan.toUpperCase())) {
-      return res.status(400).json({ message: "Invalid plan. Choose from: Silver, Gold, Premium, Custom" });
+/* ======================================================
+   UPDATE COMPANY SECURITY SETTINGS
+====================================================== */
+export const updateSecuritySettings = asyncHandler(async (req, res) => {
+  const { twoFactorRequiredRoles, allowCompanyAdminImpersonation } = req.body;
+  const allowedRoles = ["COMPANY_ADMIN", "PLANT_ADMIN"];
+
+  if (req.user.role !== "SUPER_ADMIN" && req.params.id !== req.user.companyId?.toString()) {
+    throw new ForbiddenError("Unauthorized to update this company");
+  }
+
+  const updateData = {};
+
+  if (twoFactorRequiredRoles !== undefined) {
+    if (!Array.isArray(twoFactorRequiredRoles) || twoFactorRequiredRoles.some(role => !allowedRoles.includes(role))) {
+      throw new BadRequestError(`twoFactorRequiredRoles may only contain: ${allowedRoles.join(", ")}`);
     }
+    updateData["security.twoFactorRequiredRoles"] = [...new Set(twoFactorRequiredRoles)];
+  }
 
-    const company = await Company.findById(req.params.id);
-    if (!company) {
-      return res.status(404).json({ message: "Company not found" });
+  if (allowCompanyAdminImpersonation !== undefined) {
+    // Granting company admins impersonation is a platform decision
+    if (req.user.role !== "SUPER_ADMIN") {
+      throw new ForbiddenError("Only super admins can change impersonation settings");
     }
+    if (typeof allowCompanyAdminImpersonation !== "boolean") {
+      throw new BadRequestError("allowCompanyAdminImpersonation must be a boolean");
+    }
+    updateData["security.allowCompanyAdminImpersonation"] = allowCompanyAdminImpersonation;
+  }
 
-    const normalizedPlan = plan.toUpperCase();
-    
-    company.subscription = {
-      ...company.subscription,
-      plan: normalizedPlan,
-      startDate: company.subscription?.startDate || new Date(),
-      billingCycle: "manual",
-      customLimits: normalizedPlan === "CUSTOM" ? customLimits : undefined
-    };
+  const before = await Company.findById(req.params.id).lean();
+  const company = await Company.findByIdAndUpdate(req.params.id, updateData, { new: true });
 
-    await company.save();
+  if (!company) {
+    throw new NotFoundError("Company not found");
+  }
+  await recordAudit({ req, module: "COMPANIES", action: "COMPANY_SECURITY_UPDATED", entityType: "Company", before, after: company });
 
-    res.json({ 
-      message: `Plan updated to ${plan} successfully`,
-      subscription: company.subscription
-    });
-  } catch (error) {
-    console.error("Update plan error:", error);
-    res.status(500).json({ message: "Failed to update plan" });
+  res.json({
+    success: true,
+    message: "Security settings updated successfully",
+    security: company.security
+  });
+});
+
+/* ======================================================
+   FIELD ENCRYPTION KEYS
+====================================================== */
+export const getEncryptionKeys = asyncHandler(async (req, res) => {
+  if (req.user.role !== "SUPER_ADMIN" && req.params.id !== req.user.companyId?.toString()) {
+    throw new ForbiddenError("Unauthorized to view this company");
+  }
+
+  // Key material is never returned, only versions and their state
+  const keys = await listDataKeys(req.params.id);
+  res.json({ success: true, data: keys });
+});
+
+export const rotateEncryptionKey = asyncHandler(async (req, res) => {
+  if (req.user.role !== "SUPER_ADMIN" && req.params.id !== req.user.companyId?.toString()) {
+    throw new ForbiddenError("Unauthorized to update this company");
   }
-};
+
+  const company = await Company.findById(req.params.id);
+  if (!company) {
+    throw new NotFoundError("Company not found");
+  }
+
+  const version = await rotateCompanyKey(company._id);
+  await recordAudit({ req, module: "COMPANIES", action: "ENCRYPTION_KEY_ROTATED", entityType: "Company", entity: company, details: { version } });
+
+  // Existing submissions move to the new key in the background
+  setImmediate(() => {
+    reencryptCompanySubmissions(company._id)
+      .catch(err => logger.error("Re-encrypting submissions failed", { err, companyId: company._id }));
+  });
+
+  res.status(202).json({
+    success: true,
+    message: "Encryption key rotated. Existing submissions are being re-encrypted.",
+    data: { version }
+  });
+});
+
+export const updateCompanyPlan = asyncHandler(async (req, res) => {
+  const { plan, customLimits } = req.body;
+  const validPlans = ["SILVER", "GOLD", "PREMIUM", "CUSTOM"];
+  
+  if (!plan || !validPlans.includes(plan.toUpperCase())) {
+    throw new BadRequestError("Invalid plan. Choose from: Silver, Gold, Premium, Custom");
+  }
+
+  const company = await Company.findById(req.params.id);
+  if (!company) {
+    throw new NotFoundError("Company not found");
+  }
+
+  const normalizedPlan = plan.toUpperCase();
+  const before = company.toObject();
+  
+  company.subscription = {
+    ...company.subscription,
+    plan: normalizedPlan,
+    startDate: company.subscription?.startDate || new Date(),
+    billingCycle: "manual",
+    customLimits: normalizedPlan === "CUSTOM" ? customLimits : undefined
+  };
+
+  await company.save();
+  await invalidateCompanyRateLimit(company._id);
+  await recordAudit({
+    req,
+    module: "SUBSCRIPTIONS",
+    action: "PLAN_CHANGED",
+    entityType: "Company",
+    before,
+    after: company,
+    details: { from: before.subscription?.plan, to: normalizedPlan }
+  });
+
+  res.json({ 
+    message: `Plan updated to ${plan} successfully`,
+    subscription: company.subscription
+  });
+});
@@ -0,0 +1,86 @@
+import User from "../models/User.model.js";
+import Company from "../models/Company.model.js";
+import {
+  resolveImpersonationTtl,
+  startImpersonation as beginImpersonation,
+  stopImpersonation as endImpersonation
+} from "../services/impersonation.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { BadRequestError, ForbiddenError, NotFoundError } from "../utils/errors.js";
+
+/* 🔹 Helper: Whether the caller may impersonate the target user */
+const canImpersonate = async (actor, target) => {
+  if (target._id.toString() === actor.userId.toString()) return false;
+  if (target.role === "SUPER_ADMIN") return false;
+
+  if (actor.role === "SUPER_ADMIN") return true;
+
+  if (actor.role === "COMPANY_ADMIN") {
+    if (!["PLANT_ADMIN", "EMPLOYEE"].includes(target.role)) return false;
+    if (target.companyId?.toString() !== actor.companyId?.toString()) return false;
+
+    // Company admins need the company's opt-in, which only SUPER_ADMIN can turn on
+    const company = await Company.findById(actor.companyId).select("security");
+    return Boolean(company?.security?.allowCompanyAdminImpersonation);
+  }
+
+  return false;
+};
+
+/* ======================================================
+   START IMPERSONATION
+====================================================== */
+export const startImpersonation = asyncHandler(async (req, res) => {
+  const { reason, durationMinutes } = req.body;
+
+  if (!reason || !reason.trim()) {
+    throw new BadRequestError("A reason is required to impersonate a user");
+  }
+
+  const target = await User.findById(req.params.userId);
+  if (!target || target.isActive === false) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (!(await canImpersonate(req.user, target))) {
+    throw new ForbiddenError("You are not allowed to impersonate this user");
+  }
+
+  const ttl = resolveImpersonationTtl(durationMinutes);
+  const { token, expiresIn, sessionId } = await beginImpersonation(req, target, {
+    reason: reason.trim(),
+    ttl
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `You are now signed in as ${target.name}`,
+    data: {
+      token,
+      expiresIn,
+      sessionId,
+      user: {
+        id: target._id,
+        name: target.name,
+        email: target.email,
+        role: target.role,
+        companyId: target.companyId,
+        plantId: target.plantId
+      },
+      impersonatedBy: req.user.userId
+    }
+  });
+});
+
+/* ======================================================
+   STOP IMPERSONATION
+====================================================== */
+export const stopImpersonation = asyncHandler(async (req, res) => {
+  if (!req.user.impersonatedBy) {
+    throw new BadRequestError("You are not impersonating anyone");
+  }
+
+  await endImpersonation(req);
+
+  res.json({ success: true, message: "Impersonation ended" });
+});
@@ -0,0 +1,187 @@
+import Invitation from "../models/Invitation.model.js";
+import User from "../models/User.model.js";
+import { validateEmployeeCreation } from "../utils/planLimits.js";
+import { validatePasswordStrength } from "../services/password.service.js";
+import {
+  createInvitation as createInvitationRecord,
+  renewInvitation,
+  sendInvitation,
+  findInvitationByToken,
+  resolveInvitationScope,
+  acceptInvitation as acceptInvitationRecord,
+  toPublicInvitation
+} from "../services/invitation.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { BadRequestError, NotFoundError, PlanLimitExceededError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+/* 🔹 Helper: Filter limiting invitations to what the caller administers */
+const buildScopeFilter = (user) => {
+  if (user.role === "COMPANY_ADMIN") return { companyId: user.companyId };
+  if (user.role === "PLANT_ADMIN") return { plantId: user.plantId };
+  return {};
+};
+
+/* ======================================================
+   CREATE INVITATION
+====================================================== */
+export const createInvitation = asyncHandler(async (req, res) => {
+  const { email, name, role = "EMPLOYEE", phoneNumber, position } = req.body;
+  const { role: actorRole } = req.user;
+
+  if (!email) {
+    throw new BadRequestError("Email is required");
+  }
+
+  // Admins below super admin can only invite into their own company / plant
+  const { companyId, plantId } = await resolveInvitationScope(req.user, {
+    role,
+    companyId: req.body.companyId,
+    plantId: req.body.plantId
+  });
+
+  const existingUser = await User.findOne({ email: String(email).trim().toLowerCase() });
+  if (existingUser) {
+    throw new BadRequestError("User with this email already exists");
+  }
+
+  if (role === "EMPLOYEE") {
+    const validation = await validateEmployeeCreation(companyId, plantId);
+    if (!validation.allowed) {
+      throw new PlanLimitExceededError(validation);
+    }
+  }
+
+  const { invitation, inviteUrl } = await createInvitationRecord({
+    email,
+    name,
+    role,
+    companyId,
+    plantId,
+    phoneNumber,
+    position,
+    invitedBy: req.user.userId
+  });
+
+  sendInvitation(invitation, inviteUrl, actorRole)
+    .catch(err => logger.error("Failed to send invitation email", err));
+
+  res.status(201).json({
+    success: true,
+    message: "Invitation sent successfully",
+    data: toPublicInvitation(invitation)
+  });
+});
+
+/* ======================================================
+   LIST / REVOKE / RESEND
+====================================================== */
+export const getInvitations = asyncHandler(async (req, res) => {
+  const filter = buildScopeFilter(req.user);
+
+  if (req.user.role === "SUPER_ADMIN") {
+    if (req.query.companyId) filter.companyId = req.query.companyId;
+    if (req.query.plantId) filter.plantId = req.query.plantId;
+  }
+  if (req.query.status) filter.status = String(req.query.status).toUpperCase();
+
+  const invitations = await Invitation.find(filter)
+    .select("-tokenHash")
+    .populate("companyId", "name")
+    .populate("plantId", "name")
+    .populate("invitedBy", "name email")
+    .sort({ createdAt: -1 });
+
+  res.json({ success: true, data: invitations });
+});
+
+export const revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await Invitation.findOneAndUpdate(
+    { _id: req.params.id, status: "PENDING", ...buildScopeFilter(req.user) },
+    { status: "REVOKED" },
+    { new: true }
+  );
+
+  if (!invitation) {
+    throw new NotFoundError("Pending invitation not found");
+  }
+
+  res.json({ success: true, message: "Invitation revoked successfully" });
+});
+
+export const resendInvitation = asyncHandler(async (req, res) => {
+  const existing = await Invitation.findOne({
+    _id: req.params.id,
+    status: "PENDING",
+    ...buildScopeFilter(req.user)
+  });
+
+  if (!existing) {
+    throw new NotFoundError("Pending invitation not found");
+  }
+
+  // A new link is issued; the previous one stops working
+  const { invitation, inviteUrl } = await renewInvitation(existing._id);
+
+  sendInvitation(invitation, inviteUrl, req.user.role)
+    .catch(err => logger.error("Failed to resend invitation email", err));
+
+  res.json({
+    success: true,
+    message: "Invitation resent successfully",
+    data: toPublicInvitation(invitation)
+  });
+});
+
+/* ======================================================
+   PUBLIC: VIEW / ACCEPT
+====================================================== */
+export const getInvitationByToken = asyncHandler(async (req, res) => {
+  const invitation = await findInvitationByToken(req.params.token);
+
+  if (!invitation) {
+    throw new NotFoundError("Invitation is invalid or has expired");
+  }
+
+  res.json({
+    success: true,
+    data: {
+      email: invitation.email,
+      name: invitation.name,
+      role: invitation.role,
+      companyName: invitation.companyId?.name,
+      companyLogo: invitation.companyId?.logoUrl,
+      plantName: invitation.plantId?.name,
+      expiresAt: invitation.expiresAt
+    }
+  });
+});
+
+export const acceptInvitation = asyncHandler(async (req, res) => {
+  const { token, password, name } = req.body;
+
+  if (!token) {
+    throw new BadRequestError("Invitation token is required");
+  }
+
+  const passwordError = validatePasswordStrength(password);
+  if (passwordError) {
+    throw new BadRequestError(passwordError);
+  }
+
+  const result = await acceptInvitationRecord(token, { password, name });
+  if (result.error) {
+    return res.status(result.status).json({ success: false, message: result.error });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Your account has been created. You can now log in.",
+    data: {
+      id: result.user._id,
+      name: result.user.name,
+      email: result.user.email,
+      role: result.user.role
+    }
+  });
+});
@@ -0,0 +1,93 @@
+import User from "../models/User.model.js";
+import { collectPersonalData, erasePersonalData, pseudonymFor } from "../services/privacy.service.js";
+import { getTenantScope } from "../services/tenant.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../utils/errors.js";
+
+/* 🔹 Helper: Send the bundle as a JSON file download */
+const sendBundle = (res, bundle) => {
+  const filename = `personal-data-${bundle.subject.userId}-${new Date().toISOString().slice(0, 10)}.json`;
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.json({ success: true, data: bundle });
+};
+
+/* 🔹 Helper: A user the caller may act on */
+const findSubject = async (req) => {
+  const user = await User.findById(req.params.id).forTenant(await getTenantScope(req));
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+  return user;
+};
+
+/* ======================================================
+   EXPORT PERSONAL DATA
+====================================================== */
+export const exportMyData = asyncHandler(async (req, res) => {
+  const bundle = await collectPersonalData(req.user.userId);
+  await recordAudit({
+    req,
+    module: "PRIVACY",
+    action: "PERSONAL_DATA_EXPORTED",
+    entityType: "User",
+    entity: bundle.profile,
+    details: { selfService: true }
+  });
+
+  sendBundle(res, bundle);
+});
+
+export const exportUserData = asyncHandler(async (req, res) => {
+  const user = await findSubject(req);
+  if (user.erasedAt) {
+    throw new ConflictError("This user's personal data has been erased");
+  }
+
+  const bundle = await collectPersonalData(user._id);
+  await recordAudit({
+    req,
+    module: "PRIVACY",
+    action: "PERSONAL_DATA_EXPORTED",
+    entityType: "User",
+    entity: user,
+    details: { reason: req.query.reason }
+  });
+
+  sendBundle(res, bundle);
+});
+
+/* ======================================================
+   ERASE PERSONAL DATA
+====================================================== */
+export const eraseUserData = asyncHandler(async (req, res) => {
+  const user = await findSubject(req);
+
+  if (user._id.toString() === req.user.userId.toString()) {
+    throw new BadRequestError("You cannot erase your own account");
+  }
+  if (user.role === "SUPER_ADMIN") {
+    throw new BadRequestError("Super admin accounts cannot be erased");
+  }
+  if (user.erasedAt) {
+    throw new ConflictError("This user's personal data has already been erased");
+  }
+
+  const erased = await erasePersonalData(user, { erasedBy: req.user.userId });
+
+  // The entry names the pseudonym only; the original identity is gone
+  await recordAudit({
+    req,
+    module: "PRIVACY",
+    action: "PERSONAL_DATA_ERASED",
+    entityType: "User",
+    entity: { _id: user._id, ...pseudonymFor(user._id), companyId: user.companyId, plantId: user.plantId },
+    details: { reason: req.body.reason, ...erased }
+  });
+
+  res.json({
+    success: true,
+    message: "Personal data erased successfully",
+    data: erased
+  });
+});
@@ -0,0 +1,162 @@
+import Company from "../models/Company.model.js";
+import Form from "../models/Form.model.js";
+import FormSubmission from "../models/FormSubmission.model.js";
+import LegalHold from "../models/LegalHold.model.js";
+import { getTenantScope } from "../services/tenant.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from "../utils/errors.js";
+
+/* 🔹 Helper: Update for a retention setting; null clears it (back to the default) */
+const retentionUpdate = (body) => {
+  const update = { $set: {}, $unset: {} };
+  for (const key of ["months", "action"]) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null) update.$unset[`retention.${key}`] = 1;
+    else update.$set[`retention.${key}`] = body[key];
+  }
+  return update;
+};
+
+/* 🔹 Helper: Only super admins act on other companies */
+const assertOwnCompany = (req, companyId) => {
+  if (req.user.role !== "SUPER_ADMIN" && companyId?.toString() !== req.user.companyId?.toString()) {
+    throw new ForbiddenError("Unauthorized to manage this company");
+  }
+};
+
+/* ======================================================
+   RETENTION POLICIES
+====================================================== */
+export const getRetentionPolicy = asyncHandler(async (req, res) => {
+  assertOwnCompany(req, req.params.id);
+
+  const company = await Company.findById(req.params.id).select("name retention").lean();
+  if (!company) {
+    throw new NotFoundError("Company not found");
+  }
+
+  const formOverrides = await Form.find({
+    companyId: company._id,
+    $or: [{ "retention.months": { $exists: true } }, { "retention.action": { $exists: true } }]
+  }).select("formId formName plantId retention").lean();
+
+  res.json({
+    success: true,
+    data: { company: company.retention || {}, formOverrides }
+  });
+});
+
+export const updateCompanyRetention = asyncHandler(async (req, res) => {
+  assertOwnCompany(req, req.params.id);
+
+  const before = await Company.findById(req.params.id).lean();
+  const company = await Company.findByIdAndUpdate(req.params.id, retentionUpdate(req.body), { new: true });
+  if (!company) {
+    throw new NotFoundError("Company not found");
+  }
+  await recordAudit({ req, module: "RETENTION", action: "RETENTION_POLICY_UPDATED", entityType: "Company", before, after: company });
+
+  res.json({
+    success: true,
+    message: "Retention policy updated successfully",
+    data: company.retention
+  });
+});
+
+export const updateFormRetention = asyncHandler(async (req, res) => {
+  const scope = await getTenantScope(req);
+
+  const before = await Form.findById(req.params.id).forTenant(scope).lean();
+  const form = await Form.findByIdAndUpdate(req.params.id, retentionUpdate(req.body), { new: true }).forTenant(scope);
+  if (!form) {
+    throw new NotFoundError("Form not found");
+  }
+  await recordAudit({ req, module: "RETENTION", action: "FORM_RETENTION_UPDATED", entityType: "Form", before, after: form });
+
+  res.json({
+    success: true,
+    message: "Form retention updated successfully",
+    data: form.retention
+  });
+});
+
+/* ======================================================
+   LEGAL HOLDS
+====================================================== */
+export const getLegalHolds = asyncHandler(async (req, res) => {
+  const filter = LegalHold.tenantFilter(await getTenantScope(req));
+  if (req.query.active !== undefined) {
+    filter.releasedAt = req.query.active ? null : { $ne: null };
+  }
+
+  const holds = await LegalHold.find(filter)
+    .populate("formId", "formId formName")
+    .populate("placedBy", "name email")
+    .populate("releasedBy", "name email")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.json({ success: true, data: holds });
+});
+
+export const createLegalHold = asyncHandler(async (req, res) => {
+  const { formId, submissionId, reason, reference } = req.body;
+  const scope = await getTenantScope(req);
+
+  // The company (and form) come from what is being held
+  let companyId;
+  let heldFormId = formId;
+  if (submissionId) {
+    const submission = await FormSubmission.findById(submissionId).select("companyId formId").forTenant(scope).lean();
+    if (!submission) throw new NotFoundError("Submission not found");
+    companyId = submission.companyId;
+    heldFormId = undefined;
+  } else if (formId) {
+    const form = await Form.findById(formId).select("companyId").forTenant(scope).lean();
+    if (!form) throw new NotFoundError("Form not found");
+    companyId = form.companyId;
+  } else {
+    companyId = req.user.role === "SUPER_ADMIN" ? req.body.companyId : req.user.companyId;
+    if (!companyId) throw new BadRequestError("companyId is required for a company-wide hold");
+    assertOwnCompany(req, companyId);
+  }
+
+  const hold = await LegalHold.create({
+    companyId,
+    formId: heldFormId,
+    submissionId,
+    reason,
+    reference,
+    placedBy: req.user.userId
+  });
+  await recordAudit({ req, module: "RETENTION", action: "LEGAL_HOLD_PLACED", entityType: "LegalHold", after: hold });
+
+  res.status(201).json({
+    success: true,
+    message: "Legal hold placed successfully",
+    data: hold
+  });
+});
+
+export const releaseLegalHold = asyncHandler(async (req, res) => {
+  const hold = await LegalHold.findById(req.params.id).forTenant(await getTenantScope(req));
+  if (!hold) {
+    throw new NotFoundError("Legal hold not found");
+  }
+  if (hold.releasedAt) {
+    throw new ConflictError("Legal hold has already been released");
+  }
+
+  const before = hold.toObject();
+  hold.releasedAt = new Date();
+  hold.releasedBy = req.user.userId;
+  await hold.save();
+  await recordAudit({ req, module: "RETENTION", action: "LEGAL_HOLD_RELEASED", entityType: "LegalHold", before, after: hold });
+
+  res.json({
+    success: true,
+    message: "Legal hold released successfully",
+    data: hold
+  });
+});
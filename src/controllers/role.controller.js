@@ -0,0 +1,213 @@
+import CustomRole from "../models/CustomRole.model.js";
+import User from "../models/User.model.js";
+import {
+  ROLE_PERMISSIONS,
+  getAllPermissions,
+  getAssignablePermissions
+} from "../config/permissions.js";
+import {
+  getEffectivePermissions,
+  invalidateUserPermissions,
+  invalidateRolePermissions
+} from "../services/permission.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { BadRequestError, NotFoundError } from "../utils/errors.js";
+
+/* 🔹 Helper: Company whose roles the caller manages */
+const resolveCompanyId = (req) =>
+  req.user.role === "SUPER_ADMIN" ? (req.body.companyId || req.query.companyId) : req.user.companyId;
+
+/* 🔹 Helper: Filter to a role the caller may manage */
+const roleScope = (req) => {
+  const filter = { _id: req.params.id };
+  if (req.user.role !== "SUPER_ADMIN") filter.companyId = req.user.companyId;
+  return filter;
+};
+
+/* 🔹 Helper: Returns an error message for permissions a custom role may not hold */
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return "Permissions must be an array";
+  }
+  const assignable = getAssignablePermissions();
+  const invalid = permissions.filter(p => !assignable.includes(p));
+  if (invalid.length > 0) {
+    return `Invalid permissions: ${invalid.join(", ")}`;
+  }
+  return null;
+};
+
+/* ======================================================
+   PERMISSION REGISTRY
+====================================================== */
+export const getPermissionRegistry = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: getAllPermissions(),
+      builtInRoles: ROLE_PERMISSIONS
+    }
+  });
+});
+
+export const getMyPermissions = asyncHandler(async (req, res) => {
+  const permissions = await getEffectivePermissions(req.user.userId, req.user.role);
+  res.json({ success: true, data: { role: req.user.role, permissions } });
+});
+
+/* ======================================================
+   CUSTOM ROLES
+====================================================== */
+export const getRoles = asyncHandler(async (req, res) => {
+  const companyId = resolveCompanyId(req);
+  if (!companyId) {
+    throw new BadRequestError("Company ID is required");
+  }
+
+  const roles = await CustomRole.find({ companyId }).sort({ name: 1 }).lean();
+
+  // Number of users holding each role
+  const counts = await User.aggregate([
+    { $match: { customRoleId: { $in: roles.map(role => role._id) } } },
+    { $group: { _id: "$customRoleId", count: { $sum: 1 } } }
+  ]);
+  const countMap = Object.fromEntries(counts.map(c => [c._id.toString(), c.count]));
+
+  res.json({
+    success: true,
+    data: roles.map(role => ({ ...role, userCount: countMap[role._id.toString()] || 0 }))
+  });
+});
+
+export const createRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions = [] } = req.body;
+  const companyId = resolveCompanyId(req);
+
+  if (!companyId) {
+    throw new BadRequestError("Company ID is required");
+  }
+  if (!name) {
+    throw new BadRequestError("Role name is required");
+  }
+
+  const permissionError = validatePermissions(permissions);
+  if (permissionError) {
+    throw new BadRequestError(permissionError);
+  }
+
+  const existing = await CustomRole.findOne({ companyId, name: name.trim() });
+  if (existing) {
+    throw new BadRequestError("A role with this name already exists");
+  }
+
+  const role = await CustomRole.create({
+    companyId,
+    name,
+    description,
+    permissions: [...new Set(permissions)],
+    createdBy: req.user.userId
+  });
+  await recordAudit({ req, module: "ROLES", action: "ROLE_CREATED", entityType: "CustomRole", after: role });
+
+  res.status(201).json({ success: true, message: "Role created successfully", data: role });
+});
+
+export const updateRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions, isActive } = req.body;
+
+  const updateData = {};
+  if (name) updateData.name = name;
+  if (description !== undefined) updateData.description = description;
+  if (typeof isActive === "boolean") updateData.isActive = isActive;
+  if (permissions !== undefined) {
+    const permissionError = validatePermissions(permissions);
+    if (permissionError) {
+      throw new BadRequestError(permissionError);
+    }
+    updateData.permissions = [...new Set(permissions)];
+  }
+
+  const before = await CustomRole.findOne(roleScope(req)).lean();
+  const role = await CustomRole.findOneAndUpdate(roleScope(req), updateData, { new: true });
+  if (!role) {
+    throw new NotFoundError("Role not found");
+  }
+
+  await invalidateRolePermissions(role._id);
+  await recordAudit({ req, module: "ROLES", action: "ROLE_UPDATED", entityType: "CustomRole", before, after: role });
+
+  res.json({ success: true, message: "Role updated successfully", data: role });
+});
+
+export const deleteRole = asyncHandler(async (req, res) => {
+  const role = await CustomRole.findOne(roleScope(req));
+  if (!role) {
+    throw new NotFoundError("Role not found");
+  }
+
+  // Holders fall back to their built-in role's preset
+  await invalidateRolePermissions(role._id);
+  const { modifiedCount } = await User.updateMany({ customRoleId: role._id }, { $unset: { customRoleId: 1, customRoleFor: 1 } });
+  await role.deleteOne();
+  await recordAudit({
+    req,
+    module: "ROLES",
+    action: "ROLE_DELETED",
+    entityType: "CustomRole",
+    before: role,
+    details: { usersReverted: modifiedCount }
+  });
+
+  res.json({ success: true, message: "Role deleted successfully" });
+});
+
+/* ======================================================
+   ASSIGN ROLE TO USER
+====================================================== */
+export const assignRole = asyncHandler(async (req, res) => {
+  const { roleId } = req.body;
+
+  const userFilter = { _id: req.params.userId };
+  if (req.user.role !== "SUPER_ADMIN") userFilter.companyId = req.user.companyId;
+
+  const user = await User.findOne(userFilter);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (user.role === "SUPER_ADMIN") {
+    throw new BadRequestError("Custom roles cannot be assigned to super admins");
+  }
+  const before = user.toObject();
+
+  if (roleId) {
+    const role = await CustomRole.findOne({ _id: roleId, companyId: user.companyId });
+    if (!role) {
+      throw new NotFoundError("Role not found in the user's company");
+    }
+    user.customRoleId = role._id;
+    user.customRoleFor = user.role;
+  } else {
+    // No role: back to the built-in preset
+    user.customRoleId = undefined;
+    user.customRoleFor = undefined;
+  }
+
+  await user.save();
+  await invalidateUserPermissions(user._id);
+  await recordAudit({
+    req,
+    module: "ROLES",
+    action: roleId ? "ROLE_ASSIGNED" : "ROLE_UNASSIGNED",
+    entityType: "User",
+    before,
+    after: user
+  });
+
+  res.json({
+    success: true,
+    message: roleId ? "Role assigned successfully" : "Custom role removed",
+    data: { userId: user._id, customRoleId: user.customRoleId || null }
+  });
+});
@@ -0,0 +1,135 @@
+import User from "../models/User.model.js";
+import { revokeAllUserTokens } from "../services/token.service.js";
+import { listActiveSessions, revokeSession } from "../services/session.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { NotFoundError } from "../utils/errors.js";
+
+/* 🔹 Helper: Shape a session for the API, flagging the caller's own */
+const toSessionResponse = (session, currentSessionId) => ({
+  id: session._id,
+  device: session.device,
+  ipAddress: session.ipAddress,
+  userAgent: session.userAgent,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  lastSeenIp: session.lastSeenIp,
+  expiresAt: session.expiresAt,
+  impersonatorId: session.impersonatorId,
+  current: session._id.toString() === currentSessionId
+});
+
+/* 🔹 Helper: Load a user the caller may manage sessions for, or null */
+const findManagedUser = async (req) => {
+  const filter = { _id: req.params.userId };
+
+  if (req.user.role === "PLANT_ADMIN") {
+    filter.plantId = req.user.plantId;
+    filter.role = "EMPLOYEE";
+  } else if (req.user.role === "COMPANY_ADMIN") {
+    filter.companyId = req.user.companyId;
+    filter.role = { $in: ["PLANT_ADMIN", "EMPLOYEE"] };
+  } else if (req.user.role !== "SUPER_ADMIN") {
+    return null;
+  }
+
+  return User.findOne(filter).select("name email role companyId plantId");
+};
+
+/* ======================================================
+   OWN SESSIONS
+====================================================== */
+export const getMySessions = asyncHandler(async (req, res) => {
+  const sessions = await listActiveSessions(req.user.userId);
+  res.json({
+    success: true,
+    data: sessions.map(session => toSessionResponse(session, req.user.sid))
+  });
+});
+
+export const revokeMySession = asyncHandler(async (req, res) => {
+  const session = await revokeSession(req.params.id, {
+    filter: { userId: req.user.userId },
+    revokedBy: req.user.userId,
+    reason: "Signed out by user"
+  });
+
+  if (!session) {
+    throw new NotFoundError("Session not found");
+  }
+
+  res.json({ success: true, message: "Session signed out successfully" });
+});
+
+// Sign out everywhere except the current device
+export const revokeMyOtherSessions = asyncHandler(async (req, res) => {
+  await revokeAllUserTokens(req.user.userId, {
+    exceptSessionId: req.user.sid,
+    revokedBy: req.user.userId,
+    reason: "Signed out by user"
+  });
+
+  res.json({ success: true, message: "All other sessions signed out successfully" });
+});
+
+/* ======================================================
+   ADMIN: USER SESSIONS
+====================================================== */
+export const getUserSessions = asyncHandler(async (req, res) => {
+  const user = await findManagedUser(req);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  const sessions = await listActiveSessions(user._id);
+  res.json({
+    success: true,
+    data: {
+      user: { id: user._id, name: user.name, email: user.email, role: user.role },
+      sessions: sessions.map(session => toSessionResponse(session))
+    }
+  });
+});
+
+export const revokeUserSession = asyncHandler(async (req, res) => {
+  const user = await findManagedUser(req);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  const session = await revokeSession(req.params.sessionId, {
+    filter: { userId: user._id },
+    revokedBy: req.user.userId,
+    reason: "Revoked by administrator"
+  });
+
+  if (!session) {
+    throw new NotFoundError("Session not found");
+  }
+  await recordAudit({
+    req,
+    module: "AUTH",
+    action: "SESSION_REVOKED",
+    entityType: "User",
+    entity: user,
+    details: { sessionId: session._id }
+  });
+
+  res.json({ success: true, message: "Session revoked successfully" });
+});
+
+// Force logout: end every session of the user
+export const revokeAllUserSessions = asyncHandler(async (req, res) => {
+  const user = await findManagedUser(req);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  await revokeAllUserTokens(user._id, {
+    revokedBy: req.user.userId,
+    reason: "Force logout by administrator"
+  });
+  await recordAudit({ req, module: "AUTH", action: "USER_FORCE_LOGOUT", entityType: "User", entity: user });
+
+  res.json({ success: true, message: `${user.name} has been signed out of all sessions` });
+});
@@ -6,428 +6,405 @@ import Plant from "../models/Plant.model.js";
 import mongoose from "mongoose";
 import { uploadToCloudinary } from "../utils/cloudinary.js";
 import { sendSubmissionNotificationToApprover } from "../services/email.service.js";
+import { attachUploadedAssets, deleteUploadedFiles } from "../services/upload.service.js";
+import {
+  decryptSubmissionData,
+  keepMaskedValues,
+  presentSubmission,
+  presentSubmissions
+} from "../services/fieldEncryption.service.js";
+import { pinFormVersion, pinnedFormOf } from "../services/formVersion.service.js";
+import { checkDraft, checkSubmission } from "../services/submissionValidation.service.js";
+import { getTenantScope } from "../services/tenant.service.js";
 import fs from "fs";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { BadRequestError, ForbiddenError, NotFoundError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+/* 🔹 Helper: Check a draft's stored answers for submitting; returns the files of hidden fields */
+const checkStoredAnswers = async (submission, form) => {
+  // Checked on the decrypted answers; unchanged answers stay as stored
+  const answers = await decryptSubmissionData(submission.data, submission.companyId);
+  const { data: shown, files, droppedFiles } = checkSubmission(form, { data: answers, files: submission.files });
+  submission.data = Object.fromEntries(Object.entries(shown).map(([fieldId, value]) =>
+    [fieldId, value === answers[fieldId] ? submission.data[fieldId] : value]));
+  submission.files = files;
+  return droppedFiles;
+};
+
+/* 🔹 Helper: Delete the files of fields hidden when a draft was submitted */
+const deleteDroppedFiles = (droppedFiles) => {
+  if (droppedFiles.length === 0) return;
+  deleteUploadedFiles(droppedFiles).catch(err => logger.error("Failed to delete files of hidden fields", err));
+};
 
 /* ======================================================
    CREATE SUBMISSION
 ====================================================== */
-export const createSubmission = async (req, res) => {
-  try {
-    const { 
-      formId, 
-      data, 
-      status = "DRAFT"
-    } = req.body;
-    
-    const userId = req.user.userId;
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "User not found" 
-      });
-    }
+export const createSubmission = asyncHandler(async (req, res) => {
+  const { 
+    formId, 
+    data, 
+    status = "DRAFT"
+  } = req.body;
+  
+  const userId = req.user.userId;
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
 
-    const form = await Form.findById(formId);
-    if (!form) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "Form not found" 
-      });
-    }
+  // Only forms inside the caller's company / plant (or API key scope)
+  const form = await Form.findById(formId).forTenant(await getTenantScope(req));
+  const { apiKey } = req.user;
+
+  if (!form) {
+    throw new NotFoundError("Form not found");
+  }
 
-    // Process files if any
-    const files = [];
-    let parsedData = typeof data === 'string' ? JSON.parse(data) : data;
-    
-    if (req.files && req.files.length > 0) {
-      for (const file of req.files) {
-        try {
-          const result = await uploadToCloudinary(fs.readFileSync(file.path), 'submissions');
-          files.push({
-            fieldId: file.fieldname,
-            filename: file.filename,
-            originalName: file.originalname,
-            url: result.secure_url,
-            mimetype: file.mimetype,
-            size: file.size
-          });
-          parsedData[file.fieldname] = result.secure_url;
-          fs.unlinkSync(file.path);
-        } catch (uploadError) {
-          console.error("File upload error:", file.originalname, uploadError);
-          fs.unlinkSync(file.path);
-        }
+  // Process files if any
+  let files = [];
+  let parsedData = typeof data === 'string' ? JSON.parse(data) : data;
+  
+  if (req.files && req.files.length > 0) {
+    for (const file of req.files) {
+      try {
+        const result = await uploadToCloudinary(fs.readFileSync(file.path), 'submissions');
+        files.push({
+          fieldId: file.fieldname,
+          filename: file.filename,
+          originalName: file.originalname,
+          url: result.secure_url,
+          publicId: result.public_id,
+          resourceType: result.resource_type,
+          mimetype: file.mimetype,
+          size: file.size,
+          scan: file.scan
+        });
+        parsedData[file.fieldname] = result.secure_url;
+        fs.unlinkSync(file.path);
+      } catch (uploadError) {
+        logger.error("File upload error", { err: uploadError, file: file.originalname });
+        fs.unlinkSync(file.path);
       }
     }
+  }
 
-    // Determine initial status
-    const hasApprovalFlow = form.approvalFlow && form.approvalFlow.length > 0;
-    const initialStatus = status === "SUBMITTED" && hasApprovalFlow 
-      ? "PENDING_APPROVAL" 
-      : status;
-
-    const submissionData = {
-      formId: form._id,
-      formName: form.formName,
-      submittedBy: userId,
-      submittedByName: user.name,
-      submittedByEmail: user.email,
-      data: parsedData,
-      files: files,
-      status: initialStatus,
-      companyId: user.companyId,
-      plantId: user.plantId,
-      currentLevel: initialStatus === "PENDING_APPROVAL" ? 1 : 0
-    };
-
-    const submission = await FormSubmission.create(submissionData);
-
-    res.status(201).json({
-      success: true,
-      message: "Submission created successfully",
-      data: submission
-    });
-
-  } catch (error) {
-    console.error("Create submission error:", error);
-    res.status(500).json({ 
-      success: false, 
-      message: "Failed to create submission",
-      error: error.message 
-    });
+  // Determine initial status
+  const hasApprovalFlow = form.approvalFlow && form.approvalFlow.length > 0;
+  const initialStatus = status === "SUBMITTED" && hasApprovalFlow 
+    ? "PENDING_APPROVAL" 
+    : status;
+
+  const pinned = await pinFormVersion(form);
+  const definition = await pinnedFormOf({ formId: form, ...pinned });
+
+  // Submitted answers are validated and rules applied; drafts may stay incomplete
+  if (initialStatus === "DRAFT") {
+    checkDraft(definition, { data: parsedData, files }, { discardUploads: true });
+  } else {
+    ({ data: parsedData, files } = checkSubmission(definition, { data: parsedData, files }, { discardUploads: true }));
   }
-};
+
+  const submissionData = {
+    formId: form._id,
+    formName: form.formName,
+    ...pinned,
+    submittedBy: userId,
+    // Integrations are recorded under the key's name; the issuing admin stays accountable
+    submittedByName: apiKey ? `${apiKey.name} (API)` : user.name,
+    submittedByEmail: user.email,
+    data: parsedData,
+    files: files,
+    status: initialStatus,
+    companyId: apiKey ? form.companyId : user.companyId,
+    plantId: apiKey ? form.plantId : user.plantId,
+    currentLevel: initialStatus === "PENDING_APPROVAL" ? 1 : 0
+  };
+
+  const submission = await FormSubmission.create(submissionData);
+
+  // Claim uploads referenced in the data so they are not purged as orphans
+  attachUploadedAssets(submission.data, { model: "FormSubmission", id: submission._id, companyId: submission.companyId })
+    .catch(err => logger.error("Attach uploads error", err));
+
+  res.status(201).json({
+    success: true,
+    message: "Submission created successfully",
+    data: await presentSubmission(submission, req)
+  });
+});
 
 /* ======================================================
    GET ALL SUBMISSIONS
 ====================================================== */
-export const getSubmissions = async (req, res) => {
-  try {
-    const { 
-      formId, 
-      status, 
-      page = 1, 
-      limit = 20,
-      sortBy = 'submittedAt',
-      sortOrder = 'desc'
-    } = req.query;
-
-    const filter = { isArchived: false };
-    
-    // Role-based filtering
-    if (req.user.role === "PLANT_ADMIN") {
-      filter.plantId = req.user.plantId;
-    } else if (req.user.role === "COMPANY_ADMIN") {
-      filter.companyId = req.user.companyId;
-    } else if (req.user.role === "EMPLOYEE") {
-      filter.submittedBy = req.user.userId;
-    }
-
-    if (formId) filter.formId = formId;
-    if (status) filter.status = status;
-
-    const skip = (page - 1) * limit;
-    const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
-
-    const submissions = await FormSubmission.find(filter)
-      .populate("submittedBy", "name email")
-      .populate("approvedBy", "name email")
-      .populate("rejectedBy", "name email")
-      .populate("formId", "formName")
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await FormSubmission.countDocuments(filter);
-
-    res.json({
-      success: true,
-      data: submissions,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / limit),
-        totalItems: total,
-        hasNext: page * limit < total,
-        hasPrev: page > 1
-      }
-    });
-
-  } catch (error) {
-    console.error("Get submissions error:", error);
-    res.status(500).json({ 
-      success: false, 
-      message: "Failed to fetch submissions" 
-    });
+export const getSubmissions = asyncHandler(async (req, res) => {
+  const { 
+    formId, 
+    status, 
+    page = 1, 
+    limit = 20,
+    sortBy = 'submittedAt',
+    sortOrder = 'desc'
+  } = req.query;
+
+  const filter = { isArchived: false };
+  
+  // Role-based filtering
+  if (req.user.role === "PLANT_ADMIN") {
+    filter.plantId = req.user.plantId;
+  } else if (req.user.role === "COMPANY_ADMIN") {
+    filter.companyId = req.user.companyId;
+  } else if (req.user.role === "EMPLOYEE") {
+    filter.submittedBy = req.user.userId;
   }
-};
+
+  if (formId) filter.formId = formId;
+  if (status) filter.status = status;
+
+  const skip = (page - 1) * limit;
+  const sort = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
+
+  const submissions = await FormSubmission.find(filter)
+    .populate("submittedBy", "name email")
+    .populate("approvedBy", "name email")
+    .populate("rejectedBy", "name email")
+    .populate("formId", "formName")
+    .sort(sort)
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await FormSubmission.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: await presentSubmissions(submissions, req),
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      hasNext: page * limit < total,
+      hasPrev: page > 1
+    }
+  });
+});
 
 /* ======================================================
    GET SUBMISSION BY ID
 ====================================================== */
-export const getSubmissionById = async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const submission = await FormSubmission.findById(id)
-      .populate({
-        path: "formId",
-        select: "formName approvalFlow fields sections",
-        populate: {
-          path: "approvalFlow.approverId",
-          select: "name email"
-        }
-      })
-      .populate("submittedBy", "name email")
-      .populate("approvedBy", "name email")
-      .populate("rejectedBy", "name email")
-      .populate("companyId", "name")
-      .populate("plantId", "name");
-
-    if (!submission) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "Submission not found" 
-      });
-    }
-
-    // Authorization check
-    if (req.user.role === "EMPLOYEE" && submission.submittedBy._id.toString() !== req.user.userId) {
-      return res.status(403).json({ 
-        success: false, 
-        message: "Access denied" 
-      });
-    }
+export const getSubmissionById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  const submission = await FormSubmission.findById(id)
+    .forTenant(await getTenantScope(req))
+    .populate({
+      path: "formId",
+      select: "formName approvalFlow fields sections",
+      populate: {
+        path: "approvalFlow.approverId",
+        select: "name email"
+      }
+    })
+    .populate("submittedBy", "name email")
+    .populate("approvedBy", "name email")
+    .populate("rejectedBy", "name email")
+    .populate("companyId", "name")
+    .populate("plantId", "name");
+
+  if (!submission) {
+    throw new NotFoundError("Submission not found");
+  }
 
-    res.json({
-      success: true,
-      data: submission
-    });
-
-  } catch (error) {
-    console.error("Get submission error:", error);
-    res.status(500).json({ 
-      success: false, 
-      message: "Failed to fetch submission" 
-    });
+  // Authorization check
+  if (req.user.role === "EMPLOYEE" && submission.submittedBy._id.toString() !== req.user.userId) {
+    throw new ForbiddenError("Access denied");
   }
-};
+
+  // Rendered with the form version it was filled against
+  const data = await presentSubmission(submission, req);
+  data.formId = await pinnedFormOf(submission);
+
+  res.json({
+    success: true,
+    data
+  });
+});
 
 /* ======================================================
    UPDATE SUBMISSION
 ====================================================== */
-export const updateSubmission = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { data, status } = req.body;
-
-    const submission = await FormSubmission.findById(id);
-    if (!submission) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "Submission not found" 
-      });
-    }
-
-    // Authorization check
-    if (req.user.role === "EMPLOYEE" && submission.submittedBy.toString() !== req.user.userId) {
-      return res.status(403).json({ 
-        success: false, 
-        message: "Access denied" 
-      });
-    }
+export const updateSubmission = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { data, status } = req.body;
 
-    // Only allow updating DRAFT submissions
-    if (submission.status !== "DRAFT") {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Only draft submissions can be updated" 
-      });
-    }
+  const submission = await FormSubmission.findById(id).forTenant(await getTenantScope(req));
+  if (!submission) {
+    throw new NotFoundError("Submission not found");
+  }
 
-    if (data) {
-      submission.data = typeof data === 'string' ? JSON.parse(data) : data;
-    }
+  // Authorization check
+  if (req.user.role === "EMPLOYEE" && submission.submittedBy.toString() !== req.user.userId) {
+    throw new ForbiddenError("Access denied");
+  }
 
-    if (status) {
-      submission.status = status;
-    }
+  // Only allow updating DRAFT submissions
+  if (submission.status !== "DRAFT") {
+    throw new BadRequestError("Only draft submissions can be updated");
+  }
 
-    const updated = await submission.save();
+  if (data) {
+    submission.data = keepMaskedValues(typeof data === 'string' ? JSON.parse(data) : data, submission.data);
+  }
 
-    res.json({
-      success: true,
-      message: "Submission updated successfully",
-      data: updated
-    });
+  // Saving as submitted is checked like submitting the draft; drafts may stay incomplete
+  const form = await pinnedFormOf({ formId: await Form.findById(submission.formId), formVersionId: submission.formVersionId });
+  let droppedFiles = [];
+  if (status && status !== "DRAFT") {
+    droppedFiles = await checkStoredAnswers(submission, form);
+  } else if (data) {
+    checkDraft(form, { data: await decryptSubmissionData(submission.data, submission.companyId), files: submission.files });
+  }
 
-  } catch (error) {
-    console.error("Update submission error:", error);
-    res.status(500).json({ 
-      success: false, 
-      message: "Failed to update submission" 
-    });
+  if (status) {
+    submission.status = status;
   }
-};
+
+  const updated = await submission.save();
+  deleteDroppedFiles(droppedFiles);
+
+  // Claim uploads referenced in the data so they are not purged as orphans
+  attachUploadedAssets(updated.data, { model: "FormSubmission", id: updated._id, companyId: updated.companyId })
+    .catch(err => logger.error("Attach uploads error", err));
+
+  res.json({
+    success: true,
+    message: "Submission updated successfully",
+    data: await presentSubmission(updated, req)
+  });
+});
 
 /* ======================================================
    DELETE SUBMISSION
 ====================================================== */
-export const deleteSubmission = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const submission = await FormSubmission.findById(id);
-    if (!submission) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "Submission not found" 
-      });
-    }
+export const deleteSubmission = asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
-    // Authorization check
-    if (req.user.role === "EMPLOYEE" && submission.submittedBy.toString() !== req.user.userId) {
-      return res.status(403).json({ 
-        success: false, 
-        message: "Access denied" 
-      });
-    }
+  const submission = await FormSubmission.findById(id).forTenant(await getTenantScope(req));
+  if (!submission) {
+    throw new NotFoundError("Submission not found");
+  }
 
-    // Only allow deleting DRAFT submissions
-    if (submission.status !== "DRAFT") {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Only draft submissions can be deleted" 
-      });
-    }
+  // Authorization check
+  if (req.user.role === "EMPLOYEE" && submission.submittedBy.toString() !== req.user.userId) {
+    throw new ForbiddenError("Access denied");
+  }
 
-    await FormSubmission.findByIdAndDelete(id);
+  // Only allow deleting DRAFT submissions
+  if (submission.status !== "DRAFT") {
+    throw new BadRequestError("Only draft submissions can be deleted");
+  }
 
-    res.json({
-      success: true,
-      message: "Submission deleted successfully"
-    });
+  await FormSubmission.findByIdAndDelete(submission._id);
 
-  } catch (error) {
-    console.error("Delete submission error:", error);
-    res.status(500).json({ 
-      success: false, 
-      message: "Failed to delete submission" 
-    });
-  }
-};
+  res.json({
+    success: true,
+    message: "Submission deleted successfully"
+  });
+});
 
 /* ======================================================
    SUBMIT DRAFT SUBMISSION
 ====================================================== */
-export const submitDraft = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const submission = await FormSubmission.findById(id).populate("formId");
-    if (!submission) {
-      return res.status(404).json({ 
-        success: false, 
-        message: "Submission not found" 
-      });
-    }
+export const submitDraft = asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
-    // Authorization check
-    if (req.user.role === "EMPLOYEE" && submission.submittedBy.toString() !== req.user.userId) {
-      return res.status(403).json({ 
-        success: false, 
-        message: "Access denied" 
-      });
-    }
+  const submission = await FormSubmission.findById(id).forTenant(await getTenantScope(req)).populate("formId");
+  if (!submission) {
+    throw new NotFoundError("Submission not found");
+  }
 
-    if (submission.status !== "DRAFT") {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Only draft submissions can be submitted" 
-      });
-    }
+  // Authorization check
+  if (req.user.role === "EMPLOYEE" && submission.submittedBy.toString() !== req.user.userId) {
+    throw new ForbiddenError("Access denied");
+  }
 
-    const form = submission.formId;
-    const hasApprovalFlow = form?.approvalFlow && form.approvalFlow.length > 0;
-    const newStatus = hasApprovalFlow ? "PENDING_APPROVAL" : "APPROVED";
+  if (submission.status !== "DRAFT") {
+    throw new BadRequestError("Only draft submissions can be submitted");
+  }
 
-    submission.status = newStatus;
-    submission.submittedAt = new Date();
-    submission.currentLevel = newStatus === "PENDING_APPROVAL" ? 1 : 0;
+  // Drafts started before the form was first published are pinned now
+  if (!submission.formVersionId && submission.formId) {
+    Object.assign(submission, await pinFormVersion(submission.formId));
+  }
 
-    if (newStatus === "APPROVED") {
-      submission.approvedAt = new Date();
-      submission.approvedBy = req.user.userId;
-    }
+  const form = await pinnedFormOf(submission);
+  const droppedFiles = await checkStoredAnswers(submission, form);
 
-    const updated = await submission.save();
+  const hasApprovalFlow = form?.approvalFlow && form.approvalFlow.length > 0;
+  const newStatus = hasApprovalFlow ? "PENDING_APPROVAL" : "APPROVED";
 
-    res.json({
-      success: true,
-      message: "Submission submitted successfully",
-      data: updated
-    });
+  submission.status = newStatus;
+  submission.submittedAt = new Date();
+  submission.currentLevel = newStatus === "PENDING_APPROVAL" ? 1 : 0;
 
-  } catch (error) {
-    console.error("Submit draft error:", error);
-    res.status(500).json({ 
-      success: false, 
-      message: "Failed to submit submission" 
-    });
+  if (newStatus === "APPROVED") {
+    submission.approvedAt = new Date();
+    submission.approvedBy = req.user.userId;
   }
-};
+
+  const updated = await submission.save();
+  deleteDroppedFiles(droppedFiles);
+
+  res.json({
+    success: true,
+    message: "Submission submitted successfully",
+    data: await presentSubmission(updated, req)
+  });
+});
 
 /* ======================================================
    GET SUBMISSION STATS
 ====================================================== */
-export const getSubmissionStats = async (req, res) => {
-  try {
-    const filter = { isArchived: false };
-    
-    if (req.user.role === "PLANT_ADMIN") {
-      filter.plantId = req.user.plantId;
-    } else if (req.user.role === "COMPANY_ADMIN") {
-      filter.companyId = req.user.companyId;
-    } else if (req.user.role === "EMPLOYEE") {
-      filter.submittedBy = req.user.userId;
-    }
+export const getSubmissionStats = asyncHandler(async (req, res) => {
+  const filter = { isArchived: false };
+  
+  if (req.user.role === "PLANT_ADMIN") {
+    filter.plantId = req.user.plantId;
+  } else if (req.user.role === "COMPANY_ADMIN") {
+    filter.companyId = req.user.companyId;
+  } else if (req.user.role === "EMPLOYEE") {
+    filter.submittedBy = req.user.userId;
+  }
 
-    const stats = await FormSubmission.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: "$status",
-          count: { $sum: 1 }
-        }
+  const stats = await FormSubmission.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: "$status",
+        count: { $sum: 1 }
       }
-    ]);
-
-    const formattedStats = {
-      draft: 0,
-      submitted: 0,
-      pending_approval: 0,
-      approved: 0,
-      rejected: 0
-    };
-
-    stats.forEach(stat => {
-      const statusKey = stat._id.toLowerCase().replace('-', '_');
-      formattedStats[statusKey] = stat.count;
-    });
-
-    const total = Object.values(formattedStats).reduce((sum, count) => sum + count, 0);
-    formattedStats.total = total;
-
-    res.json({
-      success: true,
-      data: formattedStats
-    });
-
-  } catch (error) {
-    console.error("Get stats error:", error);
-    res.status(500).json({ 
-      success: false, 
-      message: "Failed to fetch statistics" 
-    });
-  }
-};
\ No newline at end of file
+    }
+  ]);
+
+  const formattedStats = {
+    draft: 0,
+    submitted: 0,
+    pending_approval: 0,
+    approved: 0,
+    rejected: 0
+  };
+
+  stats.forEach(stat => {
+    const statusKey = stat._id.toLowerCase().replace('-', '_');
+    formattedStats[statusKey] = stat.count;
+  });
+
+  const total = Object.values(formattedStats).reduce((sum, count) => sum + count, 0);
+  formattedStats.total = total;
+
+  res.json({
+    success: true,
+    data: formattedStats
+  });
+
+});
\ No newline at end of file
@@ -1,153 +1,156 @@
 import FormTemplate from "../models/FormTemplate.model.js";
 import FormSubmission from "../models/FormSubmission.model.js";
 import { validateFormCreation } from "../utils/planLimits.js";
+import { getTenantScope } from "../services/tenant.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { attachUploadedAssets } from "../services/upload.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { BadRequestError, NotFoundError, PlanLimitExceededError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+/* 🔹 Helper: Claim images uploaded for the template's fields so they are not purged as orphans */
+const claimTemplateImages = (template) => {
+  const { sections, fields } = template.toObject();
+  attachUploadedAssets({ sections, fields }, { model: "FormTemplate", id: template._id, companyId: template.companyId })
+    .catch(err => logger.error("Attach uploads error", err));
+};
 
-export const createTemplate = async (req, res) => {
-  try {
-    const { templateName, description, fields, workflow, status } = req.body;
-
-    const validation = await validateFormCreation(req.user.companyId, req.user.plantId);
-    if (!validation.allowed) {
-      return res.status(403).json({ 
-        success: false,
-        message: validation.message,
-        upgradeRequired: validation.upgradeRequired,
-        currentCount: validation.currentCount,
-        limit: validation.limit
-      });
-    }
-
-    const template = await FormTemplate.create({
-      templateName,
-      description,
-      fields,
-      workflow,
-      status: status || "DRAFT",
-      companyId: req.user.companyId,
-      plantId: req.user.plantId,
-      createdBy: req.user.userId
-    });
-
-    res.status(201).json({
-      success: true,
-      message: "Template created successfully",
-      data: template
-    });
-  } catch (error) {
-    console.error("Create template error:", error);
-    res.status(500).json({ success: false, message: "Failed to create template" });
+export const createTemplate = asyncHandler(async (req, res) => {
+  const { templateName, description, fields, workflow, status } = req.body;
+
+  const validation = await validateFormCreation(req.user.companyId, req.user.plantId);
+  if (!validation.allowed) {
+    throw new PlanLimitExceededError(validation);
   }
-};
 
-export const getTemplates = async (req, res) => {
-  try {
-    const { status } = req.query;
-    const filter = { isActive: true };
+  const template = await FormTemplate.create({
+    templateName,
+    description,
+    fields,
+    workflow,
+    status: status || "DRAFT",
+    companyId: req.user.companyId,
+    plantId: req.user.plantId,
+    createdBy: req.user.userId
+  });
+
+  await recordAudit({ req, module: "FORMS", action: "TEMPLATE_CREATED", entityType: "FormTemplate", after: template });
+  claimTemplateImages(template);
+
+  res.status(201).json({
+    success: true,
+    message: "Template created successfully",
+    data: template
+  });
+});
+
+export const getTemplates = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const filter = { isActive: true };
+
+  if (req.user.role === "PLANT_ADMIN") {
+    filter.plantId = req.user.plantId;
+  } else if (req.user.role === "COMPANY_ADMIN") {
+    filter.companyId = req.user.companyId;
+  }
 
-    if (req.user.role === "PLANT_ADMIN") {
-      filter.plantId = req.user.plantId;
-    } else if (req.user.role === "COMPANY_ADMIN") {
-      filter.companyId = req.user.companyId;
-    }
+  if (status) {
+    filter.status = status;
+  }
 
-    if (status) {
-      filter.status = status;
-    }
+  const templates = await FormTemplate.find(filter).sort({ createdAt: -1 });
 
-    const templates = await FormTemplate.find(filter).sort({ createdAt: -1 });
+  res.json({ success: true, data: templates });
+});
 
-    res.json({ success: true, data: templates });
-  } catch (error) {
-    console.error("Get templates error:", error);
-    res.status(500).json({ success: false, message: "Failed to fetch templates" });
+export const getTemplateById = asyncHandler(async (req, res) => {
+  const template = await FormTemplate.findById(req.params.id).forTenant(await getTenantScope(req));
+  if (!template) {
+    throw new NotFoundError("Template not found");
   }
-};
-
-export const getTemplateById = async (req, res) => {
-  try {
-    const template = await FormTemplate.findById(req.params.id);
-    if (!template) {
-      return res.status(404).json({ success: false, message: "Template not found" });
-    }
-    res.json({ success: true, data: template });
-  } catch (error) {
-    console.error("Get template by id error:", error);
-    res.status(500).json({ success: false, message: "Failed to fetch template" });
+  res.json({ success: true, data: template });
+});
+
+export const updateTemplate = asyncHandler(async (req, res) => {
+  // Ownership fields are never taken from the body
+  const { companyId, plantId, createdBy, ...updates } = req.body;
+  const scope = await getTenantScope(req);
+
+  const before = await FormTemplate.findById(req.params.id).forTenant(scope).lean();
+  const updated = await FormTemplate.findByIdAndUpdate(
+    req.params.id,
+    updates,
+    { new: true }
+  ).forTenant(scope);
+
+  if (!updated) {
+    throw new NotFoundError("Template not found");
   }
-};
 
-export const updateTemplate = async (req, res) => {
-  try {
-    const updated = await FormTemplate.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true }
-    );
-
-    res.json({
-      success: true,
-      message: "Template updated successfully",
-      data: updated
-    });
-  } catch (error) {
-    console.error("Update template error:", error);
-    res.status(500).json({ success: false, message: "Update failed" });
-  }
-};
+  await recordAudit({ req, module: "FORMS", action: "TEMPLATE_UPDATED", entityType: "FormTemplate", before, after: updated });
+  claimTemplateImages(updated);
 
-export const deleteTemplate = async (req, res) => {
-  try {
-    const templateId = req.params.id;
-
-    // Guard: Check if template has submissions
-    const submissionCount = await FormSubmission.countDocuments({ templateId });
-    if (submissionCount > 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Cannot delete template with existing submissions. Archive it instead." 
-      });
-    }
-
-    await FormTemplate.findByIdAndUpdate(templateId, { isActive: false });
-    res.json({ success: true, message: "Template removed successfully" });
-  } catch (error) {
-    console.error("Delete template error:", error);
-    res.status(500).json({ success: false, message: "Delete failed" });
+  res.json({
+    success: true,
+    message: "Template updated successfully",
+    data: updated
+  });
+});
+
+export const deleteTemplate = asyncHandler(async (req, res) => {
+  const templateId = req.params.id;
+
+  const template = await FormTemplate.findById(templateId).forTenant(await getTenantScope(req));
+  if (!template) {
+    throw new NotFoundError("Template not found");
   }
-};
 
-export const archiveTemplate = async (req, res) => {
-  try {
-    const template = await FormTemplate.findByIdAndUpdate(
-      req.params.id,
-      { status: "ARCHIVED", archivedAt: new Date() },
-      { new: true }
-    );
-    res.json({ success: true, message: "Template archived successfully", data: template });
-  } catch (error) {
-    console.error("Archive template error:", error);
-    res.status(500).json({ success: false, message: "Archive failed" });
+  // Guard: Check if template has submissions
+  const submissionCount = await FormSubmission.countDocuments({ templateId });
+  if (submissionCount > 0) {
+    throw new BadRequestError("Cannot delete template with existing submissions. Archive it instead.");
   }
-};
 
-export const restoreTemplate = async (req, res) => {
-  try {
-    const template = await FormTemplate.findByIdAndUpdate(
-      req.params.id,
-      { status: "PUBLISHED", archivedAt: null },
-      { new: true }
-    );
-    res.json({ success: true, message: "Template restored successfully", data: template });
-  } catch (error) {
-    console.error("Restore template error:", error);
-    res.status(500).json({ success: false, message: "Restore failed" });
+  const removed = await FormTemplate.findByIdAndUpdate(templateId, { isActive: false }, { new: true });
+  await recordAudit({ req, module: "FORMS", action: "TEMPLATE_DELETED", entityType: "FormTemplate", before: template, after: removed });
+
+  res.json({ success: true, message: "Template removed successfully" });
+});
+
+export const archiveTemplate = asyncHandler(async (req, res) => {
+  const scope = await getTenantScope(req);
+  const before = await FormTemplate.findById(req.params.id).forTenant(scope).lean();
+  const template = await FormTemplate.findByIdAndUpdate(
+    req.params.id,
+    { status: "ARCHIVED", archivedAt: new Date() },
+    { new: true }
+  ).forTenant(scope);
+  if (!template) {
+    throw new NotFoundError("Template not found");
   }
-};
+  await recordAudit({ req, module: "FORMS", action: "TEMPLATE_ARCHIVED", entityType: "FormTemplate", before, after: template });
+  res.json({ success: true, message: "Template archived successfully", data: template });
+});
+
+export const restoreTemplate = asyncHandler(async (req, res) => {
+  const scope = await getTenantScope(req);
+  const before = await FormTemplate.findById(req.params.id).forTenant(scope).lean();
+  const template = await FormTemplate.findByIdAndUpdate(
+    req.params.id,
+    { status: "PUBLISHED", archivedAt: null },
+    { new: true }
+  ).forTenant(scope);
+  if (!template) {
+    throw new NotFoundError("Template not found");
+  }
+  await recordAudit({ req, module: "FORMS", action: "TEMPLATE_RESTORED", entityType: "FormTemplate", before, after: template });
+  res.json({ success: true, message: "Template restored successfully", data: template });
+});
 
 export const incrementUsageCount = async (templateId) => {
   try {
     await FormTemplate.findByIdAndUpdate(templateId, { $inc: { usageCount: 1 } });
   } catch (error) {
-    console.error("Increment usage count error:", error);
+    logger.error("Increment usage count error", error);
   }
 };
@@ -0,0 +1,25 @@
+import { uploadBase64Asset } from "../services/upload.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { BadRequestError } from "../utils/errors.js";
+
+/* 🔹 Helper: Upload the request's base64 payload as the given kind */
+const handleUpload = (kind) => asyncHandler(async (req, res) => {
+  const { base64 } = req.body;
+  if (!base64) {
+    throw new BadRequestError("Base64 string is required");
+  }
+
+  const { asset } = await uploadBase64Asset(req.user, base64, kind);
+  res.json({ url: asset.url, publicId: asset.publicId, assetId: asset._id });
+});
+
+/* ======================================================
+   UPLOAD SIGNATURE
+====================================================== */
+export const uploadSignature = handleUpload("signature");
+
+/* ======================================================
+   UPLOAD IMAGE
+   The target folder is derived from the caller's tenant
+====================================================== */
+export const uploadImage = handleUpload("image");
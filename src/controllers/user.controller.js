@@ -5,305 +5,409 @@ import { validateEmployeeCreation } from "../utils/planLimits.js";
 import { sendWelcomeEmail } from "../services/email.service.js";
 import Plant from "../models/Plant.model.js";
 import { generateCacheKey, deleteFromCache } from "../utils/cache.js";
+import { revokeAllUserTokens } from "../services/token.service.js";
+import { createSetPasswordLink, generateRandomPassword } from "../services/password.service.js";
+import { inviteUser, resolveInvitationScope, toPublicInvitation } from "../services/invitation.service.js";
+import { PLANT_ROLES, getPlantMemberships, invalidatePlantMemberships } from "../services/membership.service.js";
+import { getTenantScope, isPlantInScope } from "../services/tenant.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { BadRequestError, NotFoundError, PlanLimitExceededError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+export const getUsers = asyncHandler(async (req, res) => {
+  const filter = { isActive: { $ne: false } };
+
+  // Role-based filtering
+  if (req.user.role === "PLANT_ADMIN") {
+    filter.plantId = req.user.plantId;
+  } else if (req.user.role === "COMPANY_ADMIN") {
+    filter.companyId = req.user.companyId;
+  } else if (req.user.role === "SUPER_ADMIN") {
+    // SUPER_ADMIN can see all users, but allow filtering by companyId or plantId
+    if (req.query.companyId) filter.companyId = req.query.companyId;
+    if (req.query.plantId) filter.plantId = req.query.plantId;
+  } else {
+    // Regular users can only see themselves
+    filter._id = req.user.userId;
+  }
 
-export const getUsers = async (req, res) => {
-  try {
-    const filter = { isActive: { $ne: false } };
-
-    // Role-based filtering
-    if (req.user.role === "PLANT_ADMIN") {
-      filter.plantId = req.user.plantId;
-    } else if (req.user.role === "COMPANY_ADMIN") {
-      filter.companyId = req.user.companyId;
-    } else if (req.user.role === "SUPER_ADMIN") {
-      // SUPER_ADMIN can see all users, but allow filtering by companyId or plantId
-      if (req.query.companyId) filter.companyId = req.query.companyId;
-      if (req.query.plantId) filter.plantId = req.query.plantId;
-    } else {
-      // Regular users can only see themselves
-      filter._id = req.user.userId;
-    }
+  // Additional filters
+  if (req.query.role) filter.role = req.query.role;
+  if (req.query.search) {
+    const searchRegex = new RegExp(req.query.search, 'i');
+    filter.$or = [
+      { name: searchRegex },
+      { email: searchRegex }
+    ];
+  }
 
-    // Additional filters
-    if (req.query.role) filter.role = req.query.role;
-    if (req.query.search) {
-      const searchRegex = new RegExp(req.query.search, 'i');
-      filter.$or = [
-        { name: searchRegex },
-        { email: searchRegex }
-      ];
-    }
+  const users = await User.find(filter)
+    .populate("companyId", "name")
+    .populate("plantId", "name");
 
-    const users = await User.find(filter)
-      .populate("companyId", "name")
-      .populate("plantId", "name");
+  res.json({ success: true, data: users });
+});
 
-    res.json({ success: true, data: users });
-  } catch (error) {
-    console.error("Get users error:", error);
-    res.status(500).json({ success: false, message: "Failed to fetch users" });
-  }
-};
+export const getProfile = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.userId)
+    .populate("companyId", "name logoUrl gstNumber address templateFeatureEnabled")
+    .populate("plantId", "name plantNumber location code templateFeatureEnabled");
 
-export const getProfile = async (req, res) => {
-  try {
-    const user = await User.findById(req.user.userId)
-      .populate("companyId", "name logoUrl gstNumber address templateFeatureEnabled")
-      .populate("plantId", "name plantNumber location code templateFeatureEnabled");
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
 
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User not found" });
+  // Check template feature status
+  let templateFeatureEnabled = false;
+  if (user.plantId) {
+    // If plant has explicit setting, use it; otherwise inherit from company
+    if (user.plantId.templateFeatureEnabled !== null && user.plantId.templateFeatureEnabled !== undefined) {
+      templateFeatureEnabled = user.plantId.templateFeatureEnabled;
+    } else {
+      templateFeatureEnabled = user.companyId?.templateFeatureEnabled || false;
     }
+  } else if (user.companyId) {
+    templateFeatureEnabled = user.companyId.templateFeatureEnabled || false;
+  }
 
-    // Check template feature status
-    let templateFeatureEnabled = false;
-    if (user.plantId) {
-      // If plant has explicit setting, use it; otherwise inherit from company
-      if (user.plantId.templateFeatureEnabled !== null && user.plantId.templateFeatureEnabled !== undefined) {
-        templateFeatureEnabled = user.plantId.templateFeatureEnabled;
-      } else {
-        templateFeatureEnabled = user.companyId?.templateFeatureEnabled || false;
+  res.json({
+    success: true,
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        phoneNumber: user.phoneNumber,
+        position: user.position,
+        permissions: user.permissions,
+        companyId: user.companyId?._id || user.companyId,
+        companyName: user.companyId?.name,
+        companyLogo: user.companyId?.logoUrl,
+        companyGst: user.companyId?.gstNumber,
+        companyAddress: user.companyId?.address,
+        plantId: user.plantId?._id || user.plantId,
+        plantName: user.plantId?.name,
+        plantNumber: user.plantId?.plantNumber,
+        plantLocation: user.plantId?.location,
+        plantCode: user.plantId?.code,
+        templateFeatureEnabled: templateFeatureEnabled
       }
-    } else if (user.companyId) {
-      templateFeatureEnabled = user.companyId.templateFeatureEnabled || false;
     }
-
-    res.json({
-      success: true,
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          phoneNumber: user.phoneNumber,
-          position: user.position,
-          permissions: user.permissions,
-          companyId: user.companyId?._id || user.companyId,
-          companyName: user.companyId?.name,
-          companyLogo: user.companyId?.logoUrl,
-          companyGst: user.companyId?.gstNumber,
-          companyAddress: user.companyId?.address,
-          plantId: user.plantId?._id || user.plantId,
-          plantName: user.plantId?.name,
-          plantNumber: user.plantId?.plantNumber,
-          plantLocation: user.plantId?.location,
-          plantCode: user.plantId?.code,
-          templateFeatureEnabled: templateFeatureEnabled
-        }
-      }
-    });
-  } catch (error) {
-    console.error("Get profile error:", error);
-    res.status(500).json({ success: false, message: "Failed to fetch profile" });
+  });
+});
+
+export const updateProfile = asyncHandler(async (req, res) => {
+  const { name, email, phoneNumber, position } = req.body;
+
+  const updateData = {};
+  if (name) updateData.name = name;
+  if (email) updateData.email = email;
+  if (phoneNumber) updateData.phoneNumber = phoneNumber;
+  if (position) updateData.position = position;
+
+  const updatedUser = await User.findByIdAndUpdate(
+    req.user.userId,
+    updateData,
+    { new: true }
+  );
+
+  res.json({ success: true, data: updatedUser });
+});
+
+export const createEmployee = asyncHandler(async (req, res) => {
+  const { name, email, password, phoneNumber, position, companyId, plantId, sendInvite } = req.body;
+
+  // Same scope rules as invitations: the caller's own company / plant
+  const { companyId: targetCompanyId, plantId: targetPlantId } = await resolveInvitationScope(req.user, {
+    role: "EMPLOYEE",
+    companyId: companyId || req.user.companyId,
+    plantId: plantId || req.user.plantId
+  });
+
+  const validation = await validateEmployeeCreation(targetCompanyId, targetPlantId);
+  if (!validation.allowed) {
+    throw new PlanLimitExceededError(validation);
   }
-};
 
-export const updateProfile = async (req, res) => {
-  try {
-    const { name, email, phoneNumber, position } = req.body;
-
-    const updateData = {};
-    if (name) updateData.name = name;
-    if (email) updateData.email = email;
-    if (phoneNumber) updateData.phoneNumber = phoneNumber;
-    if (position) updateData.position = position;
-
-    const updatedUser = await User.findByIdAndUpdate(
-      req.user.userId,
-      updateData,
-      { new: true }
-    );
-
-    res.json({ success: true, data: updatedUser });
-  } catch (error) {
-    console.error("Update profile error:", error);
-    res.status(500).json({ success: false, message: "Failed to update profile" });
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    throw new BadRequestError("User with this email already exists");
   }
-};
 
-export const createEmployee = async (req, res) => {
-  try {
-    const { name, email, password, phoneNumber, position, companyId, plantId } = req.body;
-
-    const targetCompanyId = companyId || req.user.companyId;
-    const targetPlantId = plantId || req.user.plantId;
-
-    const validation = await validateEmployeeCreation(targetCompanyId, targetPlantId);
-    if (!validation.allowed) {
-      return res.status(403).json({ 
-        message: validation.message,
-        upgradeRequired: validation.upgradeRequired,
-        currentCount: validation.currentCount,
-        limit: validation.limit
-      });
-    }
-
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: "User with this email already exists" });
-    }
-
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    const newUser = new User({
-      name,
+  // Invite instead of creating the account: it is created when the employee accepts
+  if (sendInvite) {
+    const invitation = await inviteUser({
       email,
-      password: hashedPassword,
+      name,
       role: "EMPLOYEE",
-      phoneNumber,
-      position,
       companyId: targetCompanyId,
       plantId: targetPlantId,
-      isActive: true
+      phoneNumber,
+      position,
+      invitedBy: req.user.userId
+    }, req.user.role);
+
+    return res.status(201).json({
+      message: "Invitation sent successfully",
+      invitation: toPublicInvitation(invitation)
     });
+  }
 
-    await newUser.save();
+  // The employee chooses their own password through the welcome email link
+  const hashedPassword = await bcrypt.hash(password || generateRandomPassword(), 10);
+
+  const newUser = new User({
+    name,
+    email,
+    password: hashedPassword,
+    role: "EMPLOYEE",
+    phoneNumber,
+    position,
+    companyId: targetCompanyId,
+    plantId: targetPlantId,
+    isActive: true,
+    mustChangePassword: true
+  });
+
+  await newUser.save();
+  await recordAudit({ req, module: "USERS", action: "USER_CREATED", entityType: "User", after: newUser });
+
+  // Invalidate cache for plant employees
+  try {
+    const cacheKey = generateCacheKey('plantEmployees', { plantId: targetPlantId });
+    await deleteFromCache(cacheKey);
+  } catch (cacheError) {
+    logger.error('Cache invalidation error', cacheError);
+  }
 
-    // Invalidate cache for plant employees
-    try {
-      const cacheKey = generateCacheKey('plantEmployees', { plantId: targetPlantId });
-      await deleteFromCache(cacheKey);
-    } catch (cacheError) {
-      console.error('Cache invalidation error:', cacheError);
-    }
+  // Send welcome email asynchronously (don't await it)
+  try {
+    const company = await Company.findById(targetCompanyId);
+    const companyName = company ? company.name : "Your Company";
+    const loginUrl = process.env.CLIENT_URL || "http://localhost:5173";
+    const setPasswordUrl = await createSetPasswordLink(newUser._id);
+    
+    // Don't await this - let it run in the background
+    sendWelcomeEmail(
+      email,
+      name,
+      "EMPLOYEE",
+      companyName,
+      loginUrl,
+      setPasswordUrl,
+      company
+    ).catch(emailError => {
+      logger.error("Failed to send welcome email to employee", emailError);
+    });
+  } catch (emailError) {
+    logger.error("Error preparing welcome email", emailError);
+    // Don't fail the request if email preparation fails
+  }
 
-    // Send welcome email asynchronously (don't await it)
-    try {
-      const company = await Company.findById(targetCompanyId);
-      const companyName = company ? company.name : "Your Company";
-      const loginUrl = process.env.CLIENT_URL || "http://localhost:5173";
-      
-      // Don't await this - let it run in the background
-      sendWelcomeEmail(
-        email,
-        name,
-        "EMPLOYEE",
-        companyName,
-        loginUrl,
-        password, // Send the raw password
-        company
-      ).catch(emailError => {
-        console.error("Failed to send welcome email to employee:", emailError);
-      });
-    } catch (emailError) {
-      console.error("Error preparing welcome email:", emailError);
-      // Don't fail the request if email preparation fails
+  res.status(201).json({
+    message: "Employee created successfully",
+    employee: {
+      id: newUser._id,
+      name: newUser.name,
+      email: newUser.email,
+      role: newUser.role,
+      position: newUser.position
     }
+  });
+});
+
+export const updateEmployee = asyncHandler(async (req, res) => {
+  const { name, email, position, phoneNumber, isActive } = req.body;
+
+  const updateData = {};
+  if (name) updateData.name = name;
+  if (email) updateData.email = email;
+  if (position) updateData.position = position;
+  if (phoneNumber) updateData.phoneNumber = phoneNumber;
+  if (typeof isActive === "boolean") updateData.isActive = isActive;
+
+  const scope = await getTenantScope(req);
+  const before = await User.findById(req.params.id).forTenant(scope).lean();
+  const updatedUser = await User.findByIdAndUpdate(
+    req.params.id,
+    updateData,
+    { new: true }
+  ).forTenant(scope);
+
+  if (!updatedUser) {
+    throw new NotFoundError("Employee not found");
+  }
+  await recordAudit({ req, module: "USERS", action: "USER_UPDATED", entityType: "User", before, after: updatedUser });
 
-    res.status(201).json({
-      message: "Employee created successfully",
-      employee: {
-        id: newUser._id,
-        name: newUser.name,
-        email: newUser.email,
-        role: newUser.role,
-        position: newUser.position
-      }
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Failed to create employee" });
+  // Deactivated accounts lose access immediately
+  if (isActive === false) {
+    await revokeAllUserTokens(updatedUser._id, { revokedBy: req.user.userId, reason: "Account deactivated" });
   }
-};
 
-export const updateEmployee = async (req, res) => {
-  try {
-    const { name, email, position, phoneNumber } = req.body;
-
-    const updateData = {};
-    if (name) updateData.name = name;
-    if (email) updateData.email = email;
-    if (position) updateData.position = position;
-    if (phoneNumber) updateData.phoneNumber = phoneNumber;
-
-    const updatedUser = await User.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    );
-
-    if (!updatedUser) {
-      return res.status(404).json({ message: "Employee not found" });
-    }
+  res.json({ success: true, data: updatedUser });
+});
 
-    res.json({ success: true, data: updatedUser });
-  } catch (error) {
-    console.error("Update employee error:", error);
-    res.status(500).json({ success: false, message: "Failed to update employee" });
+export const deleteEmployee = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).forTenant(await getTenantScope(req));
+  if (!user) {
+    throw new NotFoundError("Employee not found");
   }
-};
 
-export const deleteEmployee = async (req, res) => {
-  try {
-    const user = await User.findById(req.params.id);
-    if (!user) {
-      return res.status(404).json({ message: "Employee not found" });
-    }
+  if (user.role !== "EMPLOYEE") {
+    throw new BadRequestError("Cannot delete non-employee users");
+  }
 
-    if (user.role !== "EMPLOYEE") {
-      return res.status(400).json({ message: "Cannot delete non-employee users" });
-    }
+  await User.findByIdAndUpdate(user._id, { isActive: false });
+  await revokeAllUserTokens(user._id, { revokedBy: req.user.userId, reason: "Account deleted" });
+  await recordAudit({
+    req,
+    module: "USERS",
+    action: "USER_DELETED",
+    entityType: "User",
+    before: user,
+    after: { ...user.toObject(), isActive: false }
+  });
+
+  res.json({ success: true, message: "Employee removed successfully" });
+});
+
+export const getPlantEmployees = asyncHandler(async (req, res) => {
+  const { plantId } = req.params;
+
+  // Plant admins only see their current plant; nobody sees plants outside their tenant
+  const scope = await getTenantScope(req);
+  const otherPlant = req.user.role === "PLANT_ADMIN" && plantId !== req.user.plantId.toString();
+  if (otherPlant || !await isPlantInScope(scope, plantId)) {
+    throw new NotFoundError("Plant not found");
+  }
 
-    await User.findByIdAndUpdate(req.params.id, { isActive: false });
+  const employees = await User.find({
+    plantId: plantId,
+    role: "EMPLOYEE",
+    isActive: true
+  }).forTenant(scope).select("name email position createdAt");
+
+  res.json({ success: true, data: employees });
+});
+
+export const updateAdmin = asyncHandler(async (req, res) => {
+  const { name, email, password, profileImage, phoneNumber, position } = req.body;
+
+  const updateData = {};
+  if (name) updateData.name = name;
+  if (email) updateData.email = email;
+  if (profileImage) updateData.profileImage = profileImage;
+  if (phoneNumber) updateData.phoneNumber = phoneNumber;
+  if (position) updateData.position = position;
+  if (password) {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    updateData.password = hashedPassword;
+  }
+
+  const before = await User.findById(req.params.id).lean();
+  const updatedUser = await User.findByIdAndUpdate(
+    req.params.id,
+    updateData,
+    { new: true }
+  );
 
-    res.json({ success: true, message: "Employee removed successfully" });
-  } catch (error) {
-    console.error("Delete employee error:", error);
-    res.status(500).json({ success: false, message: "Failed to remove employee" });
+  if (!updatedUser) {
+    throw new NotFoundError("User not found");
   }
+  await recordAudit({
+    req,
+    module: "USERS",
+    action: "USER_UPDATED",
+    entityType: "User",
+    before,
+    after: updatedUser,
+    ...(password && { details: { passwordChanged: true } })
+  });
+
+  res.json({ success: true, data: updatedUser });
+});
+
+/* ======================================================
+   PLANT MEMBERSHIPS
+====================================================== */
+
+/* 🔹 Helper: Load a plant-level user the caller may manage, or null */
+const findPlantMember = (req) => {
+  const filter = { _id: req.params.id, role: { $in: PLANT_ROLES } };
+  if (req.user.role !== "SUPER_ADMIN") filter.companyId = req.user.companyId;
+  return User.findOne(filter);
 };
 
-export const getPlantEmployees = async (req, res) => {
-  try {
-    const { plantId } = req.params;
+export const addPlantMembership = asyncHandler(async (req, res) => {
+  const { plantId, role } = req.body;
 
-    // Verify authorization
-    if (req.user.role === "PLANT_ADMIN" && plantId !== req.user.plantId.toString()) {
-      return res.status(403).json({ success: false, message: "Unauthorized to access this plant's employees" });
-    }
-
-    const employees = await User.find({
-      plantId: plantId,
-      role: "EMPLOYEE",
-      isActive: true
-    }).select("name email position createdAt");
+  if (!plantId || !PLANT_ROLES.includes(role)) {
+    throw new BadRequestError(`plantId and a role (${PLANT_ROLES.join(", ")}) are required`);
+  }
 
-    res.json({ success: true, data: employees });
-  } catch (error) {
-    console.error("Get plant employees error:", error);
-    res.status(500).json({ success: false, message: "Failed to fetch plant employees" });
+  const user = await findPlantMember(req);
+  if (!user) {
+    throw new NotFoundError("User not found");
   }
-};
 
-export const updateAdmin = async (req, res) => {
-  try {
-    const { name, email, password, profileImage, phoneNumber, position } = req.body;
-
-    const updateData = {};
-    if (name) updateData.name = name;
-    if (email) updateData.email = email;
-    if (profileImage) updateData.profileImage = profileImage;
-    if (phoneNumber) updateData.phoneNumber = phoneNumber;
-    if (position) updateData.position = position;
-    if (password) {
-      const hashedPassword = await bcrypt.hash(password, 10);
-      updateData.password = hashedPassword;
-    }
+  // Memberships never cross company boundaries
+  const plant = await Plant.findOne({ _id: plantId, companyId: user.companyId, isActive: true });
+  if (!plant) {
+    throw new NotFoundError("Plant not found in the user's company");
+  }
 
-    const updatedUser = await User.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    );
+  if (user.plantId?.toString() === plant._id.toString()) {
+    throw new BadRequestError("This is already the user's home plant");
+  }
 
-    if (!updatedUser) {
-      return res.status(404).json({ message: "User not found" });
-    }
+  const before = user.toObject();
+  const existing = user.plantMemberships.find(m => m.plantId.toString() === plant._id.toString());
+  if (existing) {
+    existing.role = role;
+  } else {
+    user.plantMemberships.push({ plantId: plant._id, role, addedBy: req.user.userId });
+  }
+  await user.save();
+  await invalidatePlantMemberships(user._id);
+  await recordAudit({
+    req,
+    module: "USERS",
+    action: "USER_PLANT_ADDED",
+    entityType: "User",
+    before,
+    after: user,
+    details: { plantId: plant._id, role }
+  });
+
+  res.json({ success: true, message: `${user.name} can now work in ${plant.name}`, data: getPlantMemberships(user) });
+});
+
+export const removePlantMembership = asyncHandler(async (req, res) => {
+  const user = await findPlantMember(req);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
 
-    res.json({ success: true, data: updatedUser });
-  } catch (error) {
-    console.error("Update admin error:", error);
-    res.status(500).json({ success: false, message: "Failed to update admin" });
+  const remaining = user.plantMemberships.filter(m => m.plantId.toString() !== req.params.plantId);
+  if (remaining.length === user.plantMemberships.length) {
+    throw new NotFoundError("Membership not found");
   }
-};
\ No newline at end of file
+
+  const before = user.toObject();
+  user.plantMemberships = remaining;
+  await user.save();
+  await invalidatePlantMemberships(user._id);
+  await recordAudit({
+    req,
+    module: "USERS",
+    action: "USER_PLANT_REMOVED",
+    entityType: "User",
+    before,
+    after: user,
+    details: { plantId: req.params.plantId }
+  });
+
+  res.json({ success: true, message: "Plant membership removed", data: getPlantMemberships(user) });
+});
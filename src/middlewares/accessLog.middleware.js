@@ -0,0 +1,38 @@
+import { logger, redactUrlPath } from "../utils/logger.js";
+
+/**
+ * One access-log line per request once the response is finished (or the
+ * client went away): method, path (tokens masked), status, latency and the
+ * caller's user / tenant when the request was authenticated.
+ */
+export const accessLog = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  const done = () => {
+    res.off("finish", done);
+    res.off("close", done);
+
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const level = res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+
+    logger[level]("request completed", {
+      method: req.method,
+      path: redactUrlPath(req.originalUrl),
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      ...(!res.writableFinished && { aborted: true }),
+      contentLength: res.get("Content-Length"),
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      userId: req.user?.userId,
+      apiKeyId: req.user?.apiKey?.id,
+      impersonatedBy: req.user?.impersonatedBy?.userId,
+      companyId: req.user?.companyId,
+      plantId: req.user?.plantId
+    });
+  };
+
+  res.on("finish", done);
+  res.on("close", done);
+  next();
+};
@@ -1,30 +1,189 @@
-import jwt from "jsonwebtoken";
+import { verifyAccessToken, verifyChallengeToken } from "../services/token.service.js";
+import { isApiKey, verifyApiKey, buildApiKeyPrincipal } from "../services/apiKey.service.js";
+import { touchSession } from "../services/session.service.js";
+import { auditImpersonatedRequest } from "../services/impersonation.service.js";
+import { PLANT_ROLES, getMemberPlantIds } from "../services/membership.service.js";
+import { findActiveApprovalLink, buildApprovalLinkPrincipal } from "../services/approval.service.js";
+import { apiRateLimit } from "./rateLimit.middleware.js";
+import { logger } from "../utils/logger.js";
+import { ForbiddenError, UnauthorizedError } from "../utils/errors.js";
+import { addRequestContext } from "../utils/requestContext.js";
 
-export const auth = (req, res, next) => {
+/**
+ * Verify the bearer token. Accounts flagged with mustChangePassword are blocked
+ * everywhere except routes created with { allowPasswordChange: true }.
+ *
+ * API keys (X-API-Key header, or an API key as the bearer token) are only
+ * accepted on routes created with { apiKeyPermission } and only when the key
+ * holds that permission.
+ *
+ * Requests made with an impersonation token are written to the audit log.
+ * Authenticated requests then count against the API-wide rate limit.
+ * Rejections are passed to next() as AppErrors for the error middleware.
+ */
+export const authenticate = ({ allowPasswordChange = false, apiKeyPermission = null } = {}) => async (req, res, next) => {
   const header = req.headers.authorization;
+  const token = header?.split(" ")[1];
+  const apiKey = req.headers["x-api-key"] || (isApiKey(token) ? token : null);
+
+  if (apiKey) {
+    return authenticateApiKey(apiKey, apiKeyPermission, req, res, next);
+  }
 
   if (!header) {
-    return res.status(401).json({ message: "No authorization header" });
+    return next(new UnauthorizedError("No authorization header"));
+  }
+
+  try {
+    req.user = await verifyAccessToken(token);
+  } catch (err) {
+    return next(new UnauthorizedError("Invalid token"));
+  }
+
+  addRequestContext({ userId: req.user.userId, companyId: req.user.companyId });
+
+  if (req.user.sid) {
+    touchSession(req.user.sid, req.ip).catch(err => logger.error("Failed to record session activity", err));
+  }
+
+  if (req.user.impersonatedBy) {
+    auditImpersonatedRequest(req, res);
   }
 
-  const token = header.split(" ")[1];
+  if (req.user.mustChangePassword && !allowPasswordChange) {
+    return next(new ForbiddenError("You must change your password before continuing", { code: "PASSWORD_CHANGE_REQUIRED" }));
+  }
+
+  apiRateLimit(req, res, next);
+};
 
+const authenticateApiKey = async (key, permission, req, res, next) => {
+  let apiKey;
   try {
-    req.user = jwt.verify(token, process.env.JWT_SECRET);
-    next();
+    apiKey = await verifyApiKey(key, req.ip);
   } catch (err) {
-    return res.status(401).json({ message: "Invalid token" });
+    return next(err);
+  }
+
+  if (!apiKey) {
+    return next(new UnauthorizedError("Invalid API key"));
+  }
+
+  if (!permission || !apiKey.permissions.includes(permission)) {
+    return next(new ForbiddenError("API key is not permitted to access this resource"));
+  }
+
+  req.user = buildApiKeyPrincipal(apiKey);
+  addRequestContext({ apiKeyId: req.user.apiKey.id, companyId: req.user.companyId });
+  apiRateLimit(req, res, next);
+};
+
+export const auth = authenticate();
+
+/**
+ * Pin the companyId / plantId query filters to the API key's own scope, for
+ * routes that accept those filters from the caller.
+ */
+export const restrictApiKeyToScope = (req, res, next) => {
+  if (req.user?.apiKey) {
+    req.query.companyId = req.user.companyId;
+    if (req.user.plantId) req.query.plantId = req.user.plantId;
   }
+  next();
+};
+
+/**
+ * Keep plant-level users inside the plants they belong to: a requested plantId
+ * must be one of their memberships and defaults to the plant the token is
+ * scoped to; companyId is pinned to their own company.
+ */
+export const restrictToMemberPlants = async (req, res, next) => {
+  if (!req.user || req.user.apiKey || !PLANT_ROLES.includes(req.user.role)) return next();
+
+  try {
+    const plantIds = await getMemberPlantIds(req.user.userId);
+    const plantId = req.query.plantId || req.user.plantId?.toString();
+
+    if (!plantIds.includes(plantId)) {
+      return next(new ForbiddenError("You are not a member of this plant"));
+    }
+
+    req.query.plantId = plantId;
+    req.query.companyId = req.user.companyId;
+  } catch (err) {
+    return next(err);
+  }
+
+  next();
+};
+
+/**
+ * Reject the request while the caller is impersonating another user.
+ * Used on actions that must only ever be taken by the account owner.
+ */
+export const blockDuringImpersonation = (req, res, next) => {
+  if (req.user?.impersonatedBy) {
+    return next(new ForbiddenError("This action is not available while impersonating a user", { code: "IMPERSONATION_RESTRICTED" }));
+  }
+  next();
+};
+
+/**
+ * Accept either a regular access token or a login challenge token
+ * (`challengeToken` in the body) issued for the given purpose.
+ * When the challenge is used, req.challenge holds its decoded payload.
+ */
+export const authenticateWithChallenge = (purpose) => async (req, res, next) => {
+  const challengeToken = req.body?.challengeToken;
+  if (!challengeToken) {
+    return auth(req, res, next);
+  }
+
+  try {
+    req.challenge = await verifyChallengeToken(challengeToken, purpose);
+  } catch (err) {
+    return next(new UnauthorizedError("Invalid or expired challenge token"));
+  }
+
+  req.user = { userId: req.challenge.userId };
+  next();
+};
+
+/**
+ * Accept either a regular access token or an approval-link token
+ * (X-Approval-Token header) for public approval pages. With the link,
+ * req.user is scoped to the link's plant and carries approvalLinkId instead
+ * of a userId.
+ */
+export const authenticateWithApprovalLink = async (req, res, next) => {
+  const linkToken = req.headers["x-approval-token"];
+  if (!linkToken) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const link = await findActiveApprovalLink(linkToken);
+    req.user = link && await buildApprovalLinkPrincipal(link);
+  } catch (err) {
+    return next(err);
+  }
+
+  if (!req.user) {
+    return next(new UnauthorizedError("Invalid or expired approval link"));
+  }
+
+  addRequestContext({ approvalLinkId: req.user.approvalLinkId, companyId: req.user.companyId });
+  apiRateLimit(req, res, next);
 };
 
 export const checkRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({ message: "Unauthorized" });
+      return next(new UnauthorizedError());
     }
 
     if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ message: "Forbidden: You do not have the required role" });
+      return next(new ForbiddenError("Forbidden: You do not have the required role"));
     }
 
     next();
@@ -0,0 +1,93 @@
+import mongoose from "mongoose";
+import multer from "multer";
+import { AppError } from "../utils/errors.js";
+import { sendResponse } from "../utils/response.js";
+import { logger, redactUrlPath } from "../utils/logger.js";
+
+/**
+ * Central error handling. Every error reaching Express ends up here and is
+ * answered with the envelope from utils/response.js:
+ *   { success: false, message, data: null, error: { code, details? } }
+ * Unknown errors become a generic 500 so internals never reach the client.
+ */
+
+/* 🔹 Helper: Client-safe message for one Mongoose validator failure */
+const describeValidatorError = (error) => {
+  switch (error.kind) {
+    case "required": return `${error.path} is required`;
+    case "enum": return `${error.path} has an unsupported value`;
+    case "ObjectId": return `${error.path} must be a valid id`;
+    default: return `${error.path} is invalid`;
+  }
+};
+
+/* 🔹 Helper: Map any thrown value to { status, message, code, details } */
+const normalizeError = (err) => {
+  if (err instanceof AppError) {
+    return { status: err.status, message: err.message, code: err.code, details: err.details };
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return { status: 400, message: `Invalid ${err.path}`, code: "INVALID_ID" };
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return {
+      status: 422,
+      message: "Validation failed",
+      code: "VALIDATION_FAILED",
+      details: Object.values(err.errors).map(error => ({ field: error.path, message: describeValidatorError(error) }))
+    };
+  }
+
+  // Unique index violation
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return {
+      status: 409,
+      message: fields.length ? `A record with this ${fields.join(", ")} already exists` : "Duplicate record",
+      code: "DUPLICATE_KEY",
+      details: fields.map(field => ({ field }))
+    };
+  }
+
+  if (err instanceof multer.MulterError) {
+    const tooLarge = err.code === "LIMIT_FILE_SIZE";
+    return { status: tooLarge ? 413 : 400, message: err.message, code: tooLarge ? "FILE_TOO_LARGE" : "UPLOAD_FAILED" };
+  }
+
+  // Body parser (malformed JSON, body over the size limit)
+  if (err?.type === "entity.parse.failed") {
+    return { status: 400, message: "Malformed JSON body", code: "INVALID_JSON" };
+  }
+  if (err?.type === "entity.too.large") {
+    return { status: 413, message: "Request body is too large", code: "PAYLOAD_TOO_LARGE" };
+  }
+
+  return null;
+};
+
+// Requests that matched no route
+export const notFoundHandler = (req, res) => {
+  sendResponse(res, 404, `Route ${req.method} ${req.originalUrl} not found`, null, { code: "ROUTE_NOT_FOUND" });
+};
+
+// Express recognises error handlers by their four parameters
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  const known = normalizeError(err);
+  if (!known) {
+    logger.error("Unhandled error", { err, method: req.method, path: redactUrlPath(req.originalUrl) });
+    return sendResponse(res, 500, "Something went wrong", null, { code: "INTERNAL_ERROR" });
+  }
+
+  if (known.status >= 500) {
+    logger.error("Request failed", { err, method: req.method, path: redactUrlPath(req.originalUrl) });
+  }
+
+  sendResponse(res, known.status, known.message, null, {
+    code: known.code,
+    ...(known.details !== undefined && { details: known.details })
+  });
+};
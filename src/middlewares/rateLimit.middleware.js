@@ -0,0 +1,116 @@
+import Company from "../models/Company.model.js";
+import { getPlanById } from "../config/plans.js";
+import { getValue, setValue, deleteValue } from "../utils/kvStore.js";
+import { consumeRateLimit } from "../utils/rateLimiter.js";
+import { logger } from "../utils/logger.js";
+import { TooManyRequestsError } from "../utils/errors.js";
+
+/**
+ * Request throttling for authenticated callers.
+ * Every request counts against the caller's own bucket (per user, per API
+ * key or per approval link) and, for the API-wide limiter, against a company
+ * bucket sized by the subscription plan (`limits.apiRequestsPerMinute` in
+ * config/plans.js).
+ * Routes can add stricter named buckets with rateLimit({ name, user, apiKey }).
+ */
+
+const rateLimitWindow = () => parseInt(process.env.RATE_LIMIT_WINDOW) || 60; // seconds
+const defaultUserLimit = () => parseInt(process.env.RATE_LIMIT_PER_USER) || 300; // per window
+const defaultApiKeyLimit = () => parseInt(process.env.RATE_LIMIT_PER_API_KEY) || 600; // per window
+const rateLimitDisabled = () => process.env.RATE_LIMIT_DISABLED === "true";
+
+const COMPANY_LIMIT_CACHE_TTL = 5 * 60; // seconds
+
+const companyLimitKey = (companyId) => `ratelimit:company-limit:${companyId}`;
+
+// Requests per minute the company's plan allows (-1 = unlimited)
+export const getCompanyRateLimit = async (companyId) => {
+  const cached = await getValue(companyLimitKey(companyId));
+  if (cached !== null) return parseInt(cached);
+
+  const company = await Company.findById(companyId).select("subscription").lean();
+  const planId = company?.subscription?.plan;
+  const customLimit = planId === "CUSTOM" ? company.subscription.customLimits?.apiRequestsPerMinute : null;
+  const limit = customLimit || getPlanById(planId).limits.apiRequestsPerMinute;
+
+  await setValue(companyLimitKey(companyId), limit, COMPANY_LIMIT_CACHE_TTL);
+  return limit;
+};
+
+// Drop the cached plan limit after a plan change
+export const invalidateCompanyRateLimit = async (companyId) => {
+  await deleteValue(companyLimitKey(companyId));
+};
+
+/* 🔹 Helper: Buckets the request counts against */
+const resolveBuckets = async (req, { name, user, apiKey, company, windowSec }) => {
+  const buckets = [];
+
+  if (req.user.apiKey) {
+    buckets.push({ scope: "apiKey", key: `ratelimit:${name}:key:${req.user.apiKey.id}`, limit: apiKey ?? defaultApiKeyLimit() });
+  } else if (req.user.approvalLinkId) {
+    // Public approval pages count per link, with the per-user limit
+    buckets.push({ scope: "approvalLink", key: `ratelimit:${name}:link:${req.user.approvalLinkId}`, limit: user ?? defaultUserLimit() });
+  } else {
+    buckets.push({ scope: "user", key: `ratelimit:${name}:user:${req.user.userId}`, limit: user ?? defaultUserLimit() });
+  }
+
+  if (company && req.user.companyId) {
+    const perMinute = await getCompanyRateLimit(req.user.companyId);
+    buckets.push({
+      scope: "company",
+      key: `ratelimit:${name}:company:${req.user.companyId}`,
+      limit: perMinute > 0 ? Math.ceil(perMinute * windowSec / 60) : perMinute
+    });
+  }
+
+  return buckets;
+};
+
+export const rateLimit = ({ name = "api", user, apiKey, company = false, windowSec } = {}) => {
+  return async (req, res, next) => {
+    if (!req.user || rateLimitDisabled()) return next();
+
+    const window = windowSec || rateLimitWindow();
+
+    let results;
+    try {
+      const buckets = await resolveBuckets(req, { name, user, apiKey, company, windowSec: window });
+      results = await Promise.all(buckets.map(async bucket => ({
+        scope: bucket.scope,
+        ...(await consumeRateLimit(bucket.key, bucket.limit, window))
+      })));
+    } catch (error) {
+      // Never turn a store outage into an outage of the API
+      logger.error("Rate limit error", error);
+      return next();
+    }
+
+    const limited = results.filter(result => result.limit);
+    if (limited.length === 0) return next();
+
+    // Report the bucket closest to running out
+    const tightest = limited.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    res.set({
+      "RateLimit-Limit": tightest.limit,
+      "RateLimit-Remaining": tightest.remaining,
+      "RateLimit-Reset": tightest.resetSec
+    });
+
+    const blocked = limited
+      .filter(result => !result.allowed)
+      .sort((a, b) => b.retryAfterSec - a.retryAfterSec)[0];
+
+    if (blocked) {
+      res.set("Retry-After", blocked.retryAfterSec);
+      return next(new TooManyRequestsError(`Too many requests. Please retry in ${blocked.retryAfterSec} seconds.`, {
+        details: { scope: blocked.scope, retryAfter: blocked.retryAfterSec }
+      }));
+    }
+
+    next();
+  };
+};
+
+// API-wide limiter applied to every authenticated request
+export const apiRateLimit = rateLimit({ company: true });
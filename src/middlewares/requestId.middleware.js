@@ -0,0 +1,17 @@
+import { runWithContext, generateRequestId } from "../utils/requestContext.js";
+
+// Accept a caller's ID only if it is short and safe to echo into logs and headers
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give every request a correlation ID (the caller's X-Request-Id, or a new
+ * one), echo it back in the response and run the rest of the request inside
+ * its context so log lines, emails and background work pick it up.
+ */
+export const requestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : generateRequestId();
+  res.set("X-Request-Id", req.id);
+
+  runWithContext({ requestId: req.id }, next);
+};
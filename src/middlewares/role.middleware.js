@@ -1,7 +1,35 @@
+import { getEffectivePermissions } from "../services/permission.service.js";
+import { ForbiddenError } from "../utils/errors.js";
+
 export const authorize = (roles) => {
   return (req, res, next) => {
+    // API keys were already checked against the route's permission in authenticate()
+    if (req.user.apiKey) return next();
+
     if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ message: "Access denied" });
+      return next(new ForbiddenError());
+    }
+    next();
+  };
+};
+
+/**
+ * Require every listed permission (see config/permissions.js).
+ * The resolved permissions are kept on req.permissions for the controllers.
+ */
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    // API keys were already checked against the route's permission in authenticate()
+    if (req.user.apiKey) return next();
+
+    try {
+      req.permissions ??= await getEffectivePermissions(req.user.userId, req.user.role);
+    } catch (error) {
+      return next(error);
+    }
+
+    if (!permissions.every(permission => req.permissions.includes(permission))) {
+      return next(new ForbiddenError());
     }
     next();
   };
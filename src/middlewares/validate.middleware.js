@@ -0,0 +1,49 @@
+import fs from "fs";
+import { checkSchema, validationResult } from "express-validator";
+import { ValidationFailedError } from "../utils/errors.js";
+
+/**
+ * Declarative request validation.
+ * A route schema has one express-validator schema per request location:
+ *
+ *   router.put("/:id", auth, validate({
+ *     params: { id: objectId("Form id") },
+ *     body: { status: oneOf(["DRAFT", "PUBLISHED"], "Status") }
+ *   }), updateForm);
+ *
+ * Sanitizers in the schema (trim, toInt, ...) update the request in place.
+ * Any failure becomes a ValidationFailedError (422) listing one error per
+ * field in `error.details`: [{ field, location, message }]
+ */
+
+const LOCATIONS = ["params", "query", "body"];
+
+/* 🔹 Helper: Delete multer temp files of a rejected multipart request */
+const discardUploads = (req) => {
+  const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+  if (req.file) files.push(req.file);
+
+  for (const file of files) {
+    if (file.path) fs.rm(file.path, { force: true }, () => {});
+  }
+};
+
+export const handleValidationErrors = (req, res, next) => {
+  const result = validationResult(req);
+  if (result.isEmpty()) return next();
+
+  discardUploads(req);
+
+  next(new ValidationFailedError(result.array({ onlyFirstError: true }).map(error => ({
+    field: error.path,
+    location: error.location,
+    message: error.msg
+  }))));
+};
+
+export const validate = (schema) => [
+  ...LOCATIONS
+    .filter(location => schema[location])
+    .flatMap(location => checkSchema(schema[location], [location])),
+  handleValidationErrors
+];
@@ -0,0 +1,98 @@
+import fs from "fs";
+import { scanFile, quarantineFile, recordRejectedSubmission } from "../services/virusScan.service.js";
+import { recordAudit } from "../services/audit.service.js";
+import { AppError, ValidationFailedError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+/* 🔹 Helper: Remove multer temp files that won't be processed */
+const discardFiles = (files) => {
+  for (const file of files) {
+    if (file.path && fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  }
+};
+
+/**
+ * Scan multer uploads (req.files) before the controller stores them.
+ * Clean files get their scan result on `file.scan`. Infected files are
+ * quarantined, the attempt is kept as a RejectedSubmission and the request is
+ * rejected with one error per field (each carrying the attempt's id as
+ * `reference`); the remaining uploads are discarded so nothing is stored
+ * partially.
+ */
+export const scanUploads = async (req, res, next) => {
+  const files = req.files || [];
+  if (files.length === 0) return next();
+
+  const scans = [];
+  try {
+    for (const file of files) {
+      scans.push(await scanFile(file.path));
+    }
+  } catch (error) {
+    logger.error("Virus scan error", error);
+    discardFiles(files);
+    return next(new AppError("File scanning is temporarily unavailable. Please try again later.", {
+      status: 503,
+      code: "SCAN_UNAVAILABLE"
+    }));
+  }
+
+  const infected = files
+    .map((file, index) => ({ file, scan: scans[index] }))
+    .filter(({ scan }) => scan.status === "infected");
+
+  if (infected.length === 0) {
+    files.forEach((file, index) => { file.scan = scans[index]; });
+    return next();
+  }
+
+  const context = {
+    formId: req.params.formId || req.body?.formId,
+    taskId: req.params.taskId,
+    uploadedBy: req.user?.userId,
+    companyId: req.user?.companyId,
+    plantId: req.user?.plantId
+  };
+
+  const errors = [];
+  try {
+    const records = [];
+    for (const { file, scan } of infected) {
+      records.push(await quarantineFile(file, scan, context));
+    }
+    const rejected = await recordRejectedSubmission(records, context);
+
+    records.forEach((record, index) => {
+      const { file } = infected[index];
+
+      recordAudit({
+        req,
+        action: "FILE_QUARANTINED",
+        module: "SUBMISSIONS",
+        details: {
+          quarantineId: record._id,
+          rejectedSubmissionId: rejected._id,
+          fieldId: file.fieldname,
+          originalName: file.originalname,
+          signature: record.signature
+        }
+      });
+
+      errors.push({
+        field: file.fieldname,
+        file: file.originalname,
+        message: `"${file.originalname}" was rejected because it contains malware (${record.signature})`,
+        reference: rejected._id
+      });
+    });
+  } catch (error) {
+    discardFiles(infected.map(({ file }) => file));
+    return next(error);
+  } finally {
+    discardFiles(files.filter((file) => !infected.some((entry) => entry.file === file)));
+  }
+
+  next(new ValidationFailedError(errors, "One or more files failed the virus scan"));
+};
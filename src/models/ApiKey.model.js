@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+import { API_KEY_PERMISSIONS } from "../utils/constants.js";
+
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  prefix: { type: String, required: true }, // First characters of the key, shown to identify it
+  keyHash: { type: String, required: true }, // SHA-256 of the full key
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+  plantId: { type: mongoose.Schema.Types.ObjectId, ref: "Plant" }, // Set for plant-scoped keys
+  permissions: [{ type: String, enum: API_KEY_PERMISSIONS }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  expiresAt: { type: Date },
+  lastUsedAt: { type: Date },
+  lastUsedIp: { type: String },
+  revokedAt: { type: Date },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+}, { timestamps: true });
+
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ companyId: 1, revokedAt: 1 });
+
+export default mongoose.model("ApiKey", apiKeySchema);
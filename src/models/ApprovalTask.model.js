@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import tenantScopePlugin from "./plugins/tenantScope.plugin.js";
 
 const approvalTaskSchema = new mongoose.Schema({
   approverId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
@@ -16,4 +17,6 @@ const approvalTaskSchema = new mongoose.Schema({
   submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }
 }, { timestamps: true });
 
+approvalTaskSchema.plugin(tenantScopePlugin);
+
 export default mongoose.model("ApprovalTask", approvalTaskSchema);
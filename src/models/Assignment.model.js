@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import tenantScopePlugin from "./plugins/tenantScope.plugin.js";
 
 const assignmentSchema = new mongoose.Schema({
   templateId: { 
@@ -29,4 +30,6 @@ const assignmentSchema = new mongoose.Schema({
 assignmentSchema.index({ employeeId: 1, status: 1 });
 assignmentSchema.index({ templateId: 1 });
 
+assignmentSchema.plugin(tenantScopePlugin);
+
 export default mongoose.model("Assignment", assignmentSchema);
@@ -1,12 +1,40 @@
 import mongoose from "mongoose";
+import tenantScopePlugin from "./plugins/tenantScope.plugin.js";
+
+const changeSchema = new mongoose.Schema({
+  field: { type: String, required: true }, // Dot path, e.g. "subscription.plan"
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
 
 const auditLogSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  impersonatorId: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Real actor when impersonating
   action: { type: String, required: true },
   module: { type: String, required: true },
+
+  // Tenant the entry belongs to (empty for platform-level actions)
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company" },
+  plantId: { type: mongoose.Schema.Types.ObjectId, ref: "Plant" },
+
+  // What was acted on
+  entityType: { type: String },
+  entityId: { type: mongoose.Schema.Types.ObjectId },
+  entityName: { type: String },
+  changes: { type: [changeSchema], default: undefined },
+
   details: { type: mongoose.Schema.Types.Mixed },
   ipAddress: { type: String },
-  userAgent: { type: String }
+  userAgent: { type: String },
+  requestId: { type: String }
 }, { timestamps: true });
 
+auditLogSchema.plugin(tenantScopePlugin);
+
+auditLogSchema.index({ impersonatorId: 1, createdAt: -1 }, { sparse: true });
+auditLogSchema.index({ companyId: 1, createdAt: -1 });
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ module: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
 export default mongoose.model("AuditLog", auditLogSchema);
@@ -10,6 +10,15 @@ const companySchema = new mongoose.Schema({
   logoUrl: { type: String },
   isActive: { type: Boolean, default: true },
   templateFeatureEnabled: { type: Boolean, default: false }, // Company-level template feature toggle
+  // Default for the company's forms; unset months keeps submissions forever
+  retention: {
+    months: { type: Number, min: 1 },
+    action: { type: String, enum: ["KEEP", "ARCHIVE", "DELETE"] }
+  },
+  security: {
+    twoFactorRequiredRoles: [{ type: String, enum: ["COMPANY_ADMIN", "PLANT_ADMIN"] }],
+    allowCompanyAdminImpersonation: { type: Boolean, default: false }
+  },
     subscription: {
       plan: { 
         type: String, 
@@ -24,9 +33,12 @@ const companySchema = new mongoose.Schema({
         maxPlants: { type: Number },
         maxFormsPerPlant: { type: Number },
         maxEmployeesPerPlant: { type: Number },
-        approvalLevels: { type: Number }
+        approvalLevels: { type: Number },
+        apiRequestsPerMinute: { type: Number },
+        maxStorageMb: { type: Number }
       }
-    }
+    },
+    storageUsedBytes: { type: Number, default: 0 } // Total size of the company's uploaded assets
 }, { timestamps: true });
 
 // Add indexes for better query performance
@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+
+// Company-defined role bundling permissions from config/permissions.js
+const customRoleSchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+  name: { type: String, required: true, trim: true },
+  description: { type: String },
+  permissions: [{ type: String }],
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+}, { timestamps: true });
+
+customRoleSchema.index({ companyId: 1, name: 1 }, { unique: true });
+
+export default mongoose.model("CustomRole", customRoleSchema);
@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// Per-company key for sensitive form fields (services/fieldEncryption.service.js)
+const dataKeySchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+  version: { type: Number, required: true },
+  status: { type: String, enum: ["ACTIVE", "RETIRED"], default: "ACTIVE" },
+  masterKeyId: { type: String, required: true }, // Fingerprint of the master key that wrapped it
+  wrappedKey: { type: String, required: true, select: false }, // "iv.tag.ciphertext", base64
+  retiredAt: { type: Date }
+}, { timestamps: true });
+
+dataKeySchema.index({ companyId: 1, version: 1 }, { unique: true });
+dataKeySchema.index({ companyId: 1, status: 1 });
+
+export default mongoose.model("DataKey", dataKeySchema);
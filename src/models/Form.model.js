@@ -1,4 +1,25 @@
 import mongoose from "mongoose";
+import tenantScopePlugin from "./plugins/tenantScope.plugin.js";
+import { logger } from "../utils/logger.js";
+
+// Conditional logic (services/formRules.service.js): when the conditions hold
+// (ALL or ANY of them), the action applies to the field or section it is on
+const ruleConditionSchema = new mongoose.Schema({
+  fieldId: { type: String, required: true },
+  operator: {
+    type: String,
+    required: true,
+    enum: ["EQUALS", "NOT_EQUALS", "IN", "NOT_IN", "CONTAINS", "NOT_CONTAINS", "GREATER_THAN", "LESS_THAN", "IS_ANSWERED", "IS_EMPTY"]
+  },
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const ruleSchema = new mongoose.Schema({
+  match: { type: String, enum: ["ALL", "ANY"], default: "ALL" },
+  conditions: [ruleConditionSchema],
+  action: { type: String, required: true, enum: ["SHOW", "HIDE", "REQUIRE", "SET_OPTIONS"] }, // Sections: SHOW and HIDE
+  options: [String] // For SET_OPTIONS
+}, { _id: false });
 
 const fieldSchema = new mongoose.Schema({
   fieldId: { type: String, required: true },
@@ -8,7 +29,7 @@ const fieldSchema = new mongoose.Schema({
       required: true,
       enum: [
         "text", "email", "number", "phone", "radio", "checkbox", "file", "date", "datetime", "range", "color", "table", "textarea", "dropdown", "multi-select", "multiselect", "signature", "section-divider",
-        "checklist-row", "checklist", "grid-table", "section-header", "description", "columns-2", "columns-3", "spacer", "image", "terms", "auto-date", "auto-user", "daterange"
+        "checklist-row", "checklist", "grid-table", "section-header", "description", "columns-2", "columns-3", "spacer", "image", "terms", "auto-date", "auto-user", "daterange", "calculated"
       ]
     },
 
@@ -46,16 +67,27 @@ const fieldSchema = new mongoose.Schema({
   min: Number, // For number, range
   max: Number, // For number, range
   step: Number, // For number, range
+
+  // Calculated fields: computed on the server (services/formCalculations.service.js)
+  formula: String,
+  decimals: { type: Number, min: 0, max: 10 },
   
   // Approval Email Control
-  includeInApprovalEmail: { type: Boolean, default: false }
+  includeInApprovalEmail: { type: Boolean, default: false },
+
+  // Personal data: encrypted at rest and masked for readers without access
+  sensitive: { type: Boolean, default: false },
+  unmaskInApprovalEmail: { type: Boolean, default: false }, // Show the value in approval emails anyway
+
+  rules: [ruleSchema]
 }, { _id: false });
 
 const sectionSchema = new mongoose.Schema({
   sectionId: { type: String, required: true },
   title: { type: String, required: true },
   description: String,
-  fields: [fieldSchema]
+  fields: [fieldSchema],
+  rules: [ruleSchema]
 }, { _id: false });
 
 const formSchema = new mongoose.Schema({
@@ -69,9 +101,17 @@ const formSchema = new mongoose.Schema({
   companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company" },
   plantId: { type: mongoose.Schema.Types.ObjectId, ref: "Plant" },
   isActive: { type: Boolean, default: true },
+  // Overrides the company's retention policy; action "KEEP" exempts the form
+  retention: {
+    months: { type: Number, min: 1 },
+    action: { type: String, enum: ["KEEP", "ARCHIVE", "DELETE"] }
+  },
   status: { type: String, enum: ["DRAFT", "IN_APPROVAL", "APPROVED", "REJECTED", "PUBLISHED"], default: "DRAFT" },
       isTemplate: { type: Boolean, default: false },
       approvalTaskId: { type: mongoose.Schema.Types.ObjectId, ref: "ApprovalTask" },
+      // Latest published definition (FormVersion); new submissions are pinned to it
+      currentVersion: { type: Number, default: 0 },
+      currentVersionId: { type: mongoose.Schema.Types.ObjectId, ref: "FormVersion" },
     approvalFlow: [{
       level: { type: Number, required: true },
       approverId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
@@ -97,11 +137,15 @@ formSchema.pre('save', async function(next) {
       const maxForm = await FormModel.findOne().sort({ numericalId: -1 });
       this.numericalId = maxForm && maxForm.numericalId ? maxForm.numericalId + 1 : 1;
     } catch (err) {
-      console.error('Error generating numerical ID:', err);
+      logger.error('Error generating numerical ID', err);
       this.numericalId = Date.now(); // Fallback
     }
   }
   next();
 });
 
+formSchema.plugin(tenantScopePlugin);
+
+export { fieldSchema, sectionSchema };
+
 export default mongoose.model("Form", formSchema);
\ No newline at end of file
@@ -1,4 +1,7 @@
 import mongoose from "mongoose";
+import tenantScopePlugin from "./plugins/tenantScope.plugin.js";
+import fieldEncryptionPlugin from "./plugins/fieldEncryption.plugin.js";
+import { logger } from "../utils/logger.js";
 
 const approvalHistorySchema = new mongoose.Schema({
   approverId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
@@ -12,6 +15,9 @@ const formSubmissionSchema = new mongoose.Schema({
   // Core identifiers
   formId: { type: mongoose.Schema.Types.ObjectId, ref: "Form", required: true },
   formName: { type: String, required: true },
+  // Version of the form definition it was filled against (unset before versioning)
+  formVersion: { type: Number },
+  formVersionId: { type: mongoose.Schema.Types.ObjectId, ref: "FormVersion" },
   
   // Submission metadata
   submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
@@ -20,14 +26,22 @@ const formSubmissionSchema = new mongoose.Schema({
   submittedAt: { type: Date, default: Date.now },
   
   // Data and status
-  data: { type: mongoose.Schema.Types.Mixed, required: true },
+  data: { type: mongoose.Schema.Types.Mixed, required: true }, // Sensitive fields are stored encrypted
   files: [{
     fieldId: String,
     filename: String,
     originalName: String,
     url: String,
+    publicId: String, // Cloudinary public id and resource type, for deletion
+    resourceType: String,
     mimetype: String,
-    size: Number
+    size: Number,
+    // Virus scan done before the file was stored
+    scan: {
+      status: { type: String, enum: ["clean", "skipped"] },
+      engine: String,
+      scannedAt: Date
+    }
   }],
   
   status: { 
@@ -50,7 +64,8 @@ const formSubmissionSchema = new mongoose.Schema({
   
   // Tracking
   numericalId: { type: Number, unique: true },
-  isArchived: { type: Boolean, default: false }
+  isArchived: { type: Boolean, default: false },
+  archivedAt: { type: Date } // Set when archived by the retention policy
   
 }, { 
   timestamps: true 
@@ -64,6 +79,7 @@ formSubmissionSchema.index({ plantId: 1, status: 1 });
 formSubmissionSchema.index({ status: 1 });
 formSubmissionSchema.index({ submittedAt: -1 });
 formSubmissionSchema.index({ currentLevel: 1, status: 1 });
+formSubmissionSchema.index({ companyId: 1, formId: 1, submittedAt: 1 });
 
 // Auto-generate numerical ID
 formSubmissionSchema.pre('save', async function(next) {
@@ -73,11 +89,14 @@ formSubmissionSchema.pre('save', async function(next) {
       const maxSubmission = await FormSubmissionModel.findOne({}, {}, { sort: { numericalId: -1 } });
       this.numericalId = maxSubmission && maxSubmission.numericalId ? maxSubmission.numericalId + 1 : 1000;
     } catch (err) {
-      console.error('Error generating numerical ID:', err);
+      logger.error('Error generating numerical ID', err);
       this.numericalId = Date.now();
     }
   }
   next();
 });
 
+formSubmissionSchema.plugin(tenantScopePlugin);
+formSubmissionSchema.plugin(fieldEncryptionPlugin);
+
 export default mongoose.model("FormSubmission", formSubmissionSchema);
\ No newline at end of file
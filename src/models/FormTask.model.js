@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import tenantScopePlugin from "./plugins/tenantScope.plugin.js";
 
 const formTaskSchema = new mongoose.Schema({
   formId: { type: mongoose.Schema.Types.ObjectId, ref: "Form", required: true },
@@ -18,4 +19,6 @@ const formTaskSchema = new mongoose.Schema({
 formTaskSchema.index({ assignedTo: 1, status: 1 });
 formTaskSchema.index({ formId: 1 });
 
+formTaskSchema.plugin(tenantScopePlugin);
+
 export default mongoose.model("FormTask", formTaskSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import tenantScopePlugin from "./plugins/tenantScope.plugin.js";
 
 const fieldSchema = new mongoose.Schema({
   id: { type: String, required: true },
@@ -78,4 +79,6 @@ const formTemplateSchema = new mongoose.Schema({
     archivedAt: { type: Date }
   }, { timestamps: true });
 
+formTemplateSchema.plugin(tenantScopePlugin);
+
 export default mongoose.model("FormTemplate", formTemplateSchema);
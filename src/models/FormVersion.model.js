@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+import tenantScopePlugin from "./plugins/tenantScope.plugin.js";
+import { fieldSchema, sectionSchema } from "./Form.model.js";
+
+// Immutable snapshot of a form's definition, taken each time it is published
+const formVersionSchema = new mongoose.Schema({
+  formId: { type: mongoose.Schema.Types.ObjectId, ref: "Form", required: true },
+  version: { type: Number, required: true },
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company" },
+  plantId: { type: mongoose.Schema.Types.ObjectId, ref: "Plant" },
+
+  formName: { type: String, required: true },
+  description: String,
+  sections: [sectionSchema],
+  fields: [fieldSchema],
+  approvalFlow: [{
+    _id: false,
+    level: { type: Number, required: true },
+    approverId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: String,
+    description: String
+  }],
+
+  publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  publishedAt: { type: Date, default: Date.now }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+formVersionSchema.index({ formId: 1, version: 1 }, { unique: true });
+
+// Versions are written once; a change to the form is published as a new version
+formVersionSchema.pre("save", function () {
+  if (!this.isNew) throw new Error("Form versions are immutable");
+});
+formVersionSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"], function () {
+  throw new Error("Form versions are immutable");
+});
+
+formVersionSchema.plugin(tenantScopePlugin);
+
+export default mongoose.model("FormVersion", formVersionSchema);
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+const invitationSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true, trim: true },
+  name: { type: String },
+  role: {
+    type: String,
+    enum: ["COMPANY_ADMIN", "PLANT_ADMIN", "EMPLOYEE"],
+    required: true
+  },
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+  plantId: { type: mongoose.Schema.Types.ObjectId, ref: "Plant" },
+  phoneNumber: { type: String },
+  position: { type: String },
+  tokenHash: { type: String, required: true }, // SHA-256 of the link token
+  expiresAt: { type: Date, required: true },
+  status: {
+    type: String,
+    enum: ["PENDING", "ACCEPTED", "REVOKED"],
+    default: "PENDING"
+  },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  acceptedAt: { type: Date },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" } // Account created on acceptance
+}, { timestamps: true });
+
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ companyId: 1, status: 1 });
+invitationSchema.index({ plantId: 1, status: 1 });
+
+export default mongoose.model("Invitation", invitationSchema);
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+import tenantScopePlugin from "./plugins/tenantScope.plugin.js";
+
+// Blocks retention purges: the whole company, one form or one submission
+const legalHoldSchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company", required: true },
+  formId: { type: mongoose.Schema.Types.ObjectId, ref: "Form" },
+  submissionId: { type: mongoose.Schema.Types.ObjectId, ref: "FormSubmission" },
+  reason: { type: String, required: true },
+  reference: { type: String }, // Case or matter number
+  placedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  releasedAt: { type: Date },
+  releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+}, { timestamps: true });
+
+legalHoldSchema.index({ companyId: 1, releasedAt: 1 });
+
+legalHoldSchema.plugin(tenantScopePlugin, { plantField: null });
+
+export default mongoose.model("LegalHold", legalHoldSchema);
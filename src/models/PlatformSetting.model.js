@@ -0,0 +1,10 @@
+import mongoose from "mongoose";
+
+// Platform-wide switches managed by super admins (single document)
+const platformSettingSchema = new mongoose.Schema({
+  key: { type: String, default: "global", unique: true },
+  allowSelfRegistration: { type: Boolean, default: false },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+}, { timestamps: true });
+
+export default mongoose.model("PlatformSetting", platformSettingSchema);
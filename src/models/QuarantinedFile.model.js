@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+import tenantScopePlugin from "./plugins/tenantScope.plugin.js";
+
+// An uploaded file the virus scanner flagged, kept out of storage
+const quarantinedFileSchema = new mongoose.Schema({
+  fieldId: { type: String }, // Form field the file was attached to
+  originalName: { type: String },
+  mimetype: { type: String },
+  size: { type: Number },
+  signature: { type: String, required: true }, // Malware name reported by the scanner
+  engine: { type: String, required: true },
+  path: { type: String, required: true }, // Location inside QUARANTINE_DIR
+  formId: { type: String }, // Form or template the upload was meant for
+  taskId: { type: mongoose.Schema.Types.ObjectId, ref: "FormTask" },
+  rejectedSubmissionId: { type: mongoose.Schema.Types.ObjectId, ref: "RejectedSubmission" }, // The attempt it was sent with
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company" },
+  plantId: { type: mongoose.Schema.Types.ObjectId, ref: "Plant" }
+}, { timestamps: true });
+
+quarantinedFileSchema.index({ companyId: 1, createdAt: -1 });
+
+quarantinedFileSchema.plugin(tenantScopePlugin);
+
+export default mongoose.model("QuarantinedFile", quarantinedFileSchema);
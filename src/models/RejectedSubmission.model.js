@@ -0,0 +1,19 @@
+import mongoose from "mongoose";
+import tenantScopePlugin from "./plugins/tenantScope.plugin.js";
+
+// A submission attempt refused before anything was stored (infected uploads)
+const rejectedSubmissionSchema = new mongoose.Schema({
+  reason: { type: String, enum: ["MALWARE"], required: true },
+  formId: { type: String }, // Form or template the submission was meant for
+  taskId: { type: mongoose.Schema.Types.ObjectId, ref: "FormTask" },
+  submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  quarantinedFiles: [{ type: mongoose.Schema.Types.ObjectId, ref: "QuarantinedFile" }],
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company" },
+  plantId: { type: mongoose.Schema.Types.ObjectId, ref: "Plant" }
+}, { timestamps: true });
+
+rejectedSubmissionSchema.index({ companyId: 1, createdAt: -1 });
+
+rejectedSubmissionSchema.plugin(tenantScopePlugin);
+
+export default mongoose.model("RejectedSubmission", rejectedSubmissionSchema);
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// One record per successful login; tokens carry its id in the `sid` claim
+const sessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company" },
+  plantId: { type: mongoose.Schema.Types.ObjectId, ref: "Plant" },
+  device: { type: String },
+  ipAddress: { type: String },
+  userAgent: { type: String },
+  lastSeenAt: { type: Date, default: Date.now },
+  lastSeenIp: { type: String },
+  expiresAt: { type: Date, required: true }, // Pushed out on every refresh
+  revokedAt: { type: Date },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  revokeReason: { type: String },
+
+  // Impersonation sessions: who is acting as the user and why
+  impersonatorId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  impersonationReason: { type: String }
+}, { timestamps: true });
+
+sessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: 1 });
+
+export default mongoose.model("Session", sessionSchema);
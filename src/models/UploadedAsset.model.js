@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+import tenantScopePlugin from "./plugins/tenantScope.plugin.js";
+
+// A file uploaded to Cloudinary on behalf of a tenant
+const uploadedAssetSchema = new mongoose.Schema({
+  publicId: { type: String, required: true },
+  url: { type: String, required: true },
+  kind: { type: String, enum: ["signature", "image"], required: true },
+  mimeType: { type: String, required: true }, // Sniffed from the content
+  bytes: { type: Number, required: true },
+  folder: { type: String, required: true },
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company" }, // Unset for platform uploads
+  plantId: { type: mongoose.Schema.Types.ObjectId, ref: "Plant" },
+  // Uploads from a public approval page have the link instead of a user
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: function () { return !this.approvalLinkId; } },
+  approvalLinkId: { type: mongoose.Schema.Types.ObjectId, ref: "ApprovalLink" },
+  // Document that references the asset; assets never attached are orphans
+  attachedTo: {
+    model: { type: String },
+    id: { type: mongoose.Schema.Types.ObjectId }
+  },
+  attachedAt: { type: Date },
+  deletedAt: { type: Date }
+}, { timestamps: true });
+
+uploadedAssetSchema.index({ publicId: 1 }, { unique: true });
+uploadedAssetSchema.index({ url: 1 });
+uploadedAssetSchema.index({ companyId: 1, createdAt: -1 });
+uploadedAssetSchema.index({ attachedAt: 1, deletedAt: 1, createdAt: 1 });
+
+uploadedAssetSchema.plugin(tenantScopePlugin);
+
+export default mongoose.model("UploadedAsset", uploadedAssetSchema);
@@ -1,8 +1,9 @@
 import mongoose from "mongoose";
+import tenantScopePlugin from "./plugins/tenantScope.plugin.js";
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
-  email: { type: String, required: true, unique: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
   password: { type: String, required: true },
   role: { 
     type: String, 
@@ -12,13 +13,40 @@ const userSchema = new mongoose.Schema({
   phoneNumber: { type: String },
   position: { type: String },
   companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company" },
-  plantId: { type: mongoose.Schema.Types.ObjectId, ref: "Plant" },
+  plantId: { type: mongoose.Schema.Types.ObjectId, ref: "Plant" }, // Home plant, active after login
+  // Further plants of the same company the user works in, each with its own role
+  plantMemberships: [{
+    _id: false,
+    plantId: { type: mongoose.Schema.Types.ObjectId, ref: "Plant", required: true },
+    role: { type: String, enum: ["PLANT_ADMIN", "EMPLOYEE"], required: true },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    addedAt: { type: Date, default: Date.now }
+  }],
   permissions: {
     canFillForms: { type: Boolean, default: true },
     canApprove: { type: Boolean, default: false },
     approvalLevels: [{ type: Number }]
   },
-  isActive: { type: Boolean, default: true }
+  customRoleId: { type: mongoose.Schema.Types.ObjectId, ref: "CustomRole" }, // Replaces the role's preset permissions
+  customRoleFor: { type: String, enum: ["COMPANY_ADMIN", "PLANT_ADMIN", "EMPLOYEE"] }, // ...only while acting in this role
+  isActive: { type: Boolean, default: true },
+  erasedAt: { type: Date }, // Personal data pseudonymized on request (services/privacy.service.js)
+
+  // Password lifecycle
+  mustChangePassword: { type: Boolean, default: false },
+  passwordChangedAt: { type: Date },
+  passwordResetTokenHash: { type: String },
+  passwordResetExpiresAt: { type: Date },
+
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false }, // SHA-256 hashes
+    lastUsedStep: { type: Number },
+    enabledAt: { type: Date }
+  }
 }, { timestamps: true });
 
 // Add indexes for better query performance
@@ -29,5 +57,10 @@ userSchema.index({ plantId: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ role: 1, companyId: 1 });
 userSchema.index({ role: 1, plantId: 1 });
+userSchema.index({ "plantMemberships.plantId": 1 });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ customRoleId: 1 }, { sparse: true });
+
+userSchema.plugin(tenantScopePlugin);
 
 export default mongoose.model("User", userSchema);
\ No newline at end of file
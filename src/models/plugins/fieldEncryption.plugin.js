@@ -0,0 +1,30 @@
+import Form from "../Form.model.js";
+import FormVersion from "../FormVersion.model.js";
+import { encryptSubmissionData, getSensitiveFieldIds } from "../../services/fieldEncryption.service.js";
+
+/**
+ * Encrypts the answers to sensitive form fields whenever a submission's data
+ * is saved (see services/fieldEncryption.service.js). The fields come from the
+ * pinned form version, else the populated `formId` or the loaded form; values
+ * that are already encrypted are kept, so loading and re-saving a submission
+ * never double-encrypts.
+ */
+const fieldEncryptionPlugin = (schema, { formField = "formId", versionField = "formVersionId", dataField = "data" } = {}) => {
+  schema.pre("save", async function () {
+    if (!this.isModified(dataField) || !this[dataField]) return;
+
+    const definition = this[versionField]
+      ? await FormVersion.findById(this[versionField]).select("fields sections").lean()
+      : null;
+    const form = definition || (this.populated(formField)
+      ? this[formField]
+      : await Form.findById(this[formField]).select("fields sections").lean());
+
+    const sensitiveFieldIds = getSensitiveFieldIds(form);
+    if (sensitiveFieldIds.size === 0) return;
+
+    this[dataField] = await encryptSubmissionData(this[dataField], { companyId: this.companyId, sensitiveFieldIds });
+  });
+};
+
+export default fieldEncryptionPlugin;
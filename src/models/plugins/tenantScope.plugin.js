@@ -0,0 +1,32 @@
+/**
+ * Tenant scoping for models that belong to a company (and usually a plant).
+ *
+ *   Form.findById(id).forTenant(scope)
+ *   Form.findByIdAndUpdate(id, update).forTenant(scope)
+ *   Form.find({ ...Form.tenantFilter(scope), status })
+ *
+ * `scope` comes from getTenantScope(req) (services/tenant.service.js):
+ *   { companyId, plantIds }  - plantIds null means every plant of the company
+ *   { unrestricted: true }   - explicit escape hatch (SUPER_ADMIN, system jobs)
+ * A missing scope throws, so a forgotten argument never widens access.
+ */
+const tenantScopePlugin = (schema, { companyField = "companyId", plantField = "plantId" } = {}) => {
+  schema.statics.tenantFilter = function (scope) {
+    if (!scope) {
+      throw new Error(`Tenant scope is required to query ${this.modelName}`);
+    }
+    if (scope.unrestricted) return {};
+
+    const filter = { [companyField]: scope.companyId };
+    if (plantField && scope.plantIds) {
+      filter[plantField] = { $in: scope.plantIds };
+    }
+    return filter;
+  };
+
+  schema.query.forTenant = function (scope) {
+    return this.where(this.model.tenantFilter(scope));
+  };
+};
+
+export default tenantScopePlugin;
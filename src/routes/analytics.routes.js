@@ -11,15 +11,24 @@ import {
     getApproversPerformance,
     getApproversWorkload
   } from "../controllers/analytics.controller.js";
-    import { auth as authenticate, checkRole } from "../middlewares/auth.middleware.js";
+    import { authenticate, restrictApiKeyToScope, restrictToMemberPlants } from "../middlewares/auth.middleware.js";
+    import { requirePermission } from "../middlewares/role.middleware.js";
+    import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+    import { validate } from "../middlewares/validate.middleware.js";
+    import { analyticsQuerySchema } from "../validators/analytics.validators.js";
     
     const router = express.Router();
     
-    // All analytics routes require authentication
-    router.use(authenticate);
+    // All analytics routes require authentication (API keys need analytics:read)
+    router.use(authenticate({ apiKeyPermission: "analytics:read" }));
+    router.use(validate(analyticsQuerySchema));
+    router.use(restrictApiKeyToScope);
+    router.use(restrictToMemberPlants);
+    router.use(requirePermission("analytics.view"));
     
-    router.get("/super-admin", checkRole(["SUPER_ADMIN"]), getSuperAdminAnalytics);
-    router.get("/dashboard", getDashboardAnalytics);
+    router.get("/super-admin", requirePermission("analytics.platform"), getSuperAdminAnalytics);
+    // The dashboard runs every analytics query at once: tighter limit on top of the API-wide one
+    router.get("/dashboard", rateLimit({ name: "analytics-dashboard", user: 30, apiKey: 60 }), getDashboardAnalytics);
     router.get("/submissions-per-day", getSubmissionsPerDay);
 
   router.get("/average-approval-time", getAverageApprovalTime);
@@ -0,0 +1,14 @@
+import express from "express";
+import { createApiKey, getApiKeys, revokeApiKey } from "../controllers/apiKey.controller.js";
+import { auth, blockDuringImpersonation } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { getApiKeysSchema, createApiKeySchema, apiKeyIdSchema } from "../validators/apiKey.validators.js";
+
+const router = express.Router();
+
+router.get("/", auth, requirePermission("apiKeys.manage"), validate(getApiKeysSchema), getApiKeys);
+router.post("/", auth, blockDuringImpersonation, requirePermission("apiKeys.manage"), validate(createApiKeySchema), createApiKey);
+router.delete("/:id", auth, blockDuringImpersonation, requirePermission("apiKeys.manage"), validate(apiKeyIdSchema), revokeApiKey);
+
+export default router;
@@ -10,26 +10,36 @@ import {
   getApprovalTasks,
   getApprovalTaskDetails
 } from "../controllers/approval.controller.js";
-import { auth } from "../middlewares/auth.middleware.js";
-import { authorize } from "../middlewares/role.middleware.js";
+import { auth, blockDuringImpersonation } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  createApprovalTaskSchema,
+  getApprovalTasksSchema,
+  approvalTaskIdSchema,
+  processApprovalSchema,
+  sendMultiFormLinkSchema,
+  approvalLinkSchema,
+  submitApprovalLinkSchema
+} from "../validators/approval.validators.js";
 
 const router = express.Router();
 
 // Internal Approval Tasks (MUST be before /:token routes)
-router.post("/tasks", auth, authorize(["PLANT_ADMIN"]), createApprovalTask);
-router.get("/tasks", auth, authorize(["EMPLOYEE", "PLANT_ADMIN"]), getApprovalTasks);
-router.get("/tasks/:id", auth, authorize(["EMPLOYEE", "PLANT_ADMIN"]), getApprovalTaskDetails);
+router.post("/tasks", auth, requirePermission("approvals.manage"), validate(createApprovalTaskSchema), createApprovalTask);
+router.get("/tasks", auth, requirePermission("submissions.approve"), validate(getApprovalTasksSchema), getApprovalTasks);
+router.get("/tasks/:id", auth, requirePermission("submissions.approve"), validate(approvalTaskIdSchema), getApprovalTaskDetails);
 
 // Employee workflow (MUST be before /:token routes)
-router.get("/assigned/all", auth, authorize(["EMPLOYEE", "PLANT_ADMIN"]), getAssignedSubmissions);
-router.post("/process", auth, authorize(["EMPLOYEE", "PLANT_ADMIN"]), processApproval);
-router.get("/stats/employee", auth, authorize(["EMPLOYEE", "PLANT_ADMIN"]), getEmployeeStats);
+router.get("/assigned/all", auth, requirePermission("submissions.approve"), getAssignedSubmissions);
+router.post("/process", auth, blockDuringImpersonation, requirePermission("submissions.approve"), validate(processApprovalSchema), processApproval);
+router.get("/stats/employee", auth, requirePermission("submissions.approve"), getEmployeeStats);
 
 // External links
-router.post("/send-multi", auth, authorize(["PLANT_ADMIN"]), sendMultiFormLink);
+router.post("/send-multi", auth, requirePermission("approvals.manage"), validate(sendMultiFormLinkSchema), sendMultiFormLink);
 
 // Token-based routes (MUST be last - catch-all)
-router.get("/:token", getFormByToken);
-router.post("/:token", submitFormByToken);
+router.get("/:token", validate(approvalLinkSchema), getFormByToken);
+router.post("/:token", validate(submitApprovalLinkSchema), submitFormByToken);
 
 export default router;
@@ -1,5 +1,7 @@
 import express from "express";
-import { auth, checkRole } from "../middlewares/auth.middleware.js";
+import { auth } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
 import { 
   assignTemplateToEmployees, 
   getMyAssignments, 
@@ -7,6 +9,12 @@ import {
   deleteAssignment,
   getAssignmentById 
 } from "../controllers/assignment.controller.js";
+import {
+  getMyAssignmentsSchema,
+  assignTemplatesSchema,
+  getPlantAssignmentsSchema,
+  assignmentIdSchema
+} from "../validators/assignment.validators.js";
 
 const router = express.Router();
 
@@ -14,13 +22,13 @@ const router = express.Router();
 router.use(auth);
 
 // Employee routes
-router.get("/my", getMyAssignments);
+router.get("/my", validate(getMyAssignmentsSchema), getMyAssignments);
 
 // Plant Admin routes
-router.post("/assign", checkRole(["PLANT_ADMIN"]), assignTemplateToEmployees);
-router.get("/plant", checkRole(["PLANT_ADMIN"]), getPlantAssignments);
+router.post("/assign", requirePermission("assignments.manage"), validate(assignTemplatesSchema), assignTemplateToEmployees);
+router.get("/plant", requirePermission("assignments.manage"), validate(getPlantAssignmentsSchema), getPlantAssignments);
 
-router.get("/:id", getAssignmentById);
-router.delete("/:id", checkRole(["PLANT_ADMIN"]), deleteAssignment);
+router.get("/:id", validate(assignmentIdSchema), getAssignmentById);
+router.delete("/:id", requirePermission("assignments.manage"), validate(assignmentIdSchema), deleteAssignment);
 
 export default router;
@@ -0,0 +1,15 @@
+import express from "express";
+import { getAuditLogs, exportAuditLogs } from "../controllers/audit.controller.js";
+import { auth } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { getAuditLogsSchema, exportAuditLogsSchema } from "../validators/audit.validators.js";
+
+const router = express.Router();
+
+router.use(auth, requirePermission("audit.view"));
+
+router.get("/", validate(getAuditLogsSchema), getAuditLogs);
+router.get("/export", validate(exportAuditLogsSchema), exportAuditLogs);
+
+export default router;
@@ -1,8 +1,73 @@
 import express from "express";
-import { login, register } from "../controllers/auth.controller.js";
+import {
+  login,
+  register,
+  getRegistrationSettings,
+  updateRegistrationSettings,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  unlockAccount,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateTwoFactorRecoveryCodes,
+  getTwoFactorStatus,
+  getMyPlants,
+  switchPlant
+} from "../controllers/auth.controller.js";
+import { startImpersonation, stopImpersonation } from "../controllers/impersonation.controller.js";
+import { auth, authenticate, authenticateWithChallenge, blockDuringImpersonation } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  loginSchema,
+  registerSchema,
+  refreshSchema,
+  logoutSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  unlockAccountSchema,
+  changePasswordSchema,
+  verifyTwoFactorSchema,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema,
+  switchPlantSchema,
+  registrationSettingsSchema,
+  startImpersonationSchema
+} from "../validators/auth.validators.js";
 const router = express.Router();
 
-router.post("/login", login);
-router.post("/register", register);
+router.post("/login", validate(loginSchema), login);
+router.post("/register", validate(registerSchema), register);
+router.post("/refresh", validate(refreshSchema), refresh);
+router.post("/logout", validate(logoutSchema), logout);
+router.post("/forgot-password", validate(forgotPasswordSchema), forgotPassword);
+router.post("/reset-password", validate(resetPasswordSchema), resetPassword);
+router.post("/unlock", validate(unlockAccountSchema), unlockAccount);
+router.post("/change-password", authenticate({ allowPasswordChange: true }), blockDuringImpersonation, validate(changePasswordSchema), changePassword);
+
+// Two-factor authentication
+router.post("/2fa/verify", validate(verifyTwoFactorSchema), verifyTwoFactorLogin);
+router.get("/2fa/status", auth, getTwoFactorStatus);
+router.post("/2fa/setup", authenticateWithChallenge("2fa-setup"), blockDuringImpersonation, setupTwoFactor);
+router.post("/2fa/enable", authenticateWithChallenge("2fa-setup"), blockDuringImpersonation, validate(twoFactorCodeSchema), enableTwoFactor);
+router.post("/2fa/disable", auth, blockDuringImpersonation, validate(disableTwoFactorSchema), disableTwoFactorAuth);
+router.post("/2fa/recovery-codes", auth, blockDuringImpersonation, validate(twoFactorCodeSchema), regenerateTwoFactorRecoveryCodes);
+
+// Plant memberships: list and switch the plant the session works in
+router.get("/plants", auth, getMyPlants);
+router.post("/switch-plant", auth, blockDuringImpersonation, validate(switchPlantSchema), switchPlant);
+
+// Self-registration switch (off by default; accounts are created through invitations)
+router.get("/registration-settings", getRegistrationSettings);
+router.put("/registration-settings", auth, requirePermission("platform.settings"), validate(registrationSettingsSchema), updateRegistrationSettings);
+
+// Support impersonation (stop MUST be before /:userId)
+router.post("/impersonate/stop", auth, stopImpersonation);
+router.post("/impersonate/:userId", auth, blockDuringImpersonation, requirePermission("users.impersonate"), validate(startImpersonationSchema), startImpersonation);
 
 export default router;
@@ -12,13 +12,29 @@ import {
   updateCompany,
   deleteCompany,
   updateCompanyPlan,
-  updateTemplateFeature
+  updateTemplateFeature,
+  updateSecuritySettings,
+  getEncryptionKeys,
+  rotateEncryptionKey
 } from "../controllers/company.controller.js";
 
 import { auth } from "../middlewares/auth.middleware.js";
-import { authorize } from "../middlewares/role.middleware.js";
+import { authorize, requirePermission } from "../middlewares/role.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  createCompanySchema,
+  createCompanyWithPlantsSchema,
+  getCompaniesSchema,
+  companyIdSchema,
+  templateFeatureSchema,
+  updateCompanySchema,
+  updateCompanyPlanSchema,
+  securitySettingsSchema
+} from "../validators/company.validators.js";
 
 import { uploadToCloudinary } from "../utils/cloudinary.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { BadRequestError } from "../utils/errors.js";
 
 const router = express.Router();
 
@@ -29,29 +45,27 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
-router.post("/upload-logo", auth, authorize(["SUPER_ADMIN"]), upload.single("logo"), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ message: "No file uploaded" });
-    }
-    
-    const result = await uploadToCloudinary(req.file.buffer);
-    res.json({ logoUrl: result.secure_url });
-  } catch (error) {
-    console.error("Logo upload error:", error);
-    res.status(500).json({ message: "Failed to upload logo to Cloudinary" });
+router.post("/upload-logo", auth, requirePermission("companies.manage"), upload.single("logo"), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new BadRequestError("No file uploaded");
   }
-});
 
-router.post("/", auth, authorize(["SUPER_ADMIN"]), createCompany);
-router.post("/create-with-plants-admin", auth, authorize(["SUPER_ADMIN"]), createCompanyWithPlantsAdmin);
-router.get("/", auth, authorize(["SUPER_ADMIN"]), getCompanies);
+  const result = await uploadToCloudinary(req.file.buffer);
+  res.json({ logoUrl: result.secure_url });
+}));
+
+router.post("/", auth, requirePermission("companies.manage"), validate(createCompanySchema), createCompany);
+router.post("/create-with-plants-admin", auth, requirePermission("companies.manage"), validate(createCompanyWithPlantsSchema), createCompanyWithPlantsAdmin);
+router.get("/", auth, requirePermission("companies.manage"), validate(getCompaniesSchema), getCompanies);
 router.get("/my-company", auth, authorize(["COMPANY_ADMIN"]), getMyCompany);
-router.get("/:id", auth, authorize(["SUPER_ADMIN", "COMPANY_ADMIN"]), getCompanyById);
+router.get("/:id", auth, requirePermission("company.view"), validate(companyIdSchema), getCompanyById);
 // Specific routes MUST come before /:id or "template-feature" is matched as id and causes 500
-router.put("/template-feature", auth, authorize(["SUPER_ADMIN"]), updateTemplateFeature);
-router.put("/:id", auth, authorize(["SUPER_ADMIN"]), upload.single("logo"), updateCompany);
-router.put("/:id/plan", auth, authorize(["SUPER_ADMIN"]), updateCompanyPlan);
-router.delete("/:id", auth, authorize(["SUPER_ADMIN"]), deleteCompany);
+router.put("/template-feature", auth, requirePermission("companies.manage"), validate(templateFeatureSchema), updateTemplateFeature);
+router.put("/:id", auth, requirePermission("companies.manage"), upload.single("logo"), validate(updateCompanySchema), updateCompany);
+router.put("/:id/plan", auth, requirePermission("companies.manage"), validate(updateCompanyPlanSchema), updateCompanyPlan);
+router.put("/:id/security", auth, requirePermission("company.security"), validate(securitySettingsSchema), updateSecuritySettings);
+router.get("/:id/encryption-keys", auth, requirePermission("company.security"), validate(companyIdSchema), getEncryptionKeys);
+router.post("/:id/encryption-keys/rotate", auth, requirePermission("company.security"), validate(companyIdSchema), rotateEncryptionKey);
+router.delete("/:id", auth, requirePermission("companies.manage"), validate(companyIdSchema), deleteCompany);
 
 export default router;
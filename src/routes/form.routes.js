@@ -7,27 +7,46 @@ import {
   deleteForm,
   archiveForm,
   restoreForm,
-  toggleTemplateStatus
+  toggleTemplateStatus,
+  getFormVersions,
+  getFormVersionById,
+  diffFormVersions
 } from "../controllers/form.controller.js";
 import { sendLink } from "../controllers/approval.controller.js";
 import { auth } from "../middlewares/auth.middleware.js";
-import { authorize } from "../middlewares/role.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  createFormSchema,
+  getFormsSchema,
+  formIdSchema,
+  updateFormSchema,
+  sendLinkSchema,
+  toggleTemplateSchema,
+  formVersionSchema,
+  diffFormVersionsSchema
+} from "../validators/form.validators.js";
 
 const router = express.Router();
 
-router.post("/", auth, authorize(["PLANT_ADMIN"]), createForm);
-router.get("/", auth, authorize(["SUPER_ADMIN", "COMPANY_ADMIN", "PLANT_ADMIN", "EMPLOYEE"]), getForms);
-router.get("/:id", auth, authorize(["SUPER_ADMIN", "COMPANY_ADMIN", "PLANT_ADMIN", "EMPLOYEE"]), getFormById);
-router.put("/:id", auth, authorize(["PLANT_ADMIN"]), updateForm);
-router.delete("/:id", auth, authorize(["PLANT_ADMIN"]), deleteForm);
+router.post("/", auth, requirePermission("forms.create"), validate(createFormSchema), createForm);
+router.get("/", auth, requirePermission("forms.view"), validate(getFormsSchema), getForms);
+router.get("/:id", auth, requirePermission("forms.view"), validate(formIdSchema), getFormById);
+router.put("/:id", auth, requirePermission("forms.update"), validate(updateFormSchema), updateForm);
+router.delete("/:id", auth, requirePermission("forms.delete"), validate(formIdSchema), deleteForm);
+
+router.post("/:id/send-link", auth, requirePermission("forms.share"), validate(sendLinkSchema), sendLink);
 
-router.post("/:id/send-link", auth, authorize(["PLANT_ADMIN"]), sendLink);
+// Published versions
+router.get("/:id/versions", auth, requirePermission("forms.view"), validate(formIdSchema), getFormVersions);
+router.get("/:id/versions/diff", auth, requirePermission("forms.view"), validate(diffFormVersionsSchema), diffFormVersions);
+router.get("/:id/versions/:version", auth, requirePermission("forms.view"), validate(formVersionSchema), getFormVersionById);
 
 // Archive/Restore routes
-router.patch("/:id/archive", auth, authorize(["PLANT_ADMIN"]), archiveForm);
-router.patch("/:id/restore", auth, authorize(["PLANT_ADMIN"]), restoreForm);
+router.patch("/:id/archive", auth, requirePermission("forms.update"), validate(formIdSchema), archiveForm);
+router.patch("/:id/restore", auth, requirePermission("forms.update"), validate(formIdSchema), restoreForm);
 
 // Template status routes
-router.patch("/:id/toggle-template", auth, authorize(["PLANT_ADMIN"]), toggleTemplateStatus);
+router.patch("/:id/toggle-template", auth, requirePermission("forms.update"), validate(toggleTemplateSchema), toggleTemplateStatus);
 
 export default router;
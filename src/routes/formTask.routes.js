@@ -9,7 +9,15 @@ import {
   createTasks
 } from "../controllers/formTask.controller.js";
 import { auth } from "../middlewares/auth.middleware.js";
-import { authorize } from "../middlewares/role.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { scanUploads } from "../middlewares/virusScan.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  createTasksSchema,
+  taskIdSchema,
+  submitTaskSchema,
+  submitFormDirectlySchema
+} from "../validators/formTask.validators.js";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
@@ -46,11 +54,11 @@ const upload = multer({
   }
 });
 
-router.get("/assigned", auth, authorize(["EMPLOYEE"]), getAssignedTasks);
-router.get("/stats", auth, authorize(["EMPLOYEE"]), getTaskStats);
-router.post("/", auth, authorize(["PLANT_ADMIN"]), createTasks);
-router.post("/submit-direct/:formId", auth, authorize(["EMPLOYEE"]), upload.any(), submitFormDirectly);
-router.get("/:taskId", auth, authorize(["EMPLOYEE"]), getTaskById);
-router.post("/:taskId/submit", auth, authorize(["EMPLOYEE"]), upload.any(), submitTask);
+router.get("/assigned", auth, requirePermission("tasks.view"), getAssignedTasks);
+router.get("/stats", auth, requirePermission("tasks.view"), getTaskStats);
+router.post("/", auth, requirePermission("tasks.assign"), validate(createTasksSchema), createTasks);
+router.post("/submit-direct/:formId", auth, requirePermission("submissions.create"), upload.any(), validate(submitFormDirectlySchema), scanUploads, submitFormDirectly);
+router.get("/:taskId", auth, requirePermission("tasks.view"), validate(taskIdSchema), getTaskById);
+router.post("/:taskId/submit", auth, requirePermission("submissions.create"), upload.any(), validate(submitTaskSchema), scanUploads, submitTask);
 
 export default router;
@@ -0,0 +1,64 @@
+import express from "express";
+import {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  resendInvitation,
+  getInvitationByToken,
+  acceptInvitation
+} from "../controllers/invitation.controller.js";
+import { auth } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  invitationTokenSchema,
+  acceptInvitationSchema,
+  createInvitationSchema,
+  getInvitationsSchema,
+  invitationIdSchema
+} from "../validators/invitation.validators.js";
+
+const router = express.Router();
+
+/* ======================================================
+   PUBLIC (INVITEE)
+====================================================== */
+router.get("/token/:token", validate(invitationTokenSchema), getInvitationByToken);
+router.post("/accept", validate(acceptInvitationSchema), acceptInvitation);
+
+/* ======================================================
+   INVITATION MANAGEMENT
+====================================================== */
+router.post(
+  "/",
+  auth,
+  requirePermission("users.invite"),
+  validate(createInvitationSchema),
+  createInvitation
+);
+
+router.get(
+  "/",
+  auth,
+  requirePermission("users.invite"),
+  validate(getInvitationsSchema),
+  getInvitations
+);
+
+router.post(
+  "/:id/resend",
+  auth,
+  requirePermission("users.invite"),
+  validate(invitationIdSchema),
+  resendInvitation
+);
+
+router.delete(
+  "/:id",
+  auth,
+  requirePermission("users.invite"),
+  validate(invitationIdSchema),
+  revokeInvitation
+);
+
+export default router;
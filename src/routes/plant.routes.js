@@ -1,17 +1,25 @@
 import express from "express";
 import { createPlant, updatePlant, getPlants, getPlantById, deletePlant, getMyPlant, updatePlantTemplateFeature } from "../controllers/plant.controller.js";
 import { auth } from "../middlewares/auth.middleware.js";
-import { authorize } from "../middlewares/role.middleware.js";
+import { authorize, requirePermission } from "../middlewares/role.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  plantIdSchema,
+  getPlantsSchema,
+  createPlantSchema,
+  plantTemplateFeatureSchema,
+  updatePlantSchema
+} from "../validators/plant.validators.js";
 
 const router = express.Router();
 
 router.get("/my-plant", auth, authorize(["PLANT_ADMIN"]), getMyPlant);
-router.get("/:id", auth, authorize(["SUPER_ADMIN", "COMPANY_ADMIN", "PLANT_ADMIN"]), getPlantById);
-router.get("/", auth, authorize(["SUPER_ADMIN", "COMPANY_ADMIN", "PLANT_ADMIN"]), getPlants);
-router.post("/", auth, authorize(["SUPER_ADMIN", "COMPANY_ADMIN"]), createPlant);
+router.get("/:id", auth, requirePermission("plants.view"), validate(plantIdSchema), getPlantById);
+router.get("/", auth, requirePermission("plants.view"), validate(getPlantsSchema), getPlants);
+router.post("/", auth, requirePermission("plants.create"), validate(createPlantSchema), createPlant);
 // Specific route MUST come before /:id or "template-feature" is matched as id and causes 500
-router.put("/template-feature", auth, authorize(["SUPER_ADMIN"]), updatePlantTemplateFeature);
-router.put("/:id", auth, authorize(["SUPER_ADMIN", "COMPANY_ADMIN", "PLANT_ADMIN"]), updatePlant);
-router.delete("/:id", auth, authorize(["SUPER_ADMIN", "COMPANY_ADMIN"]), deletePlant);
+router.put("/template-feature", auth, requirePermission("companies.manage"), validate(plantTemplateFeatureSchema), updatePlantTemplateFeature);
+router.put("/:id", auth, requirePermission("plants.update"), validate(updatePlantSchema), updatePlant);
+router.delete("/:id", auth, requirePermission("plants.delete"), validate(plantIdSchema), deletePlant);
 
 export default router;
@@ -0,0 +1,17 @@
+import express from "express";
+import { exportMyData, exportUserData, eraseUserData } from "../controllers/privacy.controller.js";
+import { auth, blockDuringImpersonation } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { exportUserDataSchema, eraseUserDataSchema } from "../validators/privacy.validators.js";
+
+const router = express.Router();
+
+// Subject-access request by the user themselves
+router.get("/me/export", auth, blockDuringImpersonation, rateLimit({ name: "privacy-export", user: 5 }), exportMyData);
+
+router.get("/users/:id/export", auth, requirePermission("users.privacy"), validate(exportUserDataSchema), exportUserData);
+router.post("/users/:id/erase", auth, blockDuringImpersonation, requirePermission("users.privacy"), validate(eraseUserDataSchema), eraseUserData);
+
+export default router;
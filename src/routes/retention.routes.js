@@ -0,0 +1,34 @@
+import express from "express";
+import {
+  getRetentionPolicy,
+  updateCompanyRetention,
+  updateFormRetention,
+  getLegalHolds,
+  createLegalHold,
+  releaseLegalHold
+} from "../controllers/retention.controller.js";
+import { auth } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  getRetentionPolicySchema,
+  companyRetentionSchema,
+  formRetentionSchema,
+  getLegalHoldsSchema,
+  createLegalHoldSchema,
+  legalHoldIdSchema
+} from "../validators/retention.validators.js";
+
+const router = express.Router();
+
+router.use(auth, requirePermission("retention.manage"));
+
+router.get("/companies/:id", validate(getRetentionPolicySchema), getRetentionPolicy);
+router.put("/companies/:id", validate(companyRetentionSchema), updateCompanyRetention);
+router.put("/forms/:id", validate(formRetentionSchema), updateFormRetention);
+
+router.get("/legal-holds", validate(getLegalHoldsSchema), getLegalHolds);
+router.post("/legal-holds", validate(createLegalHoldSchema), createLegalHold);
+router.post("/legal-holds/:id/release", validate(legalHoldIdSchema), releaseLegalHold);
+
+export default router;
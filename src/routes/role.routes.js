@@ -0,0 +1,34 @@
+import express from "express";
+import {
+  getPermissionRegistry,
+  getMyPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignRole
+} from "../controllers/role.controller.js";
+import { auth, blockDuringImpersonation } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  getRolesSchema,
+  createRoleSchema,
+  assignRoleSchema,
+  updateRoleSchema,
+  roleIdSchema
+} from "../validators/role.validators.js";
+
+const router = express.Router();
+
+router.get("/permissions", auth, getPermissionRegistry);
+router.get("/me", auth, getMyPermissions);
+
+router.get("/", auth, requirePermission("roles.manage"), validate(getRolesSchema), getRoles);
+router.post("/", auth, blockDuringImpersonation, requirePermission("roles.manage"), validate(createRoleSchema), createRole);
+// Specific route MUST come before /:id
+router.put("/assign/:userId", auth, blockDuringImpersonation, requirePermission("roles.manage"), validate(assignRoleSchema), assignRole);
+router.put("/:id", auth, blockDuringImpersonation, requirePermission("roles.manage"), validate(updateRoleSchema), updateRole);
+router.delete("/:id", auth, blockDuringImpersonation, requirePermission("roles.manage"), validate(roleIdSchema), deleteRole);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import {
+  getMySessions,
+  revokeMySession,
+  revokeMyOtherSessions,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions
+} from "../controllers/session.controller.js";
+import { auth, blockDuringImpersonation } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { sessionIdSchema, userSessionsSchema, userSessionSchema } from "../validators/session.validators.js";
+
+const router = express.Router();
+
+router.use(auth);
+
+// Own sessions
+router.get("/", getMySessions);
+router.delete("/others", blockDuringImpersonation, revokeMyOtherSessions);
+
+// Admin: sessions of users in scope (MUST be before /:id)
+router.get("/user/:userId", requirePermission("sessions.manage"), validate(userSessionsSchema), getUserSessions);
+router.delete("/user/:userId", requirePermission("sessions.manage"), validate(userSessionsSchema), revokeAllUserSessions);
+router.delete("/user/:userId/:sessionId", requirePermission("sessions.manage"), validate(userSessionSchema), revokeUserSession);
+
+router.delete("/:id", blockDuringImpersonation, validate(sessionIdSchema), revokeMySession);
+
+export default router;
@@ -12,8 +12,18 @@ import {
   submitDraft,
   getSubmissionStats
 } from "../controllers/submission.controller.js";
-import { auth } from "../middlewares/auth.middleware.js";
-import { authorize } from "../middlewares/role.middleware.js";
+import { auth, authenticate } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import { scanUploads } from "../middlewares/virusScan.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { AppError } from "../utils/errors.js";
+import {
+  createSubmissionSchema,
+  getSubmissionsSchema,
+  submissionIdSchema,
+  updateSubmissionSchema
+} from "../validators/submission.validators.js";
 
 const router = express.Router();
 const __filename = fileURLToPath(import.meta.url);
@@ -47,7 +57,11 @@ const fileFilter = (req, file, cb) => {
   if (allowedTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type'), false);
+    cb(new AppError(`Unsupported file type: ${file.mimetype}`, {
+      status: 415,
+      code: "UNSUPPORTED_FILE_TYPE",
+      details: [{ field: file.fieldname, message: "File type is not allowed" }]
+    }), false);
   }
 };
 
@@ -63,24 +77,24 @@ const upload = multer({
 // Routes
 
 // Create new submission (with file upload support)
-router.post("/", auth, authorize(["EMPLOYEE"]), upload.array("files", 10), createSubmission);
+router.post("/", authenticate({ apiKeyPermission: "submissions:write" }), rateLimit({ name: "submissions-create", user: 60, apiKey: 120 }), requirePermission("submissions.create"), upload.array("files", 10), validate(createSubmissionSchema), scanUploads, createSubmission);
 
 // Get all submissions (with filtering and pagination)
-router.get("/", auth, authorize(["EMPLOYEE", "PLANT_ADMIN", "COMPANY_ADMIN"]), getSubmissions);
+router.get("/", authenticate({ apiKeyPermission: "submissions:read" }), requirePermission("submissions.view"), validate(getSubmissionsSchema), getSubmissions);
 
 // Get submission statistics
-router.get("/stats", auth, authorize(["EMPLOYEE", "PLANT_ADMIN", "COMPANY_ADMIN"]), getSubmissionStats);
+router.get("/stats", authenticate({ apiKeyPermission: "submissions:read" }), requirePermission("submissions.view"), getSubmissionStats);
 
 // Get single submission
-router.get("/:id", auth, authorize(["EMPLOYEE", "PLANT_ADMIN", "COMPANY_ADMIN"]), getSubmissionById);
+router.get("/:id", authenticate({ apiKeyPermission: "submissions:read" }), requirePermission("submissions.view"), validate(submissionIdSchema), getSubmissionById);
 
 // Update submission (only for drafts)
-router.put("/:id", auth, authorize(["EMPLOYEE"]), updateSubmission);
+router.put("/:id", auth, requirePermission("submissions.create"), validate(updateSubmissionSchema), updateSubmission);
 
 // Submit draft submission
-router.patch("/:id/submit", auth, authorize(["EMPLOYEE"]), submitDraft);
+router.patch("/:id/submit", auth, requirePermission("submissions.create"), validate(submissionIdSchema), submitDraft);
 
 // Delete submission (only drafts)
-router.delete("/:id", auth, authorize(["EMPLOYEE"]), deleteSubmission);
+router.delete("/:id", auth, requirePermission("submissions.create"), validate(submissionIdSchema), deleteSubmission);
 
 export default router;
\ No newline at end of file
@@ -6,6 +6,8 @@ import {
   updateSubscription, 
   getUsageLimits 
 } from "../controllers/subscription.controller.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { updateSubscriptionSchema, usageLimitsSchema } from "../validators/subscription.validators.js";
 
 const router = express.Router();
 
@@ -13,9 +15,9 @@ router.get("/plans", getPlans);
 
 router.get("/status", auth, getSubscriptionStatus);
 
-router.post("/update", auth, updateSubscription);
+router.post("/update", auth, validate(updateSubscriptionSchema), updateSubscription);
 
 router.get("/usage", auth, getUsageLimits);
-router.get("/usage/:companyId", auth, getUsageLimits);
+router.get("/usage/:companyId", auth, validate(usageLimitsSchema), getUsageLimits);
 
 export default router;
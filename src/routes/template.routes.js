@@ -9,16 +9,23 @@ import {
     restoreTemplate
   } from "../controllers/template.controller.js";
 import { auth } from "../middlewares/auth.middleware.js";
-import { authorize } from "../middlewares/role.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  createTemplateSchema,
+  getTemplatesSchema,
+  templateIdSchema,
+  updateTemplateSchema
+} from "../validators/template.validators.js";
 
 const router = express.Router();
 
-router.post("/", auth, authorize(["PLANT_ADMIN"]), createTemplate);
-router.get("/", auth, authorize(["SUPER_ADMIN", "COMPANY_ADMIN", "PLANT_ADMIN"]), getTemplates);
-router.get("/:id", auth, authorize(["SUPER_ADMIN", "COMPANY_ADMIN", "PLANT_ADMIN"]), getTemplateById);
-router.put("/:id", auth, authorize(["PLANT_ADMIN"]), updateTemplate);
-router.delete("/:id", auth, authorize(["PLANT_ADMIN"]), deleteTemplate);
-router.patch("/:id/archive", auth, authorize(["PLANT_ADMIN"]), archiveTemplate);
-router.patch("/:id/restore", auth, authorize(["PLANT_ADMIN"]), restoreTemplate);
+router.post("/", auth, requirePermission("templates.manage"), validate(createTemplateSchema), createTemplate);
+router.get("/", auth, requirePermission("templates.view"), validate(getTemplatesSchema), getTemplates);
+router.get("/:id", auth, requirePermission("templates.view"), validate(templateIdSchema), getTemplateById);
+router.put("/:id", auth, requirePermission("templates.manage"), validate(updateTemplateSchema), updateTemplate);
+router.delete("/:id", auth, requirePermission("templates.manage"), validate(templateIdSchema), deleteTemplate);
+router.patch("/:id/archive", auth, requirePermission("templates.manage"), validate(templateIdSchema), archiveTemplate);
+router.patch("/:id/restore", auth, requirePermission("templates.manage"), validate(templateIdSchema), restoreTemplate);
 
 export default router;
@@ -1,34 +1,15 @@
 import express from 'express';
-import { uploadImage } from '../services/cloudinary.service.js';
+import { uploadSignature, uploadImage } from '../controllers/upload.controller.js';
+import { authenticateWithApprovalLink } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+import { uploadSchema } from '../validators/upload.validators.js';
 
 const router = express.Router();
 
-router.post('/signature', async (req, res) => {
-  try {
-    const { base64 } = req.body;
-    if (!base64) {
-      return res.status(400).json({ error: 'Base64 string is required' });
-    }
+// Public approval pages upload signatures with their link token instead of a login
+router.use(authenticateWithApprovalLink);
 
-    const result = await uploadImage(base64, 'signatures');
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-router.post('/image', async (req, res) => {
-  try {
-    const { base64, folder = 'uploads' } = req.body;
-    if (!base64) {
-      return res.status(400).json({ error: 'Base64 string is required' });
-    }
-
-    const result = await uploadImage(base64, folder);
-    res.json(result);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+router.post('/signature', validate(uploadSchema), uploadSignature);
+router.post('/image', validate(uploadSchema), uploadImage);
 
 export default router;
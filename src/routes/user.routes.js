@@ -1,7 +1,18 @@
 import express from "express";
-import { updateAdmin, createEmployee, getPlantEmployees, getProfile, updateProfile, updateEmployee, deleteEmployee, getUsers } from "../controllers/user.controller.js";
-import { auth } from "../middlewares/auth.middleware.js";
-import { authorize } from "../middlewares/role.middleware.js";
+import { updateAdmin, createEmployee, getPlantEmployees, getProfile, updateProfile, updateEmployee, deleteEmployee, getUsers, addPlantMembership, removePlantMembership } from "../controllers/user.controller.js";
+import { auth, blockDuringImpersonation } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  getUsersSchema,
+  updateProfileSchema,
+  createEmployeeSchema,
+  plantEmployeesSchema,
+  updateEmployeeSchema,
+  userIdSchema,
+  addPlantMembershipSchema,
+  removePlantMembershipSchema
+} from "../validators/user.validators.js";
 
 const router = express.Router();
 
@@ -11,7 +22,8 @@ const router = express.Router();
 router.get(
   "/",
   auth,
-  authorize(["SUPER_ADMIN", "COMPANY_ADMIN", "PLANT_ADMIN"]),
+  requirePermission("users.view"),
+  validate(getUsersSchema),
   getUsers
 );
 
@@ -27,6 +39,8 @@ router.get(
 router.put(
   "/profile",
   auth,
+  blockDuringImpersonation,
+  validate(updateProfileSchema),
   updateProfile
 );
 
@@ -36,29 +50,52 @@ router.put(
 router.post(
   "/employees",
   auth,
-  authorize(["PLANT_ADMIN"]),
+  requirePermission("users.create"),
+  validate(createEmployeeSchema),
   createEmployee
 );
 
 router.get(
   "/plant/:plantId/employees",
   auth,
-  authorize(["PLANT_ADMIN", "COMPANY_ADMIN"]),
+  requirePermission("users.view"),
+  validate(plantEmployeesSchema),
   getPlantEmployees
 );
 
 router.put(
   "/:id",
   auth,
-  authorize(["SUPER_ADMIN", "PLANT_ADMIN"]),
+  requirePermission("users.update"),
+  validate(updateEmployeeSchema),
   updateEmployee
 );
 
 router.delete(
   "/:id",
   auth,
-  authorize(["SUPER_ADMIN", "PLANT_ADMIN"]),
+  requirePermission("users.delete"),
+  validate(userIdSchema),
   deleteEmployee
 );
 
+/* ======================================================
+   PLANT MEMBERSHIPS
+====================================================== */
+router.post(
+  "/:id/plants",
+  auth,
+  requirePermission("users.plants"),
+  validate(addPlantMembershipSchema),
+  addPlantMembership
+);
+
+router.delete(
+  "/:id/plants/:plantId",
+  auth,
+  requirePermission("users.plants"),
+  validate(removePlantMembershipSchema),
+  removePlantMembership
+);
+
 export default router;
\ No newline at end of file
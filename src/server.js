@@ -19,12 +19,36 @@ import approvalRoutes from "./routes/approval.routes.js";
 import templateRoutes from "./routes/template.routes.js";
 import assignmentRoutes from "./routes/assignment.routes.js";
 import subscriptionRoutes from "./routes/subscription.routes.js";
+import invitationRoutes from "./routes/invitation.routes.js";
+import apiKeyRoutes from "./routes/apiKey.routes.js";
+import roleRoutes from "./routes/role.routes.js";
+import sessionRoutes from "./routes/session.routes.js";
+import auditRoutes from "./routes/audit.routes.js";
+import retentionRoutes from "./routes/retention.routes.js";
+import privacyRoutes from "./routes/privacy.routes.js";
 import { seedSuperAdmin } from "./utils/seedSuperAdmin.js";
+import { scheduleRetentionPurge } from "./services/retention.service.js";
+import { notFoundHandler, errorHandler } from "./middlewares/error.middleware.js";
+import { requestId } from "./middlewares/requestId.middleware.js";
+import { accessLog } from "./middlewares/accessLog.middleware.js";
+import { logger } from "./utils/logger.js";
 
 dotenv.config();
 
 
 const app = express();
+
+// Behind a load balancer req.ip is the proxy's address unless it is trusted.
+// TRUST_PROXY: "true", a number of hops, or addresses/subnets ("loopback, 10.0.0.0/8")
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === "") return false;
+  if (value === "true" || value === "false") return value === "true";
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
+app.use(requestId);
+app.use(accessLog);
 app.use(helmet());
 app.use(compression());
 app.use(express.json({ limit: "10mb" }));
@@ -64,8 +88,21 @@ app.use("/api/approve", approvalRoutes);
 app.use("/api/templates", templateRoutes);
 app.use("/api/assignments", assignmentRoutes);
 app.use("/api/subscription", subscriptionRoutes);
+app.use("/api/invitations", invitationRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/roles", roleRoutes);
+app.use("/api/sessions", sessionRoutes);
+app.use("/api/audit-logs", auditRoutes);
+app.use("/api/retention", retentionRoutes);
+app.use("/api/privacy", privacyRoutes);
+
+// Must come after all routes
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 await connectDB();
 await seedSuperAdmin();
+scheduleRetentionPurge();
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server running on ${PORT}`));
+app.listen(PORT, () => logger.info("Server running", { port: PORT }));
@@ -0,0 +1,75 @@
+import crypto from "crypto";
+import ApiKey from "../models/ApiKey.model.js";
+import User from "../models/User.model.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Company API keys for machine-to-machine integrations.
+ * The full key is shown once at creation; only its SHA-256 hash is stored.
+ */
+
+export const API_KEY_PREFIX = "gbk_";
+
+// lastUsedAt is written at most once per interval to keep hot keys cheap
+const LAST_USED_WRITE_INTERVAL = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+export const isApiKey = (value) => typeof value === "string" && value.startsWith(API_KEY_PREFIX);
+
+/**
+ * Create a key and return { apiKey, key } where `key` is the raw secret.
+ */
+export const createApiKey = async ({ name, companyId, plantId, permissions, expiresAt, createdBy }) => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+
+  const apiKey = await ApiKey.create({
+    name,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    keyHash: hashKey(key),
+    companyId,
+    plantId,
+    permissions: [...new Set(permissions)],
+    expiresAt,
+    createdBy
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Look up an active key. Returns the key document, or null when it is
+ * unknown, revoked or expired, or its creator - the principal it acts as -
+ * has been deactivated or erased.
+ */
+export const verifyApiKey = async (key, ip) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(key), revokedAt: null }).lean();
+  if (!apiKey) return null;
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return null;
+  if (!await User.exists({ _id: apiKey.createdBy, isActive: true })) return null;
+
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_WRITE_INTERVAL) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: ip })
+      .catch(err => logger.error("Failed to record API key usage", err));
+  }
+
+  return apiKey;
+};
+
+/**
+ * Request identity for an API key.
+ * The role mirrors the key's scope so existing company/plant filters in the
+ * controllers apply unchanged; what the key may do is decided by its permissions.
+ */
+export const buildApiKeyPrincipal = (apiKey) => ({
+  userId: apiKey.createdBy.toString(),
+  role: apiKey.plantId ? "PLANT_ADMIN" : "COMPANY_ADMIN",
+  companyId: apiKey.companyId.toString(),
+  plantId: apiKey.plantId?.toString(),
+  apiKey: {
+    id: apiKey._id.toString(),
+    name: apiKey.name,
+    permissions: apiKey.permissions
+  }
+});
@@ -0,0 +1,32 @@
+import ApprovalLink from "../models/ApprovalLink.model.js";
+import Plant from "../models/Plant.model.js";
+
+/**
+ * Approval links: emailed tokens that let an outside approver fill in forms
+ * without an account.
+ */
+
+// Unused, unexpired link for a token, or null
+export const findActiveApprovalLink = async (token) => {
+  if (!token) return null;
+
+  const link = await ApprovalLink.findOne({ token, isUsed: false });
+  if (!link || new Date() > link.expiresAt) return null;
+  return link;
+};
+
+/**
+ * Request principal for a public approval page, scoped to the link's plant.
+ * Carries no userId: whatever it creates is attributed to the link.
+ */
+export const buildApprovalLinkPrincipal = async (link) => {
+  const plant = await Plant.findById(link.plantId).select("companyId").lean();
+  if (!plant) return null;
+
+  return {
+    userId: null,
+    companyId: plant.companyId.toString(),
+    plantId: link.plantId.toString(),
+    approvalLinkId: link._id.toString()
+  };
+};
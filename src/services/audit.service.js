@@ -0,0 +1,236 @@
+import AuditLog from "../models/AuditLog.model.js";
+import { logger, redact } from "../utils/logger.js";
+import { getRequestId } from "../utils/requestContext.js";
+import { csvHeader, csvLine } from "../utils/csv.js";
+import { MASKED_VALUE, isEncryptedValue } from "./fieldEncryption.service.js";
+
+/**
+ * Audit trail of who did what, to which entity.
+ *
+ *   await recordAudit({
+ *     req,
+ *     module: "PLANTS",
+ *     action: "PLANT_UPDATED",
+ *     entityType: "Plant",
+ *     before,              // document (or lean object) before the change
+ *     after: updatedPlant  // and after it
+ *   });
+ *
+ * The entity id/name and its company/plant are taken from the document, and
+ * `before`/`after` are stored as a field-level diff with secrets and
+ * encrypted form answers masked.
+ */
+
+const auditExportMaxRows = () => parseInt(process.env.AUDIT_EXPORT_MAX_ROWS) || 50000;
+
+// Bookkeeping and credentials never end up in a diff
+const IGNORED_FIELDS = new Set(["_id", "__v", "createdAt", "updatedAt", "password", "passwordHistory", "twoFactor"]);
+
+/* 🔹 Helper: Plain copy of a document without ignored fields, secrets masked */
+const toSnapshot = (doc) => {
+  if (!doc) return {};
+  const plain = typeof doc.toObject === "function" ? doc.toObject({ depopulate: true }) : doc;
+  return redact(Object.fromEntries(Object.entries(plain).filter(([key]) => !IGNORED_FIELDS.has(key))));
+};
+
+/* 🔹 Helper: Nested plain objects become dot paths; arrays, scalars and encrypted values are leaves */
+const flatten = (value, prefix = "", out = {}) => {
+  for (const [key, item] of Object.entries(value)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (item && typeof item === "object" && !Array.isArray(item) && !isEncryptedValue(item) && Object.keys(item).length > 0) {
+      flatten(item, path, out);
+    } else {
+      out[path] = item;
+    }
+  }
+  return out;
+};
+
+const maskEncrypted = (value) => (isEncryptedValue(value) ? MASKED_VALUE : value);
+
+// Field-level differences between two versions of a document
+export const diffSnapshots = (before, after) => {
+  const from = flatten(toSnapshot(before));
+  const to = flatten(toSnapshot(after));
+
+  // Ciphertexts are compared so edits to encrypted answers still show up, but never stored
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(field => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .map(field => ({ field, before: maskEncrypted(from[field]), after: maskEncrypted(to[field]) }));
+};
+
+/* 🔹 Helper: Entity id, name and tenant of the audited document */
+const describeEntity = (entityType, doc) => {
+  const idOf = (value) => value?._id ?? value;
+  const description = {
+    entityId: doc._id,
+    entityName: doc.name || doc.formName || doc.templateName || doc.email
+  };
+
+  const companyId = entityType === "Company" ? doc._id : idOf(doc.companyId);
+  const plantId = entityType === "Plant" ? doc._id : idOf(doc.plantId);
+  if (companyId) description.companyId = companyId;
+  if (plantId) description.plantId = plantId;
+
+  return description;
+};
+
+/**
+ * Write an audit entry. Pass `req` to capture IP, user agent and, under
+ * impersonation, the real actor. Failures are logged and never thrown so
+ * auditing cannot break the request that triggered it.
+ */
+export const recordAudit = async ({ req, entity, before, after, ...entry }) => {
+  try {
+    const subject = entity ?? after ?? before;
+    const changes = before || after ? diffSnapshots(before, after) : undefined;
+
+    await AuditLog.create({
+      userId: req?.user?.userId,
+      impersonatorId: req?.user?.impersonatedBy?.userId,
+      ipAddress: req?.ip,
+      userAgent: req?.headers?.["user-agent"],
+      requestId: getRequestId(),
+      // The entity's tenant when there is one, otherwise the actor's
+      ...(subject
+        ? describeEntity(entry.entityType, subject)
+        : { companyId: req?.user?.companyId, plantId: req?.user?.plantId }),
+      ...(changes?.length && { changes }),
+      ...entry
+    });
+  } catch (error) {
+    logger.error("Failed to write audit log", error);
+  }
+};
+
+/* ======================================================
+   QUERYING
+====================================================== */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Mongo filter for the audit query API. `scope` is the caller's tenant scope;
+ * only unrestricted callers may pick another company with `companyId`.
+ */
+export const buildAuditFilter = ({ userId, module, action, entityType, entityId, companyId, plantId, from, to }, scope) => {
+  const filter = {};
+
+  if (userId) filter.userId = userId;
+  if (module) filter.module = module;
+  if (action) filter.action = action;
+  if (entityType) filter.entityType = entityType;
+  if (entityId) filter.entityId = entityId;
+  if (companyId) filter.companyId = companyId;
+  if (plantId) filter.plantId = plantId;
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to && DATE_ONLY.test(to)) {
+      // A bare date includes that whole day
+      const end = new Date(to);
+      end.setUTCDate(end.getUTCDate() + 1);
+      filter.createdAt.$lt = end;
+    } else if (to) {
+      filter.createdAt.$lte = new Date(to);
+    }
+  }
+
+  // Applied last so a scoped caller cannot widen it
+  return { ...filter, ...AuditLog.tenantFilter(scope) };
+};
+
+const ACTOR_FIELDS = "name email role";
+
+export const findAuditLogs = async (filter, { page = 1, limit = 50 } = {}) => {
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("userId", ACTOR_FIELDS)
+      .populate("impersonatorId", ACTOR_FIELDS)
+      .lean(),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  return { logs, total };
+};
+
+/* 🔹 Helper: One-cell summary of a diff for spreadsheets */
+const describeChanges = (changes = []) =>
+  changes
+    .map(({ field, before, after }) => `${field}: ${JSON.stringify(before) ?? "—"} → ${JSON.stringify(after) ?? "—"}`)
+    .join("; ");
+
+const AUDIT_CSV_COLUMNS = [
+  { header: "Timestamp", value: log => log.createdAt },
+  { header: "Actor", value: log => log.userId?.name },
+  { header: "Actor Email", value: log => log.userId?.email },
+  { header: "Actor Id", value: log => log.userId?._id ?? log.userId },
+  { header: "Impersonated By", value: log => log.impersonatorId?.email },
+  { header: "Module", value: log => log.module },
+  { header: "Action", value: log => log.action },
+  { header: "Entity Type", value: log => log.entityType },
+  { header: "Entity Id", value: log => log.entityId },
+  { header: "Entity Name", value: log => log.entityName },
+  { header: "Company Id", value: log => log.companyId },
+  { header: "Plant Id", value: log => log.plantId },
+  { header: "Changes", value: log => describeChanges(log.changes) },
+  { header: "Details", value: log => (log.details ? JSON.stringify(log.details) : "") },
+  { header: "IP Address", value: log => log.ipAddress },
+  { header: "Request Id", value: log => log.requestId }
+];
+
+/* 🔹 Helper: Wait for `output` to drain; false when it closed or failed first */
+const waitForDrain = (output) => new Promise(resolve => {
+  if (output.destroyed) return resolve(false);
+
+  const settle = (drained) => () => {
+    output.off("drain", onDrain);
+    output.off("close", onStop);
+    output.off("error", onStop);
+    resolve(drained);
+  };
+  const onDrain = settle(true);
+  const onStop = settle(false);
+
+  output.once("drain", onDrain);
+  output.once("close", onStop);
+  output.once("error", onStop);
+});
+
+/**
+ * Stream the matching entries as CSV to `output` (a writable such as res),
+ * oldest first, capped at AUDIT_EXPORT_MAX_ROWS. Stops early when `output`
+ * closes (e.g. the client aborted the download). Returns the number of rows.
+ */
+export const exportAuditLogsCsv = async (filter, output) => {
+  const cursor = AuditLog.find(filter)
+    .sort({ createdAt: 1 })
+    .limit(auditExportMaxRows())
+    .populate("userId", ACTOR_FIELDS)
+    .populate("impersonatorId", ACTOR_FIELDS)
+    .lean()
+    .cursor();
+
+  output.write(csvHeader(AUDIT_CSV_COLUMNS));
+
+  let rows = 0;
+  try {
+    for await (const log of cursor) {
+      if (output.destroyed) break;
+
+      const flushed = output.write(csvLine(AUDIT_CSV_COLUMNS, log));
+      rows++;
+
+      // Respect backpressure on large exports
+      if (!flushed && !(await waitForDrain(output))) break;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  return rows;
+};
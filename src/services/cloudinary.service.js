@@ -1,4 +1,5 @@
 import cloudinary from '../config/cloudinary.js';
+import { logger } from '../utils/logger.js';
 
 export const uploadImage = async (base64String, folder = 'signatures') => {
   try {
@@ -11,15 +12,18 @@ export const uploadImage = async (base64String, folder = 'signatures') => {
       publicId: uploadResponse.public_id,
     };
     } catch (error) {
-      console.error('Cloudinary upload error:', error);
+      logger.error('Cloudinary upload error', error);
       throw new Error(error.message || 'Failed to upload image to Cloudinary');
     }
 };
 
-export const deleteImage = async (publicId) => {
+// Returns whether the image (or other resource type) was deleted
+export const deleteImage = async (publicId, { resourceType = 'image' } = {}) => {
   try {
-    await cloudinary.uploader.destroy(publicId);
+    await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+    return true;
   } catch (error) {
-    console.error('Cloudinary delete error:', error);
+    logger.error('Cloudinary delete error', error);
+    return false;
   }
 };
@@ -2,6 +2,9 @@ import nodemailer from "nodemailer";
 import dotenv from "dotenv";
 import Company from "../models/Company.model.js";
 import Plant from "../models/Plant.model.js";
+import { logger, redactUrlPath } from "../utils/logger.js";
+import { getRequestId } from "../utils/requestContext.js";
+import { MASKED_VALUE, isEncryptedValue } from "./fieldEncryption.service.js";
 
 dotenv.config();
 
@@ -31,6 +34,15 @@ const createTransporter = () => {
 
 const transporter = createTransporter();
 
+// Tag outgoing mail with the request that triggered it so it can be traced in the logs
+const sendMail = (mailOptions) => {
+  const requestId = getRequestId();
+  return transporter.sendMail({
+    ...mailOptions,
+    ...(requestId && { headers: { ...mailOptions.headers, "X-Request-Id": requestId } })
+  });
+};
+
 /**
  * Resolve the appropriate sender email based on context
  * Implements hierarchical email sending: Super Admin → Company → Plant → Employee
@@ -64,7 +76,7 @@ const resolveEmailSender = async ({ actor, companyId, plantId, fallbackFrom = '"
     // Fallback to default
     return fallbackFrom;
   } catch (error) {
-    console.error("Error resolving email sender:", error);
+    logger.error("Error resolving email sender", error);
     return fallbackFrom;
   }
 };
@@ -141,21 +153,18 @@ export const sendApprovalEmail = async (to, formName, link, company = {}, plant
   };
 
   try {
-    const info = await transporter.sendMail(mailOptions);
-    console.log("Email sent: %s", info.messageId);
+    const info = await sendMail(mailOptions);
+    logger.info("Approval email sent", { to, messageId: info.messageId });
     return info;
   } catch (error) {
-    console.error("Email sending failed, logging to console instead:");
-    console.log("-----------------------------------------");
-    console.log(`TO: ${to}`);
-    console.log(`SUBJECT: ${mailOptions.subject}`);
-    console.log(`LINK: ${link}`);
-    console.log("-----------------------------------------");
+    logger.warn("Approval email sending failed", { err: error, to });
+    // Debug only (off in production); the link's token is masked so the log never holds a working link
+    logger.debug("Undelivered email", { to, subject: mailOptions.subject, link: redactUrlPath(link) });
     return { messageId: "mock-id", skipped: true };
   }
 };
 
-export const sendWelcomeEmail = async (to, name, role, companyName, loginUrl, password, company = {}, plant = {}, actor = "SYSTEM", companyId = null, plantId = null) => {
+export const sendWelcomeEmail = async (to, name, role, companyName, loginUrl, setPasswordUrl, company = {}, plant = {}, actor = "SYSTEM", companyId = null, plantId = null) => {
   let roleLabel = "";
   switch(role) {
     case "COMPANY_ADMIN":
@@ -179,14 +188,14 @@ export const sendWelcomeEmail = async (to, name, role, companyName, loginUrl, pa
     </p>
     
     <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 25px; border-radius: 10px; margin: 25px 0; color: white;">
-      <h3 style="margin: 0 0 15px 0; color: white;">Your Login Credentials</h3>
+      <h3 style="margin: 0 0 15px 0; color: white;">Your Login Details</h3>
       <p style="margin: 5px 0;"><strong>Email:</strong> ${to}</p>
-      <p style="margin: 5px 0;"><strong>Password:</strong> ${password}</p>
-      <p style="margin-top: 15px; font-size: 12px; opacity: 0.9;">Please change your password after first login for security.</p>
+      <p style="margin-top: 15px; font-size: 12px; opacity: 0.9;">Use the button below to choose your password. The link expires in 72 hours and can only be used once.</p>
     </div>
     
     <div style="text-align: center; margin: 30px 0;">
-      <a href="${loginUrl}" style="display: inline-block; background-color: #4f46e5; color: white; padding: 14px 35px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">Login to Your Account</a>
+      <a href="${setPasswordUrl}" style="display: inline-block; background-color: #4f46e5; color: white; padding: 14px 35px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">Set Your Password</a>
+      <p style="margin-top: 15px; font-size: 13px; color: #6b7280;">Once your password is set you can sign in at <a href="${loginUrl}" style="color: #4f46e5;">${loginUrl}</a></p>
     </div>
     
     <div style="background-color: #f3f4f6; padding: 15px; border-radius: 8px; margin-top: 20px;">
@@ -232,19 +241,164 @@ export const sendWelcomeEmail = async (to, name, role, companyName, loginUrl, pa
   };
 
   try {
-    const info = await transporter.sendMail(mailOptions);
-    console.log("Welcome email sent to %s: %s", to, info.messageId);
+    const info = await sendMail(mailOptions);
+    logger.info("Welcome email sent", { to, messageId: info.messageId });
+    return info;
+  } catch (error) {
+    logger.warn("Welcome email sending failed", { err: error, to });
+    logger.debug("Undelivered email", { to, name, role: roleLabel, company: companyName, setPasswordUrl: redactUrlPath(setPasswordUrl), loginUrl });
+    return { messageId: "mock-id", skipped: true };
+  }
+};
+
+export const sendPasswordResetEmail = async (to, name, resetUrl, company = {}, plant = {}, actor = "SYSTEM", companyId = null, plantId = null) => {
+  const content = `
+    <h2 style="color: #1f2937;">Hello ${name}!</h2>
+    
+    <p style="color: #4b5563; line-height: 1.6;">
+      We received a request to reset the password for your account.
+    </p>
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${resetUrl}" style="display: inline-block; background-color: #4f46e5; color: white; padding: 14px 35px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">Reset Password</a>
+    </div>
+    
+    <p style="color: #6b7280; font-size: 14px;">
+      This link expires in 1 hour and can only be used once.
+    </p>
+    
+    <p style="margin-top: 20px; font-size: 12px; color: #9ca3af;">
+      If you did not request a password reset, you can safely ignore this email. Your password will not change.
+    </p>
+  `;
+
+  // Determine the appropriate sender based on context
+  const fromAddress = await resolveEmailSender({
+    actor,
+    companyId,
+    plantId,
+    fallbackFrom: `"GenBeta" <${process.env.EMAIL_USER || process.env.SMTP_FROM || 'no-reply@genbeta.com'}>`
+  });
+
+  const mailOptions = {
+    from: fromAddress,
+    to,
+    subject: `Reset Your Password`,
+    html: getBaseLayout(content, company, plant)
+  };
+
+  try {
+    const info = await sendMail(mailOptions);
+    logger.info("Password reset email sent", { to, messageId: info.messageId });
+    return info;
+  } catch (error) {
+    logger.warn("Password reset email failed", { err: error, to });
+    logger.debug("Undelivered email", { to, resetUrl: redactUrlPath(resetUrl) });
+    return { messageId: "mock-id", skipped: true };
+  }
+};
+
+export const sendAccountLockedEmail = async (to, name, unlockUrl, lockMinutes, company = {}, plant = {}, actor = "SYSTEM", companyId = null, plantId = null) => {
+  const content = `
+    <h2 style="color: #ef4444;">Account Temporarily Locked</h2>
+    
+    <p style="color: #4b5563; line-height: 1.6;">
+      Hello ${name}, we detected several failed sign-in attempts on your account, so it has been locked for ${lockMinutes} minutes.
+    </p>
+    
+    <p style="color: #4b5563; line-height: 1.6;">
+      If these attempts were yours, you can unlock your account right away:
+    </p>
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${unlockUrl}" style="display: inline-block; background-color: #4f46e5; color: white; padding: 14px 35px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">Unlock My Account</a>
+    </div>
+    
+    <div style="background-color: #fef2f2; border: 1px solid #fecaca; padding: 15px; border-radius: 5px; margin: 20px 0;">
+      <p style="margin: 0; color: #7f1d1d;">If you did not try to sign in, someone may be guessing your password. We recommend resetting it.</p>
+    </div>
+  `;
+
+  // Determine the appropriate sender based on context
+  const fromAddress = await resolveEmailSender({
+    actor,
+    companyId,
+    plantId,
+    fallbackFrom: `"GenBeta" <${process.env.EMAIL_USER || process.env.SMTP_FROM || 'no-reply@genbeta.com'}>`
+  });
+
+  const mailOptions = {
+    from: fromAddress,
+    to,
+    subject: `Security Alert: Your Account Has Been Locked`,
+    html: getBaseLayout(content, company, plant)
+  };
+
+  try {
+    const info = await sendMail(mailOptions);
+    logger.info("Account locked email sent", { to, messageId: info.messageId });
+    return info;
+  } catch (error) {
+    logger.warn("Account locked email failed", { err: error, to });
+    logger.debug("Undelivered email", { to, unlockUrl: redactUrlPath(unlockUrl) });
+    return { messageId: "mock-id", skipped: true };
+  }
+};
+
+export const sendInvitationEmail = async (to, name, role, companyName, inviteUrl, expiresInDays, company = {}, plant = {}, actor = "SYSTEM", companyId = null, plantId = null) => {
+  const roleLabels = {
+    COMPANY_ADMIN: "Company Administrator",
+    PLANT_ADMIN: "Plant Administrator",
+    EMPLOYEE: "Employee"
+  };
+  const roleLabel = roleLabels[role] || role;
+
+  const content = `
+    <h2 style="color: #1f2937;">Hello${name ? ` ${name}` : ""}!</h2>
+    
+    <p style="color: #4b5563; line-height: 1.6;">
+      You have been invited to join <strong>${companyName}</strong> on the Form Approval Platform as a <strong>${roleLabel}</strong>.
+    </p>
+    
+    <p style="color: #4b5563; line-height: 1.6;">
+      Accept the invitation to choose your password and activate your account:
+    </p>
+    
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${inviteUrl}" style="display: inline-block; background-color: #4f46e5; color: white; padding: 14px 35px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px;">Accept Invitation</a>
+    </div>
+    
+    <p style="color: #6b7280; font-size: 14px;">
+      This invitation expires in ${expiresInDays} day${expiresInDays === 1 ? "" : "s"} and can only be used once.
+    </p>
+    
+    <p style="margin-top: 20px; font-size: 12px; color: #9ca3af;">
+      If you were not expecting this invitation, you can safely ignore this email.
+    </p>
+  `;
+
+  // Determine the appropriate sender based on context
+  const fromAddress = await resolveEmailSender({
+    actor,
+    companyId,
+    plantId,
+    fallbackFrom: `"${companyName}" <${process.env.EMAIL_USER || process.env.SMTP_FROM || 'no-reply@genbeta.com'}>`
+  });
+
+  const mailOptions = {
+    from: fromAddress,
+    to,
+    subject: `You're invited to join ${companyName}`,
+    html: getBaseLayout(content, company, plant)
+  };
+
+  try {
+    const info = await sendMail(mailOptions);
+    logger.info("Invitation email sent", { to, messageId: info.messageId });
     return info;
   } catch (error) {
-    console.error("Welcome email sending failed, logging to console instead:");
-    console.log("-----------------------------------------");
-    console.log(`TO: ${to}`);
-    console.log(`NAME: ${name}`);
-    console.log(`ROLE: ${roleLabel}`);
-    console.log(`COMPANY: ${companyName}`);
-    console.log(`PASSWORD: ${password}`);
-    console.log(`LOGIN URL: ${loginUrl}`);
-    console.log("-----------------------------------------");
+    logger.warn("Invitation email failed", { err: error, to });
+    logger.debug("Undelivered email", { to, role, inviteUrl: redactUrlPath(inviteUrl) });
     return { messageId: "mock-id", skipped: true };
   }
 };
@@ -286,16 +440,12 @@ export const sendPlantCreatedEmail = async (to, plantName, plantCode, companyNam
   };
 
   try {
-    const info = await transporter.sendMail(mailOptions);
-    console.log("Plant created email sent: %s", info.messageId);
+    const info = await sendMail(mailOptions);
+    logger.info("Plant created email sent", { to, messageId: info.messageId });
     return info;
   } catch (error) {
-    console.error("Plant created email failed, logging to console instead:");
-    console.log("-----------------------------------------");
-    console.log(`TO: ${to}`);
-    console.log(`PLANT: ${plantName} (${plantCode})`);
-    console.log(`COMPANY: ${companyName}`);
-    console.log("-----------------------------------------");
+    logger.warn("Plant created email failed", { err: error, to });
+    logger.debug("Undelivered email", { to, plant: `${plantName} (${plantCode})`, company: companyName });
     return { messageId: "mock-id", skipped: true };
   }
 };
@@ -315,10 +465,14 @@ export const sendSubmissionNotificationToApprover = async (to, formName, submitt
   if (approvalFields.length > 0) {
     const summaryRows = approvalFields.map(field => {
       // The FormRenderer stores data using the field.id as the key
-      const fieldValue = submissionData[field.id] || 
-                        submissionData[field.fieldId] || 
-                        submissionData[field.label?.toLowerCase().replace(/\s+/g, '_')] || 
-                        '—';
+      const value = submissionData[field.id] || 
+                    submissionData[field.fieldId] || 
+                    submissionData[field.label?.toLowerCase().replace(/\s+/g, '_')] || 
+                    '—';
+      // Sensitive answers stay masked unless the form designer allowed them in emails
+      const fieldValue = isEncryptedValue(value) || (field.sensitive && !field.unmaskInApprovalEmail && value !== '—')
+        ? MASKED_VALUE
+        : value;
       
       return `
         <tr>
@@ -377,10 +531,10 @@ export const sendSubmissionNotificationToApprover = async (to, formName, submitt
   };
 
   try {
-    const info = await transporter.sendMail(mailOptions);
+    const info = await sendMail(mailOptions);
     return info;
   } catch (error) {
-    console.error("Submission notification failed:", error);
+    logger.error("Submission notification failed", error);
     return { messageId: "mock-id", skipped: true };
   }
 };
@@ -417,17 +571,12 @@ export const sendFormCreatedApproverNotification = async (to, formName, creatorN
   };
 
   try {
-    const info = await transporter.sendMail(mailOptions);
-    console.log("Form created approver notification sent: %s", info.messageId);
+    const info = await sendMail(mailOptions);
+    logger.info("Form created approver notification sent", { to, messageId: info.messageId });
     return info;
   } catch (error) {
-    console.error("Form created approver notification failed, logging to console:");
-    console.log("-----------------------------------------");
-    console.log(`TO: ${to}`);
-    console.log(`FORM: ${formName}`);
-    console.log(`CREATOR: ${creatorName}`);
-    console.log(`LINK: ${link}`);
-    console.log("-----------------------------------------");
+    logger.warn("Form created approver notification failed", { err: error, to });
+    logger.debug("Undelivered email", { to, form: formName, creator: creatorName, link: redactUrlPath(link) });
     return { messageId: "mock-id", skipped: true };
   }
 };
@@ -466,11 +615,11 @@ export const sendSubmissionNotificationToPlant = async (to, formName, submitterN
   };
 
   try {
-    const info = await transporter.sendMail(mailOptions);
-    console.log("Submission notification to plant sent: %s", info.messageId);
+    const info = await sendMail(mailOptions);
+    logger.info("Submission notification to plant sent", { to, messageId: info.messageId });
     return info;
   } catch (error) {
-    console.error("Submission notification to plant failed:", error);
+    logger.error("Submission notification to plant failed", error);
     return { messageId: "mock-id", skipped: true };
   }
 };
@@ -519,11 +668,11 @@ export const sendApprovalStatusNotificationToPlant = async (to, formName, submit
   };
 
   try {
-    const info = await transporter.sendMail(mailOptions);
-    console.log("Approval status notification to plant sent: %s", info.messageId);
+    const info = await sendMail(mailOptions);
+    logger.info("Approval status notification to plant sent", { to, messageId: info.messageId });
     return info;
   } catch (error) {
-    console.error("Approval status notification to plant failed:", error);
+    logger.error("Approval status notification to plant failed", error);
     return { messageId: "mock-id", skipped: true };
   }
 };
@@ -563,11 +712,11 @@ export const sendRejectionNotificationToSubmitter = async (to, formName, rejecto
   };
 
   try {
-    const info = await transporter.sendMail(mailOptions);
-    console.log("Rejection notification to submitter sent: %s", info.messageId);
+    const info = await sendMail(mailOptions);
+    logger.info("Rejection notification to submitter sent", { to, messageId: info.messageId });
     return info;
   } catch (error) {
-    console.error("Rejection notification to submitter failed:", error);
+    logger.error("Rejection notification to submitter failed", error);
     return { messageId: "mock-id", skipped: true };
   }
 };
@@ -610,11 +759,11 @@ export const sendProfileUpdateNotification = async (to, employeeName, updatedFie
   };
 
   try {
-    const info = await transporter.sendMail(mailOptions);
-    console.log("Profile update notification sent: %s", info.messageId);
+    const info = await sendMail(mailOptions);
+    logger.info("Profile update notification sent", { to, messageId: info.messageId });
     return info;
   } catch (error) {
-    console.error("Profile update notification failed:", error);
+    logger.error("Profile update notification failed", error);
     return { messageId: "mock-id", skipped: true };
   }
 };
@@ -658,10 +807,10 @@ export const sendFinalApprovalNotificationToSubmitter = async (to, formName, sub
   };
 
   try {
-    const info = await transporter.sendMail(mailOptions);
+    const info = await sendMail(mailOptions);
     return info;
   } catch (error) {
-    console.error("Final approval notification failed:", error);
+    logger.error("Final approval notification failed", error);
     return { messageId: "mock-id", skipped: true };
   }
 };
@@ -706,10 +855,10 @@ export const sendFinalApprovalNotificationToPlant = async (to, formName, submitt
   };
 
   try {
-    const info = await transporter.sendMail(mailOptions);
+    const info = await sendMail(mailOptions);
     return info;
   } catch (error) {
-    console.error("Final approval notification to plant failed:", error);
+    logger.error("Final approval notification to plant failed", error);
     return { messageId: "mock-id", skipped: true };
   }
 };
@@ -0,0 +1,313 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import DataKey from "../models/DataKey.model.js";
+import { getEffectivePermissions } from "./permission.service.js";
+import { AppError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Field-level encryption of sensitive form answers.
+ *
+ * Answers to form fields marked `sensitive` are stored in FormSubmission.data as
+ *   { __enc: 1, v: <key version>, iv, tag, ct }
+ * (AES-256-GCM, bound to the company and field id). Every company has its own
+ * data keys, stored wrapped with the master key from FIELD_ENCRYPTION_KEY.
+ * FIELD_ENCRYPTION_PREVIOUS_KEYS (comma-separated) lists retired master keys
+ * that can still unwrap older data keys until they have been rotated.
+ *
+ * Reads go through presentSubmission(s): readers allowed to see the values
+ * get them decrypted, everyone else gets MASKED_VALUE.
+ */
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_BYTES = 32;
+
+export const MASKED_VALUE = "••••••";
+
+// Unwrapped data keys, by "companyId:version"
+const dataKeyCache = new Map();
+
+/* ======================================================
+   KEYS
+====================================================== */
+
+/* 🔹 Helper: 32-byte key given as hex or base64 */
+const parseMasterKey = (value) => {
+  const text = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, "hex") : Buffer.from(text, "base64");
+  if (key.length !== KEY_BYTES) {
+    throw new AppError("Field encryption keys must be 32 bytes (hex or base64)", { code: "ENCRYPTION_MISCONFIGURED" });
+  }
+  return { id: crypto.createHash("sha256").update(key).digest("hex").slice(0, 16), key };
+};
+
+const currentMasterKey = () => {
+  if (!process.env.FIELD_ENCRYPTION_KEY) {
+    throw new AppError("Field encryption is not configured", { status: 503, code: "ENCRYPTION_UNAVAILABLE" });
+  }
+  return parseMasterKey(process.env.FIELD_ENCRYPTION_KEY);
+};
+
+const findMasterKey = (id) => {
+  const candidates = [process.env.FIELD_ENCRYPTION_KEY, ...(process.env.FIELD_ENCRYPTION_PREVIOUS_KEYS || "").split(",")]
+    .filter(value => value?.trim())
+    .map(parseMasterKey);
+
+  const master = candidates.find(candidate => candidate.id === id);
+  if (!master) {
+    throw new AppError("Master key for this data key is not available", { status: 503, code: "ENCRYPTION_UNAVAILABLE" });
+  }
+  return master;
+};
+
+/* 🔹 Helper: AES-GCM with additional authenticated data */
+const seal = (key, plaintext, aad) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ct = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return { iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), ct: ct.toString("base64") };
+};
+
+const open = (key, { iv, tag, ct }, aad) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, "base64"));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(ct, "base64")), decipher.final()]);
+};
+
+const cacheKeyFor = (companyId, version) => `${companyId}:${version}`;
+
+const unwrapDataKey = (dataKey) => {
+  const [iv, tag, ct] = dataKey.wrappedKey.split(".");
+  const master = findMasterKey(dataKey.masterKeyId);
+  const key = open(master.key, { iv, tag, ct }, String(dataKey.companyId));
+
+  dataKeyCache.set(cacheKeyFor(dataKey.companyId, dataKey.version), key);
+  return key;
+};
+
+const createDataKey = async (companyId, version) => {
+  const master = currentMasterKey();
+  const key = crypto.randomBytes(KEY_BYTES);
+  const { iv, tag, ct } = seal(master.key, key, String(companyId));
+
+  await DataKey.create({ companyId, version, masterKeyId: master.id, wrappedKey: [iv, tag, ct].join(".") });
+  dataKeyCache.set(cacheKeyFor(companyId, version), key);
+
+  return { version, key };
+};
+
+// Newest active key of the company, created on first use
+const getActiveDataKey = async (companyId) => {
+  const active = await DataKey.findOne({ companyId, status: "ACTIVE" })
+    .sort({ version: -1 })
+    .select("+wrappedKey")
+    .lean();
+
+  if (active) {
+    return { version: active.version, key: dataKeyCache.get(cacheKeyFor(companyId, active.version)) ?? unwrapDataKey(active) };
+  }
+
+  try {
+    return await createDataKey(companyId, 1);
+  } catch (error) {
+    // Another request created the first key at the same time
+    if (error.code === 11000) return getActiveDataKey(companyId);
+    throw error;
+  }
+};
+
+const getDataKey = async (companyId, version) => {
+  const cached = dataKeyCache.get(cacheKeyFor(companyId, version));
+  if (cached) return cached;
+
+  const dataKey = await DataKey.findOne({ companyId, version }).select("+wrappedKey").lean();
+  if (!dataKey) {
+    throw new AppError(`Data key ${version} of company ${companyId} not found`, { code: "ENCRYPTION_KEY_MISSING" });
+  }
+  return unwrapDataKey(dataKey);
+};
+
+/* ======================================================
+   VALUES
+====================================================== */
+
+export const isEncryptedValue = (value) =>
+  Boolean(value) && typeof value === "object" && value.__enc === 1 && typeof value.ct === "string";
+
+const hasEncryptedValues = (data) =>
+  Boolean(data) && typeof data === "object" && Object.values(data).some(isEncryptedValue);
+
+// Ids of the fields marked sensitive, in top-level fields and sections
+export const getSensitiveFieldIds = (form) => {
+  const fields = [...(form?.fields || []), ...(form?.sections || []).flatMap(section => section.fields || [])];
+  return new Set(fields.filter(field => field.sensitive).map(field => field.fieldId));
+};
+
+const aadFor = (companyId, fieldId) => `${companyId}:${fieldId}`;
+
+/**
+ * Copy of `data` with the answers to `sensitiveFieldIds` encrypted under the
+ * company's active key. Values that are already encrypted are left alone.
+ */
+export const encryptSubmissionData = async (data, { companyId, sensitiveFieldIds }) => {
+  const pending = Object.keys(data).filter(fieldId =>
+    sensitiveFieldIds.has(fieldId) && data[fieldId] != null && !isEncryptedValue(data[fieldId]));
+  if (pending.length === 0) return data;
+
+  const { version, key } = await getActiveDataKey(companyId);
+  const encrypted = { ...data };
+  for (const fieldId of pending) {
+    const plaintext = Buffer.from(JSON.stringify(data[fieldId]));
+    encrypted[fieldId] = { __enc: 1, v: version, ...seal(key, plaintext, aadFor(companyId, fieldId)) };
+  }
+  return encrypted;
+};
+
+/**
+ * Copy of `data` with every encrypted value decrypted. A value that cannot be
+ * decrypted is logged and masked rather than failing the whole read.
+ */
+export const decryptSubmissionData = async (data, companyId) => {
+  if (!hasEncryptedValues(data)) return data;
+
+  const decrypted = { ...data };
+  for (const [fieldId, value] of Object.entries(data)) {
+    if (!isEncryptedValue(value)) continue;
+    try {
+      const key = await getDataKey(companyId, value.v);
+      decrypted[fieldId] = JSON.parse(open(key, value, aadFor(companyId, fieldId)).toString());
+    } catch (error) {
+      logger.error("Failed to decrypt sensitive field", { err: error, companyId, fieldId, keyVersion: value.v });
+      decrypted[fieldId] = MASKED_VALUE;
+    }
+  }
+  return decrypted;
+};
+
+export const maskSubmissionData = (data) => {
+  if (!hasEncryptedValues(data)) return data;
+  return Object.fromEntries(Object.entries(data).map(([fieldId, value]) =>
+    [fieldId, isEncryptedValue(value) ? MASKED_VALUE : value]));
+};
+
+// Masked values sent back by a client keep the stored value instead of overwriting it
+export const keepMaskedValues = (incoming, existing = {}) => {
+  if (!incoming || typeof incoming !== "object") return incoming;
+  return Object.fromEntries(Object.entries(incoming).map(([fieldId, value]) =>
+    [fieldId, value === MASKED_VALUE && fieldId in existing ? existing[fieldId] : value]));
+};
+
+/* ======================================================
+   READ ACCESS
+====================================================== */
+
+const idOf = (value) => (value?._id ?? value)?.toString();
+
+/* 🔹 Helper: Whether the caller may read the sensitive values of a submission */
+const sensitiveReader = async (req) => {
+  const { apiKey, userId, role } = req.user;
+  // Integrations need the key permission; they never inherit it from the issuing admin
+  if (apiKey) return () => apiKey.permissions.includes("submissions:sensitive");
+
+  req.permissions ??= await getEffectivePermissions(userId, role);
+  const permitted = req.permissions.includes("submissions.sensitive");
+
+  // Submitters can always read their own answers
+  return (submission) => permitted || idOf(submission.submittedBy) === String(userId);
+};
+
+/**
+ * Plain copies of `submissions` as the caller may see them: sensitive values
+ * decrypted for permitted readers, masked for everyone else.
+ */
+export const presentSubmissions = async (submissions, req) => {
+  const canRead = await sensitiveReader(req);
+
+  return Promise.all(submissions.map(async (submission) => {
+    const plain = typeof submission?.toObject === "function" ? submission.toObject() : submission;
+    if (!hasEncryptedValues(plain?.data)) return plain;
+
+    const data = canRead(plain)
+      ? await decryptSubmissionData(plain.data, idOf(plain.companyId))
+      : maskSubmissionData(plain.data);
+    return { ...plain, data };
+  }));
+};
+
+export const presentSubmission = async (submission, req) =>
+  (await presentSubmissions([submission], req))[0];
+
+/* ======================================================
+   ROTATION
+====================================================== */
+
+export const listDataKeys = (companyId) =>
+  DataKey.find({ companyId }).sort({ version: -1 }).lean();
+
+/**
+ * Start using a new data key for the company. New writes use it at once;
+ * existing values move over with reencryptCompanySubmissions().
+ * Returns the new key version.
+ */
+export const rotateCompanyKey = async (companyId) => {
+  const latest = await DataKey.findOne({ companyId }).sort({ version: -1 }).lean();
+  const { version } = await createDataKey(companyId, (latest?.version ?? 0) + 1);
+
+  await DataKey.updateMany(
+    { companyId, status: "ACTIVE", version: { $ne: version } },
+    { status: "RETIRED", retiredAt: new Date() }
+  );
+
+  logger.info("Field encryption key rotated", { companyId, keyVersion: version });
+  return version;
+};
+
+/**
+ * Re-encrypt the company's submissions under its active key. Retired keys are
+ * deleted once nothing depends on them any more. Returns the counts.
+ */
+export const reencryptCompanySubmissions = async (companyId) => {
+  const FormSubmission = mongoose.model("FormSubmission");
+  const { version } = await getActiveDataKey(companyId);
+  let reencrypted = 0;
+  let skipped = 0;
+
+  const cursor = FormSubmission.find({ companyId }).select("data").lean().cursor();
+  for await (const submission of cursor) {
+    const stale = Object.keys(submission.data || {}).filter(fieldId =>
+      isEncryptedValue(submission.data[fieldId]) && submission.data[fieldId].v !== version);
+    if (stale.length === 0) continue;
+
+    const decrypted = await decryptSubmissionData(submission.data, companyId);
+    if (stale.some(fieldId => decrypted[fieldId] === MASKED_VALUE)) {
+      skipped++;
+      continue;
+    }
+
+    const data = await encryptSubmissionData(
+      { ...submission.data, ...Object.fromEntries(stale.map(fieldId => [fieldId, decrypted[fieldId]])) },
+      { companyId, sensitiveFieldIds: new Set(stale) }
+    );
+
+    // Only if nobody changed the data in the meantime; the next run picks it up otherwise
+    const { modifiedCount } = await FormSubmission.updateOne(
+      { _id: submission._id, data: submission.data },
+      { $set: { data } },
+      { timestamps: false }
+    );
+    if (modifiedCount) reencrypted++; else skipped++;
+  }
+
+  if (skipped === 0) {
+    await DataKey.deleteMany({ companyId, status: "RETIRED" });
+    for (const key of dataKeyCache.keys()) {
+      if (key.startsWith(`${companyId}:`) && key !== cacheKeyFor(companyId, version)) dataKeyCache.delete(key);
+    }
+  }
+
+  logger.info("Sensitive fields re-encrypted", { companyId, keyVersion: version, reencrypted, skipped });
+  return { version, reencrypted, skipped };
+};
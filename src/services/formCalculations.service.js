@@ -0,0 +1,191 @@
+import { parseFormula, evaluateFormula, formulaReferences, FormulaError } from "../utils/formula.js";
+import { decryptSubmissionData } from "./fieldEncryption.service.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Calculated form fields.
+ *
+ * A field of type "calculated" has a `formula` (utils/formula.js) over other
+ * fields' answers and an optional number of `decimals`. The server computes
+ * the values when a submission is submitted and when an approver edits it,
+ * and stores them in the submission's data like any other answer; values sent
+ * by the client are overwritten. A formula that cannot be computed (missing
+ * answers, division by zero) leaves the field empty.
+ *
+ * Grid table answers are read as rows - an array, or an object of rows - of
+ * { [columnId]: value }; `grid.column` takes a column by id or label.
+ */
+
+/* 🔹 Helper: Every field of a form with its path in the form body */
+const fieldEntries = (form) => [
+  ...(form?.fields || []).map((field, index) => ({ field, path: `fields[${index}]` })),
+  ...(form?.sections || []).flatMap((section, sectionIndex) =>
+    (section.fields || []).map((field, index) => ({ field, path: `sections[${sectionIndex}].fields[${index}]` })))
+];
+
+const isCalculated = (field) => field.type === "calculated";
+
+/* 🔹 Helper: Key of a grid column given by id or label */
+const columnKey = (grid, column) => {
+  const match = (grid?.columns || []).find(entry => entry.id === column) ||
+    (grid?.columns || []).find(entry => entry.label?.toLowerCase() === column.toLowerCase());
+  return match?.id ?? column;
+};
+
+/* 🔹 Helper: Values of one column across a grid answer's rows */
+const columnValues = (grid, answer, column) => {
+  if (!answer || typeof answer !== "object") return [];
+  const rows = Array.isArray(answer) ? answer : Object.values(answer);
+  const key = columnKey(grid, column);
+  const position = (grid?.columns || []).findIndex(entry => entry.id === key);
+
+  return rows.map(row => (Array.isArray(row) ? row[position] : row?.[key]));
+};
+
+/* 🔹 Helper: Calculated fields ordered so each comes after the ones it uses; null when they form a cycle */
+const calculationOrder = (calculated) => {
+  const byId = new Map(calculated.map(entry => [entry.field.fieldId, entry]));
+  const order = [];
+  const state = new Map(); // fieldId -> "visiting" | "done"
+
+  const visit = (entry) => {
+    const { fieldId } = entry.field;
+    if (state.get(fieldId) === "done") return true;
+    if (state.get(fieldId) === "visiting") return false;
+
+    state.set(fieldId, "visiting");
+    for (const reference of entry.references) {
+      const dependency = byId.get(reference.fieldId);
+      if (dependency && !visit(dependency)) return false;
+    }
+    state.set(fieldId, "done");
+    order.push(entry);
+    return true;
+  };
+
+  return calculated.every(visit) ? order : null;
+};
+
+/* 🔹 Helper: Parsed formulas of the form's calculated fields, skipping hidden ones */
+const parseCalculated = (form, hiddenFieldIds = []) => fieldEntries(form)
+  .filter(({ field }) => isCalculated(field) && field.formula && !hiddenFieldIds.includes(field.fieldId))
+  .flatMap(({ field }) => {
+    try {
+      const tree = parseFormula(field.formula);
+      return [{ field, tree, references: formulaReferences(tree) }];
+    } catch (error) {
+      logger.warn("Skipping calculated field with an invalid formula", { fieldId: field.fieldId, error: error.message });
+      return [];
+    }
+  });
+
+const roundTo = (value, decimals) => {
+  if (typeof value !== "number") return value;
+  // Without a number of decimals only floating point noise is removed (0.1 + 0.2 = 0.3)
+  return decimals === undefined || decimals === null
+    ? Number(value.toPrecision(15))
+    : Math.round(value * 10 ** decimals) / 10 ** decimals;
+};
+
+/**
+ * Copy of `data` with the form's calculated fields computed. Fields in
+ * `hiddenFieldIds` are neither computed nor usable as inputs.
+ */
+export const applyCalculations = (form, data = {}, { hiddenFieldIds = [], now } = {}) => {
+  const calculated = parseCalculated(form, hiddenFieldIds);
+  if (calculated.length === 0) return data;
+
+  const order = calculationOrder(calculated);
+  if (!order) {
+    logger.warn("Calculated fields depend on each other in a cycle; not computed", { formId: form?._id });
+    return data;
+  }
+
+  const fieldsById = new Map(fieldEntries(form).map(({ field }) => [field.fieldId, field]));
+  const result = { ...data };
+  const resolve = ({ fieldId, column }) => {
+    if (hiddenFieldIds.includes(fieldId) || !Object.hasOwn(result, fieldId)) return column ? [] : undefined;
+    return column ? columnValues(fieldsById.get(fieldId), result[fieldId], column) : result[fieldId];
+  };
+
+  for (const { field, tree } of order) {
+    let value = null;
+    try {
+      value = roundTo(evaluateFormula(tree, resolve, { now }), field.decimals);
+    } catch (error) {
+      if (!(error instanceof FormulaError)) throw error;
+      logger.warn("Calculated field could not be computed", { fieldId: field.fieldId, error: error.message });
+    }
+
+    if (value === null) delete result[field.fieldId];
+    else result[field.fieldId] = value;
+  }
+
+  return result;
+};
+
+/**
+ * applyCalculations() on stored submission data: inputs are decrypted for the
+ * formulas, and only the calculated fields change in the returned copy (other
+ * values stay as stored, encrypted or not).
+ */
+export const recalculateSubmissionData = async (form, data, companyId) => {
+  const calculatedIds = fieldEntries(form).filter(({ field }) => isCalculated(field)).map(({ field }) => field.fieldId);
+  if (calculatedIds.length === 0) return data;
+
+  const computed = applyCalculations(form, await decryptSubmissionData(data, companyId));
+  const result = { ...data };
+  for (const fieldId of calculatedIds) {
+    if (Object.hasOwn(computed, fieldId)) result[fieldId] = computed[fieldId];
+    else delete result[fieldId];
+  }
+  return result;
+};
+
+/**
+ * Problems with the form's calculated fields: missing or invalid formulas,
+ * references to unknown fields or grid columns, and formulas that depend on
+ * each other in a cycle.
+ */
+export const checkFormulas = (form) => {
+  const entries = fieldEntries(form);
+  const fieldsById = new Map(entries.map(({ field }) => [field.fieldId, field]));
+  const errors = [];
+  const parsed = [];
+
+  for (const { field, path } of entries.filter(({ field }) => isCalculated(field))) {
+    const error = (message) => errors.push({ field: `${path}.formula`, location: "body", message: `${field.label}: ${message}` });
+    if (!field.formula?.trim()) {
+      error("a calculated field needs a formula");
+      continue;
+    }
+
+    let tree;
+    try {
+      tree = parseFormula(field.formula);
+    } catch (parseError) {
+      if (!(parseError instanceof FormulaError)) throw parseError;
+      error(parseError.message);
+      continue;
+    }
+
+    const references = formulaReferences(tree);
+    for (const { fieldId, column } of references) {
+      const target = fieldsById.get(fieldId);
+      if (!target) {
+        error(`unknown field "${fieldId}"`);
+      } else if (fieldId === field.fieldId) {
+        error("a formula cannot use its own field");
+      } else if (column && !(target.columns || []).some(entry => entry.id === column || entry.label?.toLowerCase() === column.toLowerCase())) {
+        error(`"${fieldId}" has no column "${column}"`);
+      }
+    }
+    parsed.push({ field, references });
+  }
+
+  if (errors.length === 0 && !calculationOrder(parsed)) {
+    errors.push({ field: "fields", location: "body", message: "Calculated fields depend on each other in a cycle" });
+  }
+
+  return errors;
+};
@@ -0,0 +1,159 @@
+/**
+ * Conditional logic between form fields, evaluated on the server when a
+ * submission is submitted.
+ *
+ * A field or section carries rules; each rule has conditions on other
+ * fields' answers, matched ALL (and) or ANY (or), and an action:
+ *   SHOW         - shown only while one of its SHOW rules holds
+ *   HIDE         - hidden while the rule holds
+ *   REQUIRE      - must be answered while the rule holds (fields only)
+ *   SET_OPTIONS  - only `options` may be chosen while the rule holds (fields only)
+ *
+ *   { fieldId: "q3a", label: "Reason", type: "text", rules: [{
+ *       conditions: [{ fieldId: "q3", operator: "EQUALS", value: "No" }],
+ *       action: "SHOW"
+ *     }, {
+ *       conditions: [{ fieldId: "q3", operator: "EQUALS", value: "No" }],
+ *       action: "REQUIRE"
+ *   }] }
+ *
+ * Hidden fields (and every field of a hidden section) are dropped from the
+ * data, and answers to hidden fields never satisfy a condition, so a chain of
+ * dependent questions disappears together. Submissions go through
+ * checkSubmission() (services/submissionValidation.service.js).
+ */
+
+const SECTION_ACTIONS = ["SHOW", "HIDE"];
+const OPTION_FIELD_TYPES = ["radio", "dropdown", "checkbox", "multi-select", "multiselect"];
+
+/* 🔹 Helper: Every field of a form with the section it sits in and its path in the body */
+const allFields = (form) => [
+  ...(form?.fields || []).map((field, index) => ({ field, section: null, path: `fields[${index}]` })),
+  ...(form?.sections || []).flatMap((section, sectionIndex) => (section.fields || []).map((field, index) =>
+    ({ field, section, path: `sections[${sectionIndex}].fields[${index}]` })))
+];
+
+export const isEmptyAnswer = (value) =>
+  value === undefined || value === null || value === "" ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === "object" && !Array.isArray(value) && Object.keys(value).length === 0);
+
+const asList = (value) => (Array.isArray(value) ? value : [value]).map(String);
+
+const OPERATORS = {
+  EQUALS: (answer, value) => !isEmptyAnswer(answer) && String(answer) === String(value),
+  NOT_EQUALS: (answer, value) => isEmptyAnswer(answer) || String(answer) !== String(value),
+  IN: (answer, value) => !isEmptyAnswer(answer) && asList(answer).some(item => asList(value).includes(item)),
+  NOT_IN: (answer, value) => isEmptyAnswer(answer) || !asList(answer).some(item => asList(value).includes(item)),
+  CONTAINS: (answer, value) => (Array.isArray(answer)
+    ? asList(answer).includes(String(value))
+    : !isEmptyAnswer(answer) && String(answer).toLowerCase().includes(String(value).toLowerCase())),
+  NOT_CONTAINS: (answer, value) => !OPERATORS.CONTAINS(answer, value),
+  GREATER_THAN: (answer, value) => !isEmptyAnswer(answer) && Number(answer) > Number(value),
+  LESS_THAN: (answer, value) => !isEmptyAnswer(answer) && Number(answer) < Number(value),
+  IS_ANSWERED: (answer) => !isEmptyAnswer(answer),
+  IS_EMPTY: (answer) => isEmptyAnswer(answer)
+};
+
+const holds = (rule, data) => {
+  const results = (rule.conditions || []).map(({ fieldId, operator, value }) =>
+    Boolean(OPERATORS[operator]?.(data[fieldId], value)));
+  return rule.match === "ANY" ? results.some(Boolean) : results.every(Boolean);
+};
+
+/* 🔹 Helper: Whether rules leave their field or section shown */
+const isShown = (rules = [], data) => {
+  const show = rules.filter(rule => rule.action === "SHOW");
+  if (show.length && !show.some(rule => holds(rule, data))) return false;
+  return !rules.some(rule => rule.action === "HIDE" && holds(rule, data));
+};
+
+/**
+ * Apply the form's rules to submitted `data`. Returns the data without hidden
+ * fields, the ids of the hidden fields and the errors for conditionally
+ * required fields left empty or answers outside the allowed options.
+ */
+export const evaluateFormRules = (form, data = {}) => {
+  const fields = allFields(form);
+  let visible = { ...data };
+  let hidden = new Set();
+
+  // Hiding a field can hide the ones depending on it; repeat until nothing changes
+  for (let pass = 0; pass <= fields.length; pass++) {
+    const next = new Set(fields
+      .filter(({ field, section }) => !(section ? isShown(section.rules, visible) : true) || !isShown(field.rules, visible))
+      .map(({ field }) => field.fieldId));
+
+    const settled = next.size === hidden.size && [...next].every(fieldId => hidden.has(fieldId));
+    hidden = next;
+    visible = Object.fromEntries(Object.entries(data).filter(([fieldId]) => !hidden.has(fieldId)));
+    if (settled) break;
+  }
+
+  const errors = [];
+  for (const { field } of fields) {
+    if (hidden.has(field.fieldId)) continue;
+    const active = (field.rules || []).filter(rule => holds(rule, visible));
+    const answer = visible[field.fieldId];
+
+    if (active.some(rule => rule.action === "REQUIRE") && isEmptyAnswer(answer)) {
+      errors.push({ field: field.fieldId, location: "body", message: `${field.label} is required` });
+      continue;
+    }
+
+    const limited = active.filter(rule => rule.action === "SET_OPTIONS");
+    if (limited.length && !isEmptyAnswer(answer)) {
+      const allowed = limited.at(-1).options || [];
+      if (!asList(answer).every(item => allowed.includes(item))) {
+        errors.push({ field: field.fieldId, location: "body", message: `${field.label} must be one of: ${allowed.join(", ")}` });
+      }
+    }
+  }
+
+  return { data: visible, hiddenFieldIds: [...hidden], errors };
+};
+
+/**
+ * Problems with the rules of a form definition: conditions on unknown fields
+ * or on the field itself, SET_OPTIONS without options (or on a field without
+ * options), and section actions other than SHOW/HIDE.
+ */
+export const checkFormRules = (form) => {
+  const fields = allFields(form);
+  const fieldIds = new Set(fields.map(({ field }) => field.fieldId));
+  const errors = [];
+
+  const checkConditions = (rules, path, ownFieldId) => rules.forEach((rule, index) => {
+    for (const { fieldId } of rule.conditions || []) {
+      if (!fieldIds.has(fieldId)) {
+        errors.push({ field: `${path}.rules[${index}]`, location: "body", message: `Rule refers to unknown field "${fieldId}"` });
+      } else if (fieldId === ownFieldId) {
+        errors.push({ field: `${path}.rules[${index}]`, location: "body", message: "A field's rules cannot depend on its own answer" });
+      }
+    }
+  });
+
+  (form?.sections || []).forEach((section, sectionIndex) => {
+    const path = `sections[${sectionIndex}]`;
+    checkConditions(section.rules || [], path);
+    (section.rules || []).forEach((rule, index) => {
+      if (!SECTION_ACTIONS.includes(rule.action)) {
+        errors.push({ field: `${path}.rules[${index}]`, location: "body", message: `Sections only support ${SECTION_ACTIONS.join(" and ")} rules` });
+      }
+    });
+  });
+
+  for (const { field, path } of fields) {
+    checkConditions(field.rules || [], path, field.fieldId);
+    (field.rules || []).forEach((rule, index) => {
+      if (rule.action !== "SET_OPTIONS") return;
+      if (!OPTION_FIELD_TYPES.includes(field.type)) {
+        errors.push({ field: `${path}.rules[${index}]`, location: "body", message: `${field.label} has no options to set` });
+      } else if (!rule.options?.length) {
+        errors.push({ field: `${path}.rules[${index}]`, location: "body", message: "SET_OPTIONS rules need at least one option" });
+      }
+    });
+  }
+
+  return errors;
+};
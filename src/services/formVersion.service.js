@@ -0,0 +1,187 @@
+import Form from "../models/Form.model.js";
+import FormVersion from "../models/FormVersion.model.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Immutable form versions.
+ *
+ * Every publish (a form created or updated as APPROVED/PUBLISHED, or restored)
+ * snapshots its definition - name, description, fields, sections and approval
+ * flow - as the next FormVersion, unless nothing changed since the latest one.
+ * Submissions record the version they were filled against (formVersion and
+ * formVersionId) and are rendered, exported and approved with that definition,
+ * so later edits to the form never change how an existing submission reads.
+ *
+ * Submissions from before versioning have no pinned version and use the
+ * live form.
+ */
+
+export const PUBLISHED_STATUSES = ["APPROVED", "PUBLISHED"];
+
+const DEFINITION_KEYS = ["formName", "description", "fields", "sections", "approvalFlow"];
+
+const pick = (source, keys) => Object.fromEntries(keys.map(key => [key, source?.[key]]));
+
+/* 🔹 Helper: The versioned part of a form or version, normalized through the schema (defaults, ids) */
+const definitionOf = (source) => {
+  const plain = typeof source?.toObject === "function" ? source.toObject({ depopulate: true }) : source;
+  return pick(new FormVersion(pick(plain, DEFINITION_KEYS)).toObject(), DEFINITION_KEYS);
+};
+
+const sameDefinition = (a, b) => JSON.stringify(definitionOf(a)) === JSON.stringify(definitionOf(b));
+
+/* ======================================================
+   PUBLISHING
+====================================================== */
+
+/**
+ * Snapshot `form` as its next version when it is published and its definition
+ * differs from the latest version. Returns the new version, or null.
+ */
+export const publishFormVersion = async (form, { publishedBy } = {}) => {
+  if (!PUBLISHED_STATUSES.includes(form.status)) return null;
+
+  const latest = await FormVersion.findOne({ formId: form._id }).sort({ version: -1 }).lean();
+  if (latest && sameDefinition(latest, form)) return null;
+
+  let version;
+  try {
+    version = await FormVersion.create({
+      formId: form._id,
+      version: (latest?.version || 0) + 1,
+      companyId: form.companyId,
+      plantId: form.plantId,
+      ...definitionOf(form),
+      publishedBy
+    });
+  } catch (error) {
+    // Two publishes of the same form at once: the other one took this number
+    if (error.code !== 11000) throw error;
+    logger.warn("Concurrent form publish, retrying version number", { formId: form._id });
+    return publishFormVersion(form, { publishedBy });
+  }
+
+  await Form.updateOne(
+    { _id: form._id, currentVersion: { $not: { $gt: version.version } } },
+    { currentVersion: version.version, currentVersionId: version._id }
+  );
+  return version;
+};
+
+/**
+ * The version a new submission of `form` is pinned to: { formVersion,
+ * formVersionId }, or {} for a form that has never been published. Forms
+ * published before versioning get their first version here.
+ */
+export const pinFormVersion = async (form, { publishedBy } = {}) => {
+  if (form.currentVersionId) {
+    return { formVersion: form.currentVersion, formVersionId: form.currentVersionId };
+  }
+
+  const version = await publishFormVersion(form, { publishedBy });
+  return version ? { formVersion: version.version, formVersionId: version._id } : {};
+};
+
+/* ======================================================
+   PINNED DEFINITIONS
+====================================================== */
+
+/**
+ * The form definition each submission was filled against: its populated
+ * `formId` with the pinned version's name, fields, sections and approval flow
+ * laid over it (approvers populated with name and email).
+ */
+export const pinnedFormsOf = async (submissions) => {
+  const versionIds = [...new Set(submissions.map(submission => submission.formVersionId?.toString()).filter(Boolean))];
+  const versions = versionIds.length
+    ? await FormVersion.find({ _id: { $in: versionIds } })
+      .select(`version ${DEFINITION_KEYS.join(" ")}`)
+      .populate("approvalFlow.approverId", "name email")
+      .lean()
+    : [];
+  const versionsById = new Map(versions.map(version => [version._id.toString(), version]));
+
+  return submissions.map((submission) => {
+    const form = typeof submission.formId?.toObject === "function" ? submission.formId.toObject() : submission.formId;
+    const version = versionsById.get(submission.formVersionId?.toString());
+    if (!version) return form;
+
+    return { ...form, ...pick(version, DEFINITION_KEYS), version: version.version, formVersionId: version._id };
+  });
+};
+
+export const pinnedFormOf = async (submission) => (await pinnedFormsOf([submission]))[0];
+
+/* ======================================================
+   HISTORY
+====================================================== */
+
+export const listFormVersions = (formId) =>
+  FormVersion.find({ formId })
+    .select("version formName publishedBy publishedAt")
+    .populate("publishedBy", "name email")
+    .sort({ version: -1 })
+    .lean();
+
+export const getFormVersion = (formId, version) =>
+  FormVersion.findOne({ formId, version })
+    .populate("publishedBy", "name email")
+    .populate("approvalFlow.approverId", "name email")
+    .lean();
+
+/* 🔹 Helper: Properties that differ between two plain objects */
+const changedProperties = (before = {}, after = {}, { ignore = [] } = {}) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => !ignore.includes(key) && JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .map(property => ({ property, before: before[property], after: after[property] }));
+
+/* 🔹 Helper: Every field by id, with the section it sits in (null at the top level) */
+const fieldsById = (definition) => new Map([
+  ...definition.fields.map(field => [field.fieldId, { ...field, sectionId: null }]),
+  ...definition.sections.flatMap(section =>
+    section.fields.map(field => [field.fieldId, { ...field, sectionId: section.sectionId }]))
+]);
+
+/* 🔹 Helper: Added, removed and changed entries of two keyed collections */
+const diffById = (before, after, { describe, ignore }) => {
+  const changes = [];
+  for (const [id, item] of before) {
+    const next = after.get(id);
+    if (!next) {
+      changes.push({ ...describe(id, item), change: "REMOVED", before: item });
+      continue;
+    }
+    const properties = changedProperties(item, next, { ignore });
+    if (properties.length) changes.push({ ...describe(id, next), change: "CHANGED", changes: properties });
+  }
+  for (const [id, item] of after) {
+    if (!before.has(id)) changes.push({ ...describe(id, item), change: "ADDED", after: item });
+  }
+  return changes;
+};
+
+/**
+ * Field-level differences between two versions (or a version and a form):
+ * changes to the form's name, description and approval flow, sections and
+ * fields added or removed, and per-property changes of the ones in both.
+ * A field that moved to another section shows up as a change of `sectionId`.
+ */
+export const diffFormDefinitions = (from, to) => {
+  const before = definitionOf(from);
+  const after = definitionOf(to);
+
+  return {
+    form: changedProperties(
+      pick(before, ["formName", "description", "approvalFlow"]),
+      pick(after, ["formName", "description", "approvalFlow"])
+    ),
+    sections: diffById(
+      new Map(before.sections.map(section => [section.sectionId, section])),
+      new Map(after.sections.map(section => [section.sectionId, section])),
+      { describe: (sectionId, section) => ({ sectionId, title: section.title }), ignore: ["fields"] }
+    ),
+    fields: diffById(fieldsById(before), fieldsById(after), {
+      describe: (fieldId, field) => ({ fieldId, label: field.label, sectionId: field.sectionId })
+    })
+  };
+};
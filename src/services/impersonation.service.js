@@ -0,0 +1,76 @@
+import { createSession, revokeSession } from "./session.service.js";
+import { issueImpersonationToken } from "./token.service.js";
+import { recordAudit } from "./audit.service.js";
+import { redactUrlPath } from "../utils/logger.js";
+
+/**
+ * Support impersonation.
+ * An impersonation is a short, non-refreshable session of the target user
+ * whose token also names the real actor. Every request made with it is audited.
+ */
+
+const defaultTtl = () => parseInt(process.env.IMPERSONATION_TTL) || 30 * 60; // 30 minutes
+const maxTtl = () => parseInt(process.env.IMPERSONATION_MAX_TTL) || 60 * 60; // 1 hour
+
+// Requested duration in minutes, clamped to the allowed maximum
+export const resolveImpersonationTtl = (durationMinutes) => {
+  const requested = parseInt(durationMinutes) * 60;
+  if (!requested || requested <= 0) return defaultTtl();
+  return Math.min(requested, maxTtl());
+};
+
+export const startImpersonation = async (req, targetUser, { reason, ttl }) => {
+  const session = await createSession(targetUser, req, ttl, {
+    impersonatorId: req.user.userId,
+    impersonationReason: reason,
+    device: "Impersonation"
+  });
+
+  const token = issueImpersonationToken(targetUser, req.user, session._id, ttl);
+
+  await recordAudit({
+    req,
+    module: "IMPERSONATION",
+    action: "IMPERSONATION_STARTED",
+    details: {
+      impersonatedUserId: targetUser._id,
+      impersonatedRole: targetUser.role,
+      reason,
+      sessionId: session._id,
+      expiresAt: session.expiresAt
+    }
+  });
+
+  return { token, expiresIn: ttl, sessionId: session._id };
+};
+
+export const stopImpersonation = async (req) => {
+  await revokeSession(req.user.sid, {
+    revokedBy: req.user.impersonatedBy.userId,
+    reason: "Impersonation ended"
+  });
+
+  await recordAudit({
+    req,
+    module: "IMPERSONATION",
+    action: "IMPERSONATION_ENDED",
+    details: { sessionId: req.user.sid }
+  });
+};
+
+// Audit a request made under impersonation once its response is sent
+export const auditImpersonatedRequest = (req, res) => {
+  res.on("finish", () => {
+    recordAudit({
+      req,
+      module: "IMPERSONATION",
+      action: "IMPERSONATED_REQUEST",
+      details: {
+        method: req.method,
+        path: redactUrlPath(req.originalUrl),
+        statusCode: res.statusCode,
+        sessionId: req.user.sid
+      }
+    });
+  });
+};
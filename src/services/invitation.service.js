@@ -0,0 +1,236 @@
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import Invitation from "../models/Invitation.model.js";
+import User from "../models/User.model.js";
+import Company from "../models/Company.model.js";
+import Plant from "../models/Plant.model.js";
+import { validateEmployeeCreation } from "../utils/planLimits.js";
+import { sendInvitationEmail } from "./email.service.js";
+import { BadRequestError, ForbiddenError, NotFoundError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Invitation-based onboarding.
+ * An invite is scoped to a company, plant and role; the invitee redeems the
+ * emailed link to choose a password, which creates their account. Only a
+ * SHA-256 hash of the link token is stored.
+ */
+
+export const INVITABLE_ROLES = ["COMPANY_ADMIN", "PLANT_ADMIN", "EMPLOYEE"];
+
+// Roles each admin level may invite
+const INVITABLE_BY = {
+  SUPER_ADMIN: INVITABLE_ROLES,
+  COMPANY_ADMIN: ["PLANT_ADMIN", "EMPLOYEE"],
+  PLANT_ADMIN: ["EMPLOYEE"]
+};
+
+const invitationTtl = () => parseInt(process.env.INVITATION_TTL) || 7 * 24 * 60 * 60; // 7 days
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+export const buildInvitationUrl = (token) => {
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:5173";
+  return `${clientUrl}/accept-invite?token=${token}`;
+};
+
+// Fresh token + expiry for a new or re-sent invitation
+const generateInvitationToken = () => {
+  const token = crypto.randomBytes(32).toString("hex");
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + invitationTtl() * 1000)
+  };
+};
+
+// Invitation without its token hash, safe to return from the API
+export const toPublicInvitation = (invitation) => {
+  const { tokenHash, __v, ...rest } = invitation.toObject ? invitation.toObject() : invitation;
+  return rest;
+};
+
+/**
+ * Company and plant a user invited (or created) by `actor` - req.user - joins.
+ * Admins below super admin only add users to their own company, and plant
+ * admins to their own plant, whatever the request asks for. Throws when the
+ * actor may not invite `role` or the plant is not part of the company.
+ */
+export const resolveInvitationScope = async (actor, { role, companyId, plantId }) => {
+  if (!INVITABLE_BY[actor.role]?.includes(role)) {
+    throw new ForbiddenError(`You are not allowed to invite users with the ${role} role`);
+  }
+
+  const targetCompanyId = actor.role === "SUPER_ADMIN" ? companyId : actor.companyId;
+  const targetPlantId = actor.role === "PLANT_ADMIN" ? actor.plantId : plantId;
+
+  if (!targetCompanyId) {
+    throw new BadRequestError("Company ID is required");
+  }
+
+  if (role !== "COMPANY_ADMIN") {
+    if (!targetPlantId) {
+      throw new BadRequestError("Plant ID is required for this role");
+    }
+
+    const plant = await Plant.findOne({ _id: targetPlantId, companyId: targetCompanyId });
+    if (!plant) {
+      throw new NotFoundError("Plant not found in this company");
+    }
+  }
+
+  return { companyId: targetCompanyId, plantId: targetPlantId };
+};
+
+/**
+ * Create a pending invitation and return it with its link.
+ * Any earlier pending invitation for the same email is revoked.
+ * Callers are responsible for scope and plan-limit checks.
+ */
+export const createInvitation = async ({ email, name, role, companyId, plantId, phoneNumber, position, invitedBy }) => {
+  const normalizedEmail = String(email).trim().toLowerCase();
+
+  await Invitation.updateMany(
+    { email: normalizedEmail, status: "PENDING" },
+    { status: "REVOKED" }
+  );
+
+  const { token, tokenHash, expiresAt } = generateInvitationToken();
+
+  const invitation = await Invitation.create({
+    email: normalizedEmail,
+    name,
+    role,
+    companyId,
+    plantId: role === "COMPANY_ADMIN" ? undefined : plantId,
+    phoneNumber,
+    position,
+    tokenHash,
+    expiresAt,
+    invitedBy
+  });
+
+  return { invitation, inviteUrl: buildInvitationUrl(token) };
+};
+
+// Replace the token of a pending invitation and push its expiry out again
+export const renewInvitation = async (invitationId) => {
+  const { token, tokenHash, expiresAt } = generateInvitationToken();
+
+  const invitation = await Invitation.findOneAndUpdate(
+    { _id: invitationId, status: "PENDING" },
+    { tokenHash, expiresAt },
+    { new: true }
+  );
+  if (!invitation) return null;
+
+  return { invitation, inviteUrl: buildInvitationUrl(token) };
+};
+
+/**
+ * Email the invitation link. `actor` picks the sender identity
+ * (see resolveEmailSender in the email service).
+ */
+export const sendInvitation = async (invitation, inviteUrl, actor = "SYSTEM") => {
+  const [company, plant] = await Promise.all([
+    Company.findById(invitation.companyId),
+    invitation.plantId ? Plant.findById(invitation.plantId) : null
+  ]);
+
+  return sendInvitationEmail(
+    invitation.email,
+    invitation.name,
+    invitation.role,
+    company?.name || "Your Company",
+    inviteUrl,
+    Math.round(invitationTtl() / (24 * 60 * 60)),
+    company || {},
+    plant || {},
+    actor,
+    invitation.companyId,
+    invitation.plantId
+  );
+};
+
+// Shortcut for account creation flows: create the invite and email it in the background
+export const inviteUser = async (data, actor) => {
+  const { invitation, inviteUrl } = await createInvitation(data);
+
+  sendInvitation(invitation, inviteUrl, actor)
+    .catch(err => logger.error("Failed to send invitation email", err));
+
+  return invitation;
+};
+
+// Pending, unexpired invitation for a link token, or null
+export const findInvitationByToken = (token) =>
+  Invitation.findOne({
+    tokenHash: hashToken(String(token)),
+    status: "PENDING",
+    expiresAt: { $gt: new Date() }
+  })
+    .populate("companyId", "name logoUrl")
+    .populate("plantId", "name");
+
+/**
+ * Redeem an invitation: create the account with the chosen password.
+ * Returns { user } on success or { error, status } when the invitation
+ * cannot be used.
+ */
+export const acceptInvitation = async (token, { password, name }) => {
+  // Claim the invitation first so the same link cannot be redeemed twice
+  const invitation = await Invitation.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      status: "PENDING",
+      expiresAt: { $gt: new Date() }
+    },
+    { status: "ACCEPTED", acceptedAt: new Date() },
+    { new: true }
+  );
+
+  if (!invitation) {
+    return { error: "Invitation is invalid or has expired", status: 400 };
+  }
+
+  const release = () => Invitation.updateOne(
+    { _id: invitation._id },
+    { status: "PENDING", $unset: { acceptedAt: 1 } }
+  );
+
+  try {
+    const existingUser = await User.findOne({ email: invitation.email });
+    if (existingUser) {
+      await Invitation.updateOne({ _id: invitation._id }, { status: "REVOKED" });
+      return { error: "An account with this email already exists. Please log in instead.", status: 409 };
+    }
+
+    if (invitation.role === "EMPLOYEE") {
+      const validation = await validateEmployeeCreation(invitation.companyId, invitation.plantId);
+      if (!validation.allowed) {
+        await release();
+        return { error: validation.message, status: 403 };
+      }
+    }
+
+    const user = await User.create({
+      name: name || invitation.name || invitation.email,
+      email: invitation.email,
+      password: await bcrypt.hash(password, 10),
+      role: invitation.role,
+      phoneNumber: invitation.phoneNumber,
+      position: invitation.position,
+      companyId: invitation.companyId,
+      plantId: invitation.plantId,
+      isActive: true,
+      passwordChangedAt: new Date()
+    });
+
+    await Invitation.updateOne({ _id: invitation._id }, { userId: user._id });
+
+    return { user };
+  } catch (error) {
+    await release();
+    throw error;
+  }
+};
@@ -0,0 +1,174 @@
+import crypto from "crypto";
+import { recordAudit } from "./audit.service.js";
+import { getValue, setValue, deleteValue, incrementValue, getTtl } from "../utils/kvStore.js";
+import { sendAccountLockedEmail } from "./email.service.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Brute-force protection for password logins.
+ * Failed attempts are counted per account (email) and per client IP; crossing
+ * the threshold locks that key for a while. Wrong second-factor codes are
+ * counted per user and lock the account the same way. Counters live in Redis when
+ * available, otherwise in memory.
+ */
+
+const settings = () => ({
+  maxAccountAttempts: parseInt(process.env.LOGIN_MAX_ACCOUNT_ATTEMPTS) || 5,
+  maxIpAttempts: parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS) || 20,
+  attemptWindow: parseInt(process.env.LOGIN_ATTEMPT_WINDOW) || 15 * 60, // seconds
+  lockDuration: parseInt(process.env.LOGIN_LOCK_DURATION) || 15 * 60 // seconds
+});
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+const failuresKey = (scope, id) => `auth:login-failures:${scope}:${id}`;
+const lockKey = (scope, id) => `auth:login-lock:${scope}:${id}`;
+const secondFactorFailuresKey = (userId) => `auth:2fa-failures:${userId}`;
+const unlockTokenKey = (hash) => `auth:unlock:${hash}`;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const writeAuditLog = (entry) => recordAudit({ module: "AUTH", ...entry });
+
+/**
+ * Returns { allowed: true } or { allowed: false, retryAfter } when the account
+ * or the IP is currently locked.
+ */
+export const checkLoginAllowed = async (email, ip) => {
+  for (const [scope, id] of [["account", normalizeEmail(email)], ["ip", ip]]) {
+    if (!id) continue;
+    if (await getValue(lockKey(scope, id))) {
+      const ttl = await getTtl(lockKey(scope, id));
+      return { allowed: false, retryAfter: ttl > 0 ? ttl : settings().lockDuration };
+    }
+  }
+  return { allowed: true };
+};
+
+// Extra wait applied to a failed attempt: 0, 0, 1s, 2s, 4s, ... capped at 8s
+export const getFailureDelay = (failures) =>
+  failures < 3 ? 0 : Math.min(1000 * 2 ** (failures - 3), 8000);
+
+const lockAccount = async (email, user, req, failures, step = "password") => {
+  const { lockDuration } = settings();
+  await setValue(lockKey("account", email), "1", lockDuration);
+
+  await writeAuditLog({
+    userId: user?._id,
+    action: "ACCOUNT_LOCKED",
+    details: { scope: "account", email, step, failedAttempts: failures, lockedForSeconds: lockDuration },
+    ipAddress: req.ip,
+    userAgent: req.headers["user-agent"]
+  });
+
+  // Only real, active accounts get an unlock email
+  if (!user || !user.isActive) return;
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await setValue(unlockTokenKey(hashToken(token)), JSON.stringify({ email, userId: user._id }), lockDuration);
+
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:5173";
+  sendAccountLockedEmail(
+    user.email,
+    user.name,
+    `${clientUrl}/unlock-account?token=${token}`,
+    Math.round(lockDuration / 60)
+  ).catch(err => logger.error("Failed to send account locked email", err));
+};
+
+const lockIp = async (ip, req, failures) => {
+  const { lockDuration } = settings();
+  await setValue(lockKey("ip", ip), "1", lockDuration);
+
+  await writeAuditLog({
+    action: "IP_LOCKED",
+    details: { scope: "ip", failedAttempts: failures, lockedForSeconds: lockDuration },
+    ipAddress: ip,
+    userAgent: req.headers["user-agent"]
+  });
+};
+
+/**
+ * Count a failed attempt, lock when a threshold is crossed and wait the
+ * progressive delay before the caller answers.
+ */
+export const recordFailedLogin = async (email, user, req) => {
+  const { maxAccountAttempts, maxIpAttempts, attemptWindow } = settings();
+  const normalized = normalizeEmail(email);
+  const ip = req.ip;
+
+  const accountFailures = normalized ? await incrementValue(failuresKey("account", normalized), attemptWindow) : 0;
+  const ipFailures = ip ? await incrementValue(failuresKey("ip", ip), attemptWindow) : 0;
+
+  if (normalized && accountFailures >= maxAccountAttempts) {
+    await deleteValue(failuresKey("account", normalized));
+    await lockAccount(normalized, user, req, accountFailures);
+  }
+
+  if (ip && ipFailures >= maxIpAttempts) {
+    await deleteValue(failuresKey("ip", ip));
+    await lockIp(ip, req, ipFailures);
+  }
+
+  await sleep(getFailureDelay(accountFailures));
+};
+
+/**
+ * Count a wrong TOTP or recovery code. Counted per user rather than per login
+ * challenge and not cleared by a correct password, so logging in again does
+ * not buy more guesses; reaching the account threshold locks the account.
+ */
+export const recordFailedSecondFactor = async (user, req) => {
+  const { maxAccountAttempts, attemptWindow } = settings();
+  const key = secondFactorFailuresKey(user._id);
+  const failures = await incrementValue(key, attemptWindow);
+
+  if (failures >= maxAccountAttempts) {
+    await deleteValue(key);
+    await lockAccount(normalizeEmail(user.email), user, req, failures, "second-factor");
+  }
+
+  await sleep(getFailureDelay(failures));
+};
+
+export const clearFailedSecondFactor = async (userId) => {
+  await deleteValue(secondFactorFailuresKey(userId));
+};
+
+// Successful login: forget the account's failures (the IP counter keeps running)
+export const clearFailedLogins = async (email) => {
+  await deleteValue(failuresKey("account", normalizeEmail(email)));
+};
+
+// Lift an account lock, e.g. after a password reset
+export const unlockAccountByEmail = async (email) => {
+  const normalized = normalizeEmail(email);
+  await deleteValue(lockKey("account", normalized));
+  await deleteValue(failuresKey("account", normalized));
+};
+
+/**
+ * Redeem the token from the lockout email.
+ * Returns the unlocked email, or null when the token is invalid.
+ */
+export const unlockAccountWithToken = async (token, req) => {
+  const key = unlockTokenKey(hashToken(token));
+  const stored = await getValue(key);
+  if (!stored) return null;
+
+  const { email, userId } = JSON.parse(stored);
+  await deleteValue(key);
+  await unlockAccountByEmail(email);
+
+  await writeAuditLog({
+    userId,
+    action: "ACCOUNT_UNLOCKED",
+    details: { scope: "account", email, via: "email-link" },
+    ipAddress: req.ip,
+    userAgent: req.headers["user-agent"]
+  });
+
+  return email;
+};
@@ -0,0 +1,93 @@
+import User from "../models/User.model.js";
+import Plant from "../models/Plant.model.js";
+import { generateCacheKey, getFromCache, setInCache, deleteFromCache } from "../utils/cache.js";
+
+/**
+ * Plant memberships.
+ * A user's home plant (`plantId` + `role`) is always a membership; extra
+ * plants of the same company come from `plantMemberships`, each with its own
+ * role. Tokens are scoped to one of these plants at a time.
+ */
+
+const MEMBERSHIPS_CACHE_TTL = 5 * 60; // 5 minutes
+
+export const PLANT_ROLES = ["PLANT_ADMIN", "EMPLOYEE"];
+
+const cacheKeyFor = (userId) => generateCacheKey("plant-memberships", { userId: userId.toString() });
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Home plant first, then the additional memberships
+export const getPlantMemberships = (user) => {
+  const memberships = [];
+
+  if (user.plantId && PLANT_ROLES.includes(user.role)) {
+    memberships.push({ plantId: idOf(user.plantId), role: user.role, home: true });
+  }
+
+  for (const membership of user.plantMemberships || []) {
+    const plantId = idOf(membership.plantId);
+    if (!memberships.some(m => m.plantId === plantId)) {
+      memberships.push({ plantId, role: membership.role, home: false });
+    }
+  }
+
+  return memberships;
+};
+
+export const findPlantMembership = (user, plantId) =>
+  getPlantMemberships(user).find(membership => membership.plantId === idOf(plantId)) || null;
+
+/**
+ * The user as seen from one of their plants: same identity, but the plant and
+ * role of that membership. Returns null when the user is not a member.
+ */
+export const scopeUserToPlant = (user, plantId) => {
+  const membership = findPlantMembership(user, plantId);
+  if (!membership) return null;
+
+  const plain = typeof user.toObject === "function" ? user.toObject() : user;
+  return { ...plain, plantId: membership.plantId, role: membership.role };
+};
+
+// Memberships with plant details for the plant switcher; inactive plants are left out
+export const describePlantMemberships = async (memberships) => {
+  const plants = await Plant.find({
+    _id: { $in: memberships.map(membership => membership.plantId) },
+    isActive: true
+  }).select("name plantNumber location code").lean();
+
+  return memberships
+    .map(membership => {
+      const plant = plants.find(p => p._id.toString() === membership.plantId);
+      return plant && {
+        ...membership,
+        plantName: plant.name,
+        plantNumber: plant.plantNumber,
+        plantLocation: plant.location,
+        plantCode: plant.code
+      };
+    })
+    .filter(Boolean);
+};
+
+// Memberships of a user by id, cached briefly
+export const getUserPlantMemberships = async (userId) => {
+  const cacheKey = cacheKeyFor(userId);
+  const cached = await getFromCache(cacheKey);
+  if (cached) return cached;
+
+  const user = await User.findById(userId).select("role plantId plantMemberships").lean();
+  if (!user) return [];
+
+  const memberships = getPlantMemberships(user);
+  await setInCache(cacheKey, memberships, MEMBERSHIPS_CACHE_TTL);
+  return memberships;
+};
+
+export const getMemberPlantIds = async (userId) =>
+  (await getUserPlantMemberships(userId)).map(membership => membership.plantId);
+
+export const invalidatePlantMemberships = async (userId) => {
+  await deleteFromCache(cacheKeyFor(userId));
+};
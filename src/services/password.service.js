@@ -0,0 +1,84 @@
+import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import User from "../models/User.model.js";
+import { revokeAllUserTokens } from "./token.service.js";
+
+/**
+ * Password reset / set-password tokens.
+ * Only a SHA-256 hash of the token is stored on the user, and the token is
+ * cleared the moment it is consumed.
+ */
+
+export const RESET_TOKEN_TTL = 60 * 60; // 1 hour
+export const SET_PASSWORD_TOKEN_TTL = 72 * 60 * 60; // 72 hours for new accounts
+export const MIN_PASSWORD_LENGTH = 8;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+export const validatePasswordStrength = (password) => {
+  if (!password || typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+};
+
+// Random unusable password for accounts that will set their own
+export const generateRandomPassword = () => crypto.randomBytes(24).toString("base64url");
+
+export const buildSetPasswordUrl = (token) => {
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:5173";
+  return `${clientUrl}/reset-password?token=${token}`;
+};
+
+/**
+ * Create a single-use token for the user and return the raw value.
+ * Any previously issued token is replaced.
+ */
+export const createPasswordResetToken = async (userId, ttl = RESET_TOKEN_TTL) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await User.findByIdAndUpdate(userId, {
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpiresAt: new Date(Date.now() + ttl * 1000)
+  });
+
+  return token;
+};
+
+// Shortcut used by account creation flows to build the welcome email link
+export const createSetPasswordLink = async (userId) => {
+  const token = await createPasswordResetToken(userId, SET_PASSWORD_TOKEN_TTL);
+  return buildSetPasswordUrl(token);
+};
+
+/**
+ * Consume a reset token and set the new password.
+ * Returns the updated user, or null when the token is invalid or expired.
+ */
+export const resetPasswordWithToken = async (token, newPassword) => {
+  const user = await User.findOneAndUpdate(
+    {
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpiresAt: { $gt: new Date() },
+      isActive: true
+    },
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } },
+    { new: true }
+  );
+
+  if (!user) return null;
+
+  return setUserPassword(user, newPassword);
+};
+
+// Store a new password, clear the forced-change flag and sign out every session
+export const setUserPassword = async (user, newPassword) => {
+  user.password = await bcrypt.hash(newPassword, 10);
+  user.mustChangePassword = false;
+  user.passwordChangedAt = new Date();
+  await user.save();
+
+  await revokeAllUserTokens(user._id, { reason: "Password changed" });
+
+  return user;
+};
@@ -0,0 +1,66 @@
+import User from "../models/User.model.js";
+import { getRolePermissions } from "../config/permissions.js";
+import { generateCacheKey, getFromCache, setInCache, deleteFromCache } from "../utils/cache.js";
+
+/**
+ * Effective permissions of a user:
+ *  - the custom role's permissions when one is assigned and the user acts in
+ *    the role it was assigned for, otherwise the preset bundle of the
+ *    built-in role;
+ *  - then the legacy per-user flags: `canFillForms: false` withdraws form
+ *    filling and `canApprove: true` grants approval rights.
+ * `role` is the role the caller acts in (a plant membership may give another
+ * role than the home one); it defaults to the user's own role.
+ * Results are cached briefly and invalidated when roles change.
+ */
+
+const PERMISSIONS_CACHE_TTL = 5 * 60; // 5 minutes
+
+const BUILT_IN_ROLES = ["SUPER_ADMIN", "COMPANY_ADMIN", "PLANT_ADMIN", "EMPLOYEE"];
+
+const cacheKeyFor = (userId, role) =>
+  generateCacheKey("permissions", { userId: userId.toString(), role: role || "own" });
+
+export const computePermissions = (user, role = user.role) => {
+  const customRole = user.customRoleId;
+  // A custom role given to a company admin does not follow them into a plant where they are an employee
+  const useCustomRole = customRole?.isActive &&
+    customRole.companyId?.toString() === user.companyId?.toString() &&
+    role === (user.customRoleFor || user.role);
+
+  const permissions = new Set(useCustomRole ? customRole.permissions : getRolePermissions(role));
+
+  if (user.permissions?.canFillForms === false) permissions.delete("submissions.create");
+  if (user.permissions?.canApprove === true) permissions.add("submissions.approve");
+
+  return [...permissions];
+};
+
+export const getEffectivePermissions = async (userId, role) => {
+  const cacheKey = cacheKeyFor(userId, role);
+  const cached = await getFromCache(cacheKey);
+  if (cached) return cached;
+
+  const user = await User.findById(userId)
+    .select("role companyId permissions customRoleId customRoleFor")
+    .populate("customRoleId", "companyId permissions isActive")
+    .lean();
+  if (!user) return [];
+
+  const permissions = computePermissions(user, role || user.role);
+  await setInCache(cacheKey, permissions, PERMISSIONS_CACHE_TTL);
+  return permissions;
+};
+
+export const hasPermission = async (userId, permission, role) =>
+  (await getEffectivePermissions(userId, role)).includes(permission);
+
+export const invalidateUserPermissions = async (userId) => {
+  await Promise.all([undefined, ...BUILT_IN_ROLES].map(role => deleteFromCache(cacheKeyFor(userId, role))));
+};
+
+// After a custom role changes, drop the cached permissions of everyone holding it
+export const invalidateRolePermissions = async (customRoleId) => {
+  const users = await User.find({ customRoleId }).select("_id").lean();
+  await Promise.all(users.map(user => invalidateUserPermissions(user._id)));
+};
@@ -0,0 +1,30 @@
+import PlatformSetting from "../models/PlatformSetting.model.js";
+
+/**
+ * Platform-wide settings stored in a single document.
+ * Defaults apply until a super admin saves something.
+ */
+
+const SETTINGS_KEY = "global";
+
+export const getPlatformSettings = async () => {
+  const settings = await PlatformSetting.findOne({ key: SETTINGS_KEY }).lean();
+  return {
+    allowSelfRegistration: Boolean(settings?.allowSelfRegistration)
+  };
+};
+
+export const updatePlatformSettings = async (updates, updatedBy) => {
+  const settings = await PlatformSetting.findOneAndUpdate(
+    { key: SETTINGS_KEY },
+    { ...updates, updatedBy },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  return {
+    allowSelfRegistration: Boolean(settings.allowSelfRegistration)
+  };
+};
+
+export const isSelfRegistrationEnabled = async () =>
+  (await getPlatformSettings()).allowSelfRegistration;
@@ -0,0 +1,228 @@
+import bcrypt from "bcryptjs";
+import User from "../models/User.model.js";
+import FormSubmission from "../models/FormSubmission.model.js";
+import Assignment from "../models/Assignment.model.js";
+import FormTask from "../models/FormTask.model.js";
+import ApprovalLink from "../models/ApprovalLink.model.js";
+import Invitation from "../models/Invitation.model.js";
+import Session from "../models/Session.model.js";
+import AuditLog from "../models/AuditLog.model.js";
+import { decryptSubmissionData, getSensitiveFieldIds } from "./fieldEncryption.service.js";
+import { getActiveHolds } from "./retention.service.js";
+import { pinnedFormsOf } from "./formVersion.service.js";
+import { generateRandomPassword } from "./password.service.js";
+import { revokeAllUserTokens } from "./token.service.js";
+import { deleteSubmissionFiles, detachUploadedAssets } from "./upload.service.js";
+import { ConflictError } from "../utils/errors.js";
+
+/**
+ * Subject-access exports and erasure of a person's data.
+ *
+ * The export is a JSON bundle of everything tied to the user: profile,
+ * submissions (decrypted), approval decisions, assignments, tasks, approval
+ * links and invitations sent to their email, sessions and audit entries.
+ *
+ * Erasure pseudonymizes rather than deletes, so approval chains, tasks and the
+ * audit trail stay intact: the account keeps its id but loses its name, email
+ * and contact details, and copies of them elsewhere are replaced with the
+ * same pseudonym. Answers to sensitive and auto-user fields in the person's
+ * own submissions are removed, and so are their signatures and uploaded files
+ * (deleted from Cloudinary; any that cannot be deleted right away are handed
+ * to the orphan upload cleanup). Other answers remain part of the record.
+ */
+
+const ERASED = "[ERASED]";
+
+const PROFILE_FIELDS = "name email role phoneNumber position companyId plantId plantMemberships isActive createdAt updatedAt erasedAt";
+
+export const pseudonymFor = (userId) => ({
+  name: `Erased user ${userId.toString().slice(-6)}`,
+  email: `erased-${userId}@erased.invalid`
+});
+
+/* 🔹 Helper: Query matching what was sent to or recorded under the user's email */
+const byEmail = (email) => ({ $regex: `^${email.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, $options: "i" });
+
+/* ======================================================
+   EXPORT
+====================================================== */
+
+export const collectPersonalData = async (userId) => {
+  const user = await User.findById(userId).select(PROFILE_FIELDS).lean();
+  const email = byEmail(user.email);
+
+  const [submissions, decided, assignments, formTasks, approvalLinks, invitations, sessions, auditLog] = await Promise.all([
+    FormSubmission.find({ $or: [{ submittedBy: user._id }, { submittedByEmail: email }] })
+      .select("formId formName formVersion submittedByName submittedByEmail submittedAt status data files approvalHistory companyId plantId createdAt")
+      .lean(),
+    FormSubmission.find({ "approvalHistory.approverId": user._id })
+      .select("formId formName submittedAt approvalHistory")
+      .lean(),
+    Assignment.find({ $or: [{ employeeId: user._id }, { assignedBy: user._id }] }).lean(),
+    FormTask.find({ $or: [{ assignedTo: user._id }, { assignedBy: user._id }] }).lean(),
+    ApprovalLink.find({ approverEmail: email }).select("-token").lean(),
+    Invitation.find({ email }).select("-tokenHash").lean(),
+    Session.find({ userId: user._id }).lean(),
+    AuditLog.find({ $or: [{ userId: user._id }, { impersonatorId: user._id }, { entityType: "User", entityId: user._id }] })
+      .sort({ createdAt: 1 })
+      .lean()
+  ]);
+
+  const approvals = decided.flatMap(submission => submission.approvalHistory
+    .filter(entry => entry.approverId?.toString() === user._id.toString())
+    .map(({ level, status, comments, actionedAt }) => ({
+      submissionId: submission._id,
+      formId: submission.formId,
+      formName: submission.formName,
+      level,
+      status,
+      comments,
+      actionedAt
+    })));
+
+  return {
+    generatedAt: new Date(),
+    subject: { userId: user._id, name: user.name, email: user.email },
+    profile: user,
+    submissions: await Promise.all(submissions.map(async (submission) =>
+      ({ ...submission, data: await decryptSubmissionData(submission.data, submission.companyId) }))),
+    approvals,
+    assignments,
+    formTasks,
+    approvalLinks,
+    invitations,
+    sessions,
+    auditLog
+  };
+};
+
+/* ======================================================
+   ERASURE
+====================================================== */
+
+// Answers that identify the person, besides the sensitive fields
+const PERSONAL_FIELD_TYPES = ["auto-user", "signature", "file"];
+
+/* 🔹 Helper: Ids of the fields in a form that identify the person */
+const personalFieldIds = (form) => {
+  const fields = [...(form?.fields || []), ...(form?.sections || []).flatMap(section => section.fields || [])];
+  return new Set([
+    ...getSensitiveFieldIds(form),
+    ...fields.filter(field => PERSONAL_FIELD_TYPES.includes(field.type)).map(field => field.fieldId)
+  ]);
+};
+
+/* 🔹 Helper: Delete a submission's signatures and files; returns how many could not be deleted */
+const eraseSubmissionFiles = async (submission) => {
+  const { failed } = await deleteSubmissionFiles(submission);
+  await detachUploadedAssets({ model: "FormSubmission", id: submission._id });
+  return failed;
+};
+
+// Legal holds block erasure of held submissions
+const assertNoLegalHold = async (user) => {
+  if (!user.companyId) return;
+
+  const holds = await getActiveHolds(user.companyId);
+  const held = holds.company || await FormSubmission.exists({
+    submittedBy: user._id,
+    $or: [{ _id: { $in: holds.submissionIds } }, { formId: { $in: holds.formIds } }]
+  });
+  if (held) {
+    throw new ConflictError("The user's submissions are under a legal hold and cannot be erased", { code: "LEGAL_HOLD" });
+  }
+};
+
+/**
+ * Pseudonymize the user everywhere. Returns counts of what was changed.
+ * The caller records the audit entry.
+ */
+export const erasePersonalData = async (user, { erasedBy } = {}) => {
+  await assertNoLegalHold(user);
+
+  const pseudonym = pseudonymFor(user._id);
+  const email = byEmail(user.email);
+  const result = {};
+
+  // Sign out first so no session outlives the account
+  await revokeAllUserTokens(user._id, { revokedBy: erasedBy, reason: "Personal data erased" });
+
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      ...pseudonym,
+      password: await bcrypt.hash(generateRandomPassword(), 10),
+      isActive: false,
+      erasedAt: new Date(),
+      "twoFactor.enabled": false
+    },
+    $unset: {
+      phoneNumber: 1,
+      position: 1,
+      passwordResetTokenHash: 1,
+      passwordResetExpiresAt: 1,
+      "twoFactor.secret": 1,
+      "twoFactor.pendingSecret": 1,
+      "twoFactor.recoveryCodes": 1
+    }
+  });
+
+  // Their own submissions keep their status and approvals, not their identity
+  // Fields are judged by the form version each submission was filled against
+  const submissions = await FormSubmission.find({ $or: [{ submittedBy: user._id }, { submittedByEmail: email }] })
+    .select("formId formVersionId data files")
+    .populate("formId", "fields sections")
+    .lean();
+  const forms = await pinnedFormsOf(submissions);
+
+  result.filesNotDeleted = 0;
+  for (const [index, submission] of submissions.entries()) {
+    const unset = [...personalFieldIds(forms[index])]
+      .filter(fieldId => submission.data && fieldId in submission.data)
+      .map(fieldId => `data.${fieldId}`);
+
+    result.filesNotDeleted += await eraseSubmissionFiles(submission);
+
+    await FormSubmission.updateOne({ _id: submission._id }, {
+      $set: { submittedByName: pseudonym.name, submittedByEmail: pseudonym.email },
+      $unset: Object.fromEntries([...unset, "files"].map(path => [path, 1]))
+    }, { timestamps: false });
+  }
+  result.submissions = submissions.length;
+
+  result.approvalLinks = (await ApprovalLink.updateMany({ approverEmail: email }, { approverEmail: pseudonym.email })).modifiedCount;
+
+  result.invitations = (await Invitation.updateMany(
+    { email },
+    { $set: { email: pseudonym.email, name: pseudonym.name }, $unset: { phoneNumber: 1, position: 1 } }
+  )).modifiedCount;
+
+  result.sessions = (await Session.updateMany(
+    { userId: user._id },
+    { $unset: { device: 1, ipAddress: 1, userAgent: 1, lastSeenIp: 1 } }
+  )).modifiedCount;
+
+  // The trail stays, without their network details or the values they had
+  await AuditLog.updateMany(
+    { $or: [{ userId: user._id }, { impersonatorId: user._id }] },
+    { $unset: { ipAddress: 1, userAgent: 1 } },
+    { timestamps: false }
+  );
+  await AuditLog.updateMany(
+    { entityType: "User", entityId: user._id },
+    [{
+      $set: {
+        entityName: pseudonym.name,
+        changes: {
+          $cond: [
+            { $isArray: "$changes" },
+            { $map: { input: "$changes", in: { field: "$$this.field", before: ERASED, after: ERASED } } },
+            "$$REMOVE"
+          ]
+        }
+      }
+    }],
+    { timestamps: false }
+  );
+
+  return result;
+};
@@ -0,0 +1,236 @@
+import Company from "../models/Company.model.js";
+import Form from "../models/Form.model.js";
+import FormSubmission from "../models/FormSubmission.model.js";
+import FormTask from "../models/FormTask.model.js";
+import Assignment from "../models/Assignment.model.js";
+import ApprovalLink from "../models/ApprovalLink.model.js";
+import LegalHold from "../models/LegalHold.model.js";
+import { deleteSubmissionFiles } from "./upload.service.js";
+import { recordAudit } from "./audit.service.js";
+import { logger } from "../utils/logger.js";
+import { incrementValue } from "../utils/kvStore.js";
+import { runAsJob } from "../utils/requestContext.js";
+
+/**
+ * Data retention.
+ *
+ * A company sets how long submissions are kept ({ months, action }) and a form
+ * may override it; action "ARCHIVE" archives expired submissions, "DELETE"
+ * removes them together with their Cloudinary files and "KEEP" (or no months)
+ * keeps them forever. Submissions still pending approval are never touched,
+ * and active legal holds on the company, a form or a submission block both.
+ *
+ * runRetentionPurge() runs on a schedule inside the API process
+ * (scheduleRetentionPurge(), every RETENTION_PURGE_INTERVAL_HOURS, default 24,
+ * 0 turns it off) or from cron with scripts/purgeRetention.js, e.g.
+ *   0 3 * * * cd /srv/api && npm run purge:retention
+ * It also removes expired approval links and writes an audit entry per company.
+ */
+
+// Hours between scheduled purges; 0 turns the in-process schedule off
+const purgeIntervalHours = () => {
+  const hours = parseFloat(process.env.RETENTION_PURGE_INTERVAL_HOURS);
+  return Number.isFinite(hours) ? hours : 24;
+};
+
+// How often the schedule checks whether a purge is due
+const PURGE_CHECK_MS = 60 * 60 * 1000;
+const PURGE_RUN_KEY = "retention:purge-run";
+
+// Expired approval links are kept this long for support questions
+const approvalLinkGraceDays = () => parseInt(process.env.APPROVAL_LINK_RETENTION_DAYS) || 30;
+
+export const RETENTION_ACTIONS = ["KEEP", "ARCHIVE", "DELETE"];
+
+const PURGE_COUNTS = ["archived", "deleted", "filesDeleted", "held", "failed"];
+
+// Effective policy for a form's submissions, or null when they are kept forever
+export const resolveRetention = (company, form) => {
+  const months = form?.retention?.months ?? company?.retention?.months;
+  const action = form?.retention?.action ?? company?.retention?.action ?? "ARCHIVE";
+
+  if (!months || action === "KEEP") return null;
+  return { months, action };
+};
+
+/* 🔹 Helper: Start of the retention window */
+const cutoffFor = (months, now) => {
+  const cutoff = new Date(now);
+  cutoff.setUTCMonth(cutoff.getUTCMonth() - months);
+  return cutoff;
+};
+
+/* 🔹 Helper: Active legal holds of a company, grouped by what they cover */
+export const getActiveHolds = async (companyId) => {
+  const holds = await LegalHold.find({ companyId, releasedAt: null }).lean();
+
+  return {
+    company: holds.some(hold => !hold.formId && !hold.submissionId),
+    formIds: holds.filter(hold => hold.formId && !hold.submissionId).map(hold => hold.formId),
+    submissionIds: holds.filter(hold => hold.submissionId).map(hold => hold.submissionId)
+  };
+};
+
+/* 🔹 Helper: Delete one submission and unlink what points to it; kept when a file could not be deleted */
+const deleteSubmission = async (submission) => {
+  const { deleted, failed } = await deleteSubmissionFiles(submission);
+  if (failed > 0) return { removed: false, files: deleted };
+
+  await FormSubmission.deleteOne({ _id: submission._id });
+  await Promise.all([
+    FormTask.updateMany({ submissionId: submission._id }, { $unset: { submissionId: 1 } }),
+    Assignment.updateMany({ submissionId: submission._id }, { $unset: { submissionId: 1 } })
+  ]);
+  return { removed: true, files: deleted };
+};
+
+/* 🔹 Helper: Apply one policy to the submissions matching `scope` */
+const applyPolicy = async ({ policy, scope, holds, now, dryRun }, report) => {
+  const expired = {
+    ...scope,
+    submittedAt: { $lt: cutoffFor(policy.months, now) },
+    status: { $ne: "PENDING_APPROVAL" },
+    ...(policy.action === "ARCHIVE" && { isArchived: false })
+  };
+  const heldBy = [{ _id: { $in: holds.submissionIds } }, { formId: { $in: holds.formIds } }];
+
+  report.held += await FormSubmission.countDocuments(holds.company ? expired : { ...expired, $or: heldBy });
+  if (holds.company) return;
+
+  const purgeable = { ...expired, $nor: heldBy };
+
+  if (dryRun) {
+    report[policy.action === "ARCHIVE" ? "archived" : "deleted"] += await FormSubmission.countDocuments(purgeable);
+    return;
+  }
+
+  if (policy.action === "ARCHIVE") {
+    const { modifiedCount } = await FormSubmission.updateMany(purgeable, { isArchived: true, archivedAt: now });
+    report.archived += modifiedCount;
+    return;
+  }
+
+  const cursor = FormSubmission.find(purgeable).select("files").lean().cursor();
+  for await (const submission of cursor) {
+    const { removed, files } = await deleteSubmission(submission);
+    report.filesDeleted += files;
+    if (removed) report.deleted++; else report.failed++;
+  }
+};
+
+/**
+ * Apply the company's retention policies. Returns the counts of archived,
+ * deleted, held (blocked by a legal hold) and failed submissions.
+ */
+export const purgeCompanySubmissions = async (company, { now = new Date(), dryRun = false } = {}) => {
+  const report = { companyId: company._id, name: company.name, ...Object.fromEntries(PURGE_COUNTS.map(key => [key, 0])) };
+
+  const holds = await getActiveHolds(company._id);
+  const overriddenForms = await Form.find({
+    companyId: company._id,
+    $or: [{ "retention.months": { $exists: true } }, { "retention.action": { $exists: true } }]
+  }).select("retention").lean();
+
+  // Forms with their own policy
+  for (const form of overriddenForms) {
+    const policy = resolveRetention(company, form);
+    if (policy) {
+      await applyPolicy({ policy, scope: { companyId: company._id, formId: form._id }, holds, now, dryRun }, report);
+    }
+  }
+
+  // Every other form follows the company default
+  const policy = resolveRetention(company);
+  if (policy) {
+    const scope = { companyId: company._id, formId: { $nin: overriddenForms.map(form => form._id) } };
+    await applyPolicy({ policy, scope, holds, now, dryRun }, report);
+  }
+
+  return report;
+};
+
+// Approval links that expired more than APPROVAL_LINK_RETENTION_DAYS ago
+export const purgeExpiredApprovalLinks = async ({ now = new Date(), dryRun = false } = {}) => {
+  const filter = { expiresAt: { $lt: new Date(now.getTime() - approvalLinkGraceDays() * 24 * 60 * 60 * 1000) } };
+  if (dryRun) return ApprovalLink.countDocuments(filter);
+
+  const { deletedCount } = await ApprovalLink.deleteMany(filter);
+  return deletedCount;
+};
+
+/**
+ * The scheduled purge across all companies. With `dryRun` nothing is changed
+ * and the report shows what would be removed.
+ */
+export const runRetentionPurge = async ({ now = new Date(), dryRun = false } = {}) => {
+  const report = { dryRun, startedAt: now, companies: [], approvalLinksDeleted: 0 };
+
+  const companies = await Company.find().select("name retention").lean();
+  for (const company of companies) {
+    try {
+      const result = await purgeCompanySubmissions(company, { now, dryRun });
+      if (!PURGE_COUNTS.some(key => result[key])) continue;
+
+      report.companies.push(result);
+      if (!dryRun) {
+        const { companyId, name, ...counts } = result;
+        await recordAudit({
+          module: "RETENTION",
+          action: "RETENTION_PURGE",
+          entityType: "Company",
+          entity: company,
+          details: { ...counts, policy: company.retention }
+        });
+      }
+    } catch (error) {
+      logger.error("Retention purge failed for company", { err: error, companyId: company._id });
+      report.companies.push({ companyId: company._id, name: company.name, error: error.message });
+    }
+  }
+
+  report.approvalLinksDeleted = await purgeExpiredApprovalLinks({ now, dryRun });
+
+  report.totals = Object.fromEntries(PURGE_COUNTS.map(key =>
+    [key, report.companies.reduce((sum, company) => sum + (company[key] || 0), 0)]));
+  report.finishedAt = new Date();
+
+  if (!dryRun) {
+    await recordAudit({
+      module: "RETENTION",
+      action: "RETENTION_PURGE_COMPLETED",
+      details: { ...report.totals, companies: report.companies.length, approvalLinksDeleted: report.approvalLinksDeleted }
+    });
+  }
+
+  return report;
+};
+
+/**
+ * Run the purge every RETENTION_PURGE_INTERVAL_HOURS inside this process.
+ * The store counter keeps it to one run per interval, across instances and
+ * restarts when the store is Redis. Returns a function that stops the schedule, or null when it is off.
+ */
+export const scheduleRetentionPurge = () => {
+  const hours = purgeIntervalHours();
+  if (hours <= 0) {
+    logger.info("Scheduled retention purge is disabled");
+    return null;
+  }
+
+  const intervalSec = Math.max(Math.round(hours * 60 * 60), 60);
+  const purgeIfDue = () => runAsJob("retention-purge", async () => {
+    if (await incrementValue(PURGE_RUN_KEY, intervalSec) !== 1) return;
+
+    try {
+      const report = await runRetentionPurge();
+      logger.info("Retention purge finished", { report });
+    } catch (error) {
+      logger.error("Retention purge failed", error);
+    }
+  });
+
+  const timer = setInterval(purgeIfDue, Math.min(intervalSec * 1000, PURGE_CHECK_MS));
+  timer.unref();
+  logger.info("Scheduled retention purge", { intervalHours: hours });
+  return () => clearInterval(timer);
+};
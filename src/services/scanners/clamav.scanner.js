@@ -0,0 +1,82 @@
+import net from "net";
+import fs from "fs";
+
+/**
+ * ClamAV adapter. Streams the file to a clamd daemon with the INSTREAM
+ * command, over a unix socket (CLAMD_SOCKET) or TCP (CLAMD_HOST/CLAMD_PORT).
+ * Anything that speaks the same protocol on that address works, which is how
+ * it can be exercised without a real daemon.
+ */
+
+const clamdSocket = () => process.env.CLAMD_SOCKET;
+const clamdHost = () => process.env.CLAMD_HOST || "127.0.0.1";
+const clamdPort = () => parseInt(process.env.CLAMD_PORT) || 3310;
+const clamdTimeout = () => parseInt(process.env.CLAMD_TIMEOUT) || 30000; // ms
+
+const CHUNK_SIZE = 64 * 1024;
+
+/* 🔹 Helper: Turn clamd's reply into a scan result */
+const parseReply = (reply) => {
+  const text = reply.replace(/\0/g, "").trim();
+
+  if (text === "stream: OK") {
+    return { infected: false };
+  }
+
+  const found = text.match(/^stream: (.+) FOUND$/);
+  if (found) {
+    return { infected: true, signature: found[1] };
+  }
+
+  throw new Error(`Unexpected clamd reply: ${text || "(empty)"}`);
+};
+
+export const createClamavScanner = ({
+  socketPath = clamdSocket(),
+  host = clamdHost(),
+  port = clamdPort(),
+  timeout = clamdTimeout()
+} = {}) => ({
+  name: "clamav",
+
+  scanFile: (filePath) => new Promise((resolve, reject) => {
+    const socket = socketPath ? net.createConnection(socketPath) : net.createConnection(port, host);
+    let reply = "";
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      error ? reject(error) : resolve(result);
+    };
+
+    socket.setTimeout(timeout);
+    socket.on("timeout", () => finish(new Error("clamd scan timed out")));
+    socket.on("error", (error) => finish(error));
+    socket.on("data", (chunk) => { reply += chunk.toString(); });
+    // clamd closes the connection once it has replied
+    socket.on("close", () => {
+      try {
+        finish(null, parseReply(reply));
+      } catch (error) {
+        finish(error);
+      }
+    });
+
+    socket.on("connect", () => {
+      socket.write("zINSTREAM\0");
+
+      const stream = fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE });
+      stream.on("data", (chunk) => {
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length);
+        socket.write(size);
+        socket.write(chunk);
+      });
+      // A zero-length chunk ends the stream
+      stream.on("end", () => socket.write(Buffer.alloc(4)));
+      stream.on("error", (error) => finish(error));
+    });
+  })
+});
@@ -0,0 +1,6 @@
+// Accepts every file without scanning; the default when no scanner is configured
+export const createNoopScanner = () => ({
+  name: "none",
+
+  scanFile: async () => ({ infected: false, skipped: true })
+});
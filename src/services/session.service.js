@@ -0,0 +1,127 @@
+import Session from "../models/Session.model.js";
+import { getValue, setValue } from "../utils/kvStore.js";
+
+/**
+ * Login sessions.
+ * The database is the source of truth; whether a session is still active is
+ * cached briefly so authenticating a request rarely needs a query.
+ */
+
+const STATUS_CACHE_TTL = 60; // seconds
+const LAST_SEEN_WRITE_INTERVAL = 60; // seconds
+
+const statusKey = (sessionId) => `auth:session:${sessionId}`;
+const seenKey = (sessionId) => `auth:session-seen:${sessionId}`;
+
+// Short human readable label such as "Chrome on Windows"
+export const describeDevice = (userAgent = "") => {
+  const browser =
+    /Edg\//.test(userAgent) ? "Edge" :
+    /OPR\/|Opera/.test(userAgent) ? "Opera" :
+    /Chrome\//.test(userAgent) ? "Chrome" :
+    /Firefox\//.test(userAgent) ? "Firefox" :
+    /Safari\//.test(userAgent) ? "Safari" :
+    null;
+
+  const os =
+    /Windows/.test(userAgent) ? "Windows" :
+    /iPhone|iPad|iPod/.test(userAgent) ? "iOS" :
+    /Android/.test(userAgent) ? "Android" :
+    /Mac OS X|Macintosh/.test(userAgent) ? "macOS" :
+    /Linux/.test(userAgent) ? "Linux" :
+    null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || "Unknown device";
+};
+
+export const createSession = async (user, req, ttl, extra = {}) => {
+  const userAgent = req?.headers?.["user-agent"];
+
+  return Session.create({
+    userId: user._id,
+    companyId: user.companyId?._id || user.companyId,
+    plantId: user.plantId?._id || user.plantId,
+    device: req?.body?.deviceName || describeDevice(userAgent),
+    ipAddress: req?.ip,
+    userAgent,
+    lastSeenAt: new Date(),
+    lastSeenIp: req?.ip,
+    expiresAt: new Date(Date.now() + ttl * 1000),
+    ...extra
+  });
+};
+
+// Active sessions can be refreshed: push the expiry out again; returns the session
+export const extendSession = async (sessionId, ttl) => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { expiresAt: new Date(Date.now() + ttl * 1000), lastSeenAt: new Date() },
+    { new: true }
+  ).select("plantId").lean();
+};
+
+// Plant the session currently works in (see plant switching)
+export const setSessionPlant = async (sessionId, plantId) => {
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { plantId });
+};
+
+export const isSessionRevoked = async (sessionId) => {
+  const cached = await getValue(statusKey(sessionId));
+  if (cached) return cached === "revoked";
+
+  const session = await Session.findById(sessionId).select("revokedAt expiresAt").lean();
+  const revoked = !session || Boolean(session.revokedAt) || session.expiresAt <= new Date();
+
+  await setValue(statusKey(sessionId), revoked ? "revoked" : "active", STATUS_CACHE_TTL);
+  return revoked;
+};
+
+// Record activity at most once per interval per session
+export const touchSession = async (sessionId, ip) => {
+  if (await getValue(seenKey(sessionId))) return;
+  await setValue(seenKey(sessionId), "1", LAST_SEEN_WRITE_INTERVAL);
+  await Session.updateOne({ _id: sessionId }, { lastSeenAt: new Date(), lastSeenIp: ip });
+};
+
+const markRevoked = (sessionIds) =>
+  Promise.all(sessionIds.map(id => setValue(statusKey(id), "revoked", STATUS_CACHE_TTL)));
+
+/**
+ * Revoke one session. `filter` narrows which sessions the caller may touch
+ * (e.g. { userId }). Returns the revoked session or null.
+ */
+export const revokeSession = async (sessionId, { filter = {}, revokedBy, reason } = {}) => {
+  const session = await Session.findOneAndUpdate(
+    { ...filter, _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedBy, revokeReason: reason },
+    { new: true }
+  );
+  if (!session) return null;
+
+  await markRevoked([session._id.toString()]);
+  return session;
+};
+
+// Revoke every active session of a user, optionally keeping one; returns how many were revoked
+export const revokeUserSessions = async (userId, { exceptSessionId, revokedBy, reason } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const sessions = await Session.find(filter).select("_id").lean();
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map(session => session._id);
+  await Session.updateMany(
+    { _id: { $in: ids } },
+    { revokedAt: new Date(), revokedBy, revokeReason: reason }
+  );
+  await markRevoked(ids.map(id => id.toString()));
+
+  return ids.length;
+};
+
+export const listActiveSessions = (userId) =>
+  Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastSeenAt: -1 })
+    .lean();
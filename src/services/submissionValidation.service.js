@@ -0,0 +1,360 @@
+import { deleteUploadedFiles } from "./upload.service.js";
+import { applyCalculations } from "./formCalculations.service.js";
+import { evaluateFormRules, isEmptyAnswer } from "./formRules.service.js";
+import { ValidationFailedError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Server-side validation of submission answers against the form definition.
+ *
+ * Every input field of `sections` and legacy `fields` (keyed by `fieldId`, or
+ * `id` on FormTemplate fields) is checked before a submission is stored:
+ * required answers, number ranges and steps, choices within `options`, email,
+ * phone, date and colour formats, FormTemplate `validation` (min, max and
+ * regex) and the shape of grid tables and checklists:
+ *
+ *   grid table  rows as an array, or an object of rows; each row is
+ *               { [columnId]: value } or an array of cells in column order
+ *   checklist   { [itemId]: answer }, answers within `options` when set
+ *
+ * Drafts are checked the same way except that they may leave required fields
+ * empty. Display-only fields, calculated fields and auto-filled fields are
+ * not checked.
+ */
+
+const SKIPPED_TYPES = [
+  "section-divider", "section-header", "description", "columns-2", "columns-3", "spacer", "image",
+  "calculated", "auto-date", "auto-user"
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+const COLOR_PATTERN = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+const keyOf = (field) => field.fieldId ?? field.id;
+
+const formFields = (form) => [
+  ...(form?.fields || []),
+  ...(form?.sections || []).flatMap(section => section.fields || [])
+];
+
+const isScalar = (value) => ["string", "number", "boolean"].includes(typeof value) || value === null;
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+const isChecked = (value) => value === true || value === "true";
+
+const toNumber = (value) => {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") return Number(value);
+  return NaN;
+};
+
+const isDate = (value) => (typeof value === "string" || typeof value === "number") && !Number.isNaN(new Date(value).getTime());
+
+/* 🔹 Helper: Bounds of a field, from the form (min/max) or FormTemplate validation */
+const boundsOf = (field) => ({
+  min: field.min ?? field.validation?.min,
+  max: field.max ?? field.validation?.max
+});
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERN_INPUT = 1000; // Longer answers are never run through a field regex
+const MAX_CACHED_PATTERNS = 500;
+
+// Whether the pattern repeats a group that itself contains a repeat, e.g.
+// (a+)+ or (\w*\s?)*, the usual shape of catastrophic backtracking
+const hasNestedQuantifier = (source) => {
+  const groups = []; // For each open group: does it contain a repeat?
+  const repeatsAt = (index) => /^(?:[+*]|\{\d+,\d*\})/.test(source.slice(index));
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === "\\") {
+      i++;
+    } else if (inClass) {
+      inClass = char !== "]";
+    } else if (char === "[") {
+      inClass = true;
+    } else if (char === "(") {
+      groups.push(false);
+    } else if (char === ")") {
+      const repeatsInside = groups.pop();
+      if (repeatsInside && repeatsAt(i + 1)) return true;
+      if (repeatsInside && groups.length) groups[groups.length - 1] = true;
+    } else if (repeatsAt(i) && groups.length) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Why a FormTemplate field regex cannot be used, or null: too long, invalid,
+ * or prone to catastrophic backtracking (nested quantifiers).
+ */
+export const fieldPatternProblem = (source) => {
+  if (source.length > MAX_PATTERN_LENGTH) return `must be at most ${MAX_PATTERN_LENGTH} characters`;
+  try {
+    new RegExp(source);
+  } catch (error) {
+    return "is not a valid regular expression";
+  }
+  if (hasNestedQuantifier(source)) return "must not repeat a group that already repeats, e.g. (a+)+";
+  return null;
+};
+
+// Compiled field regexes by source, null for unusable ones
+const compiledPatterns = new Map();
+
+/* 🔹 Helper: The FormTemplate regex of a field, compiled once; unusable patterns are ignored */
+const patternOf = (field) => {
+  const source = field.validation?.regex;
+  if (!source) return null;
+
+  if (!compiledPatterns.has(source)) {
+    if (compiledPatterns.size >= MAX_CACHED_PATTERNS) compiledPatterns.clear();
+    const problem = fieldPatternProblem(source);
+    if (problem) logger.warn("Ignoring unusable field validation regex", { fieldId: keyOf(field), problem });
+    compiledPatterns.set(source, problem ? null : new RegExp(source));
+  }
+  return compiledPatterns.get(source);
+};
+
+/* 🔹 Helper: Problem with a scalar answer under the field's regex, checked only up to MAX_PATTERN_INPUT characters */
+const formatProblem = (field, answer) => {
+  const pattern = patternOf(field);
+  if (!pattern) return null;
+
+  const text = String(answer);
+  if (text.length > MAX_PATTERN_INPUT) return `${field.label} must be at most ${MAX_PATTERN_INPUT} characters`;
+  return pattern.test(text) ? null : `${field.label} is not in the expected format`;
+};
+
+const optionProblem = (field, values) => {
+  const options = field.options || [];
+  if (options.length === 0) return null;
+  const invalid = values.filter(value => !options.includes(String(value)));
+  return invalid.length ? `${field.label} must be one of: ${options.join(", ")}` : null;
+};
+
+const numberProblem = (field, answer) => {
+  const value = toNumber(answer);
+  if (!Number.isFinite(value)) return `${field.label} must be a number`;
+
+  const { min, max } = boundsOf(field);
+  if (min !== undefined && min !== null && value < min) return `${field.label} must be at least ${min}`;
+  if (max !== undefined && max !== null && value > max) return `${field.label} must be at most ${max}`;
+
+  if (field.step > 0) {
+    const steps = (value - (min ?? 0)) / field.step;
+    if (Math.abs(steps - Math.round(steps)) > 1e-9) return `${field.label} must be in steps of ${field.step}`;
+  }
+  return null;
+};
+
+const textProblem = (field, answer) => {
+  if (typeof answer !== "string" && typeof answer !== "number") return `${field.label} must be text`;
+
+  // FormTemplate min/max on text fields limit its length
+  const { min, max } = field.validation || {};
+  const length = String(answer).length;
+  if (min !== undefined && min !== null && length < min) return `${field.label} must be at least ${min} characters`;
+  if (max !== undefined && max !== null && length > max) return `${field.label} must be at most ${max} characters`;
+  return null;
+};
+
+const phoneProblem = (field, answer) => {
+  const digits = String(answer).replace(/\D/g, "").length;
+  return typeof answer !== "string" || !PHONE_PATTERN.test(answer) || digits < 7 || digits > 15
+    ? `${field.label} must be a valid phone number`
+    : null;
+};
+
+const dateRangeProblem = (field, answer) => {
+  const [start, end] = Array.isArray(answer)
+    ? answer
+    : [answer?.start ?? answer?.from, answer?.end ?? answer?.to];
+  if (!isDate(start) || !isDate(end)) return `${field.label} must have a valid start and end date`;
+  return new Date(start) > new Date(end) ? `${field.label} must not end before it starts` : null;
+};
+
+const gridProblem = (field, answer) => {
+  if (typeof answer !== "object") return `${field.label} must be a table of rows`;
+
+  const rows = Array.isArray(answer) ? answer : Object.values(answer);
+  if (!field.repeatable && field.rows > 0 && rows.length > field.rows) {
+    return `${field.label} allows at most ${field.rows} row${field.rows === 1 ? "" : "s"}`;
+  }
+
+  const columns = field.columns || [];
+  const columnIds = columns.map(column => column.id);
+  for (const row of rows) {
+    const cells = Array.isArray(row) ? row : isPlainObject(row) ? Object.values(row) : null;
+    if (!cells || !cells.every(isScalar)) return `${field.label} rows must hold one value per column`;
+    if (columns.length === 0) continue;
+
+    if (Array.isArray(row) && row.length > columns.length) return `${field.label} has more cells than columns`;
+    const unknown = isPlainObject(row) && Object.keys(row).find(key => !columnIds.includes(key));
+    if (unknown) return `${field.label} has no column "${unknown}"`;
+  }
+  return null;
+};
+
+const checklistProblem = (field, answer) => {
+  if (!isPlainObject(answer)) return `${field.label} must answer its items by id`;
+
+  const items = field.items || [];
+  const unknown = items.length > 0 && Object.keys(answer).find(key => !items.some(item => item.id === key));
+  if (unknown) return `${field.label} has no item "${unknown}"`;
+  if (!Object.values(answer).every(isScalar)) return `${field.label} answers must be single values`;
+  return optionProblem(field, Object.values(answer).filter(value => !isEmptyAnswer(value)));
+};
+
+/* 🔹 Helper: What is wrong with a non-empty answer, or null */
+const answerProblem = (field, answer) => {
+  switch (field.type) {
+    case "number":
+    case "range":
+      return numberProblem(field, answer);
+    case "text":
+    case "textarea":
+      return textProblem(field, answer);
+    case "email":
+      return typeof answer !== "string" || !EMAIL_PATTERN.test(answer) ? `${field.label} must be a valid email address` : null;
+    case "phone":
+      return phoneProblem(field, answer);
+    case "date":
+    case "datetime":
+      return isDate(answer) ? null : `${field.label} must be a valid date`;
+    case "daterange":
+      return dateRangeProblem(field, answer);
+    case "color":
+      return typeof answer !== "string" || !COLOR_PATTERN.test(answer) ? `${field.label} must be a colour like #1f2937` : null;
+    case "radio":
+    case "dropdown":
+    case "checklist-row":
+      return isScalar(answer) ? optionProblem(field, [answer]) : `${field.label} must be a single choice`;
+    case "multi-select":
+    case "multiselect":
+      return (Array.isArray(answer) ? answer : [answer]).every(isScalar)
+        ? optionProblem(field, Array.isArray(answer) ? answer : [answer])
+        : `${field.label} must be a list of choices`;
+    case "checkbox":
+      if (field.options?.length) return optionProblem(field, Array.isArray(answer) ? answer : [answer]);
+      return typeof answer === "boolean" || answer === "true" || answer === "false" ? null : `${field.label} must be checked or unchecked`;
+    case "terms":
+      return typeof answer === "boolean" || answer === "true" || answer === "false" ? null : `${field.label} must be accepted or not`;
+    case "grid-table":
+    case "table":
+      return gridProblem(field, answer);
+    case "checklist":
+      return checklistProblem(field, answer);
+    default:
+      return null;
+  }
+};
+
+/* 🔹 Helper: Why a valid answer does not satisfy a required field, or null */
+const requiredProblem = (field, answer) => {
+  // A required tick box or terms must be ticked, and a required checklist fully answered
+  if (field.type === "terms" || (field.type === "checkbox" && !field.options?.length)) {
+    return isChecked(answer) ? null : `${field.label} is required`;
+  }
+  if (field.type === "checklist" && (field.items || []).some(item => isEmptyAnswer(answer[item.id]))) {
+    return `${field.label}: every item must be answered`;
+  }
+  if (field.type === "grid-table" || field.type === "table") {
+    const rows = Array.isArray(answer) ? answer : Object.values(answer);
+    const filled = rows.some(row => Object.values(row).some(cell => !isEmptyAnswer(cell)));
+    return filled ? null : `${field.label} is required`;
+  }
+  return null;
+};
+
+/**
+ * Per-field errors ({ field, location, message }) of submission `data`.
+ * Uploaded `files` answer their fields; fields in `skipFieldIds` are not
+ * checked; with `partial` (drafts) required fields may be empty.
+ */
+export const validateSubmissionData = (form, data = {}, { files = [], skipFieldIds = [], partial = false } = {}) => {
+  const uploaded = new Set(files.map(file => file.fieldId));
+  const errors = [];
+
+  for (const field of formFields(form)) {
+    const key = keyOf(field);
+    if (!key || SKIPPED_TYPES.includes(field.type) || skipFieldIds.includes(key)) continue;
+
+    const answer = data[key];
+    let message = null;
+    if (isEmptyAnswer(answer)) {
+      if (field.required && !partial && !uploaded.has(key)) message = `${field.label} is required`;
+    } else if (field.type !== "file" && field.type !== "signature") {
+      message = answerProblem(field, answer);
+      if (!message && isScalar(answer)) message = formatProblem(field, answer);
+      if (!message && field.required && !partial) message = requiredProblem(field, answer);
+    }
+
+    if (message) errors.push({ field: key, location: "body", message });
+  }
+
+  return errors;
+};
+
+/* 🔹 Helper: Remove stored files that no submission will reference */
+const discardFiles = (files) => {
+  if (files.length === 0) return;
+  deleteUploadedFiles(files).catch(err => logger.error("Failed to delete discarded submission files", err));
+};
+
+const rejectSubmission = (errors) => new ValidationFailedError(errors, "Some answers are missing or invalid");
+
+/**
+ * Check a submission being submitted: applies the form's rules
+ * (services/formRules.service.js) and validates the shown answers, throwing a
+ * ValidationFailedError with every problem found. Otherwise returns the data
+ * (calculated fields computed) and files of the fields that are shown and the
+ * files of hidden fields. With `discardUploads` (files uploaded by this
+ * request) rejected and dropped files are deleted from storage.
+ */
+export const checkSubmission = (form, { data = {}, files = [] }, { discardUploads = false } = {}) => {
+  // An uploaded file answers its field, and conditions may use calculated values
+  const answers = applyCalculations(form, { ...Object.fromEntries(files.map(file => [file.fieldId, file.url])), ...data });
+  const { hiddenFieldIds, errors: ruleErrors } = evaluateFormRules(form, answers);
+
+  // Calculated again, so answers to hidden fields do not count
+  const shown = applyCalculations(
+    form,
+    Object.fromEntries(Object.entries(data).filter(([fieldId]) => !hiddenFieldIds.includes(fieldId))),
+    { hiddenFieldIds }
+  );
+  const shownFiles = files.filter(file => !hiddenFieldIds.includes(file.fieldId));
+
+  const errors = [
+    ...ruleErrors,
+    ...validateSubmissionData(form, shown, {
+      files: shownFiles,
+      skipFieldIds: [...hiddenFieldIds, ...ruleErrors.map(error => error.field)]
+    })
+  ];
+  if (errors.length) {
+    if (discardUploads) discardFiles(files);
+    throw rejectSubmission(errors);
+  }
+
+  const droppedFiles = files.filter(file => hiddenFieldIds.includes(file.fieldId));
+  if (discardUploads) discardFiles(droppedFiles);
+
+  return { data: shown, files: shownFiles, droppedFiles };
+};
+
+/**
+ * Check a draft being saved: answers given must be valid, but it may stay
+ * incomplete and rules are not applied until it is submitted.
+ */
+export const checkDraft = (form, { data = {}, files = [] }, { discardUploads = false } = {}) => {
+  const errors = validateSubmissionData(form, data, { files, partial: true });
+  if (errors.length) {
+    if (discardUploads) discardFiles(files);
+    throw rejectSubmission(errors);
+  }
+};
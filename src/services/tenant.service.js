@@ -0,0 +1,43 @@
+import Plant from "../models/Plant.model.js";
+import { PLANT_ROLES, getMemberPlantIds } from "./membership.service.js";
+
+/**
+ * Tenant scope of the caller, used with the tenantScope model plugin.
+ *  - SUPER_ADMIN: unrestricted (impersonation carries the target's role, so
+ *    it is scoped like the impersonated user);
+ *  - COMPANY_ADMIN: their company;
+ *  - PLANT_ADMIN / EMPLOYEE: their company and the plants they are members of;
+ *  - API keys: the company, or the single plant the key is bound to.
+ * Resolved once per request and kept on req.tenantScope.
+ */
+
+// For background work that legitimately spans tenants
+export const UNRESTRICTED_SCOPE = Object.freeze({ unrestricted: true });
+
+export const getTenantScope = async (req) => {
+  if (req.tenantScope) return req.tenantScope;
+
+  const { role, userId, companyId, plantId, apiKey } = req.user;
+  let scope;
+
+  if (apiKey) {
+    scope = { companyId, plantIds: plantId ? [plantId] : null };
+  } else if (role === "SUPER_ADMIN") {
+    scope = UNRESTRICTED_SCOPE;
+  } else if (PLANT_ROLES.includes(role)) {
+    scope = { companyId, plantIds: await getMemberPlantIds(userId) };
+  } else {
+    scope = { companyId, plantIds: null };
+  }
+
+  req.tenantScope = scope;
+  return scope;
+};
+
+// Whether a plant (by id) lies within the scope
+export const isPlantInScope = async (scope, plantId) => {
+  if (scope.plantIds && !scope.plantIds.some(id => id.toString() === String(plantId))) return false;
+
+  const filter = scope.unrestricted ? { _id: plantId } : { _id: plantId, companyId: scope.companyId };
+  return Boolean(await Plant.exists(filter));
+};
@@ -0,0 +1,206 @@
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import User from "../models/User.model.js";
+import { getValue, setValue } from "../utils/kvStore.js";
+import { createSession, extendSession, isSessionRevoked, revokeUserSessions } from "./session.service.js";
+import { scopeUserToPlant } from "./membership.service.js";
+
+/**
+ * Access / refresh token handling.
+ * Access tokens are short lived; refresh tokens rotate on every use and
+ * both can be revoked server-side (single token, session or every token of a user).
+ * Tokens issued for a login carry the session id in the `sid` claim; the
+ * session also remembers which of the user's plants the tokens are scoped to.
+ */
+
+const accessTokenTtl = () => parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60; // 15 minutes
+const refreshTokenTtl = () => parseInt(process.env.REFRESH_TOKEN_TTL) || 7 * 24 * 60 * 60; // 7 days
+const refreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+const challengeTokenTtl = () => parseInt(process.env.CHALLENGE_TOKEN_TTL) || 5 * 60; // 5 minutes
+
+const revokedTokenKey = (jti) => `auth:revoked:${jti}`;
+const revokedUserKey = (userId) => `auth:revoked-user:${userId}`;
+
+// `iat` only has whole seconds; tokens also record the millisecond they were
+// issued, so tokens issued right after revoking a user's tokens stay valid
+const issuedAt = () => ({ iatMs: Date.now() });
+
+// Claims shared by access and refresh tokens
+export const buildTokenPayload = (user) => ({
+  userId: user._id,
+  role: user.role,
+  companyId: user.companyId?._id || user.companyId,
+  plantId: user.plantId?._id || user.plantId,
+  ...(user.mustChangePassword && { mustChangePassword: true })
+});
+
+export const issueTokens = (user, sessionId) => {
+  const payload = buildTokenPayload(user);
+  const sid = sessionId?.toString();
+
+  const token = jwt.sign(
+    { ...payload, ...(sid && { sid }), type: "access", ...issuedAt() },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenTtl(), jwtid: crypto.randomUUID() }
+  );
+
+  const refreshToken = jwt.sign(
+    { userId: payload.userId, ...(sid && { sid }), type: "refresh", ...issuedAt() },
+    refreshSecret(),
+    { expiresIn: refreshTokenTtl(), jwtid: crypto.randomUUID() }
+  );
+
+  return { token, refreshToken, expiresIn: accessTokenTtl() };
+};
+
+/**
+ * Access token for an impersonation session. It carries the impersonated
+ * user's claims plus `impersonatedBy` (the real actor) and cannot be refreshed.
+ */
+export const issueImpersonationToken = (user, actor, sessionId, ttl) => {
+  const { mustChangePassword, ...payload } = buildTokenPayload(user);
+
+  return jwt.sign(
+    {
+      ...payload,
+      sid: sessionId.toString(),
+      impersonatedBy: {
+        userId: actor.userId,
+        role: actor.role,
+        companyId: actor.companyId
+      },
+      type: "access",
+      ...issuedAt()
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ttl, jwtid: crypto.randomUUID() }
+  );
+};
+
+// Record a new login session and issue its first token pair
+export const startSession = async (user, req) => {
+  const session = await createSession(user, req, refreshTokenTtl());
+  return { ...issueTokens(user, session._id), sessionId: session._id };
+};
+
+// Revoke a single decoded token until it would have expired anyway
+export const revokeToken = async (payload) => {
+  if (!payload?.jti) return;
+  const ttl = payload.exp ? payload.exp - Math.floor(Date.now() / 1000) : refreshTokenTtl();
+  if (ttl <= 0) return;
+  await setValue(revokedTokenKey(payload.jti), "1", ttl);
+};
+
+/**
+ * Revoke every token issued to a user up to now: all of their sessions, plus
+ * tokens without a session (login challenges, tokens from before sessions).
+ * `exceptSessionId` keeps the caller's own session signed in.
+ */
+export const revokeAllUserTokens = async (userId, { exceptSessionId, revokedBy, reason } = {}) => {
+  await setValue(revokedUserKey(userId), Date.now(), refreshTokenTtl());
+  await revokeUserSessions(userId, { exceptSessionId, revokedBy, reason });
+};
+
+export const isTokenRevoked = async (payload) => {
+  if (payload.jti && await getValue(revokedTokenKey(payload.jti))) {
+    return true;
+  }
+
+  if (payload.sid) {
+    return isSessionRevoked(payload.sid);
+  }
+
+  const revokedAt = parseInt(await getValue(revokedUserKey(payload.userId)));
+  if (!revokedAt) return false;
+
+  // Revocations stored before milliseconds were recorded are in seconds
+  const revokedAtMs = revokedAt < 1e12 ? revokedAt * 1000 : revokedAt;
+  return (payload.iatMs ?? payload.iat * 1000) < revokedAtMs;
+};
+
+export const verifyAccessToken = async (token) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before typed tokens existed carry no type
+  if (payload.type && payload.type !== "access") {
+    throw new Error("Only access tokens can be used for API access");
+  }
+
+  if (await isTokenRevoked(payload)) {
+    throw new Error("Token has been revoked");
+  }
+
+  return payload;
+};
+
+export const verifyRefreshToken = (refreshToken) => {
+  const payload = jwt.verify(refreshToken, refreshSecret());
+  if (payload.type !== "refresh") {
+    throw new Error("Not a refresh token");
+  }
+  return payload;
+};
+
+/**
+ * Short-lived token proving the password step of a login succeeded.
+ * `purpose` limits where it can be redeemed (e.g. "2fa-login", "2fa-setup").
+ */
+export const issueChallengeToken = (user, purpose) => jwt.sign(
+  { userId: user._id, type: "challenge", purpose, ...issuedAt() },
+  process.env.JWT_SECRET,
+  { expiresIn: challengeTokenTtl(), jwtid: crypto.randomUUID() }
+);
+
+export const verifyChallengeToken = async (token, purpose) => {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (payload.type !== "challenge" || payload.purpose !== purpose) {
+    throw new Error("Invalid challenge token");
+  }
+
+  if (await isTokenRevoked(payload)) {
+    throw new Error("Challenge token has already been used");
+  }
+
+  return payload;
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * The presented refresh token is revoked; presenting an already revoked one
+ * is treated as token theft and revokes every session of that user.
+ * Returns null when the refresh token cannot be used.
+ */
+export const rotateRefreshToken = async (refreshToken) => {
+  let payload;
+  try {
+    payload = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    return null;
+  }
+
+  if (await isTokenRevoked(payload)) {
+    if (await getValue(revokedTokenKey(payload.jti))) {
+      await revokeAllUserTokens(payload.userId, { reason: "Refresh token reuse detected" });
+    }
+    return null;
+  }
+
+  await revokeToken(payload);
+
+  const user = await User.findById(payload.userId);
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  // Stay in the plant the session switched to, unless that membership was removed
+  let scopedUser = user;
+  if (payload.sid) {
+    const session = await extendSession(payload.sid, refreshTokenTtl());
+    if (session?.plantId) {
+      scopedUser = scopeUserToPlant(user, session.plantId) || user;
+    }
+  }
+
+  return { user, ...issueTokens(scopedUser, payload.sid) };
+};
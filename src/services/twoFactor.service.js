@@ -0,0 +1,143 @@
+import crypto from "crypto";
+import User from "../models/User.model.js";
+import Company from "../models/Company.model.js";
+import { generateSecret, verifyTotp, buildOtpauthUrl } from "../utils/totp.js";
+import { ADMIN_ROLES } from "../utils/constants.js";
+
+/**
+ * TOTP two-factor authentication for admin accounts.
+ */
+
+const RECOVERY_CODE_COUNT = 10;
+
+const issuer = () => process.env.TOTP_ISSUER || "GenBeta";
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(code.replace(/[\s-]/g, "").toLowerCase()).digest("hex");
+
+// Codes look like "a1b2c-3d4e5"; only their hashes are stored
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+export const canUseTwoFactor = (user) => ADMIN_ROLES.includes(user.role);
+
+// Whether the user's company forces 2FA on their role
+export const isTwoFactorRequired = async (user) => {
+  if (!canUseTwoFactor(user)) return false;
+
+  const companyId = user.companyId?._id || user.companyId;
+  if (!companyId) return false;
+
+  const company = await Company.findById(companyId).select("security").lean();
+  return Boolean(company?.security?.twoFactorRequiredRoles?.includes(user.role));
+};
+
+/**
+ * Generate a new secret awaiting confirmation.
+ * 2FA stays disabled (or keeps the old secret) until confirmEnrollment succeeds.
+ */
+export const startEnrollment = async (user) => {
+  const secret = generateSecret();
+
+  await User.findByIdAndUpdate(user._id, { "twoFactor.pendingSecret": secret });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email, issuer: issuer() })
+  };
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app.
+ * Returns the one-time recovery codes, or null when the code is wrong.
+ */
+export const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select("+twoFactor.pendingSecret");
+  const pendingSecret = user?.twoFactor?.pendingSecret;
+  if (!pendingSecret) return null;
+
+  const step = verifyTotp(pendingSecret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await User.findByIdAndUpdate(userId, {
+    $set: {
+      "twoFactor.enabled": true,
+      "twoFactor.secret": pendingSecret,
+      "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode),
+      "twoFactor.lastUsedStep": step,
+      "twoFactor.enabledAt": new Date()
+    },
+    $unset: { "twoFactor.pendingSecret": 1 }
+  });
+
+  return recoveryCodes;
+};
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled.
+ * TOTP codes cannot be replayed and recovery codes are consumed on use.
+ */
+export const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await User.findById(userId).select("+twoFactor.secret +twoFactor.recoveryCodes");
+  if (!user?.twoFactor?.enabled) return false;
+
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null) return false;
+
+    // Reject a code whose time step was already used
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        $or: [
+          { "twoFactor.lastUsedStep": { $exists: false } },
+          { "twoFactor.lastUsedStep": { $lt: step } }
+        ]
+      },
+      { "twoFactor.lastUsedStep": step }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: userId, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
+export const regenerateRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.findByIdAndUpdate(userId, {
+    "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode)
+  });
+  return recoveryCodes;
+};
+
+export const disableTwoFactor = async (userId) => {
+  await User.findByIdAndUpdate(userId, {
+    $set: { "twoFactor.enabled": false },
+    $unset: {
+      "twoFactor.secret": 1,
+      "twoFactor.pendingSecret": 1,
+      "twoFactor.recoveryCodes": 1,
+      "twoFactor.lastUsedStep": 1,
+      "twoFactor.enabledAt": 1
+    }
+  });
+};
+
+export const countRecoveryCodes = async (userId) => {
+  const user = await User.findById(userId).select("+twoFactor.recoveryCodes").lean();
+  return user?.twoFactor?.recoveryCodes?.length || 0;
+};
@@ -0,0 +1,210 @@
+import Company from "../models/Company.model.js";
+import UploadedAsset from "../models/UploadedAsset.model.js";
+import { uploadImage, deleteImage } from "./cloudinary.service.js";
+import { detectMimeType, decodeBase64Payload } from "../utils/fileType.js";
+import { validateStorageUsage } from "../utils/planLimits.js";
+import { AppError, BadRequestError, PlanLimitExceededError } from "../utils/errors.js";
+
+/**
+ * Tenant uploads (signatures and images sent as base64).
+ * Content is sniffed and size-checked before it reaches Cloudinary, stored in
+ * a folder derived from the uploader's company/plant, counted against the
+ * company's storage quota and recorded as an UploadedAsset so unreferenced
+ * files can be cleaned up later.
+ */
+
+const maxSignatureBytes = () => parseInt(process.env.UPLOAD_MAX_SIGNATURE_BYTES) || 1024 * 1024; // 1 MB
+const maxImageBytes = () => parseInt(process.env.UPLOAD_MAX_IMAGE_BYTES) || 5 * 1024 * 1024; // 5 MB
+const orphanTtlHours = () => parseInt(process.env.ORPHAN_UPLOAD_TTL_HOURS) || 24;
+
+const UPLOAD_KINDS = {
+  signature: { folder: "signatures", maxBytes: maxSignatureBytes, mimeTypes: ["image/png", "image/jpeg", "image/webp"] },
+  image: { folder: "images", maxBytes: maxImageBytes, mimeTypes: ["image/png", "image/jpeg", "image/gif", "image/webp"] }
+};
+
+// Cloudinary folder for the uploader's tenant; never taken from the request
+export const buildUploadFolder = (user, kind) => {
+  const base = user.companyId ? `companies/${user.companyId}` : "platform";
+  const plant = user.plantId ? `/plants/${user.plantId}` : "";
+  return `${base}${plant}/${UPLOAD_KINDS[kind].folder}`;
+};
+
+/**
+ * Validate and upload a base64 payload for the authenticated user (or
+ * approval-link principal).
+ * Returns { asset }; throws an AppError when the payload or quota is rejected.
+ */
+export const uploadBase64Asset = async (user, base64, kind) => {
+  const rules = UPLOAD_KINDS[kind];
+
+  const decoded = decodeBase64Payload(base64);
+  if (!decoded || decoded.buffer.length === 0) {
+    throw new BadRequestError("A valid base64 payload is required");
+  }
+
+  const { buffer, declaredType } = decoded;
+  const maxBytes = rules.maxBytes();
+  if (buffer.length > maxBytes) {
+    throw new AppError(`File is too large. The maximum size is ${Math.floor(maxBytes / 1024)} KB`, { status: 413, code: "FILE_TOO_LARGE" });
+  }
+
+  // Trust the bytes, not the declared type
+  const mimeType = detectMimeType(buffer);
+  if (!mimeType || !rules.mimeTypes.includes(mimeType)) {
+    throw new AppError(`Unsupported file type. Allowed: ${rules.mimeTypes.join(", ")}`, { status: 415, code: "UNSUPPORTED_FILE_TYPE" });
+  }
+  if (declaredType && declaredType !== mimeType && !(declaredType === "image/jpg" && mimeType === "image/jpeg")) {
+    throw new AppError("File content does not match its declared type", { status: 415, code: "UNSUPPORTED_FILE_TYPE" });
+  }
+
+  if (user.companyId) {
+    const quota = await validateStorageUsage(user.companyId, buffer.length);
+    if (!quota.allowed) {
+      throw new PlanLimitExceededError(quota);
+    }
+  }
+
+  const folder = buildUploadFolder(user, kind);
+  const { url, publicId } = await uploadImage(`data:${mimeType};base64,${buffer.toString("base64")}`, folder);
+
+  const asset = await UploadedAsset.create({
+    publicId,
+    url,
+    kind,
+    mimeType,
+    bytes: buffer.length,
+    folder,
+    companyId: user.companyId,
+    plantId: user.plantId,
+    uploadedBy: user.userId,
+    approvalLinkId: user.approvalLinkId
+  });
+
+  if (user.companyId) {
+    await Company.updateOne({ _id: user.companyId }, { $inc: { storageUsedBytes: asset.bytes } });
+  }
+
+  return { asset };
+};
+
+/* 🔹 Helper: Every string inside a (nested) payload */
+const collectStrings = (value, found = new Set()) => {
+  if (typeof value === "string") {
+    found.add(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectStrings(item, found));
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach(item => collectStrings(item, found));
+  }
+  return found;
+};
+
+/**
+ * Mark the company's uploaded assets referenced in `payload` (e.g. a
+ * submission's data) as owned by the given document.
+ */
+export const attachUploadedAssets = async (payload, { model, id, companyId }) => {
+  const urls = [...collectStrings(payload)].filter(value => value.startsWith("http"));
+  if (urls.length === 0) return;
+
+  await UploadedAsset.updateMany(
+    { url: { $in: urls }, companyId, attachedAt: null, deletedAt: null },
+    { attachedTo: { model, id }, attachedAt: new Date() }
+  );
+};
+
+/**
+ * Release the uploads attached to a document, so the orphan cleanup deletes
+ * them on its next run.
+ */
+export const detachUploadedAssets = async ({ model, id }) => {
+  await UploadedAsset.updateMany(
+    { "attachedTo.model": model, "attachedTo.id": id, deletedAt: null },
+    { $unset: { attachedTo: 1, attachedAt: 1 } }
+  );
+};
+
+/* 🔹 Helper: Delete a tracked asset from Cloudinary and release its storage */
+const destroyAsset = async (asset) => {
+  // Left for the next run when Cloudinary could not delete it
+  if (!(await deleteImage(asset.publicId))) return false;
+
+  await UploadedAsset.updateOne({ _id: asset._id }, { deletedAt: new Date() });
+
+  if (asset.companyId) {
+    await Company.updateOne({ _id: asset.companyId }, { $inc: { storageUsedBytes: -asset.bytes } });
+  }
+  return true;
+};
+
+/**
+ * Delete assets that were never attached to anything within the grace period.
+ * Returns how many were removed.
+ */
+export const purgeOrphanAssets = async ({ olderThanHours = orphanTtlHours() } = {}) => {
+  const cutoff = new Date(Date.now() - olderThanHours * 60 * 60 * 1000);
+  const orphans = await UploadedAsset.find({
+    attachedAt: null,
+    deletedAt: null,
+    createdAt: { $lt: cutoff }
+  }).lean();
+
+  let purged = 0;
+  for (const asset of orphans) {
+    if (await destroyAsset(asset)) purged++;
+  }
+
+  return purged;
+};
+
+const CLOUDINARY_URL = /\/(image|video|raw)\/upload\/(?:v\d+\/)?([^?#]+)$/;
+
+// Public id and resource type of a Cloudinary delivery URL (files stored before publicId was kept)
+const cloudinaryAssetFromUrl = (url) => {
+  const match = CLOUDINARY_URL.exec(url || "");
+  if (!match) return null;
+
+  const [, resourceType, path] = match;
+  // Raw files keep their extension in the public id
+  const publicId = resourceType === "raw" ? path : path.replace(/\.[^./]+$/, "");
+  return { publicId: decodeURIComponent(publicId), resourceType };
+};
+
+// Delete multipart uploads (submission `files` entries) from Cloudinary; returns { deleted, failed }
+export const deleteUploadedFiles = async (files = []) => {
+  let deleted = 0;
+  let failed = 0;
+
+  for (const file of files) {
+    const target = file.publicId
+      ? { publicId: file.publicId, resourceType: file.resourceType || "image" }
+      : cloudinaryAssetFromUrl(file.url);
+    if (!target) continue;
+
+    if (await deleteImage(target.publicId, { resourceType: target.resourceType })) deleted++; else failed++;
+  }
+
+  return { deleted, failed };
+};
+
+/**
+ * Delete a submission's files from Cloudinary: the multipart uploads in
+ * `files` and the tracked assets attached to it. Returns { deleted, failed };
+ * callers should keep the submission when anything failed so a later run can
+ * retry.
+ */
+export const deleteSubmissionFiles = async (submission) => {
+  let { deleted, failed } = await deleteUploadedFiles(submission.files);
+
+  const assets = await UploadedAsset.find({
+    "attachedTo.model": "FormSubmission",
+    "attachedTo.id": submission._id,
+    deletedAt: null
+  }).lean();
+
+  for (const asset of assets) {
+    if (await destroyAsset(asset)) deleted++; else failed++;
+  }
+
+  return { deleted, failed };
+};
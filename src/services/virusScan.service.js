@@ -0,0 +1,111 @@
+import fs from "fs";
+import path from "path";
+import QuarantinedFile from "../models/QuarantinedFile.model.js";
+import RejectedSubmission from "../models/RejectedSubmission.model.js";
+import { createClamavScanner } from "./scanners/clamav.scanner.js";
+import { createNoopScanner } from "./scanners/noop.scanner.js";
+
+/**
+ * Virus scanning for uploaded files, run before anything reaches storage.
+ * The adapter is picked with VIRUS_SCANNER ("clamav" or "none"); a scanner is
+ * any object with a `name` and `scanFile(filePath)` resolving to
+ * { infected, signature?, skipped? }.
+ */
+
+const SCANNERS = {
+  clamav: createClamavScanner,
+  none: createNoopScanner
+};
+
+const quarantineDir = () => process.env.QUARANTINE_DIR || path.join(process.cwd(), "quarantine");
+
+let activeScanner = null;
+
+export const getScanner = () => {
+  if (!activeScanner) {
+    const name = (process.env.VIRUS_SCANNER || "none").toLowerCase();
+    const factory = SCANNERS[name];
+    if (!factory) {
+      throw new Error(`Unknown VIRUS_SCANNER "${name}"`);
+    }
+    activeScanner = factory();
+  }
+  return activeScanner;
+};
+
+// Swap the adapter at runtime (custom engines, local stand-ins)
+export const setScanner = (scanner) => {
+  activeScanner = scanner;
+};
+
+/**
+ * Scan one file. Resolves to the record stored with the file:
+ * { status: "clean" | "skipped" | "infected", engine, scannedAt, signature? }.
+ * Rejects when the scanner itself fails.
+ */
+export const scanFile = async (filePath) => {
+  const scanner = getScanner();
+  const result = await scanner.scanFile(filePath);
+
+  let status = "clean";
+  if (result.infected) status = "infected";
+  else if (result.skipped) status = "skipped";
+
+  return {
+    status,
+    engine: scanner.name,
+    scannedAt: new Date(),
+    ...(result.signature && { signature: result.signature })
+  };
+};
+
+/**
+ * Move an infected multer upload out of the uploads directory and record it.
+ * `context` carries the uploader and the form/task the file was sent for.
+ */
+export const quarantineFile = async (file, scan, context = {}) => {
+  const dir = quarantineDir();
+  fs.mkdirSync(dir, { recursive: true });
+
+  // No extension, so the file can't be served or opened by accident
+  const target = path.join(dir, `${Date.now()}-${Math.round(Math.random() * 1e9)}`);
+  try {
+    fs.renameSync(file.path, target);
+  } catch (error) {
+    // Different filesystem
+    if (error.code !== "EXDEV") throw error;
+    fs.copyFileSync(file.path, target);
+    fs.unlinkSync(file.path);
+  }
+
+  return QuarantinedFile.create({
+    fieldId: file.fieldname,
+    originalName: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size,
+    signature: scan.signature || "unknown",
+    engine: scan.engine,
+    path: target,
+    ...context
+  });
+};
+
+/**
+ * Record the submission attempt the quarantined files were sent with and link
+ * each file back to it. `context` is the same as for quarantineFile().
+ */
+export const recordRejectedSubmission = async (records, { uploadedBy, ...context } = {}) => {
+  const rejected = await RejectedSubmission.create({
+    reason: "MALWARE",
+    submittedBy: uploadedBy,
+    quarantinedFiles: records.map(record => record._id),
+    ...context
+  });
+
+  await QuarantinedFile.updateMany(
+    { _id: { $in: rejected.quarantinedFiles } },
+    { rejectedSubmissionId: rejected._id }
+  );
+
+  return rejected;
+};
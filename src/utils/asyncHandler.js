@@ -0,0 +1,3 @@
+// Forward rejections of an async route handler to the error middleware
+export const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
@@ -1,4 +1,5 @@
 import redisClient from '../config/redis.js';
+import { logger } from './logger.js';
 
 /**
  * Cache utility functions
@@ -20,7 +21,7 @@ export const getFromCache = async (key) => {
     const cachedData = await redisClient.get(key);
     return cachedData ? JSON.parse(cachedData) : null;
   } catch (error) {
-    console.error('Cache get error:', error);
+    logger.error('Cache get error', error);
     return null;
   }
 };
@@ -30,7 +31,7 @@ export const setInCache = async (key, data, ttl = 300) => { // Default TTL: 5 mi
   try {
     await redisClient.set(key, JSON.stringify(data), { EX: ttl });
   } catch (error) {
-    console.error('Cache set error:', error);
+    logger.error('Cache set error', error);
   }
 };
 
@@ -39,7 +40,7 @@ export const deleteFromCache = async (key) => {
   try {
     await redisClient.del(key);
   } catch (error) {
-    console.error('Cache delete error:', error);
+    logger.error('Cache delete error', error);
   }
 };
 
@@ -49,6 +50,6 @@ export const invalidateCachePattern = async (pattern) => {
     // Note: SCAN is not ideal for production, but works for our purposes
     // In production, you'd want to track keys by prefixes/patterns
   } catch (error) {
-    console.error('Cache invalidate error:', error);
+    logger.error('Cache invalidate error', error);
   }
 };
\ No newline at end of file
@@ -0,0 +1,7 @@
+export const ROLES = ["SUPER_ADMIN", "COMPANY_ADMIN", "PLANT_ADMIN", "EMPLOYEE"];
+
+// Roles that administer a tenant (or the whole platform)
+export const ADMIN_ROLES = ["SUPER_ADMIN", "COMPANY_ADMIN", "PLANT_ADMIN"];
+
+// Permissions that can be granted to company API keys
+export const API_KEY_PERMISSIONS = ["submissions:read", "submissions:write", "submissions:sensitive", "analytics:read"];
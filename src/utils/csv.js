@@ -0,0 +1,22 @@
+/**
+ * Minimal CSV writer (RFC 4180). `columns` is a list of { header, value(row) }.
+ * Cells that a spreadsheet would run as a formula (=, +, -, @) are prefixed
+ * with a quote so exported data can be opened safely.
+ */
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsvRow = (values) => values.map(escapeCsvValue).join(",") + "\r\n";
+
+export const csvHeader = (columns) => toCsvRow(columns.map(column => column.header));
+
+export const csvLine = (columns, row) => toCsvRow(columns.map(column => column.value(row)));
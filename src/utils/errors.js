@@ -0,0 +1,72 @@
+/**
+ * Application errors. Throw them from handlers wrapped in asyncHandler();
+ * middlewares/error.middleware.js turns them into the JSON error envelope
+ * with the HTTP status and machine-readable `code` set here.
+ */
+
+export class AppError extends Error {
+  constructor(message, { status = 500, code = "INTERNAL_ERROR", details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = "Bad request", { code = "BAD_REQUEST", details } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = "Authentication required", { code = "UNAUTHORIZED", details } = {}) {
+    super(message, { status: 401, code, details });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "Access denied", { code = "FORBIDDEN", details } = {}) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Not found", { code = "NOT_FOUND", details } = {}) {
+    super(message, { status: 404, code, details });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = "Conflict", { code = "CONFLICT", details } = {}) {
+    super(message, { status: 409, code, details });
+  }
+}
+
+export class GoneError extends AppError {
+  constructor(message = "No longer available", { code = "GONE", details } = {}) {
+    super(message, { status: 410, code, details });
+  }
+}
+
+// Set the Retry-After header before throwing; details carry { retryAfter }
+export class TooManyRequestsError extends AppError {
+  constructor(message = "Too many requests", { code = "RATE_LIMITED", details } = {}) {
+    super(message, { status: 429, code, details });
+  }
+}
+
+// `errors` lists the offending fields: [{ field, message, ... }]
+export class ValidationFailedError extends AppError {
+  constructor(errors = [], message = "Validation failed") {
+    super(message, { status: 422, code: "VALIDATION_FAILED", details: errors });
+  }
+}
+
+// Built from a utils/planLimits.js result ({ message, upgradeRequired, currentCount, limit })
+export class PlanLimitExceededError extends AppError {
+  constructor({ message = "Your plan limit has been reached", upgradeRequired = true, currentCount, limit } = {}) {
+    super(message, { status: 403, code: "PLAN_LIMIT_EXCEEDED", details: { upgradeRequired, currentCount, limit } });
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Detect a file's type from its leading bytes ("magic numbers") rather than
+ * trusting the name or the declared content type.
+ */
+
+const SIGNATURES = [
+  { mimeType: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  { mimeType: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] } // %PDF-
+];
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+// MIME type of the content, or null when it is not a recognised format
+export const detectMimeType = (buffer) => {
+  if (!buffer?.length) return null;
+
+  // RIFF....WEBP
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) {
+    return "image/webp";
+  }
+
+  return SIGNATURES.find(signature => startsWith(buffer, signature.bytes))?.mimeType || null;
+};
+
+/**
+ * Decode a base64 payload, with or without a `data:<type>;base64,` prefix.
+ * Returns { buffer, declaredType } or null when it is not valid base64.
+ */
+export const decodeBase64Payload = (payload) => {
+  if (typeof payload !== "string") return null;
+
+  const match = payload.match(/^data:([\w/+.-]+);base64,(.*)$/s);
+  const declaredType = match ? match[1].toLowerCase() : null;
+  const body = (match ? match[2] : payload).replace(/\s/g, "");
+
+  if (!body || !/^[A-Za-z0-9+/]+={0,2}$/.test(body)) return null;
+
+  return { buffer: Buffer.from(body, "base64"), declaredType };
+};
@@ -0,0 +1,401 @@
+/**
+ * Safe expression language for calculated form fields. Formulas are parsed
+ * into a small syntax tree and evaluated against the submitted answers; there
+ * is no access to JavaScript, globals or anything outside the references.
+ *
+ *   quantity * unitPrice
+ *   IF(score >= 80, "Pass", "Fail")
+ *   SUM(readings.value) / COUNT(readings.value)
+ *   DATEDIFF(startDate, {end-date}, "hours")
+ *
+ * References are field ids, written bare (letters, digits, _) or in braces
+ * for any other characters; `grid.column` is the list of a grid table
+ * column's values. Operators: + - * / % ^, = <> < <= > >=, AND OR NOT (also
+ * == != && || !). Functions are listed in FUNCTIONS.
+ *
+ * Missing answers make arithmetic return null instead of failing, and
+ * aggregates skip empty cells.
+ */
+
+const MAX_FORMULA_LENGTH = 2000;
+const MAX_DEPTH = 50;
+
+export class FormulaError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position + 1}`);
+    this.name = "FormulaError";
+  }
+}
+
+/* ======================================================
+   TOKENIZER
+====================================================== */
+
+const KEYWORDS = { AND: "AND", OR: "OR", NOT: "NOT" };
+const SYMBOLS = ["<=", ">=", "<>", "!=", "==", "&&", "||", "=", "<", ">", "+", "-", "*", "/", "%", "^", "(", ")", ",", "!"];
+const SYMBOL_ALIASES = { "==": "=", "!=": "<>", "&&": "AND", "||": "OR", "!": "NOT" };
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const rest = source.slice(i);
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const number = rest.match(/^(\d+(\.\d+)?|\.\d+)/);
+    if (number) {
+      tokens.push({ type: "number", value: Number(number[0]), text: number[0], position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    if (char === "\"" || char === "'") {
+      let value = "";
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === "\\" && j + 1 < source.length) j++;
+        value += source[j++];
+      }
+      if (j >= source.length) throw new FormulaError("Unterminated text", i);
+      tokens.push({ type: "string", value, text: source.slice(i, j + 1), position: i });
+      i = j + 1;
+      continue;
+    }
+
+    if (char === "{") {
+      const end = source.indexOf("}", i);
+      if (end === -1) throw new FormulaError("Unterminated {reference}", i);
+      const [fieldId, ...column] = source.slice(i + 1, end).trim().split(".");
+      if (!fieldId) throw new FormulaError("Empty {reference}", i);
+      tokens.push({ type: "ref", fieldId, column: column.join(".") || null, text: source.slice(i, end + 1), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    const word = rest.match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)?/);
+    if (word) {
+      const text = word[0];
+      const upper = text.toUpperCase();
+      if (KEYWORDS[upper]) {
+        tokens.push({ type: "op", value: KEYWORDS[upper], text, position: i });
+      } else if (upper === "TRUE" || upper === "FALSE") {
+        tokens.push({ type: "boolean", value: upper === "TRUE", text, position: i });
+      } else if (source.slice(i + text.length).trimStart().startsWith("(") && !word[1]) {
+        tokens.push({ type: "function", value: upper, text, position: i });
+      } else {
+        const [fieldId, column] = text.split(".");
+        tokens.push({ type: "ref", fieldId, column: column || null, text, position: i });
+      }
+      i += word[0].length;
+      continue;
+    }
+
+    const symbol = SYMBOLS.find(candidate => rest.startsWith(candidate));
+    if (symbol) {
+      tokens.push({ type: "op", value: SYMBOL_ALIASES[symbol] || symbol, text: symbol, position: i });
+      i += symbol.length;
+      continue;
+    }
+
+    throw new FormulaError(`Unexpected "${char}"`, i);
+  }
+
+  return tokens;
+};
+
+/* ======================================================
+   PARSER
+====================================================== */
+
+// Binary operators by precedence, loosest first
+const BINARY_LEVELS = [["OR"], ["AND"], ["=", "<>", "<", "<=", ">", ">="], ["+", "-"], ["*", "/", "%"]];
+const NOT_LEVEL = 1; // The operands of AND may be negated
+
+/**
+ * Parse a formula into its syntax tree. Throws a FormulaError describing the
+ * first problem (syntax, unknown function, wrong number of arguments).
+ */
+export const parseFormula = (source) => {
+  if (typeof source !== "string" || !source.trim()) throw new FormulaError("Formula is empty");
+  if (source.length > MAX_FORMULA_LENGTH) throw new FormulaError(`Formula is longer than ${MAX_FORMULA_LENGTH} characters`);
+
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOp = (...values) => peek()?.type === "op" && values.includes(peek().value);
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw new FormulaError(`Expected "${value}"`, peek()?.position ?? source.length);
+    }
+    index++;
+  };
+
+  const guard = (depth) => {
+    if (depth > MAX_DEPTH) throw new FormulaError("Formula is nested too deeply");
+  };
+
+  // `depth` counts nesting (parentheses, function calls, prefix operators), not precedence levels
+  const binary = (level, depth) => {
+    if (level === BINARY_LEVELS.length) return power(depth);
+
+    const operand = () => (level === NOT_LEVEL ? not(depth) : binary(level + 1, depth));
+    let node = operand();
+    while (isOp(...BINARY_LEVELS[level])) {
+      const op = tokens[index++].value;
+      node = { type: "binary", op, left: node, right: operand() };
+    }
+    return node;
+  };
+
+  // NOT binds looser than comparisons: NOT a = b is NOT (a = b)
+  const not = (depth) => {
+    guard(depth);
+    if (isOp("NOT")) {
+      index++;
+      return { type: "unary", op: "NOT", argument: not(depth + 1) };
+    }
+    return binary(NOT_LEVEL + 1, depth);
+  };
+
+  const power = (depth) => {
+    const base = unary(depth);
+    if (!isOp("^")) return base;
+    index++;
+    return { type: "binary", op: "^", left: base, right: power(depth + 1) };
+  };
+
+  const unary = (depth) => {
+    guard(depth);
+    if (isOp("-", "+")) {
+      const op = tokens[index++].value;
+      return { type: "unary", op, argument: unary(depth + 1) };
+    }
+    return primary(depth);
+  };
+
+  const primary = (depth) => {
+    guard(depth);
+    const token = peek();
+    if (!token) throw new FormulaError("Formula ends unexpectedly");
+    index++;
+
+    if (token.type === "number" || token.type === "string" || token.type === "boolean") {
+      return { type: "literal", value: token.value };
+    }
+    if (token.type === "ref") {
+      return { type: "ref", fieldId: token.fieldId, column: token.column };
+    }
+    if (token.type === "function") {
+      const definition = FUNCTIONS[token.value];
+      if (!definition) throw new FormulaError(`Unknown function ${token.value}`, token.position);
+
+      expect("(");
+      const args = [];
+      if (!isOp(")")) {
+        args.push(binary(0, depth + 1));
+        while (isOp(",")) {
+          index++;
+          args.push(binary(0, depth + 1));
+        }
+      }
+      expect(")");
+
+      const [min, max] = definition.arity;
+      if (args.length < min || args.length > max) {
+        const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+        throw new FormulaError(`${token.value} takes ${expected} argument${/(^| )1$/.test(expected) ? "" : "s"}`, token.position);
+      }
+      return { type: "call", name: token.value, args };
+    }
+    if (token.type === "op" && token.value === "(") {
+      const node = binary(0, depth + 1);
+      expect(")");
+      return node;
+    }
+
+    throw new FormulaError(`Unexpected "${token.text}"`, token.position);
+  };
+
+  const tree = binary(0, 0);
+  if (index < tokens.length) throw new FormulaError(`Unexpected "${peek().text}"`, peek().position);
+  return tree;
+};
+
+/** Every reference in a syntax tree, as { fieldId, column }. */
+export const formulaReferences = (node, out = []) => {
+  if (node.type === "ref") out.push({ fieldId: node.fieldId, column: node.column });
+  for (const child of [node.left, node.right, node.argument, ...(node.args || [])]) {
+    if (child) formulaReferences(child, out);
+  }
+  return out;
+};
+
+/* ======================================================
+   EVALUATION
+====================================================== */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const isBlank = (value) => value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0);
+
+const toNumber = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value))) return Number(value);
+  return null;
+};
+
+const toDate = (value) => {
+  if (isBlank(value)) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toBoolean = (value) => {
+  if (typeof value === "string") return !["", "false", "no", "0"].includes(value.trim().toLowerCase());
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+};
+
+const numbersOf = (values) => values.flat(Infinity).map(toNumber).filter(value => value !== null);
+
+const extreme = (pick, args) => {
+  const values = numbersOf(args);
+  return values.length ? pick(...values) : null;
+};
+
+const monthsBetween = (start, end) => {
+  const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+  // A month only counts once its day of the month is reached
+  const partial = end.getTime() >= start.getTime()
+    ? end.getUTCDate() < start.getUTCDate()
+    : end.getUTCDate() > start.getUTCDate();
+  return partial ? months - Math.sign(months) : months;
+};
+
+const DATE_UNITS = {
+  minutes: (start, end) => Math.trunc((end - start) / 60000),
+  hours: (start, end) => Math.trunc((end - start) / 3600000),
+  days: (start, end) => Math.trunc((end - start) / DAY),
+  weeks: (start, end) => Math.trunc((end - start) / (7 * DAY)),
+  months: monthsBetween,
+  years: (start, end) => Math.trunc(monthsBetween(start, end) / 12)
+};
+
+// name: { arity: [min, max], lazy?, fn(args, evaluate) }
+const FUNCTIONS = {
+  SUM: { arity: [1, Infinity], fn: (args) => numbersOf(args).reduce((sum, value) => sum + value, 0) },
+  AVG: {
+    arity: [1, Infinity],
+    fn: (args) => {
+      const values = numbersOf(args);
+      return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+  },
+  MIN: { arity: [1, Infinity], fn: (args) => extreme(Math.min, args) },
+  MAX: { arity: [1, Infinity], fn: (args) => extreme(Math.max, args) },
+  COUNT: { arity: [1, Infinity], fn: (args) => args.flat(Infinity).filter(value => !isBlank(value)).length },
+  IF: {
+    arity: [2, 3],
+    lazy: true,
+    fn: ([condition, whenTrue, whenFalse], evaluate) => {
+      if (toBoolean(evaluate(condition))) return evaluate(whenTrue);
+      return whenFalse ? evaluate(whenFalse) : null;
+    }
+  },
+  ROUND: {
+    arity: [1, 2],
+    fn: ([value, digits = 0]) => {
+      const number = toNumber(value);
+      const places = toNumber(digits) ?? 0;
+      return number === null ? null : Math.round(number * 10 ** places) / 10 ** places;
+    }
+  },
+  ABS: { arity: [1, 1], fn: ([value]) => (toNumber(value) === null ? null : Math.abs(toNumber(value))) },
+  ISBLANK: { arity: [1, 1], fn: ([value]) => isBlank(value) },
+  DATEDIFF: {
+    arity: [2, 3],
+    fn: ([start, end, unit = "days"]) => {
+      const from = toDate(start);
+      const to = toDate(end);
+      const key = String(unit).toLowerCase();
+      // Own keys only: "constructor" or "__proto__" must not reach Object.prototype
+      if (!Object.hasOwn(DATE_UNITS, key)) throw new FormulaError(`Unknown DATEDIFF unit "${unit}"`);
+      return from && to ? DATE_UNITS[key](from, to) : null;
+    }
+  },
+  TODAY: { arity: [0, 0], fn: (args, evaluate, { now }) => new Date(now).toISOString().slice(0, 10) }
+};
+
+const arithmetic = {
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => (b === 0 ? null : a / b),
+  "%": (a, b) => (b === 0 ? null : a % b),
+  "^": (a, b) => a ** b
+};
+
+const compare = (op, a, b) => {
+  const [x, y] = toNumber(a) !== null && toNumber(b) !== null
+    ? [toNumber(a), toNumber(b)]
+    : [isBlank(a) ? "" : String(a), isBlank(b) ? "" : String(b)];
+
+  switch (op) {
+    case "=": return x === y;
+    case "<>": return x !== y;
+    case "<": return x < y;
+    case "<=": return x <= y;
+    case ">": return x > y;
+    default: return x >= y;
+  }
+};
+
+/**
+ * Evaluate a syntax tree. `resolve({ fieldId, column })` returns a field's
+ * answer, or the list of a grid column's values. Returns a number, text,
+ * boolean or null; non-finite numbers become null.
+ */
+export const evaluateFormula = (tree, resolve, { now = Date.now() } = {}) => {
+  const evaluate = (node) => {
+    switch (node.type) {
+      case "literal":
+        return node.value;
+      case "ref":
+        return resolve(node);
+      case "call": {
+        const definition = FUNCTIONS[node.name];
+        return definition.lazy
+          ? definition.fn(node.args, evaluate, { now })
+          : definition.fn(node.args.map(evaluate), evaluate, { now });
+      }
+      case "unary": {
+        const value = evaluate(node.argument);
+        if (node.op === "NOT") return !toBoolean(value);
+        const number = toNumber(value);
+        return number === null ? null : (node.op === "-" ? -number : number);
+      }
+      default: {
+        if (node.op === "AND") return toBoolean(evaluate(node.left)) && toBoolean(evaluate(node.right));
+        if (node.op === "OR") return toBoolean(evaluate(node.left)) || toBoolean(evaluate(node.right));
+
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        if (!arithmetic[node.op]) return compare(node.op, left, right);
+
+        const [a, b] = [toNumber(left), toNumber(right)];
+        return a === null || b === null ? null : arithmetic[node.op](a, b);
+      }
+    }
+  };
+
+  const result = evaluate(tree);
+  if (typeof result === "number" && !Number.isFinite(result)) return null;
+  return Array.isArray(result) ? null : result;
+};
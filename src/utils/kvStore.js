@@ -0,0 +1,105 @@
+import redisClient from '../config/redis.js';
+import { logger } from './logger.js';
+
+/**
+ * Small key/value store with TTL support.
+ * Uses Redis when the client is connected, otherwise falls back to process memory
+ * (single-instance deployments and local development).
+ */
+
+const memoryStore = new Map();
+
+const useRedis = () => Boolean(redisClient.isOpen);
+
+const readMemory = (key) => {
+  const entry = memoryStore.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return entry;
+};
+
+// Periodically drop expired in-memory entries so the map does not grow forever
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of memoryStore) {
+    if (entry.expiresAt && entry.expiresAt <= now) memoryStore.delete(key);
+  }
+}, 60 * 1000).unref();
+
+// Get a value (strings only)
+export const getValue = async (key) => {
+  try {
+    if (useRedis()) return await redisClient.get(key);
+    return readMemory(key)?.value ?? null;
+  } catch (error) {
+    logger.error('Store get error', error);
+    return null;
+  }
+};
+
+// Set a value with an optional TTL in seconds
+export const setValue = async (key, value, ttl) => {
+  try {
+    if (useRedis()) {
+      await redisClient.set(key, String(value), ttl ? { EX: ttl } : undefined);
+      return;
+    }
+    memoryStore.set(key, {
+      value: String(value),
+      expiresAt: ttl ? Date.now() + ttl * 1000 : null
+    });
+  } catch (error) {
+    logger.error('Store set error', error);
+  }
+};
+
+// Delete a value
+export const deleteValue = async (key) => {
+  try {
+    if (useRedis()) {
+      await redisClient.del(key);
+      return;
+    }
+    memoryStore.delete(key);
+  } catch (error) {
+    logger.error('Store delete error', error);
+  }
+};
+
+// Increment a counter; the TTL is applied when the counter is created
+export const incrementValue = async (key, ttl) => {
+  try {
+    if (useRedis()) {
+      const count = await redisClient.incr(key);
+      if (count === 1 && ttl) await redisClient.expire(key, ttl);
+      return count;
+    }
+    const entry = readMemory(key);
+    const count = (entry ? parseInt(entry.value) || 0 : 0) + 1;
+    memoryStore.set(key, {
+      value: String(count),
+      expiresAt: entry ? entry.expiresAt : (ttl ? Date.now() + ttl * 1000 : null)
+    });
+    return count;
+  } catch (error) {
+    logger.error('Store increment error', error);
+    return 0;
+  }
+};
+
+// Remaining TTL in seconds (-1 = no expiry, -2 = missing key)
+export const getTtl = async (key) => {
+  try {
+    if (useRedis()) return await redisClient.ttl(key);
+    const entry = readMemory(key);
+    if (!entry) return -2;
+    if (!entry.expiresAt) return -1;
+    return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  } catch (error) {
+    logger.error('Store ttl error', error);
+    return -2;
+  }
+};
@@ -0,0 +1,100 @@
+import { getRequestContext } from "./requestContext.js";
+
+/**
+ * Structured JSON logger. Writes one line per entry:
+ *   { time, level, msg, requestId, ...context, ...fields }
+ * The current request context (utils/requestContext.js) is merged in, so lines
+ * logged from services and background work carry the request ID as well.
+ * Values under sensitive keys (passwords, tokens, secrets, base64 payloads)
+ * and inline base64 data are redacted before anything is written; request
+ * paths go through redactUrlPath() so tokens in the URL are not logged.
+ *
+ *   logger.info("Invitation sent", { invitationId });
+ *   logger.error("Failed to send invitation email", error);
+ *
+ * LOG_LEVEL picks the minimum level (default "info" in production, "debug" otherwise).
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SENSITIVE_KEY = /password|passwd|(^|_)pass$|secret|token|authorization|cookie|base64|api[-_]?key$|recoverycode|otp$/i;
+const DATA_URL = /^data:[^;,]+;base64,/i;
+// Secrets sent in the path (approval links, invitations) are long opaque
+// strings, unlike the 24-character ObjectIds
+const PATH_TOKEN = /^[A-Za-z0-9_-]{32,}$/;
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 8;
+
+const minLevel = () =>
+  LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? (process.env.NODE_ENV === "production" ? LEVELS.info : LEVELS.debug);
+
+/* 🔹 Helper: Plain object for an Error, including AppError status/code */
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  ...(error.status !== undefined && { status: error.status }),
+  stack: error.stack
+});
+
+/* 🔹 Helper: Request URL without the query string and with path tokens masked */
+export const redactUrlPath = (url = "") => url.split("?")[0]
+  .split("/")
+  .map(segment => (PATH_TOKEN.test(segment) ? ":token" : segment))
+  .join("/");
+
+/* 🔹 Helper: Copy of `value` with sensitive data replaced */
+export const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === "string") return DATA_URL.test(value) ? REDACTED : value;
+  if (typeof value === "bigint") return value.toString();
+  if (!value || typeof value !== "object") return value;
+
+  if (value instanceof Error) return redact(serializeError(value), depth, seen);
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (typeof value.toHexString === "function") return value.toHexString(); // ObjectId
+  if (typeof value.toObject === "function") value = value.toObject(); // Mongoose document
+
+  if (seen.has(value)) return "[Circular]";
+  if (depth >= MAX_DEPTH) return "[Truncated]";
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1, seen));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SENSITIVE_KEY.test(key) && item != null ? REDACTED : redact(item, depth + 1, seen);
+  }
+  return result;
+};
+
+const write = (level, msg, fields) => {
+  if (LEVELS[level] < minLevel()) return;
+
+  // logger.error("...", error) is shorthand for { err: error }
+  const extra = fields instanceof Error ? { err: fields } : fields;
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...getRequestContext(),
+    ...extra
+  });
+
+  const line = `${JSON.stringify(entry)}\n`;
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+};
+
+export const logger = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields)
+};
+
+export default logger;
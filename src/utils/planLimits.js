@@ -121,6 +121,33 @@ export const validateEmployeeCreation = async (companyId, plantId) => {
   return { allowed: true };
 };
 
+export const validateStorageUsage = async (companyId, bytes) => {
+  const company = await Company.findById(companyId);
+  if (!company) {
+    return { allowed: false, message: "Company not found" };
+  }
+
+  const planId = company.subscription?.plan || "SILVER";
+  const plan = getPlanById(planId);
+  const maxStorageMb = (planId === "CUSTOM" && company.subscription?.customLimits?.maxStorageMb) || plan.limits.maxStorageMb;
+  if (isUnlimited(maxStorageMb)) return { allowed: true };
+
+  const usedBytes = company.storageUsedBytes || 0;
+  const limitBytes = maxStorageMb * 1024 * 1024;
+
+  if (usedBytes + bytes > limitBytes) {
+    return {
+      allowed: false,
+      message: `Storage limit reached. Your ${plan.name} plan allows ${maxStorageMb} MB of uploads. Please upgrade to upload more files.`,
+      upgradeRequired: true,
+      currentCount: usedBytes,
+      limit: limitBytes,
+    };
+  }
+
+  return { allowed: true };
+};
+
 export const getCompanySubscriptionDetails = async (companyId) => {
   const company = await Company.findById(companyId);
   if (!company) return null;
@@ -168,6 +195,8 @@ export const getCompanySubscriptionDetails = async (companyId) => {
       plants: usage.plants,
       plantsLimit: isUnlimited(limits.maxPlants) ? "Unlimited" : limits.maxPlants,
       plantsRemaining: isUnlimited(limits.maxPlants) ? "Unlimited" : Math.max(0, limits.maxPlants - usage.plants),
+      storageUsedMb: Math.round((company.storageUsedBytes || 0) / (1024 * 1024) * 10) / 10,
+      storageLimitMb: isUnlimited(limits.maxStorageMb ?? plan.limits.maxStorageMb) ? "Unlimited" : (limits.maxStorageMb ?? plan.limits.maxStorageMb),
     },
     plantUsage,
   };
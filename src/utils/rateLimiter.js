@@ -0,0 +1,55 @@
+import { getValue, incrementValue } from './kvStore.js';
+
+/**
+ * Sliding window rate limiter.
+ * Keeps one counter per fixed window and weights the previous window by how
+ * much of it still overlaps the sliding window:
+ *   estimate = previous * (1 - elapsed) + current
+ * Counters live in the key/value store, so they are shared through Redis when
+ * it is configured and kept in process memory otherwise. Rejected requests
+ * count too, so a client that keeps hammering stays throttled.
+ */
+
+// Count one request against `key`; limit <= 0 or -1 means unlimited
+export const consumeRateLimit = async (key, limit, windowSec) => {
+  if (!limit || limit < 0) {
+    return { allowed: true, limit: null };
+  }
+
+  const windowMs = windowSec * 1000;
+  const now = Date.now();
+  const windowIndex = Math.floor(now / windowMs);
+  const elapsed = (now % windowMs) / windowMs;
+
+  const [previousValue, current] = await Promise.all([
+    getValue(`${key}:${windowIndex - 1}`),
+    incrementValue(`${key}:${windowIndex}`, windowSec * 2)
+  ]);
+  const previous = parseInt(previousValue) || 0;
+
+  const estimate = previous * (1 - elapsed) + current;
+  const allowed = estimate <= limit;
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - estimate)),
+    resetSec: Math.max(1, Math.ceil((1 - elapsed) * windowSec)),
+    retryAfterSec: allowed ? 0 : retryAfter({ previous, current, limit, elapsed, windowSec })
+  };
+};
+
+// Seconds until the estimate drops back under the limit, assuming no new requests
+const retryAfter = ({ previous, current, limit, elapsed, windowSec }) => {
+  let waitFraction;
+
+  if (current >= limit) {
+    // Only once this window has become the previous one and mostly slid out
+    waitFraction = (1 - elapsed) + (1 - limit / current);
+  } else {
+    // Enough of the previous window has to slide out
+    waitFraction = (1 - (limit - current) / previous) - elapsed;
+  }
+
+  return Math.max(1, Math.ceil(waitFraction * windowSec));
+};
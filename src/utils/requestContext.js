@@ -0,0 +1,28 @@
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+
+/**
+ * Per-request context ({ requestId, userId, companyId, ... }) kept in
+ * AsyncLocalStorage. It follows the request through awaits, setImmediate and
+ * fire-and-forget promises, so emails and background work started by a
+ * request still carry its ID. Scripts and jobs open their own with runAsJob().
+ */
+
+const storage = new AsyncLocalStorage();
+
+export const runWithContext = (context, fn) => storage.run({ ...context }, fn);
+
+export const getRequestContext = () => storage.getStore() || {};
+
+export const getRequestId = () => storage.getStore()?.requestId;
+
+// Add fields (e.g. the authenticated user) to the current context
+export const addRequestContext = (fields) => {
+  const store = storage.getStore();
+  if (store) Object.assign(store, fields);
+};
+
+export const generateRequestId = () => crypto.randomUUID();
+
+// Run work outside any request under its own correlation ID
+export const runAsJob = (job, fn) => runWithContext({ requestId: generateRequestId(), job }, fn);
@@ -1,5 +1,6 @@
 import User from "../models/User.model.js";
 import bcrypt from "bcryptjs";
+import { logger } from "./logger.js";
 
 export const seedSuperAdmin = async () => {
   try {
@@ -9,7 +10,7 @@ export const seedSuperAdmin = async () => {
     });
 
     if (existing) {
-      console.log("⚠️ Super Admin already exists");
+      logger.info("Super Admin already exists");
       return;
     }
 
@@ -25,8 +26,8 @@ export const seedSuperAdmin = async () => {
       role: "SUPER_ADMIN"
     });
 
-    console.log("✅ Super Admin created");
+    logger.info("Super Admin created");
   } catch (err) {
-    console.error("❌ Super Admin seed error:", err.message);
+    logger.error("Super Admin seed error", err);
   }
 };
@@ -0,0 +1,10 @@
+import { optional, optionalFalsy, objectId, integer } from "./common.validators.js";
+
+// Shared by every analytics endpoint
+export const analyticsQuerySchema = {
+  query: {
+    days: optional(integer("Days", { min: 1, max: 365 })),
+    companyId: optionalFalsy(objectId("Company id")),
+    plantId: optionalFalsy(objectId("Plant id"))
+  }
+};
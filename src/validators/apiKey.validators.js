@@ -0,0 +1,26 @@
+import { API_KEY_PERMISSIONS } from "../utils/constants.js";
+import { optional, optionalFalsy, objectId, string, boolean, date, array } from "./common.validators.js";
+
+export const getApiKeysSchema = {
+  query: {
+    companyId: optionalFalsy(objectId("Company id")),
+    includeRevoked: optional(boolean("includeRevoked"))
+  }
+};
+
+export const createApiKeySchema = {
+  body: {
+    name: string("Name", { max: 100 }),
+    companyId: optionalFalsy(objectId("Company id")),
+    plantId: optionalFalsy(objectId("Plant id")),
+    permissions: array("Permissions", { min: 1 }),
+    "permissions.*": {
+      isIn: { options: [API_KEY_PERMISSIONS], errorMessage: `Permissions must be among: ${API_KEY_PERMISSIONS.join(", ")}` }
+    },
+    expiresAt: optionalFalsy(date("Expiry date"))
+  }
+};
+
+export const apiKeyIdSchema = {
+  params: { id: objectId("API key id") }
+};
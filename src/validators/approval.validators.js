@@ -0,0 +1,51 @@
+import ApprovalTask from "../models/ApprovalTask.model.js";
+import FormSubmission from "../models/FormSubmission.model.js";
+import {
+  optional, objectId, objectIdList, hexToken, string, email, date, object, oneOf, upperCaseOneOf, modelEnum
+} from "./common.validators.js";
+
+const linkTokenParams = { token: hexToken("Approval link") };
+
+export const createApprovalTaskSchema = {
+  body: {
+    ...objectIdList("formIds", "Forms"),
+    approverId: objectId("Approver id"),
+    dueDate: optional(date("Due date"))
+  }
+};
+
+export const getApprovalTasksSchema = {
+  query: { status: optional(oneOf(modelEnum(ApprovalTask, "status"), "Status")) }
+};
+
+export const approvalTaskIdSchema = {
+  params: { id: objectId("Approval task id") }
+};
+
+export const processApprovalSchema = {
+  body: {
+    submissionId: objectId("Submission id"),
+    status: upperCaseOneOf(modelEnum(FormSubmission, "approvalHistory.status"), "Status"),
+    comments: optional(string("Comments", { max: 2000, allowEmpty: true })),
+    data: optional(object("Data"))
+  }
+};
+
+export const sendMultiFormLinkSchema = {
+  body: {
+    ...objectIdList("formIds", "Forms"),
+    approverEmail: email("Approver email")
+  }
+};
+
+export const approvalLinkSchema = {
+  params: linkTokenParams
+};
+
+export const submitApprovalLinkSchema = {
+  params: linkTokenParams,
+  body: {
+    formId: objectId("Form id"),
+    data: optional(object("Data"))
+  }
+};
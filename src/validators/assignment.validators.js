@@ -0,0 +1,29 @@
+import Assignment from "../models/Assignment.model.js";
+import {
+  optional, objectId, objectIdList, date, upperCaseOneOf, paginationQuery, modelEnum
+} from "./common.validators.js";
+
+export const getMyAssignmentsSchema = {
+  query: {
+    ...paginationQuery,
+    status: optional(upperCaseOneOf(modelEnum(Assignment, "status"), "Status"))
+  }
+};
+
+// One template (templateId) or several (templateIds)
+export const assignTemplatesSchema = {
+  body: {
+    templateId: optional(objectId("Template id")),
+    ...objectIdList("templateIds", "Templates", { optional: true }),
+    ...objectIdList("employeeIds", "Employees"),
+    dueDate: optional(date("Due date"))
+  }
+};
+
+export const getPlantAssignmentsSchema = {
+  query: paginationQuery
+};
+
+export const assignmentIdSchema = {
+  params: { id: objectId("Assignment id") }
+};
@@ -0,0 +1,21 @@
+import { optionalFalsy, objectId, string, date, paginationQuery } from "./common.validators.js";
+
+const auditFilters = {
+  userId: optionalFalsy(objectId("Actor id")),
+  module: optionalFalsy(string("Module", { max: 50 })),
+  action: optionalFalsy(string("Action", { max: 100 })),
+  entityType: optionalFalsy(string("Entity type", { max: 50 })),
+  entityId: optionalFalsy(objectId("Entity id")),
+  companyId: optionalFalsy(objectId("Company id")),
+  plantId: optionalFalsy(objectId("Plant id")),
+  from: optionalFalsy(date("From")),
+  to: optionalFalsy(date("To"))
+};
+
+export const getAuditLogsSchema = {
+  query: { ...auditFilters, ...paginationQuery }
+};
+
+export const exportAuditLogsSchema = {
+  query: auditFilters
+};
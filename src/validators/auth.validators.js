@@ -0,0 +1,71 @@
+import { optional, objectId, string, email, password, code, hexToken, boolean, integer } from "./common.validators.js";
+
+// JWTs
+const token = (label) => string(label, { max: 2048 });
+
+export const loginSchema = {
+  body: { email: email(), password: password() }
+};
+
+export const registerSchema = {
+  body: { name: string("Name", { max: 100 }), email: email(), password: password() }
+};
+
+export const refreshSchema = {
+  body: { refreshToken: token("Refresh token") }
+};
+
+export const logoutSchema = {
+  body: { refreshToken: optional(token("Refresh token")) }
+};
+
+export const forgotPasswordSchema = {
+  body: { email: email() }
+};
+
+export const resetPasswordSchema = {
+  body: { token: hexToken("Reset token"), password: password() }
+};
+
+export const unlockAccountSchema = {
+  body: { token: hexToken("Unlock token") }
+};
+
+export const changePasswordSchema = {
+  body: {
+    currentPassword: password("Current password"),
+    newPassword: password("New password")
+  }
+};
+
+export const verifyTwoFactorSchema = {
+  body: {
+    challengeToken: token("Challenge token"),
+    code: optional(code()),
+    recoveryCode: optional(code("Recovery code"))
+  }
+};
+
+export const twoFactorCodeSchema = {
+  body: { code: code() }
+};
+
+export const disableTwoFactorSchema = {
+  body: { password: optional(password()), code: optional(code()) }
+};
+
+export const switchPlantSchema = {
+  body: { plantId: objectId("Plant id") }
+};
+
+export const registrationSettingsSchema = {
+  body: { allowSelfRegistration: boolean("allowSelfRegistration") }
+};
+
+export const startImpersonationSchema = {
+  params: { userId: objectId("User id") },
+  body: {
+    reason: string("Reason", { max: 500 }),
+    durationMinutes: optional(integer("Duration", { min: 1 }))
+  }
+};
@@ -0,0 +1,137 @@
+/**
+ * Building blocks for route schemas (see middlewares/validate.middleware.js).
+ * Each helper returns an express-validator field schema; wrap it in
+ * optional() when the field may be left out.
+ */
+
+// Only validate when the value was sent (null counts as not sent)
+export const optional = (rules) => ({ optional: { options: { values: "null" } }, ...rules });
+
+// Like optional(), but "" and other falsy values are also skipped
+export const optionalFalsy = (rules) => ({ optional: { options: { values: "falsy" } }, ...rules });
+
+export const required = (label) => ({
+  exists: { options: { values: "null" }, errorMessage: `${label} is required`, bail: true }
+});
+
+export const objectId = (label) => ({
+  ...required(label),
+  isMongoId: { errorMessage: `${label} must be a valid id` }
+});
+
+export const string = (label, { max = 200, allowEmpty = false } = {}) => ({
+  ...required(label),
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  trim: true,
+  ...(!allowEmpty && { notEmpty: { errorMessage: `${label} cannot be empty` } }),
+  isLength: { options: { max }, errorMessage: `${label} must be at most ${max} characters` }
+});
+
+// Emailed link tokens (approval, invitation, reset, unlock): 32 random bytes as hex
+export const hexToken = (label) => ({
+  ...required(label),
+  matches: { options: [/^[a-f\d]{64}$/i], errorMessage: `${label} is not valid` }
+});
+
+export const email = (label = "Email") => ({
+  ...required(label),
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  trim: true,
+  isEmail: { errorMessage: `${label} must be a valid email address` }
+});
+
+// Presence only; strength rules live in services/password.service.js
+export const password = (label = "Password") => ({
+  ...required(label),
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  notEmpty: { errorMessage: `${label} cannot be empty` }
+});
+
+// One-time codes (TOTP or recovery codes); numeric codes may arrive as numbers
+export const code = (label = "Code") => ({
+  ...required(label),
+  matches: { options: [/^[A-Za-z0-9-]{4,32}$/], errorMessage: `${label} is not valid` }
+});
+
+export const boolean = (label) => ({
+  ...required(label),
+  isBoolean: { errorMessage: `${label} must be true or false` }
+});
+
+export const integer = (label, { min, max } = {}) => {
+  const range = min !== undefined && max !== undefined ? ` between ${min} and ${max}` :
+    min !== undefined ? ` of at least ${min}` : "";
+  return {
+    ...required(label),
+    isInt: { options: { min, max }, errorMessage: `${label} must be a whole number${range}` },
+    toInt: true
+  };
+};
+
+export const date = (label) => ({
+  ...required(label),
+  isISO8601: { errorMessage: `${label} must be a valid date` }
+});
+
+export const oneOf = (values, label) => ({
+  ...required(label),
+  isIn: { options: [values], errorMessage: `${label} must be one of: ${values.join(", ")}` }
+});
+
+// Like oneOf(), for enums the API accepts in any case
+export const upperCaseOneOf = (values, label) => ({
+  ...required(label),
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  toUpperCase: true,
+  isIn: { options: [values], errorMessage: `${label} must be one of: ${values.join(", ")}` }
+});
+
+export const array = (label, { min = 0, max } = {}) => ({
+  ...required(label),
+  isArray: {
+    options: { min, max },
+    errorMessage: min > 0 ? `${label} must be a list with at least ${min} item${min > 1 ? "s" : ""}` : `${label} must be a list`
+  }
+});
+
+export const object = (label) => ({
+  ...required(label),
+  isObject: { errorMessage: `${label} must be an object` }
+});
+
+// A list of ids: spread into a schema as { ...objectIdList("formIds", "Forms") }
+export const objectIdList = (field, label, { min = 1, optional: isOptional = false } = {}) => {
+  const list = array(label, { min });
+  return {
+    [field]: isOptional ? optional(list) : list,
+    [`${field}.*`]: { isMongoId: { errorMessage: `${label} must only contain valid ids` } }
+  };
+};
+
+// Accepts a JS object or a JSON string of one (multipart bodies)
+export const jsonObject = (label) => ({
+  ...required(label),
+  custom: {
+    options: (value) => {
+      const parsed = typeof value === "string" ? JSON.parse(value) : value;
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw new Error();
+      return true;
+    },
+    errorMessage: `${label} must be an object`
+  }
+});
+
+/**
+ * Allowed values of an enum path on a model, so schemas stay in step with the
+ * models (nested paths and arrays of enums work too, e.g. "fields.type").
+ */
+export const modelEnum = (Model, path) => {
+  const schemaType = Model.schema.path(path);
+  if (!schemaType) throw new Error(`${Model.modelName} has no path "${path}"`);
+  return schemaType.enumValues?.length ? schemaType.enumValues : schemaType.caster.enumValues;
+};
+
+export const paginationQuery = {
+  page: optional(integer("Page", { min: 1 })),
+  limit: optional(integer("Limit", { min: 1, max: 500 }))
+};
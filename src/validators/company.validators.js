@@ -0,0 +1,99 @@
+import Company from "../models/Company.model.js";
+import {
+  optional, optionalFalsy, objectId, string, email, password, boolean, integer, oneOf, upperCaseOneOf,
+  array, object, jsonObject, paginationQuery, modelEnum
+} from "./common.validators.js";
+
+const PLANS = modelEnum(Company, "subscription.plan");
+
+const idParams = { id: objectId("Company id") };
+
+/* 🔹 Helper: A name sent as `name` or as `<prefix>Name` (e.g. companyName) */
+const namedObject = (label, altKey) => ({
+  ...object(label),
+  custom: {
+    options: (value) => [value.name, value[altKey]].some(name => typeof name === "string" && name.trim()),
+    errorMessage: `${label} name is required`
+  }
+});
+
+const companyDetailRules = {
+  company: namedObject("Company", "companyName"),
+  "company.contactEmail": optionalFalsy(email("Company contact email"))
+};
+
+const adminRules = {
+  admin: object("Admin"),
+  "admin.name": string("Admin name", { max: 100 }),
+  "admin.email": email("Admin email"),
+  "admin.password": password("Admin password")
+};
+
+// -1 means unlimited
+const customLimitRules = {
+  customLimits: optional(object("Custom limits")),
+  "customLimits.*": optional(integer("Custom limits", { min: -1 }))
+};
+
+export const createCompanySchema = {
+  body: {
+    ...companyDetailRules,
+    plant: namedObject("Plant", "plantName"),
+    ...adminRules
+  }
+};
+
+export const createCompanyWithPlantsSchema = {
+  body: {
+    ...companyDetailRules,
+    plants: array("Plants", { min: 1 }),
+    "plants.*": namedObject("Plant", "plantName"),
+    "plants.*.adminEmail": optionalFalsy(email("Plant admin email")),
+    ...adminRules,
+    plan: optional(oneOf(PLANS, "Plan")),
+    ...customLimitRules,
+    inviteAdmins: optional(boolean("inviteAdmins"))
+  }
+};
+
+export const getCompaniesSchema = {
+  query: paginationQuery
+};
+
+export const companyIdSchema = {
+  params: idParams
+};
+
+export const templateFeatureSchema = {
+  body: {
+    companyId: objectId("Company id"),
+    enabled: boolean("enabled")
+  }
+};
+
+// Multipart (logo upload), so nested objects arrive as JSON strings
+export const updateCompanySchema = {
+  params: idParams,
+  body: {
+    name: optional(string("Company name")),
+    contactEmail: optionalFalsy(email("Company contact email")),
+    admin: optionalFalsy(jsonObject("Admin"))
+  }
+};
+
+export const updateCompanyPlanSchema = {
+  params: idParams,
+  body: {
+    plan: upperCaseOneOf(PLANS, "Plan"),
+    ...customLimitRules
+  }
+};
+
+export const securitySettingsSchema = {
+  params: idParams,
+  body: {
+    twoFactorRequiredRoles: optional(array("twoFactorRequiredRoles")),
+    "twoFactorRequiredRoles.*": oneOf(modelEnum(Company, "security.twoFactorRequiredRoles"), "twoFactorRequiredRoles"),
+    allowCompanyAdminImpersonation: optional(boolean("allowCompanyAdminImpersonation"))
+  }
+};
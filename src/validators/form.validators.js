@@ -0,0 +1,111 @@
+import Form from "../models/Form.model.js";
+import {
+  optional, objectId, string, email, boolean, integer, oneOf, array, paginationQuery, modelEnum
+} from "./common.validators.js";
+
+const FIELD_TYPES = modelEnum(Form, "fields.type");
+const FORM_STATUSES = modelEnum(Form, "status");
+const RULE_MATCHES = modelEnum(Form, "fields.rules.match");
+const RULE_OPERATORS = modelEnum(Form, "fields.rules.conditions.operator");
+const RULE_ACTIONS = modelEnum(Form, "fields.rules.action");
+
+const idParams = { id: objectId("Form id") };
+
+/* 🔹 Helper: Rules for the conditional logic (show/hide/require) at `path` */
+const conditionRules = (path) => ({
+  [path]: optional(array("Rules")),
+  [`${path}.*.match`]: optional(oneOf(RULE_MATCHES, "Rule match")),
+  [`${path}.*.conditions`]: array("Rule conditions", { min: 1 }),
+  [`${path}.*.conditions.*.fieldId`]: string("Condition field id", { max: 100 }),
+  [`${path}.*.conditions.*.operator`]: oneOf(RULE_OPERATORS, "Condition operator"),
+  [`${path}.*.action`]: oneOf(RULE_ACTIONS, "Rule action"),
+  [`${path}.*.options`]: optional(array("Rule options"))
+});
+
+/* 🔹 Helper: Rules for a list of form fields at `path` */
+const fieldRules = (path) => ({
+  [path]: optional(array("Fields")),
+  [`${path}.*.fieldId`]: string("Field id", { max: 100 }),
+  [`${path}.*.label`]: string("Field label", { max: 500 }),
+  [`${path}.*.type`]: oneOf(FIELD_TYPES, "Field type"),
+  [`${path}.*.required`]: optional(boolean("Field required flag")),
+  [`${path}.*.options`]: optional(array("Field options")),
+  [`${path}.*.includeInApprovalEmail`]: optional(boolean("includeInApprovalEmail")),
+  [`${path}.*.sensitive`]: optional(boolean("sensitive")),
+  [`${path}.*.unmaskInApprovalEmail`]: optional(boolean("unmaskInApprovalEmail")),
+  [`${path}.*.formula`]: optional(string("Formula", { max: 2000 })),
+  [`${path}.*.decimals`]: optional(integer("Decimals", { min: 0, max: 10 })),
+  ...conditionRules(`${path}.*.rules`)
+});
+
+/* 🔹 Helper: Approval levels, sent as approvalFlow or approvalLevels */
+const approvalLevelRules = (path) => ({
+  [path]: optional(array("Approval levels")),
+  [`${path}.*.approverId`]: objectId("Approver id"),
+  [`${path}.*.name`]: optional(string("Approval level name", { max: 100, allowEmpty: true }))
+});
+
+/* 🔹 Helper: Form body; `partial` for updates, where nothing is required */
+const formBody = ({ partial }) => {
+  const requiredUnlessPartial = (rules) => (partial ? optional(rules) : rules);
+
+  return {
+    formId: requiredUnlessPartial(string("Form id", { max: 100 })),
+    formName: requiredUnlessPartial(string("Form name")),
+    description: optional(string("Description", { max: 2000, allowEmpty: true })),
+    status: optional(oneOf(FORM_STATUSES, "Status")),
+    isTemplate: optional(boolean("isTemplate")),
+    ...fieldRules("fields"),
+    sections: optional(array("Sections")),
+    "sections.*.sectionId": string("Section id", { max: 100 }),
+    "sections.*.title": string("Section title"),
+    ...conditionRules("sections.*.rules"),
+    ...fieldRules("sections.*.fields"),
+    ...approvalLevelRules("approvalFlow"),
+    ...approvalLevelRules("approvalLevels")
+  };
+};
+
+export const createFormSchema = {
+  body: formBody({ partial: false })
+};
+
+export const getFormsSchema = {
+  query: {
+    ...paginationQuery,
+    plantId: optional({
+      matches: { options: [/^([a-f\d]{24}|all)$/i], errorMessage: "plantId must be a valid id or \"all\"" }
+    })
+  }
+};
+
+export const formIdSchema = {
+  params: idParams
+};
+
+export const updateFormSchema = {
+  params: idParams,
+  body: formBody({ partial: true })
+};
+
+export const sendLinkSchema = {
+  params: idParams,
+  body: { approverEmail: email("Approver email") }
+};
+
+export const toggleTemplateSchema = {
+  params: idParams,
+  body: { isTemplate: boolean("isTemplate") }
+};
+
+export const formVersionSchema = {
+  params: { ...idParams, version: integer("Version", { min: 1 }) }
+};
+
+export const diffFormVersionsSchema = {
+  params: idParams,
+  query: {
+    from: optional(integer("From version", { min: 1 })),
+    to: optional(integer("To version", { min: 1 }))
+  }
+};
@@ -0,0 +1,24 @@
+import { optional, objectId, objectIdList, date, jsonObject } from "./common.validators.js";
+
+export const createTasksSchema = {
+  body: {
+    ...objectIdList("formIds", "Forms"),
+    assignedTo: objectId("Employee id"),
+    dueDate: optional(date("Due date"))
+  }
+};
+
+export const taskIdSchema = {
+  params: { taskId: objectId("Task id") }
+};
+
+// Multipart, so data may arrive as a JSON string
+export const submitTaskSchema = {
+  params: { taskId: objectId("Task id") },
+  body: { data: optional(jsonObject("Data")) }
+};
+
+export const submitFormDirectlySchema = {
+  params: { formId: objectId("Form id") },
+  body: { data: optional(jsonObject("Data")) }
+};
@@ -0,0 +1,40 @@
+import Invitation from "../models/Invitation.model.js";
+import {
+  optional, optionalFalsy, objectId, string, email, password, hexToken, oneOf, upperCaseOneOf, modelEnum
+} from "./common.validators.js";
+
+export const invitationTokenSchema = {
+  params: { token: hexToken("Invitation token") }
+};
+
+export const acceptInvitationSchema = {
+  body: {
+    token: hexToken("Invitation token"),
+    password: password(),
+    name: optional(string("Name", { max: 100 }))
+  }
+};
+
+export const createInvitationSchema = {
+  body: {
+    email: email(),
+    name: optional(string("Name", { max: 100 })),
+    role: optional(oneOf(modelEnum(Invitation, "role"), "Role")),
+    companyId: optionalFalsy(objectId("Company id")),
+    plantId: optionalFalsy(objectId("Plant id")),
+    phoneNumber: optional(string("Phone number", { max: 30, allowEmpty: true })),
+    position: optional(string("Position", { max: 100, allowEmpty: true }))
+  }
+};
+
+export const getInvitationsSchema = {
+  query: {
+    companyId: optionalFalsy(objectId("Company id")),
+    plantId: optionalFalsy(objectId("Plant id")),
+    status: optional(upperCaseOneOf(modelEnum(Invitation, "status"), "Status"))
+  }
+};
+
+export const invitationIdSchema = {
+  params: { id: objectId("Invitation id") }
+};
@@ -0,0 +1,47 @@
+import {
+  optional, optionalFalsy, objectId, string, email, boolean, object, paginationQuery
+} from "./common.validators.js";
+
+const idParams = { id: objectId("Plant id") };
+
+const plantDetailRules = {
+  location: optional(string("Location", { allowEmpty: true })),
+  admin: optional(object("Admin")),
+  "admin.name": optional(string("Admin name", { max: 100 })),
+  "admin.email": optionalFalsy(email("Admin email"))
+};
+
+export const plantIdSchema = {
+  params: idParams
+};
+
+export const getPlantsSchema = {
+  query: {
+    ...paginationQuery,
+    companyId: optionalFalsy(objectId("Company id"))
+  }
+};
+
+export const createPlantSchema = {
+  body: {
+    name: string("Plant name"),
+    plantNumber: optional(string("Plant number", { max: 50, allowEmpty: true })),
+    companyId: optionalFalsy(objectId("Company id")),
+    ...plantDetailRules
+  }
+};
+
+export const plantTemplateFeatureSchema = {
+  body: {
+    plantId: objectId("Plant id"),
+    enabled: boolean("enabled")
+  }
+};
+
+export const updatePlantSchema = {
+  params: idParams,
+  body: {
+    name: optional(string("Plant name")),
+    ...plantDetailRules
+  }
+};
@@ -0,0 +1,13 @@
+import { optional, objectId, string } from "./common.validators.js";
+
+const idParams = { id: objectId("User id") };
+
+export const exportUserDataSchema = {
+  params: idParams,
+  query: { reason: optional(string("Reason", { max: 500 })) }
+};
+
+export const eraseUserDataSchema = {
+  params: idParams,
+  body: { reason: string("Reason", { max: 500 }) }
+};
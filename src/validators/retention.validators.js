@@ -0,0 +1,43 @@
+import Company from "../models/Company.model.js";
+import { optional, optionalFalsy, objectId, string, boolean, integer, oneOf, modelEnum } from "./common.validators.js";
+
+const RETENTION_ACTIONS = modelEnum(Company, "retention.action");
+
+// null clears a setting so the company (or platform) default applies again
+const retentionBody = {
+  months: optional(integer("Retention months", { min: 1, max: 1200 })),
+  action: optional(oneOf(RETENTION_ACTIONS, "Retention action"))
+};
+
+export const companyRetentionSchema = {
+  params: { id: objectId("Company id") },
+  body: retentionBody
+};
+
+export const formRetentionSchema = {
+  params: { id: objectId("Form id") },
+  body: retentionBody
+};
+
+export const getRetentionPolicySchema = {
+  params: { id: objectId("Company id") }
+};
+
+export const getLegalHoldsSchema = {
+  query: { active: optionalFalsy({ ...boolean("active"), toBoolean: true }) }
+};
+
+// Without formId or submissionId the hold covers the whole company
+export const createLegalHoldSchema = {
+  body: {
+    companyId: optionalFalsy(objectId("Company id")),
+    formId: optionalFalsy(objectId("Form id")),
+    submissionId: optionalFalsy(objectId("Submission id")),
+    reason: string("Reason", { max: 1000 }),
+    reference: optional(string("Reference", { max: 200, allowEmpty: true }))
+  }
+};
+
+export const legalHoldIdSchema = {
+  params: { id: objectId("Legal hold id") }
+};
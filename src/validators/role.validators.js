@@ -0,0 +1,45 @@
+import { isPermission } from "../config/permissions.js";
+import { optional, optionalFalsy, objectId, string, boolean, array } from "./common.validators.js";
+
+const idParams = { id: objectId("Role id") };
+
+// Whether a permission may go into a company role is checked by the controller
+const permissionRules = {
+  permissions: optional(array("Permissions")),
+  "permissions.*": {
+    custom: { options: (value) => isPermission(value), errorMessage: "Unknown permission" }
+  }
+};
+
+export const getRolesSchema = {
+  query: { companyId: optionalFalsy(objectId("Company id")) }
+};
+
+export const createRoleSchema = {
+  body: {
+    name: string("Role name", { max: 100 }),
+    description: optional(string("Description", { max: 500, allowEmpty: true })),
+    companyId: optionalFalsy(objectId("Company id")),
+    ...permissionRules
+  }
+};
+
+// A falsy roleId removes the custom role
+export const assignRoleSchema = {
+  params: { userId: objectId("User id") },
+  body: { roleId: optionalFalsy(objectId("Role id")) }
+};
+
+export const updateRoleSchema = {
+  params: idParams,
+  body: {
+    name: optional(string("Role name", { max: 100 })),
+    description: optional(string("Description", { max: 500, allowEmpty: true })),
+    isActive: optional(boolean("isActive")),
+    ...permissionRules
+  }
+};
+
+export const roleIdSchema = {
+  params: idParams
+};
@@ -0,0 +1,13 @@
+import { objectId } from "./common.validators.js";
+
+export const sessionIdSchema = {
+  params: { id: objectId("Session id") }
+};
+
+export const userSessionsSchema = {
+  params: { userId: objectId("User id") }
+};
+
+export const userSessionSchema = {
+  params: { userId: objectId("User id"), sessionId: objectId("Session id") }
+};
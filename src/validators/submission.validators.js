@@ -0,0 +1,42 @@
+import FormSubmission from "../models/FormSubmission.model.js";
+import {
+  optional, optionalFalsy, objectId, oneOf, jsonObject, paginationQuery, modelEnum
+} from "./common.validators.js";
+
+const SUBMISSION_STATUSES = modelEnum(FormSubmission, "status");
+// Any later status is only reached through the approval flow
+const CLIENT_STATUSES = ["DRAFT", "SUBMITTED"];
+const SORT_FIELDS = ["submittedAt", "createdAt", "updatedAt", "status", "formName"];
+
+const idParams = { id: objectId("Submission id") };
+
+// Multipart when files are attached, so data may arrive as a JSON string
+export const createSubmissionSchema = {
+  body: {
+    formId: objectId("Form id"),
+    data: optional(jsonObject("Data")),
+    status: optional(oneOf(CLIENT_STATUSES, "Status"))
+  }
+};
+
+export const getSubmissionsSchema = {
+  query: {
+    ...paginationQuery,
+    formId: optionalFalsy(objectId("Form id")),
+    status: optionalFalsy(oneOf(SUBMISSION_STATUSES, "Status")),
+    sortBy: optional(oneOf(SORT_FIELDS, "sortBy")),
+    sortOrder: optional(oneOf(["asc", "desc"], "sortOrder"))
+  }
+};
+
+export const submissionIdSchema = {
+  params: idParams
+};
+
+export const updateSubmissionSchema = {
+  params: idParams,
+  body: {
+    data: optional(jsonObject("Data")),
+    status: optional(oneOf(CLIENT_STATUSES, "Status"))
+  }
+};
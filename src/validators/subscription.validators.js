@@ -0,0 +1,14 @@
+import Company from "../models/Company.model.js";
+import { optional, optionalFalsy, objectId, oneOf, upperCaseOneOf, modelEnum } from "./common.validators.js";
+
+export const updateSubscriptionSchema = {
+  body: {
+    companyId: optionalFalsy(objectId("Company id")),
+    plan: upperCaseOneOf(modelEnum(Company, "subscription.plan"), "Plan"),
+    billingCycle: optional(oneOf(modelEnum(Company, "subscription.billingCycle"), "Billing cycle"))
+  }
+};
+
+export const usageLimitsSchema = {
+  params: { companyId: objectId("Company id") }
+};
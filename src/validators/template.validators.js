@@ -0,0 +1,58 @@
+import FormTemplate from "../models/FormTemplate.model.js";
+import { fieldPatternProblem } from "../services/submissionValidation.service.js";
+import {
+  optional, objectId, string, boolean, integer, oneOf, array, modelEnum, required
+} from "./common.validators.js";
+
+const TEMPLATE_STATUSES = modelEnum(FormTemplate, "status");
+
+const idParams = { id: objectId("Template id") };
+
+/* 🔹 Helper: A field's validation regex, which submissions are later tested against */
+const fieldPattern = (label) => ({
+  ...required(label),
+  isString: { errorMessage: `${label} must be text`, bail: true },
+  custom: {
+    options: (value) => {
+      const problem = fieldPatternProblem(value);
+      if (problem) throw new Error(`${label} ${problem}`);
+      return true;
+    }
+  }
+});
+
+/* 🔹 Helper: Template body; `partial` for updates, where nothing is required */
+const templateBody = ({ partial }) => ({
+  templateName: partial ? optional(string("Template name")) : string("Template name"),
+  description: optional(string("Description", { max: 2000, allowEmpty: true })),
+  status: optional(oneOf(TEMPLATE_STATUSES, "Status")),
+  visibilityMode: optional(oneOf(modelEnum(FormTemplate, "visibilityMode"), "Visibility mode")),
+  fields: optional(array("Fields")),
+  "fields.*.id": string("Field id", { max: 100 }),
+  "fields.*.type": string("Field type", { max: 50 }),
+  "fields.*.required": optional(boolean("Field required flag")),
+  "fields.*.validation.regex": optional(fieldPattern("Field validation regex")),
+  "sections.*.fields.*.validation.regex": optional(fieldPattern("Field validation regex")),
+  workflow: optional(array("Workflow")),
+  "workflow.*.level": integer("Workflow level", { min: 1 }),
+  "workflow.*.name": string("Workflow step name", { max: 100 }),
+  "workflow.*.approverId": optional(objectId("Approver id")),
+  "workflow.*.isParallel": optional(boolean("isParallel"))
+});
+
+export const createTemplateSchema = {
+  body: templateBody({ partial: false })
+};
+
+export const getTemplatesSchema = {
+  query: { status: optional(oneOf(TEMPLATE_STATUSES, "Status")) }
+};
+
+export const templateIdSchema = {
+  params: idParams
+};
+
+export const updateTemplateSchema = {
+  params: idParams,
+  body: templateBody({ partial: true })
+};
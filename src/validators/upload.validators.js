@@ -0,0 +1,6 @@
+import { string } from "./common.validators.js";
+
+// Decoded size and content type are checked by services/upload.service.js
+export const uploadSchema = {
+  body: { base64: string("Base64 string", { max: 16 * 1024 * 1024 }) }
+};
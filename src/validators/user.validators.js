@@ -0,0 +1,71 @@
+import User from "../models/User.model.js";
+import {
+  optional, optionalFalsy, objectId, string, email, password, boolean, oneOf, modelEnum
+} from "./common.validators.js";
+
+const idParams = { id: objectId("User id") };
+
+const contactRules = {
+  phoneNumber: optional(string("Phone number", { max: 30, allowEmpty: true })),
+  position: optional(string("Position", { max: 100, allowEmpty: true }))
+};
+
+export const getUsersSchema = {
+  query: {
+    companyId: optionalFalsy(objectId("Company id")),
+    plantId: optionalFalsy(objectId("Plant id")),
+    role: optionalFalsy(oneOf(modelEnum(User, "role"), "Role")),
+    search: optional(string("Search", { max: 100, allowEmpty: true }))
+  }
+};
+
+export const updateProfileSchema = {
+  body: {
+    name: optional(string("Name", { max: 100 })),
+    email: optional(email()),
+    ...contactRules
+  }
+};
+
+// Without a password the employee sets one through the welcome email link
+export const createEmployeeSchema = {
+  body: {
+    name: string("Name", { max: 100 }),
+    email: email(),
+    password: optionalFalsy(password()),
+    companyId: optionalFalsy(objectId("Company id")),
+    plantId: optionalFalsy(objectId("Plant id")),
+    sendInvite: optional(boolean("sendInvite")),
+    ...contactRules
+  }
+};
+
+export const plantEmployeesSchema = {
+  params: { plantId: objectId("Plant id") }
+};
+
+export const updateEmployeeSchema = {
+  params: idParams,
+  body: {
+    name: optional(string("Name", { max: 100 })),
+    email: optional(email()),
+    isActive: optional(boolean("isActive")),
+    ...contactRules
+  }
+};
+
+export const userIdSchema = {
+  params: idParams
+};
+
+export const addPlantMembershipSchema = {
+  params: idParams,
+  body: {
+    plantId: objectId("Plant id"),
+    role: oneOf(modelEnum(User, "plantMemberships.role"), "Role")
+  }
+};
+
+export const removePlantMembershipSchema = {
+  params: { ...idParams, plantId: objectId("Plant id") }
+};
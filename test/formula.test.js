@@ -0,0 +1,25 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { FormulaError, evaluateFormula, parseFormula } from "../src/utils/formula.js";
+
+const evaluate = (source, answers = {}) =>
+  evaluateFormula(parseFormula(source), ({ fieldId }) => answers[fieldId]);
+
+describe("DATEDIFF units", () => {
+  it("counts in the requested unit", () => {
+    const answers = { start: "2024-01-01", end: "2024-03-01" };
+
+    assert.equal(evaluate('DATEDIFF(start, end, "days")', answers), 60);
+    assert.equal(evaluate('DATEDIFF(start, end, "Months")', answers), 2);
+    assert.equal(evaluate("DATEDIFF(start, end)", answers), 60);
+  });
+
+  for (const unit of ["fortnights", "constructor", "__proto__", "toString", "hasOwnProperty"]) {
+    it(`rejects "${unit}" as an unknown unit`, () => {
+      assert.throws(
+        () => evaluate(`DATEDIFF("2024-01-01", "2024-03-01", "${unit}")`),
+        error => error instanceof FormulaError && error.message === `Unknown DATEDIFF unit "${unit}"`
+      );
+    });
+  }
+});
@@ -0,0 +1,58 @@
+import "./support/env.js";
+import { afterEach, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { resetDb, useMemoryDb } from "./support/memoryDb.js";
+import { scheduleRetentionPurge } from "../src/services/retention.service.js";
+import { deleteValue } from "../src/utils/kvStore.js";
+import AuditLog from "../src/models/AuditLog.model.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Actions of the audit entries written since the test started
+const recordAuditActions = () => {
+  const actions = [];
+  mock.method(AuditLog, "create", async (doc) => {
+    actions.push(doc.action);
+    return doc;
+  });
+  return actions;
+};
+
+// Let the purge started by a timer tick finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe("scheduled retention purge", () => {
+  before(() => {
+    useMemoryDb();
+    resetDb();
+  });
+
+  afterEach(async () => {
+    mock.restoreAll();
+    mock.timers.reset();
+    delete process.env.RETENTION_PURGE_INTERVAL_HOURS;
+    await deleteValue("retention:purge-run");
+  });
+
+  it("is off when the interval is 0", () => {
+    process.env.RETENTION_PURGE_INTERVAL_HOURS = "0";
+
+    assert.equal(scheduleRetentionPurge(), null);
+  });
+
+  it("purges once per interval", async () => {
+    mock.timers.enable({ apis: ["setInterval", "Date"] });
+    process.env.RETENTION_PURGE_INTERVAL_HOURS = "2";
+    const actions = recordAuditActions();
+
+    const stop = scheduleRetentionPurge();
+    for (let hour = 1; hour <= 3; hour++) {
+      mock.timers.tick(HOUR_MS);
+      await settle();
+    }
+    stop();
+
+    // Due at hour 1 and again at hour 3, but not at hour 2
+    assert.deepEqual(actions, ["RETENTION_PURGE_COMPLETED", "RETENTION_PURGE_COMPLETED"]);
+  });
+});
@@ -0,0 +1,116 @@
+import "./support/env.js";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { resetDb, seed, useMemoryDb } from "./support/memoryDb.js";
+import { startApi } from "./support/app.js";
+import submissionRoutes from "../src/routes/submission.routes.js";
+import { fieldPatternProblem, validateSubmissionData } from "../src/services/submissionValidation.service.js";
+
+const templateWith = (regex) => ({
+  fields: [{ id: "code", type: "text", label: "Code", validation: { regex } }]
+});
+
+describe("field validation regex", () => {
+  it("accepts ordinary patterns", () => {
+    for (const source of ["^[A-Z]{3}-\\d{4}$", "^(\\d{3}-)?\\d{4}$", "^[a-z]+(,[a-z]+)?$", "^\\(+\\)$", "^[(a+)]+$"]) {
+      assert.equal(fieldPatternProblem(source), null, source);
+    }
+  });
+
+  it("rejects invalid, overlong and nested-quantifier patterns", () => {
+    assert.match(fieldPatternProblem("^(abc$"), /not a valid regular expression/);
+    assert.match(fieldPatternProblem("a".repeat(201)), /at most 200 characters/);
+    for (const source of ["^(a+)+$", "^(\\w*\\s?)*$", "^((ab)+c)*$", "^(?:x{1,})+$", "^([a-z]+\\.){2,}$"]) {
+      assert.match(fieldPatternProblem(source), /must not repeat a group/, source);
+    }
+  });
+
+  it("checks answers against the pattern", () => {
+    const template = templateWith("^[A-Z]{3}-\\d{4}$");
+
+    assert.deepEqual(validateSubmissionData(template, { code: "ABC-1234" }), []);
+    assert.deepEqual(validateSubmissionData(template, { code: "abc" }), [
+      { field: "code", location: "body", message: "Code is not in the expected format" }
+    ]);
+  });
+
+  it("does not run overlong answers through the pattern", () => {
+    const errors = validateSubmissionData(templateWith("^[a-z ]+$"), { code: "a".repeat(1001) });
+
+    assert.deepEqual(errors, [{ field: "code", location: "body", message: "Code must be at most 1000 characters" }]);
+  });
+
+  it("ignores stored patterns that could backtrack catastrophically", () => {
+    const startedAt = Date.now();
+    const errors = validateSubmissionData(templateWith("^(a+)+$"), { code: `${"a".repeat(40)}!` });
+
+    assert.deepEqual(errors, []);
+    assert.ok(Date.now() - startedAt < 1000);
+  });
+});
+
+describe("submission requests", () => {
+  const companyId = new mongoose.Types.ObjectId();
+  const plantId = new mongoose.Types.ObjectId();
+  const employee = {
+    _id: new mongoose.Types.ObjectId(),
+    name: "Employee",
+    email: "employee@example.com",
+    password: "not-used",
+    role: "EMPLOYEE",
+    companyId,
+    plantId,
+    isActive: true
+  };
+  const formId = new mongoose.Types.ObjectId();
+  let api;
+
+  before(async () => {
+    useMemoryDb();
+    resetDb();
+    seed("User", [employee]);
+    api = await startApi({ "/api/submissions": submissionRoutes });
+  });
+
+  after(() => api.close());
+
+  for (const status of ["APPROVED", "REJECTED"]) {
+    it(`rejects creating a submission as ${status}`, async () => {
+      const { status: code, body } = await api.request("POST", "/api/submissions", {
+        as: employee,
+        body: { formId, data: { code: "ABC-1234" }, status }
+      });
+
+      assert.equal(code, 422);
+      assert.equal(body.error.details[0].field, "status");
+    });
+  }
+
+  it("answers a missing token in the error envelope", async () => {
+    const { status, body } = await api.request("GET", "/api/submissions");
+
+    assert.equal(status, 401);
+    assert.deepEqual(body, { success: false, message: "No authorization header", data: null, error: { code: "UNAUTHORIZED" } });
+  });
+
+  it("answers 415 for an upload of a disallowed file type", async () => {
+    const body = new FormData();
+    body.append("formId", formId.toString());
+    body.append("files", new Blob(["MZ"], { type: "application/x-msdownload" }), "setup.exe");
+
+    const { status, body: response } = await api.request("POST", "/api/submissions", { as: employee, body });
+
+    assert.equal(status, 415);
+    assert.equal(response.error.code, "UNSUPPORTED_FILE_TYPE");
+  });
+
+  it("rejects updating a submission to APPROVED", async () => {
+    const { status } = await api.request("PUT", `/api/submissions/${new mongoose.Types.ObjectId()}`, {
+      as: employee,
+      body: { status: "APPROVED" }
+    });
+
+    assert.equal(status, 422);
+  });
+});
@@ -0,0 +1,56 @@
+import "./env.js";
+import express from "express";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { errorHandler, notFoundHandler } from "../../src/middlewares/error.middleware.js";
+
+/**
+ * The API routes under test in an Express app on a random local port.
+ *
+ *   const api = await startApi({ "/api/forms": formRoutes });
+ *   const { status, body } = await api.request("GET", `/api/forms/${id}`, { as: user });
+ *   await api.close();
+ */
+
+// Access token for a seeded user, as issued at login
+export const tokenFor = (user) => jwt.sign(
+  {
+    userId: user._id.toString(),
+    role: user.role,
+    companyId: user.companyId?.toString(),
+    plantId: user.plantId?.toString(),
+    type: "access"
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: 60, jwtid: crypto.randomUUID() }
+);
+
+export const startApi = async (routes) => {
+  const app = express();
+  app.use(express.json());
+  for (const [path, router] of Object.entries(routes)) app.use(path, router);
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { as, body } = {}) => {
+    // FormData bodies go out as multipart with fetch's own boundary
+    const multipart = body instanceof FormData;
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(as && { Authorization: `Bearer ${tokenFor(as)}` }),
+        ...(body && !multipart && { "Content-Type": "application/json" })
+      },
+      body: body && (multipart ? body : JSON.stringify(body))
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  return { request, close: () => new Promise(resolve => server.close(resolve)) };
+};
@@ -0,0 +1,4 @@
+// Settings the app reads at import time; imported before any application module
+process.env.JWT_SECRET ||= "test-secret";
+process.env.LOG_LEVEL ||= "error";
+process.env.REDIS_URL = ""; // in-memory cache and counters
@@ -0,0 +1,137 @@
+import mongoose from "mongoose";
+
+/**
+ * In-memory stand-in for MongoDB in tests.
+ *
+ * Mongoose queries are answered from seeded documents instead of a server:
+ * filters are cast by the model and matched here (equality, $in, $nin, $ne,
+ * $exists, $gt/$gte/$lt/$lte, $not, $or, $and, $nor, dotted paths and
+ * arrays); populate and projections are ignored. Writes succeed without
+ * changing the seed, except deletes, which remove the matched documents.
+ * Anything else throws, so a test never passes on an unsupported query.
+ */
+
+const collections = new Map();
+
+export const resetDb = () => collections.clear();
+
+export const seed = (modelName, docs) => {
+  const current = collections.get(modelName) || [];
+  collections.set(modelName, [...current, ...docs.map(doc => ({ _id: new mongoose.Types.ObjectId(), ...doc }))]);
+};
+
+const docsOf = (modelName) => collections.get(modelName) || [];
+
+const isOperatorObject = (value) =>
+  value && typeof value === "object" && !Array.isArray(value) && !(value instanceof mongoose.Types.ObjectId) &&
+  !(value instanceof Date) && Object.keys(value).some(key => key.startsWith("$"));
+
+const same = (a, b) => {
+  if (a === undefined || a === null || b === undefined || b === null) return (a ?? null) === (b ?? null);
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+  return String(a) === String(b);
+};
+
+// Values at a dotted path, descending into arrays the way MongoDB does
+const valuesAt = (doc, path) => path.split(".").reduce(
+  (values, key) => values.flatMap(value => {
+    if (value === undefined || value === null) return [];
+    const next = Array.isArray(value) ? value.map(item => item?.[key]) : [value[key]];
+    return next.flatMap(item => (Array.isArray(item) ? [item, ...item] : [item]));
+  }),
+  [doc]
+);
+
+const compare = (values, bound, test) => values.some(value => value !== undefined && value !== null && test(value, bound));
+
+const matchesCondition = (values, condition) => {
+  if (!isOperatorObject(condition)) {
+    if (condition === null || condition === undefined) return values.length === 0 || values.some(value => value == null);
+    return values.some(value => same(value, condition));
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$in": return operand.some(item => matchesCondition(values, item));
+      case "$nin": return !operand.some(item => matchesCondition(values, item));
+      case "$ne": return !matchesCondition(values, operand);
+      case "$exists": return values.some(value => value !== undefined) === Boolean(operand);
+      case "$gt": return compare(values, operand, (a, b) => a > b);
+      case "$gte": return compare(values, operand, (a, b) => a >= b);
+      case "$lt": return compare(values, operand, (a, b) => a < b);
+      case "$lte": return compare(values, operand, (a, b) => a <= b);
+      case "$not": return !matchesCondition(values, operand);
+      default: throw new Error(`memoryDb does not support ${operator}`);
+    }
+  });
+};
+
+export const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  switch (key) {
+    case "$or": return condition.some(part => matches(doc, part));
+    case "$and": return condition.every(part => matches(doc, part));
+    case "$nor": return !condition.some(part => matches(doc, part));
+    default:
+      if (key.startsWith("$")) throw new Error(`memoryDb does not support ${key}`);
+      return matchesCondition(valuesAt(doc, key), condition);
+  }
+});
+
+// Deep copy that keeps ObjectIds and Dates (structuredClone drops their prototypes)
+const clone = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return new mongoose.Types.ObjectId(value.toString());
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+async function exec() {
+  this.cast(this.model);
+  const lean = Boolean(this._mongooseOptions.lean);
+  const found = docsOf(this.model.modelName).filter(doc => matches(doc, this.getFilter()));
+  const present = (doc) => (lean ? clone(doc) : this.model.hydrate(clone(doc)));
+  const remove = (docs) => collections.set(this.model.modelName,
+    docsOf(this.model.modelName).filter(doc => !docs.includes(doc)));
+
+  switch (this.op) {
+    case "find":
+      return found.map(present);
+    case "findOne":
+    case "findOneAndUpdate":
+    case "findOneAndReplace":
+      return found[0] ? present(found[0]) : null;
+    case "findOneAndDelete":
+      remove(found.slice(0, 1));
+      return found[0] ? present(found[0]) : null;
+    case "countDocuments":
+      return found.length;
+    case "distinct":
+      return [...new Set(found.flatMap(doc => valuesAt(doc, this._distinct)).map(String))];
+    case "updateOne":
+    case "updateMany":
+      return { acknowledged: true, matchedCount: found.length, modifiedCount: found.length };
+    case "deleteOne":
+      remove(found.slice(0, 1));
+      return { acknowledged: true, deletedCount: Math.min(found.length, 1) };
+    case "deleteMany":
+      remove(found);
+      return { acknowledged: true, deletedCount: found.length };
+    default:
+      throw new Error(`memoryDb does not support ${this.op}`);
+  }
+}
+
+async function save() {
+  return this;
+}
+
+// Answer every query from memory from now on
+export const useMemoryDb = () => {
+  mongoose.Query.prototype.exec = exec;
+  mongoose.Aggregate.prototype.exec = async () => [];
+  mongoose.Model.prototype.save = save;
+  mongoose.Model.prototype.$save = save;
+};
@@ -0,0 +1,218 @@
+import "./support/env.js";
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { resetDb, seed, useMemoryDb } from "./support/memoryDb.js";
+import { startApi } from "./support/app.js";
+import formRoutes from "../src/routes/form.routes.js";
+import approvalRoutes from "../src/routes/approval.routes.js";
+import userRoutes from "../src/routes/user.routes.js";
+import assignmentRoutes from "../src/routes/assignment.routes.js";
+import submissionRoutes from "../src/routes/submission.routes.js";
+import formTaskRoutes from "../src/routes/formTask.routes.js";
+import companyRoutes from "../src/routes/company.routes.js";
+
+/**
+ * A company A caller must not reach company B records through any id-based
+ * route: every lookup is tenant-scoped, so the record simply is not found.
+ */
+
+const id = () => new mongoose.Types.ObjectId();
+
+const companyA = { _id: id(), name: "Company A", isActive: true };
+const companyB = { _id: id(), name: "Company B", isActive: true };
+const plantA = { _id: id(), name: "Plant A1", companyId: companyA._id, isActive: true };
+const plantB = { _id: id(), name: "Plant B1", companyId: companyB._id, isActive: true };
+
+const userIn = (plant, role, name) => ({
+  _id: id(),
+  name,
+  email: `${name.toLowerCase().replace(/\s+/g, ".")}@example.com`,
+  password: "not-used",
+  role,
+  companyId: plant.companyId,
+  plantId: plant._id,
+  isActive: true
+});
+
+const companyAdminA = userIn(plantA, "COMPANY_ADMIN", "Company Admin A");
+const adminA = userIn(plantA, "PLANT_ADMIN", "Admin A");
+const employeeA = userIn(plantA, "EMPLOYEE", "Employee A");
+const adminB = userIn(plantB, "PLANT_ADMIN", "Admin B");
+const employeeB = userIn(plantB, "EMPLOYEE", "Employee B");
+
+const formIn = (plant, admin, formName) => ({
+  _id: id(),
+  formName,
+  fields: [{ id: "notes", label: "Notes", type: "text" }],
+  status: "PUBLISHED",
+  plantId: plant._id,
+  companyId: plant.companyId,
+  createdBy: admin._id
+});
+
+const formA = formIn(plantA, adminA, "Form A");
+const formB = formIn(plantB, adminB, "Form B");
+
+const taskIn = (plant, form, approver, submitter) => ({
+  _id: id(),
+  approverId: approver._id,
+  formIds: [form._id],
+  plantId: plant._id,
+  companyId: plant.companyId,
+  submittedBy: submitter._id,
+  status: "PENDING"
+});
+
+const taskA = taskIn(plantA, formA, employeeA, adminA);
+const taskB = taskIn(plantB, formB, employeeB, adminB);
+
+const assignmentIn = (plant, form, employee, admin) => ({
+  _id: id(),
+  templateId: form._id,
+  templateModel: "Form",
+  employeeId: employee._id,
+  assignedBy: admin._id,
+  plantId: plant._id,
+  companyId: plant.companyId,
+  status: "PENDING"
+});
+
+const assignmentA = assignmentIn(plantA, formA, employeeA, adminA);
+const assignmentB = assignmentIn(plantB, formB, employeeB, adminB);
+
+const formTaskIn = (plant, form, employee, admin) => ({
+  _id: id(),
+  formId: form._id,
+  assignedTo: employee._id,
+  assignedBy: admin._id,
+  plantId: plant._id,
+  companyId: plant.companyId,
+  status: "pending"
+});
+
+const formTaskA = formTaskIn(plantA, formA, employeeA, adminA);
+const formTaskB = formTaskIn(plantB, formB, employeeA, adminB);
+
+// Company B's draft names employee A as its author, so only the tenant
+// boundary (and not the owner check) stands between them
+const draftIn = (plant, form, author) => ({
+  _id: id(),
+  formId: form._id,
+  submittedBy: author._id,
+  data: { notes: "draft" },
+  status: "DRAFT",
+  plantId: plant._id,
+  companyId: plant.companyId
+});
+
+const submissionA = draftIn(plantA, formA, employeeA);
+const submissionB = draftIn(plantB, formB, employeeA);
+
+describe("cross-tenant access", () => {
+  let api;
+
+  before(async () => {
+    useMemoryDb();
+    resetDb();
+    seed("Company", [companyA, companyB]);
+    seed("Plant", [plantA, plantB]);
+    seed("User", [companyAdminA, adminA, employeeA, adminB, employeeB]);
+    seed("Form", [formA, formB]);
+    seed("ApprovalTask", [taskA, taskB]);
+    seed("Assignment", [assignmentA, assignmentB]);
+    seed("FormSubmission", [submissionA, submissionB]);
+    seed("FormTask", [formTaskA, formTaskB]);
+
+    api = await startApi({
+      "/api/forms": formRoutes,
+      "/api/approve": approvalRoutes,
+      "/api/users": userRoutes,
+      "/api/assignments": assignmentRoutes,
+      "/api/submissions": submissionRoutes,
+      "/api/tasks": formTaskRoutes,
+      "/api/companies": companyRoutes
+    });
+  });
+
+  after(() => api.close());
+
+  const expectNotFound = (method, path, as, body) => async () => {
+    const { status, body: response } = await api.request(method, path, { as, body });
+    assert.equal(status, 404, `${method} ${path} answered ${status}: ${JSON.stringify(response)}`);
+  };
+
+  const expectFound = (method, path, as) => async () => {
+    const { status, body: response } = await api.request(method, path, { as });
+    assert.equal(status, 200, `${method} ${path} answered ${status}: ${JSON.stringify(response)}`);
+  };
+
+  describe("companies", () => {
+    it("reads the caller's company", expectFound("GET", `/api/companies/${companyA._id}`, companyAdminA));
+    it("does not read another company", async () => {
+      const { status } = await api.request("GET", `/api/companies/${companyB._id}`, { as: companyAdminA });
+      assert.equal(status, 403);
+    });
+  });
+
+  describe("forms", () => {
+    it("reads a form of the caller's company", expectFound("GET", `/api/forms/${formA._id}`, adminA));
+    it("does not read another company's form", expectNotFound("GET", `/api/forms/${formB._id}`, adminA));
+    it("does not update another company's form",
+      expectNotFound("PUT", `/api/forms/${formB._id}`, adminA, { formName: "Taken over" }));
+    it("does not delete another company's form", expectNotFound("DELETE", `/api/forms/${formB._id}`, adminA));
+  });
+
+  describe("approval tasks", () => {
+    it("reads a task of the caller's company", expectFound("GET", `/api/approve/tasks/${taskA._id}`, employeeA));
+    it("does not read another company's task", expectNotFound("GET", `/api/approve/tasks/${taskB._id}`, employeeA));
+    it("does not process another company's submission",
+      expectNotFound("POST", "/api/approve/process", employeeA, { submissionId: submissionB._id, status: "APPROVED" }));
+  });
+
+  describe("employees", () => {
+    it("lists the employees of the caller's plant",
+      expectFound("GET", `/api/users/plant/${plantA._id}/employees`, adminA));
+    it("does not list another company's plant employees",
+      expectNotFound("GET", `/api/users/plant/${plantB._id}/employees`, adminA));
+    it("does not update another company's employee",
+      expectNotFound("PUT", `/api/users/${employeeB._id}`, adminA, { name: "Renamed" }));
+    it("does not delete another company's employee", expectNotFound("DELETE", `/api/users/${employeeB._id}`, adminA));
+  });
+
+  describe("assignments", () => {
+    it("reads an assignment of the caller's company", expectFound("GET", `/api/assignments/${assignmentA._id}`, adminA));
+    it("does not read another company's assignment",
+      expectNotFound("GET", `/api/assignments/${assignmentB._id}`, adminA));
+    it("does not delete another company's assignment",
+      expectNotFound("DELETE", `/api/assignments/${assignmentB._id}`, adminA));
+  });
+
+  describe("form tasks", () => {
+    it("reads a form task of the caller's company", expectFound("GET", `/api/tasks/${formTaskA._id}`, employeeA));
+    it("does not read another company's form task", expectNotFound("GET", `/api/tasks/${formTaskB._id}`, employeeA));
+    it("does not submit another company's form task",
+      expectNotFound("POST", `/api/tasks/${formTaskB._id}/submit`, employeeA, { data: { notes: "done" } }));
+    it("does not assign another company's form",
+      expectNotFound("POST", "/api/tasks", adminA, { formIds: [formB._id], assignedTo: employeeA._id }));
+    it("does not assign to another company's employee",
+      expectNotFound("POST", "/api/tasks", adminA, { formIds: [formA._id], assignedTo: employeeB._id }));
+    it("does not submit another company's form directly",
+      expectNotFound("POST", `/api/tasks/submit-direct/${formB._id}`, employeeA, { data: { notes: "done" } }));
+  });
+
+  describe("submissions", () => {
+    it("reads a submission of the caller's company", expectFound("GET", `/api/submissions/${submissionA._id}`, adminA));
+    it("does not submit to another company's form",
+      expectNotFound("POST", "/api/submissions", employeeA, { formId: formB._id, data: { notes: "filled" } }));
+    it("does not read another company's submission",
+      expectNotFound("GET", `/api/submissions/${submissionB._id}`, adminA));
+    it("does not update another company's submission",
+      expectNotFound("PUT", `/api/submissions/${submissionB._id}`, employeeA, { data: { notes: "edited" } }));
+    it("does not submit another company's draft",
+      expectNotFound("PATCH", `/api/submissions/${submissionB._id}/submit`, employeeA));
+    it("does not delete another company's submission",
+      expectNotFound("DELETE", `/api/submissions/${submissionB._id}`, employeeA));
+    it("deletes the caller's own draft", expectFound("DELETE", `/api/submissions/${submissionA._id}`, employeeA));
+  });
+});
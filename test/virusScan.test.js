@@ -0,0 +1,178 @@
+import "./support/env.js";
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { useMemoryDb } from "./support/memoryDb.js";
+import { createClamavScanner } from "../src/services/scanners/clamav.scanner.js";
+import { setScanner } from "../src/services/virusScan.service.js";
+import { scanUploads } from "../src/middlewares/virusScan.middleware.js";
+
+/**
+ * The ClamAV adapter and the upload scan against a local clamd stand-in that
+ * speaks INSTREAM: it reassembles the chunks it is sent and replies OK, FOUND
+ * or ERROR depending on the content.
+ */
+
+const EICAR = "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+// Reply clamd would give for a stream
+const replyFor = (content) => {
+  if (content.includes("EICAR-STANDARD-ANTIVIRUS-TEST-FILE")) return "stream: Eicar-Test-Signature FOUND\0";
+  if (content.includes("too big")) return "INSTREAM size limit exceeded. ERROR\0";
+  return "stream: OK\0";
+};
+
+const startFakeClamd = () => new Promise(resolve => {
+  const received = [];
+
+  const server = net.createServer(socket => {
+    let buffer = Buffer.alloc(0);
+    let command = null;
+    const chunks = [];
+
+    socket.on("data", data => {
+      buffer = Buffer.concat([buffer, data]);
+
+      if (command === null) {
+        const end = buffer.indexOf(0);
+        if (end === -1) return;
+        command = buffer.subarray(0, end).toString();
+        buffer = buffer.subarray(end + 1);
+      }
+
+      while (buffer.length >= 4) {
+        const size = buffer.readUInt32BE(0);
+        if (size === 0) {
+          const content = Buffer.concat(chunks).toString();
+          received.push({ command, content });
+          socket.end(replyFor(content));
+          return;
+        }
+        if (buffer.length < 4 + size) return;
+        chunks.push(buffer.subarray(4, 4 + size));
+        buffer = buffer.subarray(4 + size);
+      }
+    });
+  });
+
+  server.listen(0, "127.0.0.1", () => resolve({ server, port: server.address().port, received }));
+});
+
+describe("virus scanning against a clamd stand-in", () => {
+  let clamd;
+  let dir;
+
+  const writeUpload = (name, content) => {
+    const filePath = path.join(dir, `${Date.now()}-${name}`);
+    fs.writeFileSync(filePath, content);
+    return { fieldname: name.split(".")[0], originalname: name, mimetype: "application/pdf", size: content.length, path: filePath };
+  };
+
+  before(async () => {
+    useMemoryDb();
+    clamd = await startFakeClamd();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "scan-test-"));
+    process.env.QUARANTINE_DIR = path.join(dir, "quarantine");
+  });
+
+  beforeEach(() => {
+    setScanner(createClamavScanner({ host: "127.0.0.1", port: clamd.port, timeout: 2000 }));
+  });
+
+  after(() => {
+    clamd.server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("clamav adapter", () => {
+    it("streams the file with INSTREAM and reports a clean reply", async () => {
+      // Larger than one chunk, so the framing is exercised
+      const content = "clean ".repeat(20000);
+      const upload = writeUpload("report.pdf", content);
+
+      const result = await createClamavScanner({ port: clamd.port }).scanFile(upload.path);
+
+      assert.deepEqual(result, { infected: false });
+      assert.deepEqual(clamd.received.at(-1), { command: "zINSTREAM", content });
+    });
+
+    it("reports the signature of a FOUND reply", async () => {
+      const upload = writeUpload("invoice.pdf", EICAR);
+
+      const result = await createClamavScanner({ port: clamd.port }).scanFile(upload.path);
+
+      assert.deepEqual(result, { infected: true, signature: "Eicar-Test-Signature" });
+    });
+
+    it("rejects on an error reply", async () => {
+      const upload = writeUpload("huge.pdf", "too big");
+
+      await assert.rejects(createClamavScanner({ port: clamd.port }).scanFile(upload.path), /INSTREAM size limit exceeded/);
+    });
+
+    it("rejects when clamd cannot be reached", async () => {
+      const upload = writeUpload("offline.pdf", "clean");
+      const closed = await new Promise(resolve => {
+        const probe = net.createServer().listen(0, "127.0.0.1", () => {
+          const { port } = probe.address();
+          probe.close(() => resolve(port));
+        });
+      });
+
+      await assert.rejects(createClamavScanner({ port: closed, timeout: 2000 }).scanFile(upload.path));
+    });
+  });
+
+  describe("upload middleware", () => {
+    const runScan = (files) => new Promise(resolve => {
+      const req = {
+        files,
+        params: { formId: "form-1" },
+        body: {},
+        headers: {},
+        user: { userId: "64b7f0c2a1b2c3d4e5f60718", companyId: "64b7f0c2a1b2c3d4e5f60719", plantId: "64b7f0c2a1b2c3d4e5f6071a" }
+      };
+      scanUploads(req, {}, error => resolve({ req, error }));
+    });
+
+    it("passes clean files on with their scan result", async () => {
+      const upload = writeUpload("report.pdf", "all good");
+
+      const { error } = await runScan([upload]);
+
+      assert.equal(error, undefined);
+      assert.equal(upload.scan.status, "clean");
+      assert.equal(upload.scan.engine, "clamav");
+      assert.ok(fs.existsSync(upload.path));
+    });
+
+    it("quarantines infected files and rejects them per field with a reference to the attempt", async () => {
+      const clean = writeUpload("report.pdf", "all good");
+      const infected = writeUpload("invoice.pdf", EICAR);
+
+      const { error } = await runScan([clean, infected]);
+
+      assert.equal(error.status, 422);
+      assert.equal(error.details.length, 1);
+      assert.equal(error.details[0].field, "invoice");
+      assert.match(error.details[0].message, /Eicar-Test-Signature/);
+      assert.ok(error.details[0].reference, "the rejected submission is referenced");
+      assert.equal(fs.existsSync(infected.path), false, "infected file moved out of the uploads");
+      assert.equal(fs.existsSync(clean.path), false, "remaining uploads discarded");
+      assert.equal(fs.readdirSync(process.env.QUARANTINE_DIR).length, 1);
+    });
+
+    it("answers 503 and discards the uploads when clamd errors", async () => {
+      const upload = writeUpload("huge.pdf", "too big");
+
+      const { error } = await runScan([upload]);
+
+      assert.equal(error.status, 503);
+      assert.equal(error.code, "SCAN_UNAVAILABLE");
+      assert.equal(fs.existsSync(upload.path), false);
+    });
+  });
+});